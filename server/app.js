@@ -0,0 +1,201 @@
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { cacheKey, createResponseCache } from './cache.js';
+import { createRateLimiter } from './rateLimit.js';
+
+// The app server: detection endpoints that call Roboflow with a key only the server knows,
+// and the built React app. The browser posts the image's bytes as the request body;
+// responses are Roboflow's JSON, unchanged.
+
+export const HOSTED_ROBOFLOW_URL = 'https://detect.roboflow.com';
+
+export const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// Models and default thresholds of each endpoint, as the app queried them directly before.
+// Slots are asked for loosely: the app filters them itself.
+export const DETECT_ROUTES = {
+  '/api/detect/slots': { model: 'parking-space-finder-wjxkw-sqkag/1', defaults: { confidence: 10, overlap: 90 } },
+  '/api/detect/vehicle': { model: 'vehicle-classification-v2/1', defaults: { confidence: 50 } }
+};
+
+// An error answered with its status and message
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const THRESHOLDS = ['confidence', 'overlap'];
+
+// Thresholds from the query string, percentages like Roboflow's; anything else is ignored
+export const detectParams = (searchParams, defaults) => {
+  const params = { ...defaults };
+  THRESHOLDS.forEach(name => {
+    if (!searchParams.has(name)) return;
+    const value = Number(searchParams.get(name));
+    if (!(value >= 0 && value <= 100)) throw new HttpError(400, `${name} must be a percentage`);
+    params[name] = value;
+  });
+  return params;
+};
+
+// The body of an oversized request is read to its end but not kept, so the 413 reaches the client
+const readBody = (req, limit) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > limit) {
+      chunks.length = 0;
+      reject(new HttpError(413, `Images are limited to ${Math.round(limit / 1024 / 1024)} MB`));
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+// Roboflow's hosted API takes the image base64 encoded as the body
+const callRoboflow = async (fetchImpl, { baseUrl, apiKey, model, params, image }) => {
+  const query = new URLSearchParams({ api_key: apiKey, ...params });
+  const response = await fetchImpl(`${baseUrl.replace(/\/+$/, '')}/${model}?${query.toString()}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: image.toString('base64')
+  }).catch(() => {
+    throw new HttpError(502, 'Roboflow could not be reached');
+  });
+  if (!response.ok) throw new HttpError(502, `Roboflow error: ${response.status} - ${response.statusText}`);
+  return response.json();
+};
+
+const STATIC_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.wasm': 'application/wasm',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.svg': 'image/svg+xml',
+  '.txt': 'text/plain',
+  '.map': 'application/json'
+};
+
+// Files of the built app; paths that are not files get index.html
+const serveStatic = async (res, staticDir, pathname) => {
+  const root = path.resolve(staticDir);
+  const file = path.resolve(root, `.${path.posix.normalize(pathname)}`);
+  const target = file.startsWith(root + path.sep) && path.extname(file) ? file : path.join(root, 'index.html');
+  try {
+    const content = await readFile(target);
+    res.writeHead(200, { 'Content-Type': STATIC_TYPES[path.extname(target)] || 'application/octet-stream' });
+    res.end(content);
+    return 200;
+  } catch (err) {
+    throw new HttpError(404, 'Not found');
+  }
+};
+
+// The client a request is counted against: the connecting address, or behind a trusted reverse
+// proxy (the development server's included) the address that proxy saw, the last one it
+// appended to X-Forwarded-For. Earlier entries are the client's own word and are ignored.
+export const clientAddress = (req, { trustProxy = false } = {}) => {
+  const forwarded = trustProxy && req.headers['x-forwarded-for'];
+  if (forwarded) {
+    const last = forwarded.split(',').map(entry => entry.trim()).filter(Boolean).pop();
+    if (last) return last;
+  }
+  return req.socket.remoteAddress;
+};
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const limitHeaders = (limit) => ({ 'RateLimit-Limit': String(limit.limit), 'RateLimit-Remaining': String(limit.remaining) });
+
+const sendLimited = (res, limit) => sendJson(res, 429, { error: `Too many requests; try again in ${limit.retryAfter} s` }, {
+  ...limitHeaders(limit),
+  'Retry-After': String(limit.retryAfter)
+});
+
+// A request handler for http.createServer. `log` gets one line per request; the key never
+// appears in it. `clientOf` names the client a request is counted against; trustProxy makes
+// the default read X-Forwarded-For. A client over its limit is turned away before its image
+// is read; below it, cached responses are free and only model calls count.
+export const createApp = ({
+  apiKey,
+  baseUrl = HOSTED_ROBOFLOW_URL,
+  fetchImpl = fetch,
+  cache = createResponseCache(),
+  rateLimit = createRateLimiter(),
+  staticDir = null,
+  maxImageBytes = MAX_IMAGE_BYTES,
+  log = console.log,
+  trustProxy = false,
+  clientOf = (req) => clientAddress(req, { trustProxy }),
+  now = Date.now
+}) => async (req, res) => {
+  const started = now();
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+  const client = clientOf(req);
+  let status = 500;
+  let note = '';
+
+  try {
+    const route = DETECT_ROUTES[pathname];
+    if (route) {
+      if (req.method !== 'POST') throw new HttpError(405, 'Post the image to detect in');
+      const params = detectParams(searchParams, route.defaults);
+      const ahead = rateLimit.peek(client);
+      if (!ahead.allowed) {
+        req.resume();
+        status = 429;
+        sendLimited(res, ahead);
+        return;
+      }
+      const image = await readBody(req, maxImageBytes);
+      if (image.length === 0) throw new HttpError(400, 'The request body must be the image');
+
+      const key = cacheKey(pathname, image, params);
+      const cached = cache.get(key);
+      if (cached) {
+        status = 200;
+        note = 'cache hit';
+        sendJson(res, status, cached, { 'X-Cache': 'HIT' });
+        return;
+      }
+
+      const limit = rateLimit(client);
+      if (!limit.allowed) {
+        status = 429;
+        sendLimited(res, limit);
+        return;
+      }
+
+      note = 'cache miss';
+      const result = await callRoboflow(fetchImpl, { baseUrl, apiKey, model: route.model, params, image });
+      cache.set(key, result);
+      status = 200;
+      sendJson(res, status, result, { ...limitHeaders(limit), 'X-Cache': 'MISS' });
+    } else if (pathname === '/api/health') {
+      status = 200;
+      sendJson(res, status, { ok: true });
+    } else if (staticDir && req.method === 'GET' && !pathname.startsWith('/api/')) {
+      status = await serveStatic(res, staticDir, pathname);
+    } else {
+      throw new HttpError(404, 'Not found');
+    }
+  } catch (err) {
+    status = err.status || 500;
+    note = err.message;
+    if (!res.headersSent) sendJson(res, status, { error: status === 500 ? 'Server error' : err.message });
+  } finally {
+    log(`${new Date(started).toISOString()} ${client} ${req.method} ${pathname} ${status} ${now() - started}ms${note ? ` ${note}` : ''}`);
+  }
+};
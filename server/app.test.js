@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, writeFile } from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { clientAddress, createApp } from './app.js';
+import { createRateLimiter } from './rateLimit.js';
+
+// The app on a free port, with Roboflow answered by `roboflow` and every call recorded
+const startApp = async (options = {}, roboflow = async () => ({ ok: true, json: async () => ({ predictions: [] }) })) => {
+  const calls = [];
+  const lines = [];
+  const server = http.createServer(createApp({
+    apiKey: 'secret-key',
+    baseUrl: 'https://models.test/',
+    fetchImpl: async (url, init) => {
+      calls.push({ url, init });
+      return roboflow(url, init);
+    },
+    log: line => lines.push(line),
+    ...options
+  }));
+  await new Promise(resolve => server.listen(0, resolve));
+  const base = `http://localhost:${server.address().port}`;
+  return {
+    calls,
+    lines,
+    post: (route, body = 'image bytes') => fetch(`${base}${route}`, { method: 'POST', headers: { 'Content-Type': 'image/jpeg' }, body }),
+    get: route => fetch(`${base}${route}`),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+test('detections are asked of Roboflow with the server key and cached by image', async () => {
+  const app = await startApp();
+  try {
+    const first = await app.post('/api/detect/slots');
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('x-cache'), 'MISS');
+    assert.deepEqual(await first.json(), { predictions: [] });
+
+    assert.equal(app.calls.length, 1);
+    const url = new URL(app.calls[0].url);
+    assert.equal(url.pathname, '/parking-space-finder-wjxkw-sqkag/1');
+    assert.equal(url.searchParams.get('api_key'), 'secret-key');
+    assert.equal(url.searchParams.get('confidence'), '10');
+    assert.equal(url.searchParams.get('overlap'), '90');
+    assert.equal(app.calls[0].init.body, Buffer.from('image bytes').toString('base64'));
+
+    const again = await app.post('/api/detect/slots');
+    assert.equal(again.headers.get('x-cache'), 'HIT');
+    await app.post('/api/detect/slots', 'another image');
+    await app.post('/api/detect/vehicle?confidence=40&overlap=30');
+    assert.equal(app.calls.length, 3);
+    assert.equal(new URL(app.calls[2].url).pathname, '/vehicle-classification-v2/1');
+    assert.equal(new URL(app.calls[2].url).searchParams.get('confidence'), '40');
+
+    assert.equal(app.lines.length, 4);
+    assert.match(app.lines[1], / POST \/api\/detect\/slots 200 \d+ms cache hit$/);
+    assert.ok(app.lines.every(line => !line.includes('secret-key')));
+  } finally {
+    await app.close();
+  }
+});
+
+test('bad requests are answered without calling Roboflow', async () => {
+  const app = await startApp({ maxImageBytes: 4 });
+  try {
+    assert.equal((await app.post('/api/detect/slots?confidence=150', 'x')).status, 400);
+    assert.equal((await app.post('/api/detect/slots', '')).status, 400);
+    assert.equal((await app.get('/api/detect/slots')).status, 405);
+    assert.equal((await app.get('/api/unknown')).status, 404);
+    assert.equal((await app.post('/api/detect/slots', 'too large')).status, 413);
+    assert.equal(app.calls.length, 0);
+  } finally {
+    await app.close();
+  }
+});
+
+test('clients over their limit are turned away before their image is read; cached answers are free until then', async () => {
+  const app = await startApp({ rateLimit: createRateLimiter({ limit: 2, now: () => 0 }), maxImageBytes: 20 });
+  try {
+    const allowed = await app.post('/api/detect/vehicle', 'first car');
+    assert.equal(allowed.headers.get('ratelimit-remaining'), '1');
+    const cached = await app.post('/api/detect/vehicle', 'first car');
+    assert.equal(cached.status, 200);
+    assert.equal(cached.headers.get('x-cache'), 'HIT');
+    assert.equal((await app.post('/api/detect/vehicle', 'second car')).headers.get('ratelimit-remaining'), '0');
+
+    const limited = await app.post('/api/detect/vehicle', 'third car');
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get('retry-after'), '60');
+    // Turned away before the body is read, so not even its size is checked
+    assert.equal((await app.post('/api/detect/vehicle', 'a car image far too large')).status, 429);
+    assert.equal((await app.post('/api/detect/vehicle', 'first car')).status, 429);
+    assert.equal(app.calls.length, 2);
+  } finally {
+    await app.close();
+  }
+});
+
+test('behind a trusted proxy clients are told apart by the address it forwards', () => {
+  const req = { headers: { 'x-forwarded-for': '203.0.113.9, 198.51.100.7' }, socket: { remoteAddress: '127.0.0.1' } };
+  assert.equal(clientAddress(req), '127.0.0.1');
+  assert.equal(clientAddress(req, { trustProxy: true }), '198.51.100.7');
+  assert.equal(clientAddress({ headers: {}, socket: { remoteAddress: '127.0.0.1' } }, { trustProxy: true }), '127.0.0.1');
+});
+
+test('Roboflow errors come back as a bad gateway and are not cached', async () => {
+  const app = await startApp({}, async () => ({ ok: false, status: 403, statusText: 'Forbidden' }));
+  try {
+    const response = await app.post('/api/detect/vehicle');
+    assert.equal(response.status, 502);
+    assert.deepEqual(await response.json(), { error: 'Roboflow error: 403 - Forbidden' });
+    await app.post('/api/detect/vehicle');
+    assert.equal(app.calls.length, 2);
+  } finally {
+    await app.close();
+  }
+});
+
+test('an unreachable Roboflow is a bad gateway too', async () => {
+  const app = await startApp({}, async () => {
+    throw new TypeError('fetch failed');
+  });
+  try {
+    const response = await app.post('/api/detect/slots');
+    assert.equal(response.status, 502);
+    assert.deepEqual(await response.json(), { error: 'Roboflow could not be reached' });
+  } finally {
+    await app.close();
+  }
+});
+
+test('the built app is served with the types the in-browser runtime needs', async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'build-'));
+  await mkdir(path.join(dir, 'static', 'media'), { recursive: true });
+  await writeFile(path.join(dir, 'index.html'), '<html></html>');
+  await writeFile(path.join(dir, 'static', 'media', 'ort-wasm-simd-threaded.jsep.wasm'), 'wasm');
+  await writeFile(path.join(dir, 'static', 'media', 'ort.bundle.min.mjs'), 'export {};');
+  const app = await startApp({ staticDir: dir });
+  try {
+    assert.equal((await app.get('/static/media/ort-wasm-simd-threaded.jsep.wasm')).headers.get('content-type'), 'application/wasm');
+    assert.equal((await app.get('/static/media/ort.bundle.min.mjs')).headers.get('content-type'), 'text/javascript');
+    assert.equal((await app.get('/lots/1')).headers.get('content-type'), 'text/html; charset=utf-8');
+  } finally {
+    await app.close();
+    await rm(dir, { recursive: true });
+  }
+});
@@ -0,0 +1,33 @@
+import { createHash } from 'node:crypto';
+
+// Detection responses cached by what was asked: the route, the image's SHA-256 and the
+// thresholds. The same image detected again (a re-run, a resumed session) costs no model call.
+// Least recently used entries go first once the cache is full; entries expire after ttlMs.
+
+export const imageHash = (bytes) => createHash('sha256').update(bytes).digest('hex');
+
+export const cacheKey = (route, bytes, params) =>
+  [route, imageHash(bytes), ...Object.keys(params).sort().map(name => `${name}=${params[name]}`)].join(':');
+
+export const createResponseCache = ({ maxEntries = 200, ttlMs = 60 * 60 * 1000, now = Date.now } = {}) => {
+  const entries = new Map();
+
+  return {
+    get: (key) => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (now() - entry.at > ttlMs) return null;
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set: (key, value) => {
+      entries.delete(key);
+      entries.set(key, { value, at: now() });
+      if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    get size() {
+      return entries.size;
+    }
+  };
+};
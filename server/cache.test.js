@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cacheKey, createResponseCache, imageHash } from './cache.js';
+
+test('the key names the route, the image and the thresholds', () => {
+  const image = Buffer.from('lot');
+  assert.equal(imageHash(image), imageHash(Buffer.from('lot')));
+  assert.notEqual(imageHash(image), imageHash(Buffer.from('lot2')));
+  assert.equal(cacheKey('/a', image, { overlap: 90, confidence: 10 }), cacheKey('/a', image, { confidence: 10, overlap: 90 }));
+  assert.notEqual(cacheKey('/a', image, { confidence: 10 }), cacheKey('/a', image, { confidence: 20 }));
+  assert.notEqual(cacheKey('/a', image, { confidence: 10 }), cacheKey('/b', image, { confidence: 10 }));
+});
+
+test('least recently used responses go first', () => {
+  const cache = createResponseCache({ maxEntries: 2 });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  assert.equal(cache.get('a'), 1);
+  cache.set('c', 3);
+  assert.equal(cache.get('b'), null);
+  assert.equal(cache.get('a'), 1);
+  assert.equal(cache.get('c'), 3);
+  assert.equal(cache.size, 2);
+});
+
+test('responses expire', () => {
+  let time = 0;
+  const cache = createResponseCache({ ttlMs: 1000, now: () => time });
+  cache.set('a', 1);
+  time = 1000;
+  assert.equal(cache.get('a'), 1);
+  time = 1001;
+  assert.equal(cache.get('a'), null);
+  assert.equal(cache.size, 0);
+});
@@ -0,0 +1,36 @@
+import { existsSync } from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createApp, HOSTED_ROBOFLOW_URL } from './app.js';
+import { createResponseCache } from './cache.js';
+import { createRateLimiter } from './rateLimit.js';
+
+// Starts the app server. The Roboflow key is read from the environment and stays here:
+//   ROBOFLOW_API_KEY=... npm run server
+// Optional: PORT (3001), ROBOFLOW_URL, RATE_LIMIT (detections per client per minute, 30),
+// CACHE_SIZE (cached responses, 200) and TRUST_PROXY=1 when it runs behind a reverse proxy
+// (clients are otherwise told apart by the address they connect from, which behind a proxy is
+// the proxy's). After `npm run build` it also serves the app.
+
+const apiKey = process.env.ROBOFLOW_API_KEY;
+if (!apiKey) {
+  console.error('Set ROBOFLOW_API_KEY to the Roboflow API key the server should use.');
+  process.exit(1);
+}
+
+const port = Number(process.env.PORT) || 3001;
+const buildDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'build');
+
+const app = createApp({
+  apiKey,
+  baseUrl: process.env.ROBOFLOW_URL || HOSTED_ROBOFLOW_URL,
+  rateLimit: createRateLimiter({ limit: Number(process.env.RATE_LIMIT) || 30 }),
+  cache: createResponseCache({ maxEntries: Number(process.env.CACHE_SIZE) || 200 }),
+  staticDir: existsSync(buildDir) ? buildDir : null,
+  trustProxy: process.env.TRUST_PROXY === '1'
+});
+
+http.createServer(app).listen(port, () => {
+  console.log(`Parking detection server listening on http://localhost:${port}`);
+});
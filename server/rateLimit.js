@@ -0,0 +1,43 @@
+// Requests allowed per client in a fixed window, so one browser cannot spend the key's quota.
+// A client is whatever identifies it to the server, usually its address.
+
+export const createRateLimiter = ({ limit = 30, windowMs = 60 * 1000, now = Date.now } = {}) => {
+  const windows = new Map();
+
+  // The client's current window; windows of clients gone quiet are dropped as others start theirs
+  const windowOf = (client, time) => {
+    let window = windows.get(client);
+    if (!window || time >= window.resetAt) {
+      window = { count: 0, resetAt: time + windowMs };
+      windows.set(client, window);
+    }
+    windows.forEach((entry, key) => {
+      if (time >= entry.resetAt) windows.delete(key);
+    });
+    return window;
+  };
+
+  const state = (window, time, count) => ({
+    allowed: count <= limit,
+    limit,
+    remaining: Math.max(0, limit - count),
+    retryAfter: Math.ceil((window.resetAt - time) / 1000)
+  });
+
+  // Counts one request against the client
+  const rateLimit = (client) => {
+    const time = now();
+    const window = windowOf(client, time);
+    window.count += 1;
+    return state(window, time, window.count);
+  };
+
+  // Whether the client's next request would be allowed, without counting it
+  rateLimit.peek = (client) => {
+    const time = now();
+    const window = windowOf(client, time);
+    return state(window, time, window.count + 1);
+  };
+
+  return rateLimit;
+};
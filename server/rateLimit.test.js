@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter } from './rateLimit.js';
+
+test('each client gets its own window of requests', () => {
+  let time = 0;
+  const limiter = createRateLimiter({ limit: 2, windowMs: 10000, now: () => time });
+  assert.deepEqual(limiter('a'), { allowed: true, limit: 2, remaining: 1, retryAfter: 10 });
+  assert.equal(limiter('a').allowed, true);
+  time = 4000;
+  assert.deepEqual(limiter('a'), { allowed: false, limit: 2, remaining: 0, retryAfter: 6 });
+  assert.equal(limiter('b').allowed, true);
+
+  time = 10000;
+  assert.equal(limiter('a').allowed, true);
+});
+
+test('peeking tells whether the next request is allowed without counting it', () => {
+  const limiter = createRateLimiter({ limit: 1, now: () => 0 });
+  assert.equal(limiter.peek('a').allowed, true);
+  assert.equal(limiter.peek('a').allowed, true);
+  assert.equal(limiter('a').allowed, true);
+  assert.deepEqual(limiter.peek('a'), { allowed: false, limit: 1, remaining: 0, retryAfter: 60 });
+});
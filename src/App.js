@@ -1,5 +1,71 @@
-import React, { useState, useRef } from 'react';
-import { Upload, Camera, Car, Navigation, MapPin, BarChart3, AlertCircle, CheckCircle, Clock, Route, Eye, Zap } from 'lucide-react';
+import React, { useState, useRef, useEffect, useMemo, useCallback } from 'react';
+import { Upload, Camera, Car, Navigation, MapPin, BarChart3, AlertCircle, CheckCircle, Clock, Route, Eye, Zap, Film, Activity } from 'lucide-react';
+import { buildLotGraph, parseLotLayout, slotNodeId, gateNodeId } from './routing/lotGraph';
+import { findCandidatePaths } from './routing/routes';
+import { shortestPath } from './routing/kShortestPaths';
+import { buildLevelGraph, driveDistances, findLevelPaths, measureAcrossLevels, viewNodeId, viewSubgraph } from './routing/levels';
+import { loadGates, saveGates, defaultEntrance, resolveEntrances, measureFromEntrances } from './lot/gates';
+import { loadTemplate, saveTemplate, createTemplate, rebaseTemplate, matchToTemplate, fillOccupancy, withLabels, slotName } from './lot/template';
+import {
+  MAIN_VIEW_ID, allViews, findView, isMultiView, viewStorageId, firstSlotNumber, slotViewId, viewSlots, mergeViewSlots, slotPlace,
+  loadStructure, saveStructure
+} from './lot/structure';
+import { loadCalibration, saveCalibration, estimateCalibration, createProjector, lotScaleOf, formatLength } from './lot/calibration';
+import { DRIVING_SPEED_MPS, estimateTravelTime, formatDuration } from './routing/travelTime';
+import { JAM_SPACING_METERS, estimatePathIntensities } from './routing/intensity';
+import { scorePaths, bestScored, explainWinner, loadScoreWeights, saveScoreWeights } from './routing/pathScore';
+import { VEHICLE_TYPES, allocateSlot, loadRules, saveRules } from './allocation/rules';
+import { SLOT_CATEGORIES, CATEGORY_IDS, NO_DRIVER_FLAGS, categoriesOf, categoriesFromClass, describeFlags } from './allocation/categories';
+import { createSession, admitVehicle, reallocateVehicle, checkInVehicle, releaseVehicle } from './allocation/session';
+import { inferLayout } from './layout/inferLayout';
+import { trackOccupancy, slotsAtFrame } from './monitoring/occupancyTracker';
+import { isVideoFile, readImageSequence, sampleVideoFrames } from './monitoring/frames';
+import LotOverlay, { SLOT_STATUS_COLORS } from './components/LotOverlay';
+import RouteGuidance from './components/RouteGuidance';
+import GateEditor from './components/GateEditor';
+import TrafficMap from './components/TrafficMap';
+import SessionTable from './components/SessionTable';
+import RuleEditor from './components/RuleEditor';
+import CalibrationTool from './components/CalibrationTool';
+import OccupancyTimeline from './components/OccupancyTimeline';
+import SlotTemplateEditor from './components/SlotTemplateEditor';
+import LotTemplateEditor from './components/LotTemplateEditor';
+import SavedSessions from './components/SavedSessions';
+import AnalyticsDashboard from './components/AnalyticsDashboard';
+import ResultsExport from './components/ResultsExport';
+import ScoreWeightsEditor from './components/ScoreWeightsEditor';
+import ScoreBreakdown from './components/ScoreBreakdown';
+import DetectionFilter from './components/DetectionFilter';
+import StructureEditor from './components/StructureEditor';
+import ViewPicker from './components/ViewPicker';
+import SlotCorrectionEditor from './components/SlotCorrectionEditor';
+import CorrectionLog from './components/CorrectionLog';
+import DatasetExport from './components/DatasetExport';
+import {
+  BACKEND_TYPES, PARKING_MODEL, VEHICLE_MODEL, createDetectionBackend, isBackendConfigured, withRecording, createReplayBackend
+} from './detection/backends';
+import { filterResponse, markUncertain, loadDetectionFilter, saveDetectionFilter } from './detection/filtering';
+import {
+  createCorrectionLog, logCorrection, correctSlotStatus, addMissedSlot, removeSlot, applySlotCorrections,
+  slotAnnotations, vehicleAnnotations
+} from './detection/corrections';
+import { parseClassNames } from './detection/onnx';
+import {
+  NO_RECORDINGS, createSessionStore, createSessionMeta, createSessionRecord, parseSessionRecord, hasProgress
+} from './storage/savedSessions';
+import { createHistoryStore, createDetectionSnapshot } from './storage/detectionHistory';
+import demoLotFixture from './detection/fixtures/demo-lot.json';
+import demoVehicleFixture from './detection/fixtures/demo-vehicles.json';
+import demoTrafficFixture from './detection/fixtures/demo-traffic.json';
+
+// Sessions are saved in this browser a moment after each change, and every slot
+// detection is kept in the lot's history for analytics
+const sessionStore = createSessionStore();
+const historyStore = createHistoryStore();
+const AUTOSAVE_DELAY_MS = 800;
+
+// A start gate's node in the graph across levels
+const startNodeId = (gate) => viewNodeId(gate.view_id, gateNodeId(gate));
 
 const SmartParkingSystem = () => {
   // State management
@@ -11,99 +77,87 @@ const SmartParkingSystem = () => {
   const [allocatedSlot, setAllocatedSlot] = useState(null);
   const [pathsData, setPathsData] = useState([]);
   const [pathVehicleIntensities, setPathVehicleIntensities] = useState({});
+  const [intensityAnalysis, setIntensityAnalysis] = useState(null);
+  const [routeGraph, setRouteGraph] = useState(null);
+  const [aisleImage, setAisleImage] = useState(null);
+  const [monitorFrames, setMonitorFrames] = useState([]);
+  const [monitorInterval, setMonitorInterval] = useState('5');
+  const [monitoring, setMonitoring] = useState(null);
+  const [monitorIndex, setMonitorIndex] = useState(0);
+  const [monitorProgress, setMonitorProgress] = useState('');
   const [optimalPath, setOptimalPath] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [error, setError] = useState('');
-  const [detectionImage, setDetectionImage] = useState(null);
+  const [lotImageSize, setLotImageSize] = useState(null);
+  const [lotLayout, setLotLayout] = useState(null);
+  const [lotId, setLotId] = useState('default');
+  const [gates, setGates] = useState(() => loadGates('default'));
+  const [allocationRules, setAllocationRules] = useState(() => loadRules('default'));
+  const [calibration, setCalibration] = useState(() => loadCalibration('default'));
+  const [lotTemplate, setLotTemplate] = useState(() => loadTemplate('default'));
+  const [templateMatch, setTemplateMatch] = useState(null);
+  const [scoreWeights, setScoreWeights] = useState(() => loadScoreWeights('default'));
+  const [detectionFilter, setDetectionFilter] = useState(() => loadDetectionFilter('default'));
+  // The last slot detection's raw response and the lot template it was matched against
+  const [rawSlotDetection, setRawSlotDetection] = useState(null);
+  // Levels and camera views of the lot. Gates, template and calibration above belong to the
+  // view shown; the image and detection of every other view are kept in viewCaptures.
+  const [lotStructure, setLotStructure] = useState(() => loadStructure('default'));
+  const [activeViewId, setActiveViewId] = useState(MAIN_VIEW_ID);
+  const [viewCaptures, setViewCaptures] = useState({});
+  const [arrivalGateId, setArrivalGateId] = useState('');
+  const [parkingSession, setParkingSession] = useState(createSession);
+  const [vehicleQueue, setVehicleQueue] = useState([]);
+  const [driverFlags, setDriverFlags] = useState(NO_DRIVER_FLAGS);
+  const [vehicleTypeOverride, setVehicleTypeOverride] = useState('');
+  const [correctionLog, setCorrectionLog] = useState(createCorrectionLog);
   const [apiKey, setApiKey] = useState('');
   const [showApiKey, setShowApiKey] = useState(false);
+  const [backendType, setBackendType] = useState('roboflow');
+  const [inferenceUrl, setInferenceUrl] = useState('http://localhost:9001');
+  const [fixtures, setFixtures] = useState({ slots: demoLotFixture, vehicles: demoVehicleFixture, traffic: demoTrafficFixture });
+  const [onnxModels, setOnnxModels] = useState({ slots: null, vehicles: null });
+  const [onnxClasses, setOnnxClasses] = useState({ slots: 'empty, occupied', vehicles: VEHICLE_TYPES.join(', ') });
+  const [detectionBackend, setDetectionBackend] = useState(null);
+  // A saved session waiting for the API key of its inference server before it resumes
+  const [pendingResumeId, setPendingResumeId] = useState(null);
+  // Derived state a resumed session did not save, rebuilt once its lot is restored
+  const [pendingRebuild, setPendingRebuild] = useState(null);
+  const [recordings, setRecordings] = useState(NO_RECORDINGS);
+  const [sessionMeta, setSessionMeta] = useState(createSessionMeta);
 
   // File input refs
   const parkingFileRef = useRef(null);
+  const layoutFileRef = useRef(null);
+  const slotFixtureRef = useRef(null);
+  const vehicleFixtureRef = useRef(null);
   const vehicleFileRef = useRef(null);
-
-  // Real Roboflow API integration
-  const roboflowAPI = {
+  const aisleFileRef = useRef(null);
+  const trafficFixtureRef = useRef(null);
+  const slotModelRef = useRef(null);
+  const vehicleModelRef = useRef(null);
+  const monitorFileRef = useRef(null);
+
+  // Detection through the selected backend (hosted Roboflow via the app server, self-hosted server, offline fixtures or in-browser models)
+  const detectionAPI = {
     detectParkingSlots: async (imageFile) => {
-      if (!apiKey) {
-        throw new Error('Please enter your Roboflow API key');
-      }
-
-      const formData = new FormData();
-      formData.append('file', imageFile);
-
       try {
-        const response = await fetch(
-          `https://detect.roboflow.com/parking-space-finder-wjxkw-sqkag/1?api_key=${apiKey}&confidence=40&overlap=30`,
-          {
-            method: 'POST',
-            body: formData
-          }
-        );
-
-        if (!response.ok) {
-          throw new Error(`API Error: ${response.status} - ${response.statusText}`);
-        }
-
-        const result = await response.json();
+        const result = await detectionBackend.detectParkingSlots(imageFile);
         
         if (!result.predictions || result.predictions.length === 0) {
-          throw new Error('No parking slots detected. Try adjusting the image or confidence threshold.');
+          throw new Error('No parking slots detected. Try another image of the lot.');
         }
 
-        // Process and sort slots spatially
-        const sortedSlots = sortSlotsSpatiallly(result.predictions);
-        
-        return {
-          total_slots: sortedSlots.length,
-          empty_slots: sortedSlots.filter(s => isEmptySlot(s.class)).map((_, i) => i + 1),
-          occupied_slots: sortedSlots.filter(s => !isEmptySlot(s.class)).map((_, i) => i + 1),
-          slots: sortedSlots.map((pred, index) => ({
-            slot_number: index + 1,
-            status: isEmptySlot(pred.class) ? 'empty' : 'occupied',
-            row: Math.floor(index / 8),
-            col: index % 8,
-            x: pred.x,
-            y: pred.y,
-            width: pred.width,
-            height: pred.height,
-            confidence: pred.confidence,
-            original_class: pred.class,
-            is_corner: isCornerSlot(index, sortedSlots.length),
-            is_edge: isEdgeSlot(index, sortedSlots.length),
-            distance_from_entrance: calculateDistanceFromEntrance(pred, result.image)
-          })),
-          detection_image: result.image || null
-        };
+        return result;
       } catch (error) {
-        console.error('Roboflow API Error:', error);
+        console.error(`${detectionBackend.label} error:`, error);
         throw error;
       }
     },
 
     detectVehicleType: async (imageFile) => {
-      if (!apiKey) {
-        throw new Error('Please enter your Roboflow API key');
-      }
-
-      const formData = new FormData();
-      formData.append('file', imageFile);
-
       try {
-        // Try vehicle classification model first
-        const response = await fetch(
-          `https://detect.roboflow.com/vehicle-classification-v2/1?api_key=${apiKey}&confidence=50`,
-          {
-            method: 'POST',
-            body: formData
-          }
-        );
-
-        if (!response.ok) {
-          throw new Error(`Vehicle detection failed: ${response.status}`);
-        }
-
-        const result = await response.json();
+        const result = await detectionBackend.detectVehicleType(imageFile);
         
         if (result.predictions && result.predictions.length > 0) {
           const bestPrediction = result.predictions.reduce((best, current) => 
@@ -112,8 +166,11 @@ const SmartParkingSystem = () => {
 
           const vehicleType = mapClassToVehicleType(bestPrediction.class);
           
+          // A class that names no known vehicle type is taken for a car, and flagged so the operator can correct it
           return {
-            vehicle_type: vehicleType,
+            vehicle_type: vehicleType || 'car',
+            type_guessed: !vehicleType,
+            image_size: result.image ? { width: result.image.width, height: result.image.height } : null,
             confidence: bestPrediction.confidence,
             x: bestPrediction.x,
             y: bestPrediction.y,
@@ -128,6 +185,17 @@ const SmartParkingSystem = () => {
         console.error('Vehicle detection error:', error);
         throw error;
       }
+    },
+
+    // Every vehicle visible in a lot or aisle image, parked or moving
+    detectTraffic: async (imageFile) => {
+      try {
+        const result = await detectionBackend.detectTraffic(imageFile);
+        return result.predictions || [];
+      } catch (error) {
+        console.error('Traffic detection error:', error);
+        throw error;
+      }
     }
   };
 
@@ -137,44 +205,73 @@ const SmartParkingSystem = () => {
     return emptyClasses.some(empty => className.toLowerCase().includes(empty.toLowerCase()));
   };
 
-  const sortSlotsSpatiallly = (predictions) => {
-    // Sort by Y coordinate first (top to bottom), then by X coordinate (left to right)
-    return predictions.sort((a, b) => {
-      const yDiff = Math.abs(a.y - b.y);
-      if (yDiff < 50) { // Same row threshold
-        return a.x - b.x; // Sort by X within same row
-      }
-      return a.y - b.y; // Sort by Y for different rows
-    });
-  };
-
-  const isCornerSlot = (index, totalSlots) => {
-    const slotsPerRow = 8;
-    const row = Math.floor(index / slotsPerRow);
-    const col = index % slotsPerRow;
-    const totalRows = Math.ceil(totalSlots / slotsPerRow);
-    
-    return (row === 0 || row === totalRows - 1) && (col === 0 || col === slotsPerRow - 1);
-  };
+  // Slots from a slot detection response: rows, columns and aisles are inferred from the
+  // box geometry, and slots are numbered in reading order
+  const toLotResult = (result) => {
+    const layout = inferLayout(result.predictions);
+    const slots = layout.slots.map(({ box: pred, row, col, block, is_corner, is_edge }, index) => ({
+      slot_number: firstSlotNumber(activeView) + index,
+      status: isEmptySlot(pred.class) ? 'empty' : 'occupied',
+      row,
+      col,
+      block,
+      x: pred.x,
+      y: pred.y,
+      width: pred.width,
+      height: pred.height,
+      confidence: pred.confidence,
+      original_class: pred.class,
+      categories: categoriesFromClass(pred.class),
+      is_corner,
+      is_edge
+    }));
 
-  const isEdgeSlot = (index, totalSlots) => {
-    const slotsPerRow = 8;
-    const row = Math.floor(index / slotsPerRow);
-    const col = index % slotsPerRow;
-    const totalRows = Math.ceil(totalSlots / slotsPerRow);
-    
-    return row === 0 || row === totalRows - 1 || col === 0 || col === slotsPerRow - 1;
+    return {
+      total_slots: slots.length,
+      empty_slots: slots.filter(s => s.status === 'empty').map(s => s.slot_number),
+      occupied_slots: slots.filter(s => s.status === 'occupied').map(s => s.slot_number),
+      slots: measureFromEntrances(slots, getEntrances(result.image)),
+      image_size: result.image?.width ? { width: result.image.width, height: result.image.height } : null
+    };
   };
 
-  const calculateDistanceFromEntrance = (prediction, imageData) => {
-    // Assume entrance is at bottom center of image
-    const entranceX = imageData?.width ? imageData.width / 2 : 640;
-    const entranceY = imageData?.height ? imageData.height : 480;
-    
-    const dx = prediction.x - entranceX;
-    const dy = prediction.y - entranceY;
-    return Math.sqrt(dx * dx + dy * dy);
-  };
+  // Entrances in effect: the operator's gates, else the layout file entrance, else bottom center of the image
+  const getEntrances = useCallback((imageData, lotGates = gates) => {
+    const fallback = lotLayout?.entrance
+      ? { ...defaultEntrance(imageData), id: 'layout-entrance', x: lotLayout.entrance.x, y: lotLayout.entrance.y }
+      : defaultEntrance(imageData);
+    return resolveEntrances(lotGates, fallback);
+  }, [gates, lotLayout]);
+
+  // detectedSlots is the inventory of the whole lot; the image shows the active view's share
+  const lotViews = useMemo(() => allViews(lotStructure), [lotStructure]);
+  const multiView = isMultiView(lotStructure);
+  const activeView = findView(lotStructure, activeViewId) || findView(lotStructure, MAIN_VIEW_ID);
+  const viewStorage = viewStorageId(lotId, activeView.id);
+  const shownSlots = viewSlots(detectedSlots, activeView.id);
+
+  // Only the main view falls back to a default entrance; other views are reached by ramp
+  const entrances = useMemo(() => (multiView && activeView.id !== MAIN_VIEW_ID
+    ? gates.filter(gate => gate.type === 'entrance')
+    : getEntrances(lotImageSize)), [multiView, activeView.id, gates, getEntrances, lotImageSize]);
+  const displayGates = [...entrances, ...gates.filter(gate => gate.type !== 'entrance')];
+  const arrivalGate = entrances.find(gate => gate.id === arrivalGateId);
+
+  // Candidate paths scored by the lot's weights, with why the best one wins
+  const scoredPaths = scorePaths(pathsData, pathVehicleIntensities, scoreWeights);
+  const scoreExplanation = explainWinner(scoredPaths);
+
+  // Aisles drawn in the lot template, else the layout file's lanes; without either they are inferred
+  const lotLanes = lotTemplate?.aisles?.length ? lotTemplate.aisles : lotLayout?.lanes;
+
+  // Distances in meters from the lot's calibration, else estimated from the median detected bay
+  const activeCalibration = calibration || estimateCalibration(shownSlots);
+  const lotScale = lotScaleOf(activeCalibration, shownSlots);
+  const projector = createProjector(activeCalibration);
+  const formatDistance = (length) => formatLength(length, projector.unit);
+  // Paths across levels are measured in meters whatever the shown view's calibration
+  const pathUnit = multiView ? 'm' : projector.unit;
+  const formatPathDistance = (length) => formatLength(length, pathUnit);
 
   const mapClassToVehicleType = (detectedClass) => {
     const classMapping = {
@@ -199,26 +296,78 @@ const SmartParkingSystem = () => {
         return value;
       }
     }
-    return 'car'; // Default fallback
+    return null;
   };
 
-  // Vehicle allocation rules
-  const vehicleRules = {
-    car: { priority: 'closest', allow_middle: true },
-    motorcycle: { priority: 'furthest', allow_middle: true },
-    truck: { priority: 'corner_edge', allow_middle: false },
-    bus: { priority: 'corner_edge', allow_middle: false },
-    van: { priority: 'corner_edge', allow_middle: false }
+  // Step 1: Connect the selected detection backend
+  const backendConfig = {
+    type: backendType,
+    apiKey: apiKey.trim(),
+    baseUrl: inferenceUrl.trim(),
+    fixtures,
+    models: {
+      slots: onnxModels.slots && { data: onnxModels.slots.data, classes: parseClassNames(onnxClasses.slots) },
+      vehicles: onnxModels.vehicles && { data: onnxModels.vehicles.data, classes: parseClassNames(onnxClasses.vehicles) }
+    }
   };
 
-  // Step 1: Handle API key input
-  const handleApiKeySubmit = () => {
-    if (!apiKey.trim()) {
-      setError('Please enter your Roboflow API key');
+  const handleBackendConnect = () => {
+    if (!isBackendConfigured(backendConfig)) {
+      setError(BACKEND_TYPES[backendType].requiresUrl
+        ? 'Please enter the URL of your inference server'
+        : backendType === 'fixture'
+          ? 'Please load both a slot and a vehicle fixture file'
+          : 'Please load both a slot and a vehicle model file and name their classes');
       return;
     }
-    setError('');
-    setShowApiKey(false);
+    try {
+      const backend = withRecording(createDetectionBackend(backendConfig), recordResponse);
+      setError('');
+      setShowApiKey(false);
+      if (pendingResumeId) {
+        setPendingResumeId(null);
+        resumeSession(pendingResumeId, backend);
+      } else {
+        setDetectionBackend(backend);
+      }
+    } catch (err) {
+      setError(`Failed to set up detection backend: ${err.message}`);
+    }
+  };
+
+  // Raw responses of the live backend, kept with the saved session for replay
+  const recordResponse = (kind, response) => {
+    setRecordings(prev => ({ ...prev, [kind]: [...prev[kind], response] }));
+  };
+
+  // Recorded prediction JSON for the offline fixture backend
+  const handleFixtureUpload = (kind) => (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        try {
+          setFixtures(prev => ({ ...prev, [kind]: JSON.parse(e.target.result) }));
+          setError('');
+        } catch (err) {
+          setError(`Invalid fixture file: ${err.message}`);
+        }
+      };
+      reader.readAsText(file);
+    }
+  };
+
+  // ONNX model files for the in-browser backend, kept as bytes
+  const handleModelUpload = (kind) => (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        setOnnxModels(prev => ({ ...prev, [kind]: { name: file.name, data: new Uint8Array(e.target.result) } }));
+        setError('');
+      };
+      reader.readAsArrayBuffer(file);
+    }
   };
 
   // Step 2: Upload parking lot image
@@ -234,6 +383,137 @@ const SmartParkingSystem = () => {
     }
   };
 
+  // Optional lot layout file (aisle lanes and entrance) used for routing
+  const handleLayoutUpload = (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        try {
+          setLotLayout(parseLotLayout(JSON.parse(e.target.result)));
+          setError('');
+        } catch (err) {
+          setLotLayout(null);
+          setError(`Invalid layout file: ${err.message}`);
+        }
+      };
+      reader.readAsText(file);
+    }
+  };
+
+  // Gates are saved per lot and re-measure slot distances as they change
+  const handleGatesChange = (nextGates) => {
+    setGates(nextGates);
+    saveGates(viewStorage, nextGates);
+    setDetectedSlots(prev => mergeViewSlots(prev, activeView.id, measureFromEntrances(viewSlots(prev, activeView.id), getEntrances(lotImageSize, nextGates))));
+    if (!nextGates.some(gate => gate.id === arrivalGateId)) setArrivalGateId('');
+  };
+
+  const handleLotIdChange = (nextLotId) => {
+    const lotGates = loadGates(nextLotId);
+    setLotId(nextLotId);
+    setGates(lotGates);
+    setAllocationRules(loadRules(nextLotId));
+    setCalibration(loadCalibration(nextLotId));
+    setLotTemplate(loadTemplate(nextLotId));
+    setScoreWeights(loadScoreWeights(nextLotId));
+    setDetectionFilter(loadDetectionFilter(nextLotId));
+    setLotStructure(loadStructure(nextLotId));
+    setActiveViewId(MAIN_VIEW_ID);
+    setViewCaptures({});
+    setTemplateMatch(null);
+    setArrivalGateId('');
+    setDetectedSlots(prev => measureFromEntrances(prev, getEntrances(lotImageSize, lotGates)));
+  };
+
+  const handleStructureChange = (nextStructure) => {
+    setLotStructure(nextStructure);
+    saveStructure(lotId, nextStructure);
+    // A removed view's slots leave the inventory
+    const viewIds = allViews(nextStructure).map(view => view.id);
+    setDetectedSlots(prev => prev.filter(slot => viewIds.includes(slotViewId(slot))));
+    if (!viewIds.includes(activeView.id)) showView(MAIN_VIEW_ID);
+  };
+
+  // The gates, template and calibration saved for one camera view
+  const loadViewSettings = (storageId) => {
+    setGates(loadGates(storageId));
+    setCalibration(loadCalibration(storageId));
+    setLotTemplate(loadTemplate(storageId));
+  };
+
+  // Switch the camera view shown, keeping the image and detection of the one left
+  const showView = (viewId) => {
+    if (viewId === activeView.id) return;
+    const captures = {
+      ...viewCaptures,
+      [activeView.id]: { image: parkingImage, imageSize: lotImageSize, rawSlotDetection, templateMatch }
+    };
+    const next = captures[viewId] || {};
+    setViewCaptures(captures);
+    setActiveViewId(viewId);
+    setParkingImage(next.image || null);
+    setLotImageSize(next.imageSize || null);
+    setRawSlotDetection(next.rawSlotDetection || null);
+    setTemplateMatch(next.templateMatch || null);
+    loadViewSettings(viewStorageId(lotId, viewId));
+    setArrivalGateId('');
+    return next;
+  };
+
+  // A view without a detection yet starts at the upload step
+  const handleViewChange = (viewId) => {
+    const next = showView(viewId);
+    if (next && !next.image && currentStep === 2) setCurrentStep(1);
+  };
+
+  const handleCalibrationChange = (nextCalibration) => {
+    setCalibration(nextCalibration);
+    saveCalibration(viewStorage, nextCalibration);
+  };
+
+  // Labels are edited on the template and shown on the detected slots straight away.
+  // A view's template is kept within the view's own slot numbers.
+  const handleTemplateChange = (edited) => {
+    const nextTemplate = edited && rebaseTemplate(edited, firstSlotNumber(activeView));
+    setLotTemplate(nextTemplate);
+    saveTemplate(viewStorage, nextTemplate);
+    setRawSlotDetection(prev => prev && { ...prev, template: nextTemplate });
+    if (nextTemplate) setDetectedSlots(prev => withLabels(nextTemplate, prev));
+  };
+
+  // Number detected bays by the lot template so the same bay keeps its id across runs;
+  // the first detection of a lot becomes its template. A drawn template fixes the bays:
+  // detection only tells which of them are occupied.
+  const identifySlots = (slots, template = lotTemplate) => {
+    if (template?.fixed && template.slots.length > 0) {
+      const { slots: known, ...match } = fillOccupancy(template, slots);
+      setTemplateMatch({ ...match, fixed: true });
+      return known;
+    }
+    if (!template) {
+      const created = createTemplate(slots, { firstId: firstSlotNumber(activeView) });
+      setLotTemplate(created);
+      saveTemplate(viewStorage, created);
+      setTemplateMatch({ created: true, matched: slots.length, added: [], missing: [] });
+      return withLabels(created, slots);
+    }
+
+    const { slots: matched, template: grown, ...match } = matchToTemplate(template, slots);
+    if (grown !== lotTemplate) {
+      setLotTemplate(grown);
+      saveTemplate(viewStorage, grown);
+    }
+    setTemplateMatch(match);
+    return matched;
+  };
+
+  // Allocation rules are saved per lot, like its gates
+  const handleRulesChange = (nextRules) => {
+    setAllocationRules(nextRules);
+    saveRules(lotId, nextRules);
+  };
+
   // Step 3: Detect parking slots
   const detectParkingSlots = async () => {
     if (!parkingImage) return;
@@ -247,12 +527,13 @@ const SmartParkingSystem = () => {
       const blob = await response.blob();
       const file = new File([blob], 'parking-lot.jpg', { type: 'image/jpeg' });
       
-      const result = await roboflowAPI.detectParkingSlots(file);
-      
-      setDetectedSlots(result.slots);
-      if (result.detection_image) {
-        setDetectionImage(result.detection_image);
-      }
+      const detection = { response: await detectionAPI.detectParkingSlots(file), template: lotTemplate };
+      const { slots, imageSize } = slotsFromDetection(detection, detectionFilter);
+      const inventory = mergeViewSlots(detectedSlots, activeView.id, slots);
+      setRawSlotDetection(detection);
+      setDetectedSlots(inventory);
+      setLotImageSize(imageSize);
+      recordDetection(inventory, imageSize, 'detection');
       setCurrentStep(2);
     } catch (err) {
       setError(`Failed to detect parking slots: ${err.message}`);
@@ -262,19 +543,291 @@ const SmartParkingSystem = () => {
     }
   };
 
+  // Slots from a raw slot detection under the given thresholds. Matching starts from the
+  // template the detection first met, so filtering again is the same as detecting again;
+  // the operator's corrections of this image are applied again too.
+  const slotsFromDetection = (detection, filter) => {
+    const filtered = filterResponse(detection.response, filter);
+    if (filtered.predictions.length === 0) {
+      throw new Error(`No parking slots detected at ${filter.confidence}% confidence or more. Lower the confidence threshold.`);
+    }
+    const result = toLotResult(filtered);
+    const identified = identifySlots(result.slots, detection.template);
+    const corrected = parkingImage ? applySlotCorrections(identified, correctionLog, parkingImage) : identified;
+    const slots = measureFromEntrances(corrected, getEntrances(result.image_size));
+    return { slots: markUncertain(slots, filter), imageSize: result.image_size };
+  };
+
+  // Log corrections made on the lot image, with the labels of its slots once they are made
+  const logSlotCorrections = (corrections, slots) => setCorrectionLog(prev => corrections.reduce((log, correction) =>
+    logCorrection(log, { ...correction, view_id: activeView.id }, {
+      image: parkingImage,
+      imageSize: lotImageSize,
+      annotations: slotAnnotations(viewSlots(slots, activeView.id))
+    }), prev));
+
+  const boxOf = (item) => ({ x: item.x, y: item.y, width: item.width, height: item.height });
+
+  const handleSlotStatusCorrection = (slot, status) => {
+    const slots = correctSlotStatus(detectedSlots, slot.slot_number, status);
+    setDetectedSlots(slots);
+    logSlotCorrections([{
+      kind: 'slot-status', slot_number: slot.slot_number, slot_name: slotName(slot), box: boxOf(slot), from: slot.status, to: status
+    }], slots);
+  };
+
+  // A missed slot is numbered within the shown view and measured from its entrances like the rest
+  const handleAddSlot = (box) => {
+    const current = viewSlots(detectedSlots, activeView.id);
+    const added = addMissedSlot(current, box, { firstId: firstSlotNumber(activeView) });
+    const slots = mergeViewSlots(detectedSlots, activeView.id, measureFromEntrances(added, getEntrances(lotImageSize)));
+    const slot = added.find(entry => !current.some(other => other.slot_number === entry.slot_number));
+    setDetectedSlots(slots);
+    logSlotCorrections([{
+      kind: 'slot-added', slot_number: slot.slot_number, slot_name: slotName(slot), box: boxOf(slot), from: null, to: slot.status
+    }], slots);
+  };
+
+  const handleRemoveSlot = (slot) => {
+    const slots = removeSlot(detectedSlots, slot.slot_number);
+    setDetectedSlots(slots);
+    logSlotCorrections([{
+      kind: 'slot-removed', slot_number: slot.slot_number, slot_name: slotName(slot), box: boxOf(slot), from: slot.status, to: null
+    }], slots);
+  };
+
+  // What the detector took a vehicle for and what it was, logged with the vehicle's image if it is at hand
+  const logVehicleCorrection = (vehicle, vehicleId, from, to, image) => setCorrectionLog(prev => logCorrection(prev, {
+    kind: 'vehicle-type',
+    vehicle_id: vehicleId,
+    box: typeof vehicle.x === 'number' ? boxOf(vehicle) : null,
+    from,
+    original_class: vehicle.original_class,
+    to
+  }, { image, imageSize: vehicle.image_size, annotations: vehicleAnnotations({ ...vehicle, vehicle_type: to }) }));
+
+  // The type the operator chose in step 2 wins over the detected one, which is kept as
+  // detected_type when the choice corrects it (a different type, or confirms a guess)
+  const withTypeOverride = (vehicleResult) => (
+    vehicleTypeOverride && (vehicleTypeOverride !== vehicleResult.vehicle_type || vehicleResult.type_guessed)
+      ? { ...vehicleResult, vehicle_type: vehicleTypeOverride, detected_type: vehicleResult.vehicle_type, type_guessed: false }
+      : vehicleResult
+  );
+
+  const logTypeOverride = (vehicle, vehicleId, image) => {
+    if (vehicle.detected_type) logVehicleCorrection(vehicle, vehicleId, vehicle.detected_type, vehicle.vehicle_type, image);
+  };
+
+  // Thresholds are saved per lot. Until a vehicle holds a slot, the kept detection is filtered
+  // again straight away; after that only which slots are uncertain changes.
+  const handleDetectionFilterChange = (nextFilter) => {
+    setDetectionFilter(nextFilter);
+    saveDetectionFilter(lotId, nextFilter);
+    if (rawSlotDetection && currentStep === 2 && parkingSession.vehicles.length === 0) {
+      try {
+        const { slots } = slotsFromDetection(rawSlotDetection, nextFilter);
+        setDetectedSlots(prev => mergeViewSlots(prev, activeView.id, slots));
+        setError('');
+      } catch (err) {
+        setError(err.message);
+      }
+    } else {
+      setDetectedSlots(prev => markUncertain(prev, nextFilter));
+    }
+  };
+
+  // Keep a detection in the lot's history; a failed write only costs that data point
+  const recordDetection = (slots, imageSize, source) => {
+    historyStore.add(createDetectionSnapshot({ lotId, sessionId: sessionMeta.id, source, slots, imageSize }))
+      .catch(err => console.error('History save error:', err));
+  };
+
+  // Continuous monitoring: a fixed camera's video sampled at the interval, or an image sequence
+  const handleMonitorUpload = async (event) => {
+    const files = Array.from(event.target.files);
+    if (files.length === 0) return;
+    const interval = Number(monitorInterval);
+    if (!(interval > 0)) {
+      setError('Please enter a sampling interval above zero');
+      return;
+    }
+
+    setIsProcessing(true);
+    setError('');
+    setMonitoring(null);
+    try {
+      const frames = isVideoFile(files[0])
+        ? await sampleVideoFrames(files[0], interval, { onProgress: (done, total) => setMonitorProgress(`Sampling frame ${done}/${total}`) })
+        : await readImageSequence(files.filter(file => !isVideoFile(file)), interval);
+      setMonitorFrames(frames);
+    } catch (err) {
+      setMonitorFrames([]);
+      setError(`Failed to load frames: ${err.message}`);
+    } finally {
+      setIsProcessing(false);
+      setMonitorProgress('');
+    }
+  };
+
+  // Detect slots in every frame and track each slot's status across them
+  const trackSlotOccupancy = async () => {
+    setIsProcessing(true);
+    setError('');
+    try {
+      // One frame at a time, so a hosted backend is not flooded with requests
+      const results = [];
+      for (let i = 0; i < monitorFrames.length; i++) {
+        setMonitorProgress(`Detecting slots in frame ${i + 1}/${monitorFrames.length}`);
+        const file = await imageToFile(monitorFrames[i].image, `frame-${i + 1}.jpg`);
+        results.push(filterResponse(await detectionBackend.detectParkingSlots(file), detectionFilter));
+      }
+
+      // The frame with the most detections defines the slots the other frames are matched against
+      const reference = results.reduce((best, result) =>
+        (result.predictions?.length || 0) > (best.predictions?.length || 0) ? result : best
+      );
+      if (!reference.predictions?.length) {
+        throw new Error('No parking slots detected in any frame');
+      }
+
+      const lot = toLotResult(reference);
+      const slots = identifySlots(lot.slots);
+      const timeline = trackOccupancy(
+        slots,
+        monitorFrames.map((frame, i) => ({ time: frame.time, predictions: results[i].predictions || [] })),
+        prediction => !isEmptySlot(prediction.class)
+      );
+      setMonitoring({ slots, imageSize: lot.image_size, timeline });
+      setMonitorIndex(timeline.length - 1);
+    } catch (err) {
+      setError(`Failed to track occupancy: ${err.message}`);
+      console.error('Monitoring error:', err);
+    } finally {
+      setIsProcessing(false);
+      setMonitorProgress('');
+    }
+  };
+
+  // Carry on with allocation from the frame shown on the timeline
+  const selectMonitoredFrame = () => {
+    const slots = slotsAtFrame(monitoring.slots, monitoring.timeline, monitorIndex);
+    const inventory = mergeViewSlots(
+      detectedSlots,
+      activeView.id,
+      markUncertain(measureFromEntrances(slots, getEntrances(monitoring.imageSize)), detectionFilter)
+    );
+    recordDetection(inventory, monitoring.imageSize, 'monitoring');
+    setParkingImage(monitorFrames[monitorIndex].image);
+    setDetectedSlots(inventory);
+    setRawSlotDetection(null);
+    setLotImageSize(monitoring.imageSize);
+    setCurrentStep(2);
+  };
+
   // Step 4: Upload vehicle image
+  // Several images at once are queued and allocated as a batch
   const handleVehicleImageUpload = (event) => {
-    const file = event.target.files[0];
-    if (file) {
+    const files = Array.from(event.target.files);
+    if (files.length === 1) {
       const reader = new FileReader();
       reader.onload = (e) => {
         setVehicleImage(e.target.result);
+        setVehicleQueue([]);
         setError('');
       };
-      reader.readAsDataURL(file);
+      reader.readAsDataURL(files[0]);
+    } else if (files.length > 1) {
+      Promise.all(files.map(file => new Promise(resolve => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve({ name: file.name, image: e.target.result });
+        reader.readAsDataURL(file);
+      }))).then(images => {
+        setVehicleQueue(images);
+        setVehicleImage(null);
+        setVehicleTypeOverride('');
+        setError('');
+      });
     }
   };
 
+  const imageToFile = async (image, name) => {
+    const response = await fetch(image);
+    const blob = await response.blob();
+    return new File([blob], name, { type: 'image/jpeg' });
+  };
+
+  // Gates a vehicle may start from: the one it used, else every entrance. Across levels each
+  // carries its view, and with no entrance placed anywhere the main view's default is used.
+  const viewGates = useCallback((viewId) => (
+    viewId === activeView.id ? gates : loadGates(viewStorageId(lotId, viewId))
+  ), [activeView.id, gates, lotId]);
+  const vehicleStartGates = useCallback(() => {
+    if (!multiView) return arrivalGate ? [arrivalGate] : entrances;
+    if (arrivalGate) return [{ ...arrivalGate, view_id: activeView.id }];
+    const placed = lotViews.flatMap(view => viewGates(view.id)
+      .filter(gate => gate.type === 'entrance')
+      .map(gate => ({ ...gate, view_id: view.id })));
+    const mainImageSize = activeView.id === MAIN_VIEW_ID ? lotImageSize : viewCaptures[MAIN_VIEW_ID]?.imageSize;
+    return placed.length > 0 ? placed : [{ ...defaultEntrance(mainImageSize), view_id: MAIN_VIEW_ID }];
+  }, [multiView, arrivalGate, entrances, activeView.id, lotViews, viewGates, lotImageSize, viewCaptures]);
+
+  // The lot graph across levels: every view with its slots, gates, aisles and scale in meters.
+  // A homography calibration is taken at its median scale over the view's bays.
+  const buildLotLevels = useCallback((slots, startGates) => buildLevelGraph(lotViews.map(view => {
+    const storageId = viewStorageId(lotId, view.id);
+    const active = view.id === activeView.id;
+    const inView = viewSlots(slots, view.id);
+    const template = active ? lotTemplate : loadTemplate(storageId);
+    const saved = viewGates(view.id);
+    const viewCalibration = (active ? calibration : loadCalibration(storageId)) || estimateCalibration(inView);
+    return {
+      id: view.id,
+      slots: inView,
+      gates: [...saved, ...startGates.filter(gate => gate.view_id === view.id && !saved.some(entry => entry.id === gate.id))],
+      lanes: template?.aisles?.length ? template.aisles : view.id === MAIN_VIEW_ID ? lotLayout?.lanes : undefined,
+      metersPerPixel: lotScaleOf(viewCalibration, inView) || 1
+    };
+  }), lotStructure.ramps), [lotViews, activeView.id, lotId, lotTemplate, viewGates, calibration, lotLayout, lotStructure.ramps]);
+
+  // Slot distances from the start gates: straight lines within one view, drive distances
+  // across levels. Slots no route reaches from a start gate are left out, so they are never allocated.
+  const measureFromStart = useCallback((candidates, startGates, slots = detectedSlots) => {
+    if (multiView) {
+      return measureAcrossLevels(buildLotLevels(slots, startGates), candidates, startGates.map(startNodeId))
+        .filter(slot => slot.distance_from_entrance !== null);
+    }
+    const { costs } = driveDistances(buildLotGraph(slots, { gates: startGates, lanes: lotLanes }), startGates.map(gateNodeId));
+    return measureFromEntrances(candidates.filter(slot => costs[slotNodeId(slot)] !== undefined), startGates);
+  }, [detectedSlots, multiView, buildLotLevels, lotLanes]);
+
+  // The graph the paths to a slot are found on; across levels, the slot's view of it
+  const routeGraphFor = useCallback((slot, startGates, slots = detectedSlots) => (multiView
+    ? viewSubgraph(buildLotLevels(slots, startGates), slotViewId(slot))
+    : buildLotGraph(slots, { gates: startGates, lanes: lotLanes })
+  ), [detectedSlots, multiView, buildLotLevels, lotLanes]);
+
+  // The rule editor's dry run, measured again only when the slots, gates or lot change
+  const rulePreviewSlots = useMemo(
+    () => measureFromStart(detectedSlots, vehicleStartGates()),
+    [measureFromStart, detectedSlots, vehicleStartGates]
+  );
+
+  // Allocation by the lot's rules, measured from the gate the vehicle used (or the nearest one).
+  // Bays of several views are sized by the lot-wide estimate, as their scales differ.
+  const chooseSlotFor = (startGates) => (vehicle, emptySlots, slots) => {
+    const reachable = measureFromStart(emptySlots, startGates, slots);
+    if (reachable.length === 0) return { slot: null, reason: 'No drivable route reaches an empty slot' };
+    const decision = allocateSlot(vehicle, reachable, {
+      rules: allocationRules,
+      slots,
+      scale: multiView ? undefined : lotScale,
+      avoidUncertain: detectionFilter.uncertainSlots === 'avoid'
+    });
+    return decision.slot
+      ? { ...decision, slot: { ...decision.slot, allocation_reason: decision.reason, fit_reason: decision.fit } }
+      : decision;
+  };
+
   // Step 5: Detect vehicle type and allocate slot
   const detectVehicleAndAllocate = async () => {
     if (!vehicleImage) return;
@@ -283,53 +836,33 @@ const SmartParkingSystem = () => {
     setError('');
     
     try {
-      // Convert base64 image to File object
-      const response = await fetch(vehicleImage);
-      const blob = await response.blob();
-      const file = new File([blob], 'vehicle.jpg', { type: 'image/jpeg' });
+      const file = await imageToFile(vehicleImage, 'vehicle.jpg');
       
-      const vehicleResult = await roboflowAPI.detectVehicleType(file);
-      setDetectedVehicleType(vehicleResult);
+      const vehicleResult = withTypeOverride(await detectionAPI.detectVehicleType(file));
       
-      // Allocate slot based on vehicle type and rules
-      const emptySlots = detectedSlots.filter(slot => slot.status === 'empty');
-      if (emptySlots.length === 0) {
+      // Allocate slot based on vehicle type and rules, and reserve it for this vehicle
+      const startGates = vehicleStartGates();
+      if (!detectedSlots.some(slot => slot.status === 'empty')) {
         setError('No empty slots available');
         return;
       }
 
-      const vehicleType = vehicleResult.vehicle_type;
-      const rules = vehicleRules[vehicleType];
-      
-      let bestSlot = null;
-      
-      if (rules.priority === 'closest') {
-        bestSlot = emptySlots.reduce((closest, slot) => 
-          slot.distance_from_entrance < closest.distance_from_entrance ? slot : closest
-        );
-      } else if (rules.priority === 'furthest') {
-        bestSlot = emptySlots.reduce((furthest, slot) => 
-          slot.distance_from_entrance > furthest.distance_from_entrance ? slot : furthest
-        );
-      } else if (rules.priority === 'corner_edge') {
-        const cornerEdgeSlots = emptySlots.filter(slot => slot.is_corner || slot.is_edge);
-        if (cornerEdgeSlots.length > 0) {
-          bestSlot = cornerEdgeSlots.reduce((furthest, slot) => 
-            slot.distance_from_entrance > furthest.distance_from_entrance ? slot : furthest
-          );
-        } else {
-          bestSlot = emptySlots[0];
-        }
+      const admitted = admitVehicle(parkingSession, detectedSlots, { ...vehicleResult, driver_flags: driverFlags }, chooseSlotFor(startGates));
+      setDetectedVehicleType({ ...vehicleResult, vehicle_id: admitted.entry.id });
+      logTypeOverride(vehicleResult, admitted.entry.id, vehicleImage);
+      const bestSlot = admitted.slot;
+      if (!bestSlot) {
+        setParkingSession(admitted.session);
+        setDetectedSlots(admitted.slots);
+        setError(`No slot allocated: ${admitted.entry.reason}`);
+        return;
       }
-      
+
+      // Generate paths to allocated slot (only slots a route reaches are allocated)
+      setParkingSession(admitted.session);
+      setDetectedSlots(admitted.slots);
       setAllocatedSlot(bestSlot);
-      
-      // Generate paths to allocated slot
-      if (bestSlot) {
-        const paths = generatePathsToSlot(bestSlot);
-        setPathsData(paths);
-      }
-      
+      setPathsData(generatePathsToSlot(bestSlot, startGates, admitted.slots));
       setCurrentStep(3);
     } catch (err) {
       setError(`Failed to detect vehicle: ${err.message}`);
@@ -339,67 +872,244 @@ const SmartParkingSystem = () => {
     }
   };
 
-  // Generate paths to allocated slot
-  const generatePathsToSlot = (slot) => {
-    const slotRow = slot.row;
-    let pathCount = 3;
-    
-    if (slotRow <= 1) pathCount = 4;
-    
-    return Array.from({length: pathCount}, (_, i) => ({
-      id: i + 1,
-      name: `Path ${i + 1}`,
-      distance: 65 + (i * 25) + Math.random() * 20,
-      tJunctions: 1 + i + Math.floor(Math.random() * 2),
-      vehicleIntensity: null,
-      score: null
-    }));
+  // Generate paths to allocated slot over the lot graph: k shortest routes from the
+  // given entrance, or from whichever entrance has the shortest drive when several are possible
+  const generatePathsToSlot = (slot, startGates, slots = detectedSlots) => {
+    if (multiView) return generateLevelPaths(slot, startGates, slots);
+    const graph = routeGraphFor(slot, startGates, slots);
+    setRouteGraph(graph);
+    const start = startGates
+      .map(gate => ({ gate, route: shortestPath(graph, gateNodeId(gate), slotNodeId(slot)) }))
+      .filter(candidate => candidate.route)
+      .sort((a, b) => a.route.cost - b.route.cost)[0];
+    if (!start) return [];
+
+    // Lengths and travel times in calibrated meters and seconds
+    return findCandidatePaths(graph, gateNodeId(start.gate), slotNodeId(slot), { k: 4 })
+      .map(path => {
+        const length = projector.pathLength(path.points);
+        return {
+          ...path,
+          distance: length,
+          distance_px: path.distance,
+          eta: estimateTravelTime({ distance: length, turns: path.turns }),
+          entrance: { id: start.gate.id, label: start.gate.label }
+        };
+      });
+  };
+
+  // Paths across levels, in meters, drawn over the slot's view: the view shown switches to it
+  const generateLevelPaths = (slot, startGates, slots) => {
+    const graph = buildLotLevels(slots, startGates);
+    const target = viewNodeId(slotViewId(slot), slotNodeId(slot));
+    const start = startGates
+      .map(gate => ({ gate, route: shortestPath(graph, startNodeId(gate), target) }))
+      .filter(candidate => candidate.route)
+      .sort((a, b) => a.route.cost - b.route.cost)[0];
+    if (!start) return [];
+
+    setRouteGraph(viewSubgraph(graph, slotViewId(slot)));
+    showView(slotViewId(slot));
+    return findLevelPaths(graph, startNodeId(start.gate), target, { k: 4, ramps: lotStructure.ramps })
+      .map(path => ({
+        ...path,
+        eta: estimateTravelTime({ distance: path.distance, turns: path.turns }),
+        entrance: { id: start.gate.id, label: start.gate.label }
+      }));
+  };
+
+  // Detect and allocate every queued vehicle in arrival order, reserving each slot.
+  // Driver flags and the type override are entered for one vehicle, so queued vehicles are
+  // allocated as detected; a wrong type is corrected per vehicle afterwards.
+  const allocateVehicleQueue = async () => {
+    if (vehicleQueue.length === 0) return;
+
+    setIsProcessing(true);
+    setError('');
+
+    try {
+      const startGates = vehicleStartGates();
+      let session = parkingSession;
+      let slots = detectedSlots;
+      const failures = [];
+
+      for (const queued of vehicleQueue) {
+        try {
+          const file = await imageToFile(queued.image, queued.name);
+          const vehicleResult = await detectionAPI.detectVehicleType(file);
+          const admitted = admitVehicle(session, slots, vehicleResult, chooseSlotFor(startGates));
+          session = admitted.session;
+          slots = admitted.slots;
+          setParkingSession(session);
+          setDetectedSlots(slots);
+        } catch (err) {
+          failures.push(`${queued.name}: ${err.message}`);
+        }
+      }
+
+      if (failures.length > 0) {
+        setError(`Some vehicles could not be detected - ${failures.join('; ')}`);
+      }
+      setVehicleQueue([]);
+    } catch (err) {
+      setError(`Failed to allocate the queue: ${err.message}`);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Bays of the allocated slot whose detection was uncertain: the operator checks them before the driver is sent
+  const uncertainAllocatedBays = allocatedSlot
+    ? detectedSlots.filter(slot => slot.uncertain && (allocatedSlot.span_slots || [allocatedSlot.slot_number]).includes(slot.slot_number))
+    : [];
+
+  const confirmUncertainSlot = () => {
+    const checked = uncertainAllocatedBays.map(slot => slot.slot_number);
+    setDetectedSlots(prev => prev.map(slot => (checked.includes(slot.slot_number) ? { ...slot, uncertain: false } : slot)));
+  };
+
+  // Allocate a vehicle again (its slot was taken, or its type was wrong) and guide it to the new slot
+  const reallocateAndGuide = (vehicleId, vehicle, slots, taken = []) => {
+    const startGates = vehicleStartGates();
+    const entry = parkingSession.vehicles.find(v => v.id === vehicleId);
+    const result = reallocateVehicle(parkingSession, slots, vehicleId, { ...vehicle, driver_flags: entry?.driver_flags }, chooseSlotFor(startGates), taken);
+    setParkingSession(result.session);
+    setDetectedSlots(result.slots);
+    setAllocatedSlot(result.slot);
+    setPathVehicleIntensities({});
+    setIntensityAnalysis(null);
+    setOptimalPath(null);
+    if (!result.slot) {
+      setPathsData([]);
+      setError(`No slot allocated: ${result.session.vehicles.find(entry => entry.id === vehicleId).reason}`);
+      return;
+    }
+    const paths = generatePathsToSlot(result.slot, startGates, result.slots);
+    setPathsData(paths);
+    setError(paths.length === 0 ? `No drivable route found to ${slotPlace(lotStructure, result.slot)}` : '');
+    setCurrentStep(3);
+  };
+
+  // The uncertain bays were taken after all: they become occupied and the vehicle gets another slot
+  const rejectUncertainSlot = () => {
+    const taken = uncertainAllocatedBays.map(slot => slot.slot_number);
+    const slots = detectedSlots.map(slot => (taken.includes(slot.slot_number) ? { ...slot, uncertain: false, corrected: true } : slot));
+    logSlotCorrections(uncertainAllocatedBays.map(slot => ({
+      kind: 'slot-status', slot_number: slot.slot_number, slot_name: slotName(slot), box: boxOf(slot), from: 'empty', to: 'occupied'
+    })), slots.map(slot => (taken.includes(slot.slot_number) ? { ...slot, status: 'occupied' } : slot)));
+    reallocateAndGuide(allocatedSlot.reserved_by, detectedVehicleType, slots, taken);
+  };
+
+  // The vehicle being guided, while it can still be allocated again (reserved or waiting for a slot)
+  const correctableVehicle = detectedVehicleType
+    ? parkingSession.vehicles.find(vehicle =>
+      vehicle.id === (detectedVehicleType.vehicle_id || detectedVehicleType.id) && ['reserved', 'waiting'].includes(vehicle.status))
+    : null;
+
+  // The operator knows better than the detector: log the type and allocate a slot for it.
+  // A vehicle guided from the session table has no image at hand.
+  const correctVehicleType = (type) => {
+    const vehicle = { ...detectedVehicleType, vehicle_type: type, type_guessed: false };
+    logVehicleCorrection(detectedVehicleType, correctableVehicle.id, detectedVehicleType.vehicle_type, type, detectedVehicleType.id ? null : vehicleImage);
+    setDetectedVehicleType(vehicle);
+    reallocateAndGuide(correctableVehicle.id, vehicle, detectedSlots);
+  };
+
+  const handleCheckIn = (vehicleId) => {
+    const result = checkInVehicle(parkingSession, detectedSlots, vehicleId);
+    setParkingSession(result.session);
+    setDetectedSlots(result.slots);
+  };
+
+  const handleRelease = (vehicleId) => {
+    const result = releaseVehicle(parkingSession, detectedSlots, vehicleId);
+    setParkingSession(result.session);
+    setDetectedSlots(result.slots);
+    // Guidance for a released slot is stale
+    const released = parkingSession.vehicles.find(vehicle => vehicle.id === vehicleId);
+    if (allocatedSlot && released?.slot_number === allocatedSlot.slot_number) {
+      nextVehicle();
+    }
+  };
+
+  // Route guidance for a vehicle already in the session table
+  const handleGuide = (vehicle) => {
+    const startGates = vehicleStartGates();
+    const [measured] = measureFromStart(detectedSlots.filter(s => s.slot_number === vehicle.slot_number), startGates);
+    const slot = measured && (vehicle.span_slots ? { ...measured, span_slots: vehicle.span_slots } : measured);
+    const paths = slot ? generatePathsToSlot(slot, startGates) : [];
+    if (paths.length === 0) {
+      setError(`No drivable route found to slot ${vehicle.slot_label || vehicle.slot_number}`);
+      return;
+    }
+    setDetectedVehicleType(vehicle);
+    setAllocatedSlot(slot);
+    setPathsData(paths);
+    setPathVehicleIntensities({});
+    setIntensityAnalysis(null);
+    setOptimalPath(null);
+    setError('');
+    setCurrentStep(3);
+  };
+
+  // An extra image of the aisles, taken from the same camera position as the lot image
+  const handleAisleImageUpload = (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      const reader = new FileReader();
+      reader.onload = (e) => setAisleImage(e.target.result);
+      reader.readAsDataURL(file);
+    }
   };
 
-  // Step 6: Detect vehicle intensities in paths
+  // Vehicles detected in the aisles on the paths' lanes. The predictions are kept with the
+  // analysis, so a resumed session works it out again rather than saving it.
+  const analyzeTraffic = useCallback((paths, graph, { predictions, source }) => {
+    const slots = viewSlots(detectedSlots, activeView.id);
+    const { measure } = createProjector(calibration || estimateCalibration(slots));
+    return { ...estimatePathIntensities(paths, graph, predictions, slots, { measure }), source, predictions };
+  }, [detectedSlots, activeView.id, calibration]);
+
+  // Step 6: Estimate traffic on each path from the vehicles detected in the aisles
   const detectPathVehicleIntensities = async () => {
     setIsProcessing(true);
     setError('');
     
     try {
-      // Simulate path analysis - in real implementation, this would analyze traffic
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      const intensities = {};
-      pathsData.forEach(path => {
-        intensities[path.id] = Math.floor(Math.random() * 80) + 10;
-      });
-      
-      setPathVehicleIntensities(intensities);
+      const file = await imageToFile(aisleImage || parkingImage, 'aisles.jpg');
+      const predictions = await detectionAPI.detectTraffic(file);
+      const analysis = analyzeTraffic(pathsData, routeGraph, { predictions, source: aisleImage ? 'aisle image' : 'lot image' });
+
+      setIntensityAnalysis(analysis);
+      setPathVehicleIntensities(Object.fromEntries(
+        Object.entries(analysis.paths).map(([pathId, result]) => [pathId, result.intensity])
+      ));
       setCurrentStep(4);
     } catch (err) {
-      setError('Failed to analyze path vehicle intensities.');
+      setError(`Failed to analyze path vehicle intensities: ${err.message}`);
     } finally {
       setIsProcessing(false);
     }
   };
 
-  // Step 7: Calculate optimal path
+  // Step 7: Calculate optimal path by the lot's scoring weights
+  const pickOptimalPath = (weights) => {
+    const best = bestScored(scorePaths(pathsData, pathVehicleIntensities, weights));
+    return { ...best.path, vehicleIntensity: best.intensity, score: best.total, scoreParts: best.parts };
+  };
+
   const calculateOptimalPath = () => {
-    const pathsWithScores = pathsData.map(path => {
-      const intensity = pathVehicleIntensities[path.id] || 0;
-      const score = (path.distance * 0.1) + (path.tJunctions * 0.6) + (intensity * 0.3);
-      
-      return {
-        ...path,
-        vehicleIntensity: intensity,
-        score: score
-      };
-    });
-    
-    const bestPath = pathsWithScores.reduce((best, path) => 
-      path.score < best.score ? path : best
-    );
-    
-    setOptimalPath(bestPath);
+    setOptimalPath(pickOptimalPath(scoreWeights));
     setCurrentStep(5);
   };
 
+  // Scoring weights are saved per lot; a chosen path is re-picked by the new weights
+  const handleScoreWeightsChange = (nextWeights) => {
+    setScoreWeights(nextWeights);
+    saveScoreWeights(lotId, nextWeights);
+    if (optimalPath) setOptimalPath(pickOptimalPath(nextWeights));
+  };
+
   // Manual vehicle intensity input
   const handleVehicleIntensityChange = (pathId, value) => {
     setPathVehicleIntensities(prev => ({
@@ -408,6 +1118,21 @@ const SmartParkingSystem = () => {
     }));
   };
 
+  // Keep the lot and session, start over with the next vehicle
+  const nextVehicle = () => {
+    setCurrentStep(2);
+    setVehicleImage(null);
+    setDriverFlags(NO_DRIVER_FLAGS);
+    setVehicleTypeOverride('');
+    setDetectedVehicleType(null);
+    setAllocatedSlot(null);
+    setPathsData([]);
+    setPathVehicleIntensities({});
+    setIntensityAnalysis(null);
+    setOptimalPath(null);
+    setError('');
+  };
+
   // Reset system
   const resetSystem = () => {
     setCurrentStep(1);
@@ -418,17 +1143,170 @@ const SmartParkingSystem = () => {
     setAllocatedSlot(null);
     setPathsData([]);
     setPathVehicleIntensities({});
+    setIntensityAnalysis(null);
     setOptimalPath(null);
-    setDetectionImage(null);
+    setLotImageSize(null);
+    setRawSlotDetection(null);
+    setActiveViewId(MAIN_VIEW_ID);
+    setViewCaptures({});
+    if (activeView.id !== MAIN_VIEW_ID) loadViewSettings(lotId);
+    setParkingSession(createSession());
+    setVehicleQueue([]);
+    setDriverFlags(NO_DRIVER_FLAGS);
+    setVehicleTypeOverride('');
+    setCorrectionLog(createCorrectionLog());
+    setAisleImage(null);
+    setMonitorFrames([]);
+    setMonitoring(null);
+    setMonitorIndex(0);
+    setRecordings(NO_RECORDINGS);
+    setSessionMeta(createSessionMeta());
     setError('');
   };
 
-  // Utility functions
-  const getSlotColor = (slot) => {
-    if (slot.status === 'empty') return '#10b981';
-    return '#ef4444';
+  // Everything a saved session restores; a new snapshot only when one of these changed
+  const sessionSnapshot = useMemo(() => ({
+    currentStep,
+    lotId,
+    backend: {
+      type: backendType,
+      inferenceUrl,
+      // The key itself is never saved; the operator enters it again to resume
+      usedApiKey: BACKEND_TYPES[backendType].acceptsApiKey && apiKey.trim() !== '',
+      fixtures: backendType === 'fixture' ? fixtures : null,
+      // Model files are too large to save; their class names are kept for when they are loaded again
+      classes: backendType === 'onnx' ? onnxClasses : null
+    },
+    recordings,
+    parkingImage,
+    lotLayout,
+    lotImageSize,
+    rawSlotDetection,
+    activeViewId: activeView.id,
+    viewCaptures,
+    detectedSlots,
+    templateMatch,
+    monitorFrames,
+    monitorInterval,
+    monitoring,
+    monitorIndex,
+    vehicleImage,
+    vehicleQueue,
+    driverFlags,
+    vehicleTypeOverride,
+    arrivalGateId,
+    detectedVehicleType,
+    allocatedSlot,
+    parkingSession,
+    pathsData,
+    aisleImage,
+    trafficDetection: intensityAnalysis?.predictions
+      ? { predictions: intensityAnalysis.predictions, source: intensityAnalysis.source }
+      : null,
+    pathVehicleIntensities,
+    optimalPath,
+    correctionLog
+  }), [
+    currentStep, lotId, backendType, inferenceUrl, apiKey, fixtures, onnxClasses, recordings,
+    parkingImage, lotLayout, lotImageSize, rawSlotDetection, activeView.id, viewCaptures, detectedSlots, templateMatch,
+    monitorFrames, monitorInterval, monitoring, monitorIndex, vehicleImage, vehicleQueue, driverFlags,
+    vehicleTypeOverride, arrivalGateId, detectedVehicleType, allocatedSlot, parkingSession, pathsData,
+    aisleImage, intensityAnalysis, pathVehicleIntensities, optimalPath, correctionLog
+  ]);
+
+  // The session saves itself once the app has been idle for a moment after a change
+  useEffect(() => {
+    if (!hasProgress(sessionSnapshot)) return undefined;
+    const timer = setTimeout(() => {
+      sessionStore.put(createSessionRecord(sessionMeta, sessionSnapshot))
+        .catch(err => console.error('Session save error:', err));
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [sessionMeta, sessionSnapshot]);
+
+  // The route graph and traffic analysis of a resumed session, from its restored lot and paths
+  useEffect(() => {
+    if (!pendingRebuild) return;
+    setPendingRebuild(null);
+    if (!allocatedSlot || pathsData.length === 0) return;
+    const graph = routeGraphFor(allocatedSlot, vehicleStartGates());
+    setRouteGraph(graph);
+    if (pendingRebuild.trafficDetection) setIntensityAnalysis(analyzeTraffic(pathsData, graph, pendingRebuild.trafficDetection));
+  }, [pendingRebuild, allocatedSlot, pathsData, routeGraphFor, vehicleStartGates, analyzeTraffic]);
+
+  // Carry on with a saved session at the step it was left. Its recorded detections are
+  // replayed first, then the connected backend (or the session's own, when it can be
+  // set up again) detects live. A session whose server took an API key waits for the
+  // operator to enter it and connect.
+  const resumeSession = async (id, connected = detectionBackend) => {
+    try {
+      const { snapshot: saved, ...record } = parseSessionRecord(await sessionStore.get(id));
+      const savedBackend = {
+        type: saved.backend.type,
+        baseUrl: saved.backend.inferenceUrl || '',
+        fixtures: saved.backend.fixtures || fixtures,
+        models: backendConfig.models
+      };
+      let live = connected?.type === 'replay' ? connected.live : connected;
+      if (!connected) {
+        setBackendType(saved.backend.type);
+        setInferenceUrl(saved.backend.inferenceUrl || inferenceUrl);
+        // Sessions saved before keys were dropped still hold theirs; it is not used
+        if (saved.backend.usedApiKey || saved.backend.apiKey) {
+          setApiKey('');
+          setPendingResumeId(id);
+          setError(`Enter the API key of ${saved.backend.inferenceUrl || 'the inference server'} and connect to resume "${record.name}"`);
+          return;
+        }
+        if (saved.backend.fixtures) setFixtures(saved.backend.fixtures);
+        if (saved.backend.classes) setOnnxClasses(saved.backend.classes);
+        live = isBackendConfigured(savedBackend) ? withRecording(createDetectionBackend(savedBackend), recordResponse) : null;
+      }
+
+      handleLotIdChange(saved.lotId);
+      const savedViewId = saved.activeViewId || MAIN_VIEW_ID;
+      setActiveViewId(savedViewId);
+      setViewCaptures(saved.viewCaptures || {});
+      if (savedViewId !== MAIN_VIEW_ID) loadViewSettings(viewStorageId(saved.lotId, savedViewId));
+      setDetectionBackend(createReplayBackend(saved.recordings, live));
+      setRecordings(saved.recordings);
+      setSessionMeta({ id: record.id, name: record.name, created_at: record.created_at });
+      setParkingImage(saved.parkingImage);
+      setLotLayout(saved.lotLayout);
+      setLotImageSize(saved.lotImageSize);
+      setRawSlotDetection(saved.rawSlotDetection || null);
+      setDetectedSlots(saved.detectedSlots);
+      setTemplateMatch(saved.templateMatch);
+      setMonitorFrames(saved.monitorFrames);
+      setMonitorInterval(saved.monitorInterval);
+      setMonitoring(saved.monitoring);
+      setMonitorIndex(saved.monitorIndex);
+      setVehicleImage(saved.vehicleImage);
+      setVehicleQueue(saved.vehicleQueue);
+      setDriverFlags(saved.driverFlags);
+      setVehicleTypeOverride(saved.vehicleTypeOverride || '');
+      setCorrectionLog(saved.correctionLog || createCorrectionLog());
+      setArrivalGateId(saved.arrivalGateId);
+      setDetectedVehicleType(saved.detectedVehicleType);
+      setAllocatedSlot(saved.allocatedSlot);
+      setParkingSession(saved.parkingSession);
+      setPathsData(saved.pathsData);
+      setRouteGraph(null);
+      setAisleImage(saved.aisleImage);
+      // Sessions saved before the traffic predictions were kept saved the analysis itself
+      setIntensityAnalysis(saved.intensityAnalysis || null);
+      setPendingRebuild({ trafficDetection: saved.trafficDetection || null });
+      setPathVehicleIntensities(saved.pathVehicleIntensities);
+      setOptimalPath(saved.optimalPath);
+      setCurrentStep(saved.currentStep);
+      setPendingResumeId(null);
+      setError('');
+    } catch (err) {
+      setError(`Failed to resume session: ${err.message}`);
+    }
   };
 
+  // Utility functions
   const getIntensityColor = (intensity) => {
     if (intensity < 30) return '#10b981';
     if (intensity < 70) return '#facc15';
@@ -496,6 +1374,15 @@ const SmartParkingSystem = () => {
     gap: '8px'
   };
 
+  const inputStyle = {
+    padding: '12px',
+    borderRadius: '8px',
+    border: '1px solid rgba(255, 255, 255, 0.2)',
+    background: 'rgba(255, 255, 255, 0.1)',
+    color: 'white',
+    fontSize: '14px'
+  };
+
   const uploadAreaStyle = {
     border: '2px dashed rgba(255, 255, 255, 0.3)',
     borderRadius: '12px',
@@ -506,72 +1393,262 @@ const SmartParkingSystem = () => {
     marginBottom: '16px'
   };
 
-  return (
-    <div style={containerStyle}>
-      <div style={{ maxWidth: '1200px', margin: '0 auto' }}>
-        {/* Header */}
-        <div style={headerStyle}>
-          <h1 style={{ fontSize: '2.5rem', fontWeight: 'bold', marginBottom: '8px' }}>
-            🚗 Smart Parking System
-          </h1>
-          <p style={{ color: '#94a3b8', fontSize: '1.125rem' }}>
-            Real Roboflow Integration - Parking Detection & Vehicle Classification
-          </p>
-        </div>
+  const viewPicker = (
+    <ViewPicker
+      views={lotViews}
+      activeViewId={activeView.id}
+      onViewChange={handleViewChange}
+      slotCounts={Object.fromEntries(lotViews.map(view => [view.id, viewSlots(detectedSlots, view.id).length]))}
+    />
+  );
+
+  // The type of the vehicle being guided, for the operator to correct while it can be allocated again
+  const vehicleTypeCorrection = correctableVehicle && (
+    <select
+      aria-label="Vehicle type"
+      value={detectedVehicleType.vehicle_type}
+      onChange={(e) => correctVehicleType(e.target.value)}
+      style={{ ...inputStyle, padding: '4px 8px' }}
+    >
+      {VEHICLE_TYPES.map(type => (
+        <option key={type} value={type}>{formatVehicleType(type)}</option>
+      ))}
+    </select>
+  );
+
+  // What each view shows under a route across levels: its image, slots and gates
+  const legViews = () => Object.fromEntries(lotViews
+    .map(view => {
+      const capture = view.id === activeView.id ? { image: parkingImage, imageSize: lotImageSize } : viewCaptures[view.id];
+      return [view.id, capture?.image && {
+        image: capture.image,
+        imageSize: capture.imageSize,
+        slots: viewSlots(detectedSlots, view.id),
+        gates: view.id === activeView.id ? displayGates : viewGates(view.id),
+        label: `${view.level_name} · ${view.name}`
+      }];
+    })
+    .filter(([, leg]) => leg));
+
+  const savedSessionsCard = (
+    <div style={cardStyle}>
+      <h2 style={{ color: 'white', fontSize: '1.5rem', marginBottom: '16px' }}>
+        🗂️ Saved Sessions
+      </h2>
+      <SavedSessions store={sessionStore} currentId={sessionMeta.id} onResume={resumeSession} />
+    </div>
+  );
+
+  const analyticsCard = (
+    <div style={cardStyle}>
+      <h2 style={{ color: 'white', fontSize: '1.5rem', marginBottom: '16px' }}>
+        📈 Occupancy Analytics ({lotId})
+      </h2>
+      <AnalyticsDashboard historyStore={historyStore} sessionStore={sessionStore} lotId={lotId} image={parkingImage} />
+    </div>
+  );
+
+  // The session's images with what was detected on them: every view's lot image, and the
+  // vehicle image while its detection is shown (a vehicle guided from the table has none)
+  const datasetCaptures = () => [
+    ...lotViews.map(view => {
+      const capture = view.id === activeView.id ? { image: parkingImage, imageSize: lotImageSize } : viewCaptures[view.id];
+      return { kind: 'lot', image: capture?.image, imageSize: capture?.imageSize, slots: viewSlots(detectedSlots, view.id) };
+    }),
+    ...(vehicleImage && detectedVehicleType && !detectedVehicleType.id
+      ? [{ kind: 'vehicle', image: vehicleImage, imageSize: detectedVehicleType.image_size, vehicle: detectedVehicleType }]
+      : [])
+  ];
+
+  const trainingDataCard = (
+    <div style={cardStyle}>
+      <h2 style={{ color: 'white', fontSize: '1.5rem', marginBottom: '16px' }}>
+        🧠 Training Data
+      </h2>
+      <DatasetExport captures={datasetCaptures()} log={correctionLog} lotId={lotId} uncertainBelow={detectionFilter.uncertainBelow} />
+    </div>
+  );
+
+  return (
+    <div style={containerStyle}>
+      <div style={{ maxWidth: '1200px', margin: '0 auto' }}>
+        {/* Header */}
+        <div style={headerStyle}>
+          <h1 style={{ fontSize: '2.5rem', fontWeight: 'bold', marginBottom: '8px' }}>
+            🚗 Smart Parking System
+          </h1>
+          <p style={{ color: '#94a3b8', fontSize: '1.125rem' }}>
+            Real Roboflow Integration - Parking Detection & Vehicle Classification
+          </p>
+        </div>
+
+        {/* Detection Backend Setup */}
+        {!detectionBackend && (
+          <div style={cardStyle}>
+            <h2 style={{ color: 'white', fontSize: '1.5rem', marginBottom: '16px' }}>
+              🔐 Setup Required - Choose a Detection Backend
+            </h2>
+            <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '16px' }}>
+              {Object.entries(BACKEND_TYPES).map(([type, { label }]) => (
+                <button
+                  key={type}
+                  onClick={() => setBackendType(type)}
+                  style={{
+                    ...buttonStyle,
+                    fontSize: '14px',
+                    padding: '8px 16px',
+                    background: backendType === type ? buttonStyle.background : 'rgba(255, 255, 255, 0.1)'
+                  }}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            {backendType === 'roboflow' && (
+              <p style={{ color: '#94a3b8', fontSize: '14px', marginBottom: '16px' }}>
+                Detection goes through this app's server, which holds the Roboflow API key so it never reaches the browser.
+                Start it with <code>ROBOFLOW_API_KEY=... npm run server</code>; get a key at{' '}
+                <a href="https://roboflow.com" target="_blank" rel="noopener noreferrer" style={{ color: '#3b82f6' }}>
+                  roboflow.com
+                </a>
+              </p>
+            )}
+            {backendType === 'selfHosted' && (
+              <>
+                <p style={{ color: '#94a3b8', fontSize: '14px', marginBottom: '16px' }}>
+                  Any server speaking the Roboflow detect API (e.g. Roboflow Inference running locally). The API key is optional.
+                </p>
+                <input
+                  type="url"
+                  placeholder="Inference server URL"
+                  value={inferenceUrl}
+                  onChange={(e) => setInferenceUrl(e.target.value)}
+                  style={{ ...inputStyle, width: '100%', marginBottom: '12px', boxSizing: 'border-box' }}
+                />
+              </>
+            )}
+            {backendType === 'fixture' && (
+              <div style={{ color: '#94a3b8', fontSize: '14px', marginBottom: '16px' }}>
+                <p style={{ marginBottom: '12px' }}>
+                  Replays recorded prediction JSON instead of calling a model, so the whole flow runs offline.
+                  A demo recording is loaded by default; a file may hold one response or an array replayed in order.
+                </p>
+                <input type="file" ref={slotFixtureRef} onChange={handleFixtureUpload('slots')} accept="application/json,.json" style={{ display: 'none' }} />
+                <input type="file" ref={vehicleFixtureRef} onChange={handleFixtureUpload('vehicles')} accept="application/json,.json" style={{ display: 'none' }} />
+                <input type="file" ref={trafficFixtureRef} onChange={handleFixtureUpload('traffic')} accept="application/json,.json" style={{ display: 'none' }} />
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px' }}>
+                  <button
+                    style={{ ...buttonStyle, background: 'rgba(255, 255, 255, 0.1)', fontSize: '14px', padding: '8px 16px' }}
+                    onClick={() => slotFixtureRef.current?.click()}
+                  >
+                    <Upload size={16} />
+                    Slot predictions ({fixtures.slots === demoLotFixture ? 'demo' : 'custom'})
+                  </button>
+                  <button
+                    style={{ ...buttonStyle, background: 'rgba(255, 255, 255, 0.1)', fontSize: '14px', padding: '8px 16px' }}
+                    onClick={() => vehicleFixtureRef.current?.click()}
+                  >
+                    <Upload size={16} />
+                    Vehicle predictions ({fixtures.vehicles === demoVehicleFixture ? 'demo' : 'custom'})
+                  </button>
+                  <button
+                    style={{ ...buttonStyle, background: 'rgba(255, 255, 255, 0.1)', fontSize: '14px', padding: '8px 16px' }}
+                    onClick={() => trafficFixtureRef.current?.click()}
+                  >
+                    <Upload size={16} />
+                    Traffic predictions ({fixtures.traffic === demoTrafficFixture ? 'demo' : 'custom'})
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {backendType === 'onnx' && (
+              <div style={{ color: '#94a3b8', fontSize: '14px', marginBottom: '16px' }}>
+                <p style={{ marginBottom: '12px' }}>
+                  Runs a slot-occupancy model and a vehicle model in this browser with ONNX Runtime Web, so images never leave
+                  the device. Load YOLOv8 ONNX exports (a vehicle classifier works too) and list each model's classes in output order.
+                </p>
+                <input type="file" ref={slotModelRef} onChange={handleModelUpload('slots')} accept=".onnx" style={{ display: 'none' }} />
+                <input type="file" ref={vehicleModelRef} onChange={handleModelUpload('vehicles')} accept=".onnx" style={{ display: 'none' }} />
+                {[
+                  { kind: 'slots', ref: slotModelRef, label: 'Slot model' },
+                  { kind: 'vehicles', ref: vehicleModelRef, label: 'Vehicle model' }
+                ].map(({ kind, ref, label }) => (
+                  <div key={kind} style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '12px', marginBottom: '12px' }}>
+                    <button
+                      style={{ ...buttonStyle, background: 'rgba(255, 255, 255, 0.1)', fontSize: '14px', padding: '8px 16px' }}
+                      onClick={() => ref.current?.click()}
+                    >
+                      <Upload size={16} />
+                      {label} ({onnxModels[kind] ? onnxModels[kind].name : 'not loaded'})
+                    </button>
+                    <input
+                      type="text"
+                      aria-label={`${label} classes`}
+                      placeholder="Class names, comma separated"
+                      value={onnxClasses[kind]}
+                      onChange={(e) => setOnnxClasses({ ...onnxClasses, [kind]: e.target.value })}
+                      style={{ ...inputStyle, flex: 1, minWidth: '220px', padding: '8px 12px' }}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
 
-        {/* API Key Setup */}
-        {!apiKey && (
-          <div style={cardStyle}>
-            <h2 style={{ color: 'white', fontSize: '1.5rem', marginBottom: '16px' }}>
-              🔐 Setup Required - Enter Your Roboflow API Key
-            </h2>
-            <p style={{ color: '#94a3b8', fontSize: '14px', marginBottom: '16px' }}>
-              To use real parking detection, you need a Roboflow API key. Get one at{' '}
-              <a href="https://roboflow.com" target="_blank" rel="noopener noreferrer" style={{ color: '#3b82f6' }}>
-                roboflow.com
-              </a>
-            </p>
             <div style={{ display: 'flex', gap: '12px', alignItems: 'center' }}>
-              <input
-                type={showApiKey ? 'text' : 'password'}
-                placeholder="Enter your Roboflow API key"
-                value={apiKey}
-                onChange={(e) => setApiKey(e.target.value)}
-                style={{
-                  flex: 1,
-                  padding: '12px',
-                  borderRadius: '8px',
-                  border: '1px solid rgba(255, 255, 255, 0.2)',
-                  background: 'rgba(255, 255, 255, 0.1)',
-                  color: 'white',
-                  fontSize: '14px'
-                }}
-              />
-              <button
-                onClick={() => setShowApiKey(!showApiKey)}
-                style={{
-                  ...buttonStyle,
-                  background: 'rgba(255, 255, 255, 0.1)',
-                  minWidth: 'auto',
-                  padding: '12px'
-                }}
-              >
-                <Eye size={16} />
-              </button>
+              {BACKEND_TYPES[backendType].acceptsApiKey && (
+                <>
+                  <input
+                    type={showApiKey ? 'text' : 'password'}
+                    placeholder="API key (optional)"
+                    value={apiKey}
+                    onChange={(e) => setApiKey(e.target.value)}
+                    style={{ ...inputStyle, flex: 1 }}
+                  />
+                  <button
+                    onClick={() => setShowApiKey(!showApiKey)}
+                    style={{
+                      ...buttonStyle,
+                      background: 'rgba(255, 255, 255, 0.1)',
+                      minWidth: 'auto',
+                      padding: '12px'
+                    }}
+                  >
+                    <Eye size={16} />
+                  </button>
+                </>
+              )}
               <button
-                onClick={handleApiKeySubmit}
+                onClick={handleBackendConnect}
                 style={buttonStyle}
               >
                 <Zap size={16} />
                 Connect
               </button>
             </div>
+            {error && (
+              <p style={{ color: '#fca5a5', fontSize: '14px', marginTop: '12px' }}>{error}</p>
+            )}
           </div>
         )}
 
-        {/* Only show rest of the system if API key is provided */}
-        {apiKey && (
+        {!detectionBackend && savedSessionsCard}
+        {!detectionBackend && analyticsCard}
+
+        {/* Only show rest of the system once a detection backend is connected */}
+        {detectionBackend && (
           <>
+            <p style={{ color: '#94a3b8', fontSize: '14px', textAlign: 'center', marginBottom: '16px' }}>
+              Detection backend: <strong style={{ color: 'white' }}>{detectionBackend.label}</strong>{' '}
+              <button
+                onClick={() => { resetSystem(); setDetectionBackend(null); }}
+                style={{ background: 'none', border: 'none', color: '#3b82f6', cursor: 'pointer', fontSize: '14px' }}
+              >
+                Change
+              </button>
+            </p>
+
             {/* Step Indicator */}
             <div style={stepIndicatorStyle}>
               <div style={stepStyle(1, currentStep === 1, currentStep > 1)}>
@@ -618,8 +1695,9 @@ const SmartParkingSystem = () => {
                   📸 Step 1: Upload Parking Lot Image
                 </h2>
                 <p style={{ color: '#94a3b8', fontSize: '14px', marginBottom: '16px' }}>
-                  Using model: <strong>parking-space-finder-wjxkw-sqkag/1</strong>
+                  Using model: <strong>{PARKING_MODEL}</strong>
                 </p>
+                {multiView && viewPicker}
                 
                 <div
                   style={uploadAreaStyle}
@@ -685,6 +1763,135 @@ const SmartParkingSystem = () => {
                     )}
                   </button>
                 )}
+
+                <div style={{ marginTop: '16px', color: '#94a3b8', fontSize: '14px', display: 'flex', alignItems: 'center', gap: '12px' }}>
+                  <input
+                    type="file"
+                    ref={layoutFileRef}
+                    onChange={handleLayoutUpload}
+                    accept="application/json,.json"
+                    style={{ display: 'none' }}
+                  />
+                  <button
+                    style={{ ...buttonStyle, background: 'rgba(255, 255, 255, 0.1)', fontSize: '14px', padding: '8px 16px' }}
+                    onClick={() => layoutFileRef.current?.click()}
+                  >
+                    <Route size={16} />
+                    Load Lot Layout (optional)
+                  </button>
+                  {lotTemplate?.aisles?.length
+                    ? <span style={{ color: '#10b981' }}>✅ Routing uses the {lotTemplate.aisles.length} aisles drawn in the lot template</span>
+                    : lotLayout
+                      ? <span style={{ color: '#10b981' }}>✅ Layout loaded: {lotLayout.lanes.length} lanes{lotLayout.entrance ? ', custom entrance' : ''}</span>
+                      : <span>Without a layout, aisles are inferred from the detected slot rows</span>}
+                </div>
+
+                {/* Lot template drawn over the uploaded reference image */}
+                {parkingImage && (
+                  <div style={{ marginTop: '24px', paddingTop: '16px', borderTop: '1px solid rgba(255, 255, 255, 0.1)' }}>
+                    <h3 style={{ color: 'white', fontSize: '1.1rem', marginBottom: '8px' }}>
+                      🗺️ Lot Template
+                    </h3>
+                    <LotTemplateEditor
+                      image={parkingImage}
+                      imageSize={lotImageSize}
+                      template={lotTemplate}
+                      gates={gates}
+                      displayGates={displayGates}
+                      onTemplateChange={handleTemplateChange}
+                      onGatesChange={handleGatesChange}
+                      lotId={lotId}
+                    />
+                  </div>
+                )}
+
+                {/* Levels of the lot and the camera views covering them */}
+                <div style={{ marginTop: '24px', paddingTop: '16px', borderTop: '1px solid rgba(255, 255, 255, 0.1)' }}>
+                  <h3 style={{ color: 'white', fontSize: '1.1rem', marginBottom: '8px' }}>
+                    🏢 Levels & Cameras
+                  </h3>
+                  <p style={{ color: '#94a3b8', fontSize: '14px', marginBottom: '12px' }}>
+                    Each camera view is uploaded and detected on its own, and its slots join the lot's inventory.
+                    Ramps between views let routes cross levels.
+                  </p>
+                  <StructureEditor
+                    structure={lotStructure}
+                    onChange={handleStructureChange}
+                    rampGatesOf={(viewId) => viewGates(viewId).filter(gate => gate.type === 'ramp')}
+                  />
+                </div>
+
+                {/* Continuous monitoring from a fixed camera */}
+                <div style={{ marginTop: '24px', paddingTop: '16px', borderTop: '1px solid rgba(255, 255, 255, 0.1)' }}>
+                  <h3 style={{ color: 'white', fontSize: '1.1rem', marginBottom: '8px' }}>
+                    🎞️ Continuous Monitoring (optional)
+                  </h3>
+                  <p style={{ color: '#94a3b8', fontSize: '14px', marginBottom: '12px' }}>
+                    Upload a video or an image sequence from a fixed camera. Slots are detected in every sampled frame and
+                    a slot only changes status once most of its recent frames agree.
+                  </p>
+                  <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '12px', color: '#94a3b8', fontSize: '14px' }}>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                      Sample every
+                      <input
+                        type="number"
+                        min="1"
+                        step="1"
+                        value={monitorInterval}
+                        onChange={(e) => setMonitorInterval(e.target.value)}
+                        style={{ ...inputStyle, width: '80px', padding: '8px' }}
+                      />
+                      s
+                    </label>
+                    <input
+                      type="file"
+                      ref={monitorFileRef}
+                      onChange={handleMonitorUpload}
+                      accept="video/*,image/*"
+                      multiple
+                      style={{ display: 'none' }}
+                    />
+                    <button
+                      style={{ ...buttonStyle, background: 'rgba(255, 255, 255, 0.1)', fontSize: '14px', padding: '8px 16px' }}
+                      onClick={() => monitorFileRef.current?.click()}
+                      disabled={isProcessing}
+                    >
+                      <Film size={16} />
+                      Load Video or Frames
+                    </button>
+                    {monitorFrames.length > 0 && (
+                      <button
+                        style={{ ...buttonStyle, fontSize: '14px', padding: '8px 16px' }}
+                        onClick={trackSlotOccupancy}
+                        disabled={isProcessing}
+                      >
+                        <Activity size={16} />
+                        Track Occupancy ({monitorFrames.length} frames)
+                      </button>
+                    )}
+                    {monitorProgress && <span>{monitorProgress}</span>}
+                  </div>
+
+                  {monitoring && (
+                    <div style={{ marginTop: '16px' }}>
+                      <OccupancyTimeline
+                        frames={monitorFrames}
+                        timeline={monitoring.timeline}
+                        slots={monitoring.slots}
+                        imageSize={monitoring.imageSize}
+                        index={monitorIndex}
+                        onIndexChange={setMonitorIndex}
+                      />
+                      <button
+                        style={{ ...buttonStyle, marginTop: '16px' }}
+                        onClick={selectMonitoredFrame}
+                      >
+                        <Car size={16} />
+                        Allocate From This Frame
+                      </button>
+                    </div>
+                  )}
+                </div>
               </div>
             )}
 
@@ -696,60 +1903,40 @@ const SmartParkingSystem = () => {
                   <h2 style={{ color: 'white', fontSize: '1.5rem', marginBottom: '16px' }}>
                     🅿️ Detected Parking Slots ({detectedSlots.length} total)
                   </h2>
+                  {multiView && viewPicker}
                   
-                  
-                  {/* Show detection image if available */}
-                  {detectionImage && (
-                    <div style={{ marginBottom: '16px' }}>
-                      <img 
-                        src={`data:image/jpeg;base64,${detectionImage}`}
-                        alt="Detection results" 
-                        style={{ 
-                          maxWidth: '100%', 
-                          maxHeight: '400px', 
-                          borderRadius: '8px',
-                          border: '2px solid rgba(59, 130, 246, 0.3)'
-                        }} 
-                      />
-                      <p style={{ color: '#3b82f6', fontSize: '12px', marginTop: '8px' }}>
-                        ↑ Roboflow detection results with bounding boxes
-                      </p>
-                    </div>
-                  )}
-                  
-                  <div style={{ display: 'grid', gridTemplateColumns: 'repeat(8, 1fr)', gap: '8px', marginBottom: '16px' }}>
-                    {detectedSlots.map(slot => (
-                      <div
-                        key={slot.slot_number}
-                        style={{
-                          width: '40px',
-                          height: '40px',
-                          borderRadius: '6px',
-                          backgroundColor: getSlotColor(slot),
-                          display: 'flex',
-                          alignItems: 'center',
-                          justifyContent: 'center',
-                          color: 'white',
-                          fontSize: '12px',
-                          fontWeight: 'bold',
-                          position: 'relative'
-                        }}
-                        title={`Slot ${slot.slot_number}: ${slot.status} (${slot.confidence?.toFixed(1)}% confidence)\nOriginal class: ${slot.original_class}`}
-                      >
-                        {slot.slot_number}
-                      </div>
-                    ))}
-                  </div>
+                  {/* Detected slots drawn over the uploaded image, with the lot's entrances and exits */}
+                  <GateEditor
+                    image={parkingImage}
+                    imageSize={lotImageSize}
+                    slots={shownSlots}
+                    gates={gates}
+                    displayGates={displayGates}
+                    onGatesChange={handleGatesChange}
+                    lotId={lotId}
+                    onLotIdChange={handleLotIdChange}
+                    allowRamps={multiView}
+                  />
 
                   <div style={{ display: 'flex', gap: '24px', fontSize: '14px', color: '#94a3b8', marginBottom: '16px' }}>
                     <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-                      <div style={{ width: '16px', height: '16px', backgroundColor: '#10b981', borderRadius: '3px' }}></div>
+                      <div style={{ width: '16px', height: '16px', backgroundColor: SLOT_STATUS_COLORS.empty, borderRadius: '3px' }}></div>
                       Empty ({detectedSlots.filter(s => s.status === 'empty').length})
                     </div>
                     <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-                      <div style={{ width: '16px', height: '16px', backgroundColor: '#ef4444', borderRadius: '3px' }}></div>
+                      <div style={{ width: '16px', height: '16px', backgroundColor: SLOT_STATUS_COLORS.occupied, borderRadius: '3px' }}></div>
                       Occupied ({detectedSlots.filter(s => s.status === 'occupied').length})
                     </div>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                      <div style={{ width: '16px', height: '16px', backgroundColor: SLOT_STATUS_COLORS.reserved, borderRadius: '3px' }}></div>
+                      Reserved ({detectedSlots.filter(s => s.status === 'reserved').length})
+                    </div>
+                    {detectedSlots.some(slot => slot.uncertain) && (
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <div style={{ width: '14px', height: '14px', border: '2px dashed #94a3b8', borderRadius: '3px' }}></div>
+                        Uncertain ({detectedSlots.filter(slot => slot.uncertain).length})
+                      </div>
+                    )}
                   </div>
 
                   {/* Detection Details */}
@@ -757,21 +1944,191 @@ const SmartParkingSystem = () => {
                     <h4 style={{ color: '#10b981', marginBottom: '8px' }}>Detection Summary:</h4>
                     <div style={{ color: '#94a3b8', fontSize: '14px' }}>
                       <p>• Total slots detected: {detectedSlots.length}</p>
-                      <p>• Average confidence: {detectedSlots.length > 0 ? (detectedSlots.reduce((sum, slot) => sum + (slot.confidence || 0), 0) / detectedSlots.length).toFixed(1) : 0}%</p>
+                      <p>• Average confidence: {detectedSlots.length > 0 ? ((detectedSlots.reduce((sum, slot) => sum + (slot.confidence || 0), 0) / detectedSlots.length) * 100).toFixed(1) : 0}%</p>
+                      {detectedSlots.some(slot => slot.uncertain) && (
+                        <p>• Uncertain: {detectedSlots.filter(slot => slot.uncertain).map(slotName).join(', ')} (below {detectionFilter.uncertainBelow}% confidence)</p>
+                      )}
                       <p>• Occupancy rate: {detectedSlots.length > 0 ? ((detectedSlots.filter(s => s.status === 'occupied').length / detectedSlots.length) * 100).toFixed(1) : 0}%</p>
+                      {detectedSlots.some(slot => categoriesOf(slot).length > 0) && (
+                        <p>• Category bays: {CATEGORY_IDS
+                          .map(category => [category, detectedSlots.filter(slot => categoriesOf(slot).includes(category)).length])
+                          .filter(([, count]) => count > 0)
+                          .map(([category, count]) => `${count} ${SLOT_CATEGORIES[category].label.toLowerCase()}`)
+                          .join(', ')}</p>
+                      )}
                     </div>
                   </div>
                 </div>
 
+                {/* Operator corrections of the shown view's slots, kept as training data */}
+                <div style={cardStyle}>
+                  <h2 style={{ color: 'white', fontSize: '1.5rem', marginBottom: '16px' }}>
+                    ✏️ Correct Detections
+                  </h2>
+                  <SlotCorrectionEditor
+                    image={parkingImage}
+                    imageSize={lotImageSize}
+                    slots={shownSlots}
+                    gates={displayGates}
+                    onStatusChange={handleSlotStatusCorrection}
+                    onAddSlot={handleAddSlot}
+                    onRemoveSlot={handleRemoveSlot}
+                  />
+                  <div style={{ marginTop: '16px' }}>
+                    <CorrectionLog log={correctionLog} lotId={lotId} sessionId={sessionMeta.id} />
+                  </div>
+                </div>
+
+                {/* Detection Thresholds */}
+                <div style={cardStyle}>
+                  <h2 style={{ color: 'white', fontSize: '1.5rem', marginBottom: '16px' }}>
+                    🎚️ Detection Thresholds
+                  </h2>
+                  <DetectionFilter
+                    filter={detectionFilter}
+                    onChange={handleDetectionFilterChange}
+                    counts={rawSlotDetection && {
+                      raw: rawSlotDetection.response.predictions.length,
+                      kept: filterResponse(rawSlotDetection.response, detectionFilter).predictions.length,
+                      uncertain: detectedSlots.filter(slot => slot.uncertain).length
+                    }}
+                  />
+                  {rawSlotDetection && parkingSession.vehicles.length > 0 && (
+                    <p style={{ color: '#94a3b8', fontSize: '13px', marginTop: '8px' }}>
+                      Vehicles hold slots in this session, so new thresholds only change which slots are uncertain until the lot is detected again
+                    </p>
+                  )}
+                </div>
+
+                {/* Lot Template */}
+                <div style={cardStyle}>
+                  <h2 style={{ color: 'white', fontSize: '1.5rem', marginBottom: '16px' }}>
+                    🏷️ Bay Numbers & Labels
+                  </h2>
+                  <SlotTemplateEditor
+                    image={parkingImage}
+                    imageSize={lotImageSize}
+                    slots={shownSlots}
+                    template={lotTemplate}
+                    match={templateMatch}
+                    onTemplateChange={handleTemplateChange}
+                  />
+                </div>
+
+                {/* Scale Calibration */}
+                <div style={cardStyle}>
+                  <h2 style={{ color: 'white', fontSize: '1.5rem', marginBottom: '16px' }}>
+                    📐 Scale Calibration
+                  </h2>
+                  <CalibrationTool
+                    image={parkingImage}
+                    imageSize={lotImageSize}
+                    slots={shownSlots}
+                    calibration={calibration}
+                    activeCalibration={activeCalibration}
+                    onCalibrationChange={handleCalibrationChange}
+                  />
+                </div>
+
+                {/* Allocation Rules */}
+                <div style={cardStyle}>
+                  <h2 style={{ color: 'white', fontSize: '1.5rem', marginBottom: '16px' }}>
+                    🧠 Allocation Rules
+                  </h2>
+                  <RuleEditor
+                    rules={allocationRules}
+                    onRulesChange={handleRulesChange}
+                    slots={rulePreviewSlots}
+                    scale={lotScale}
+                  />
+                </div>
+
                 {/* Vehicle Upload */}
                 <div style={cardStyle}>
                   <h2 style={{ color: 'white', fontSize: '1.5rem', marginBottom: '16px' }}>
                     🚗 Step 2: Upload Vehicle Image
                   </h2>
                   <p style={{ color: '#94a3b8', fontSize: '14px', marginBottom: '16px' }}>
-                    Using model: <strong>vehicle-classification-v2/1</strong>
+                    Using model: <strong>{VEHICLE_MODEL}</strong>
                   </p>
-                  
+
+                  {entrances.length > 1 && (
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#94a3b8', fontSize: '14px', marginBottom: '16px' }}>
+                      Arrived through:
+                      <select
+                        value={arrivalGateId}
+                        onChange={(e) => setArrivalGateId(e.target.value)}
+                        style={{ ...inputStyle, padding: '6px 8px' }}
+                      >
+                        <option value="">Nearest entrance</option>
+                        {entrances.map(gate => (
+                          <option key={gate.id} value={gate.id}>{gate.label}</option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+
+                  {/* What the driver tells the attendant; category bays are kept for these */}
+                  {vehicleQueue.length > 0 ? (
+                    <p style={{ color: '#94a3b8', fontSize: '14px', marginBottom: '16px' }}>
+                      Queued vehicles are allocated as detected, without driver details; upload one image to enter a permit,
+                      a reservation code or the vehicle type.
+                    </p>
+                  ) : (
+                    <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '16px', color: '#94a3b8', fontSize: '14px', marginBottom: '16px' }}>
+                      <span>Driver:</span>
+                      <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                        <input
+                          type="checkbox"
+                          checked={driverFlags.accessiblePermit}
+                          onChange={(e) => setDriverFlags({ ...driverFlags, accessiblePermit: e.target.checked })}
+                        />
+                        Accessible permit
+                      </label>
+                      <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                        <input
+                          type="checkbox"
+                          checked={driverFlags.needsCharging}
+                          onChange={(e) => setDriverFlags({ ...driverFlags, needsCharging: e.target.checked })}
+                        />
+                        EV needs charging
+                      </label>
+                      <input
+                        type="text"
+                        aria-label="Reservation code"
+                        placeholder="Reservation code"
+                        value={driverFlags.reservationCode}
+                        onChange={(e) => setDriverFlags({ ...driverFlags, reservationCode: e.target.value.trim() })}
+                        style={{ ...inputStyle, padding: '6px 8px', width: '160px' }}
+                      />
+                    </div>
+                  )}
+
+                  {/* The attendant can see what the detector gets wrong */}
+                  {vehicleQueue.length === 0 && (
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#94a3b8', fontSize: '14px', marginBottom: '16px' }}>
+                      Vehicle type:
+                      <select
+                        aria-label="Vehicle type override"
+                        value={vehicleTypeOverride}
+                        onChange={(e) => setVehicleTypeOverride(e.target.value)}
+                        style={{ ...inputStyle, padding: '6px 8px' }}
+                      >
+                        <option value="">Detect automatically</option>
+                        {VEHICLE_TYPES.map(type => (
+                          <option key={type} value={type}>{formatVehicleType(type)}</option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+
+                  {correctableVehicle?.status === 'waiting' && (
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#fbbf24', fontSize: '14px', marginBottom: '16px' }}>
+                      Vehicle {correctableVehicle.id} got no slot as a {detectedVehicleType.vehicle_type}. Wrong type?
+                      {vehicleTypeCorrection}
+                    </div>
+                  )}
+
                   <div
                     style={uploadAreaStyle}
                     onClick={() => vehicleFileRef.current?.click()}
@@ -783,10 +2140,27 @@ const SmartParkingSystem = () => {
                       ref={vehicleFileRef}
                       onChange={handleVehicleImageUpload}
                       accept="image/*"
+                      multiple
                       style={{ display: 'none' }}
                     />
                     
-                    {vehicleImage ? (
+                    {vehicleQueue.length > 0 ? (
+                      <div>
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', justifyContent: 'center', marginBottom: '16px' }}>
+                          {vehicleQueue.map((queued, i) => (
+                            <img
+                              key={i}
+                              src={queued.image}
+                              alt={`Queued vehicle ${i + 1}`}
+                              style={{ width: '80px', height: '60px', objectFit: 'cover', borderRadius: '6px' }}
+                            />
+                          ))}
+                        </div>
+                        <p style={{ color: '#10b981', fontSize: '14px' }}>
+                          ✅ {vehicleQueue.length} vehicles queued in arrival order
+                        </p>
+                      </div>
+                    ) : vehicleImage ? (
                       <div>
                         <img 
                           src={vehicleImage} 
@@ -809,7 +2183,7 @@ const SmartParkingSystem = () => {
                           Click to upload vehicle image
                         </p>
                         <p style={{ color: '#94a3b8', fontSize: '14px' }}>
-                          For vehicle type detection and smart slot allocation
+                          For vehicle type detection and smart slot allocation. Select several images to allocate a queue.
                         </p>
                       </div>
                     )}
@@ -836,6 +2210,28 @@ const SmartParkingSystem = () => {
                       )}
                     </button>
                   )}
+
+                  {vehicleQueue.length > 0 && (
+                    <button
+                      style={buttonStyle}
+                      onClick={allocateVehicleQueue}
+                      disabled={isProcessing}
+                      onMouseEnter={(e) => e.target.style.transform = 'scale(1.05)'}
+                      onMouseLeave={(e) => e.target.style.transform = 'scale(1)'}
+                    >
+                      {isProcessing ? (
+                        <>
+                          <Clock size={16} />
+                          Allocating Queue...
+                        </>
+                      ) : (
+                        <>
+                          <Car size={16} />
+                          Allocate {vehicleQueue.length} Vehicles
+                        </>
+                      )}
+                    </button>
+                  )}
                 </div>
               </>
             )}
@@ -857,10 +2253,15 @@ const SmartParkingSystem = () => {
                         </h3>
                         <div style={{ color: '#94a3b8', fontSize: '14px', lineHeight: '1.6' }}>
                           <div style={{ marginBottom: '8px' }}>
-                            <strong style={{ color: 'white' }}>Type:</strong> {formatVehicleType(detectedVehicleType.vehicle_type)}
+                            <strong style={{ color: 'white' }}>Type:</strong> {vehicleTypeCorrection || formatVehicleType(detectedVehicleType.vehicle_type)}
                           </div>
+                          {detectedVehicleType.type_guessed && (
+                            <div style={{ marginBottom: '8px', color: '#fbbf24' }}>
+                              "{detectedVehicleType.original_class}" is not a known vehicle type, so it was taken for a car. Correct it if it is not.
+                            </div>
+                          )}
                           <div style={{ marginBottom: '8px' }}>
-                            <strong style={{ color: 'white' }}>Confidence:</strong> {detectedVehicleType.confidence.toFixed(1)}%
+                            <strong style={{ color: 'white' }}>Confidence:</strong> {(detectedVehicleType.confidence * 100).toFixed(1)}%
                           </div>
                           <div style={{ marginBottom: '8px' }}>
                             <strong style={{ color: 'white' }}>Original Class:</strong> {detectedVehicleType.original_class}
@@ -875,28 +2276,86 @@ const SmartParkingSystem = () => {
                           </h3>
                           <div style={{ color: '#94a3b8', fontSize: '14px', lineHeight: '1.6' }}>
                             <div style={{ marginBottom: '8px' }}>
-                              <strong style={{ color: 'white' }}>Slot Number:</strong> {allocatedSlot.slot_number}
+                              <strong style={{ color: 'white' }}>Slot Number:</strong> {allocatedSlot.slot_number}{allocatedSlot.label && ` (${allocatedSlot.label})`}
+                              {allocatedSlot.span_slots && ` (spans slots ${allocatedSlot.span_slots.join(', ')})`}
                             </div>
+                            {multiView && (
+                              <div style={{ marginBottom: '8px' }}>
+                                <strong style={{ color: 'white' }}>Where:</strong> {slotPlace(lotStructure, allocatedSlot)} ({activeView.name})
+                              </div>
+                            )}
                             <div style={{ marginBottom: '8px' }}>
                               <strong style={{ color: 'white' }}>Position:</strong> Row {allocatedSlot.row + 1}, Column {allocatedSlot.col + 1}
                             </div>
                             <div style={{ marginBottom: '8px' }}>
-                              <strong style={{ color: 'white' }}>Distance:</strong> {allocatedSlot.distance_from_entrance.toFixed(0)} pixels from entrance
+                              <strong style={{ color: 'white' }}>Distance:</strong>{' '}
+                              {multiView
+                                ? `${formatLength(allocatedSlot.distance_from_entrance)} drive from the nearest entrance`
+                                : `${formatDistance(projector.measure(entrances.find(gate => gate.id === allocatedSlot.nearest_entrance) || entrances[0], allocatedSlot))} from ${entrances.find(gate => gate.id === allocatedSlot.nearest_entrance)?.label || 'entrance'} (straight line)`}
                             </div>
-                            <div>
+                            <div style={{ marginBottom: '8px' }}>
                               <strong style={{ color: 'white' }}>Type:</strong> {allocatedSlot.is_corner ? 'Corner' : allocatedSlot.is_edge ? 'Edge' : 'Middle'}
                             </div>
+                            {categoriesOf(allocatedSlot).length > 0 && (
+                              <div style={{ marginBottom: '8px' }}>
+                                <strong style={{ color: 'white' }}>Category:</strong> {categoriesOf(allocatedSlot).map(category => SLOT_CATEGORIES[category].label).join(', ')}
+                              </div>
+                            )}
+                            {describeFlags(driverFlags) && (
+                              <div style={{ marginBottom: '8px' }}>
+                                <strong style={{ color: 'white' }}>Driver:</strong> {describeFlags(driverFlags)}
+                              </div>
+                            )}
+                            {allocatedSlot.allocation_reason && (
+                              <div style={{ marginBottom: '8px' }}>
+                                <strong style={{ color: 'white' }}>Rule:</strong> {allocatedSlot.allocation_reason}
+                              </div>
+                            )}
+                            {allocatedSlot.fit_reason && (
+                              <div>
+                                <strong style={{ color: 'white' }}>Size:</strong> {allocatedSlot.fit_reason}
+                              </div>
+                            )}
                           </div>
                         </div>
                       )}
                     </div>
                   )}
+
+                  {uncertainAllocatedBays.length > 0 && (
+                    <div
+                      data-testid="uncertain-slot-warning"
+                      style={{ marginTop: '16px', padding: '12px', borderRadius: '8px', border: '1px solid #f59e0b', background: 'rgba(245, 158, 11, 0.1)', color: '#fcd34d', fontSize: '14px' }}
+                    >
+                      <p style={{ marginBottom: '8px' }}>
+                        <AlertCircle size={16} style={{ verticalAlign: 'middle', marginRight: '6px' }} />
+                        {uncertainAllocatedBays.map(slot => `Slot ${slotName(slot)} was detected empty with only ${(slot.confidence * 100).toFixed(0)}% confidence`).join('; ')}.
+                        {' '}Check it is free before sending the driver.
+                      </p>
+                      <div style={{ display: 'flex', gap: '8px' }}>
+                        <button style={{ ...buttonStyle, fontSize: '14px', padding: '8px 16px' }} onClick={confirmUncertainSlot}>It is free</button>
+                        <button style={{ ...buttonStyle, background: 'rgba(255, 255, 255, 0.1)', fontSize: '14px', padding: '8px 16px' }} onClick={rejectUncertainSlot}>It is taken, allocate another</button>
+                      </div>
+                    </div>
+                  )}
+
+                  {allocatedSlot && (
+                    <div style={{ marginTop: '24px' }}>
+                      <LotOverlay
+                        image={parkingImage}
+                        imageSize={lotImageSize}
+                        slots={shownSlots}
+                        allocatedSlot={allocatedSlot}
+                        gates={displayGates}
+                      />
+                    </div>
+                  )}
                 </div>
 
                 {/* Path Options */}
                 <div style={cardStyle}>
                   <h2 style={{ color: 'white', fontSize: '1.5rem', marginBottom: '16px' }}>
-                    🛣️ Available Paths to Slot {allocatedSlot?.slot_number}
+                    🛣️ Available Paths to {allocatedSlot && slotPlace(lotStructure, allocatedSlot)}
                   </h2>
                   
                   <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))', gap: '16px', marginBottom: '24px' }}>
@@ -915,7 +2374,13 @@ const SmartParkingSystem = () => {
                         </h4>
                         <div style={{ color: '#94a3b8', fontSize: '14px', lineHeight: '1.6' }}>
                           <div style={{ marginBottom: '4px' }}>
-                            📏 Distance: {path.distance.toFixed(0)}m
+                            📏 Distance: {formatPathDistance(path.distance)}
+                          </div>
+                          <div style={{ marginBottom: '4px' }}>
+                            ⏱️ Drive: {formatDuration(path.eta)}
+                          </div>
+                          <div style={{ marginBottom: '4px' }}>
+                            ↪️ Turns: {path.turns}
                           </div>
                           <div>
                             ⚠️ T-Junctions: {path.tJunctions}
@@ -925,6 +2390,28 @@ const SmartParkingSystem = () => {
                     ))}
                   </div>
 
+                  <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '12px', color: '#94a3b8', fontSize: '14px', marginBottom: '16px' }}>
+                    <input type="file" ref={aisleFileRef} onChange={handleAisleImageUpload} accept="image/*" style={{ display: 'none' }} />
+                    <span>
+                      Traffic is counted from vehicles detected in the aisles of the {aisleImage ? 'aisle image' : 'lot image'}
+                    </span>
+                    <button
+                      style={{ ...buttonStyle, background: 'rgba(255, 255, 255, 0.1)', fontSize: '14px', padding: '8px 16px' }}
+                      onClick={() => aisleFileRef.current?.click()}
+                    >
+                      <Camera size={16} />
+                      {aisleImage ? 'Replace aisle image' : 'Use a newer aisle image (same camera)'}
+                    </button>
+                    {aisleImage && (
+                      <button
+                        style={{ ...buttonStyle, background: 'rgba(255, 255, 255, 0.1)', fontSize: '14px', padding: '8px 16px' }}
+                        onClick={() => setAisleImage(null)}
+                      >
+                        Use lot image
+                      </button>
+                    )}
+                  </div>
+
                   <button
                     style={buttonStyle}
                     onClick={detectPathVehicleIntensities}
@@ -956,12 +2443,24 @@ const SmartParkingSystem = () => {
                 </h2>
                 
                 <div style={{ marginBottom: '24px' }}>
-                  <p style={{ color: '#94a3b8', fontSize: '14px', marginBottom: '16px' }}>
-                    Vehicle intensities have been automatically analyzed. You can adjust them manually if needed:
-                  </p>
+                  {intensityAnalysis && (
+                    <>
+                      <p style={{ color: '#94a3b8', fontSize: '14px', marginBottom: '16px' }}>
+                        Vehicles detected in the {intensityAnalysis.source} were snapped to their nearest lane. Each one takes
+                        up about {JAM_SPACING_METERS} m of lane, and a path's intensity is the share of its lane length taken
+                        up by the vehicles on it. You can override any value manually:
+                      </p>
+                      <TrafficMap
+                        image={aisleImage || parkingImage}
+                        imageSize={lotImageSize}
+                        slots={shownSlots}
+                        vehicles={intensityAnalysis.vehicles}
+                      />
+                    </>
+                  )}
                   
                   <div style={{ display: 'grid', gap: '16px' }}>
-                    {pathsData.map(path => (
+                    {pathsData.map((path, i) => (
                       <div
                         key={path.id}
                         style={{
@@ -998,17 +2497,45 @@ const SmartParkingSystem = () => {
                         </div>
                         
                         <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '12px', fontSize: '14px', color: '#94a3b8' }}>
-                          <div>📏 Distance: {path.distance.toFixed(0)}m</div>
+                          <div>📏 Distance: {formatPathDistance(path.distance)}</div>
                           <div>⚠️ T-Junctions: {path.tJunctions}</div>
                           <div style={{ color: getIntensityColor(pathVehicleIntensities[path.id] || 0) }}>
                             🚦 {pathVehicleIntensities[path.id] || 0}% Vehicle
                           </div>
                         </div>
+
+                        {intensityAnalysis?.paths[path.id] && (
+                          <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginTop: '12px', fontSize: '13px', color: '#94a3b8' }}>
+                            <span>
+                              Detected: {intensityAnalysis.paths[path.id].vehicles} vehicle{intensityAnalysis.paths[path.id].vehicles === 1 ? '' : 's'} on {formatDistance(intensityAnalysis.paths[path.id].laneLength)} of lane → {intensityAnalysis.paths[path.id].intensity}%
+                            </span>
+                            {pathVehicleIntensities[path.id] !== intensityAnalysis.paths[path.id].intensity && (
+                              <>
+                                <span style={{ color: '#f59e0b' }}>Manual override</span>
+                                <button
+                                  style={{ background: 'none', border: 'none', color: '#3b82f6', cursor: 'pointer', fontSize: '13px' }}
+                                  onClick={() => handleVehicleIntensityChange(path.id, intensityAnalysis.paths[path.id].intensity)}
+                                >
+                                  Use detected
+                                </button>
+                              </>
+                            )}
+                          </div>
+                        )}
+
+                        <ScoreBreakdown scored={scoredPaths[i]} />
                       </div>
                     ))}
                   </div>
                 </div>
 
+                <div style={{ marginBottom: '24px' }}>
+                  <h3 style={{ color: 'white', fontSize: '1.125rem', marginBottom: '12px' }}>
+                    ⚖️ Scoring Weights
+                  </h3>
+                  <ScoreWeightsEditor weights={scoreWeights} onChange={handleScoreWeightsChange} />
+                </div>
+
                 <button
                   style={buttonStyle}
                   onClick={calculateOptimalPath}
@@ -1041,7 +2568,10 @@ const SmartParkingSystem = () => {
                       </h3>
                       <div style={{ color: '#94a3b8', fontSize: '14px', lineHeight: '1.8' }}>
                         <div style={{ marginBottom: '8px' }}>
-                          <strong style={{ color: 'white' }}>Distance:</strong> {optimalPath.distance.toFixed(0)}m
+                          <strong style={{ color: 'white' }}>Distance:</strong> {formatPathDistance(optimalPath.distance)}
+                        </div>
+                        <div style={{ marginBottom: '8px' }}>
+                          <strong style={{ color: 'white' }}>Turns:</strong> {optimalPath.turns}
                         </div>
                         <div style={{ marginBottom: '8px' }}>
                           <strong style={{ color: 'white' }}>T-Junctions:</strong> {optimalPath.tJunctions}
@@ -1053,8 +2583,16 @@ const SmartParkingSystem = () => {
                           </span>
                         </div>
                         <div style={{ paddingTop: '8px', borderTop: '1px solid rgba(255, 255, 255, 0.1)' }}>
-                          <strong style={{ color: '#10b981' }}>Optimization Score:</strong> {optimalPath.score.toFixed(1)}
+                          <strong style={{ color: '#10b981' }}>Score:</strong> {optimalPath.score.toFixed(1)} of 100 (lower is better)
                         </div>
+                        {scoreExplanation && (
+                          <div style={{ marginTop: '8px' }}>
+                            Beats {scoreExplanation.runnerUp.path.name} by {scoreExplanation.margin.toFixed(1)} points
+                            {scoreExplanation.gains.length > 0
+                              ? `, mostly on ${scoreExplanation.gains.slice(0, 2).map(gain => `${gain.label.toLowerCase()} (${gain.points.toFixed(1)})`).join(' and ')}`
+                              : ''}
+                          </div>
+                        )}
                       </div>
                     </div>
                     
@@ -1064,7 +2602,7 @@ const SmartParkingSystem = () => {
                       </h3>
                       <div style={{ color: '#94a3b8', fontSize: '14px', lineHeight: '1.8' }}>
                         <div style={{ marginBottom: '8px' }}>
-                          🎯 <strong style={{ color: 'white' }}>Destination:</strong> Slot {allocatedSlot?.slot_number}
+                          🎯 <strong style={{ color: 'white' }}>Destination:</strong> {allocatedSlot && slotPlace(lotStructure, allocatedSlot)}
                         </div>
                         <div style={{ marginBottom: '8px' }}>
                           📍 <strong style={{ color: 'white' }}>Position:</strong> Row {allocatedSlot?.row + 1}, Column {allocatedSlot?.col + 1}
@@ -1073,23 +2611,47 @@ const SmartParkingSystem = () => {
                           🚗 <strong style={{ color: 'white' }}>Vehicle Type:</strong> {formatVehicleType(detectedVehicleType?.vehicle_type)}
                         </div>
                         <div>
-                          ⚡ <strong style={{ color: 'white' }}>Estimated Time:</strong> {Math.ceil(optimalPath.distance / 30)} minutes
+                          ⚡ <strong style={{ color: 'white' }}>Estimated Time:</strong> {formatDuration(optimalPath.eta)} at {Math.round(DRIVING_SPEED_MPS * 3.6)} km/h
                         </div>
                       </div>
                     </div>
                   </div>
                 </div>
 
+                {/* Route drawn on the lot with turn-by-turn guidance */}
+                <div style={cardStyle}>
+                  <h2 style={{ color: 'white', fontSize: '1.5rem', marginBottom: '16px' }}>
+                    🗺️ Route Guidance
+                  </h2>
+                  <RouteGuidance
+                    image={parkingImage}
+                    imageSize={lotImageSize}
+                    slots={shownSlots}
+                    allocatedSlot={allocatedSlot}
+                    gates={displayGates}
+                    paths={pathsData}
+                    optimalPath={optimalPath}
+                    formatDistance={formatPathDistance}
+                    measure={projector.measure}
+                    slotLabel={allocatedSlot && slotPlace(lotStructure, allocatedSlot)}
+                    legViews={legViews()}
+                    levelOf={(viewId) => findView(lotStructure, viewId)?.level_name || viewId}
+                  />
+                </div>
+
                 {/* All Paths Comparison */}
                 <div style={cardStyle}>
                   <h2 style={{ color: 'white', fontSize: '1.5rem', marginBottom: '16px' }}>
                     📊 All Paths Comparison
                   </h2>
+
+                  <div style={{ marginBottom: '16px' }}>
+                    <ScoreWeightsEditor weights={scoreWeights} onChange={handleScoreWeightsChange} />
+                  </div>
                   
                   <div style={{ display: 'grid', gap: '12px' }}>
-                    {pathsData.map(path => {
-                      const intensity = pathVehicleIntensities[path.id] || 0;
-                      const score = (path.distance * 0.4) + (path.tJunctions * 1.2) + (intensity * 0.8);
+                    {scoredPaths.map(scored => {
+                      const { path, intensity } = scored;
                       const isOptimal = path.id === optimalPath.id;
                       
                       return (
@@ -1122,7 +2684,7 @@ const SmartParkingSystem = () => {
                           
                           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr 1fr', gap: '12px', fontSize: '14px' }}>
                             <div style={{ color: '#94a3b8' }}>
-                              📏 {path.distance.toFixed(0)}m
+                              📏 {formatPathDistance(path.distance)}
                             </div>
                             <div style={{ color: '#94a3b8' }}>
                               ⚠️ {path.tJunctions} junctions
@@ -1131,9 +2693,11 @@ const SmartParkingSystem = () => {
                               🚦 {intensity}% vehicle
                             </div>
                             <div style={{ color: isOptimal ? '#10b981' : '#94a3b8', textAlign: 'right' }}>
-                              Score: {score.toFixed(1)}
+                              Score: {scored.total.toFixed(1)}
                             </div>
                           </div>
+
+                          <ScoreBreakdown scored={scored} />
                         </div>
                       );
                     })}
@@ -1164,8 +2728,8 @@ const SmartParkingSystem = () => {
                       </h4>
                       <div style={{ color: '#94a3b8', fontSize: '14px', lineHeight: '1.6' }}>
                         <div>Vehicle: {formatVehicleType(detectedVehicleType?.vehicle_type)}</div>
-                        <div>Confidence: {detectedVehicleType?.confidence.toFixed(1)}%</div>
-                        <div>Allocated Slot: #{allocatedSlot?.slot_number}</div>
+                        <div>Confidence: {(detectedVehicleType?.confidence * 100).toFixed(1)}%</div>
+                        <div>Allocated Slot: #{allocatedSlot?.slot_number}{allocatedSlot?.label && ` (${allocatedSlot.label})`}</div>
                       </div>
                     </div>
                     
@@ -1176,7 +2740,7 @@ const SmartParkingSystem = () => {
                       <div style={{ color: '#94a3b8', fontSize: '14px', lineHeight: '1.6' }}>
                         <div>Path: {optimalPath.name}</div>
                         <div>Score: {optimalPath.score.toFixed(1)}</div>
-                        <div>Est. Time: {Math.ceil(optimalPath.distance / 30)}min</div>
+                        <div>Est. Time: {formatDuration(optimalPath.eta)}</div>
                       </div>
                     </div>
                   </div>
@@ -1184,9 +2748,60 @@ const SmartParkingSystem = () => {
               </>
             )}
 
+            {/* Export */}
+            {currentStep > 1 && (
+              <div style={cardStyle}>
+                <h2 style={{ color: 'white', fontSize: '1.5rem', marginBottom: '16px' }}>
+                  💾 Export Results
+                </h2>
+                <ResultsExport
+                  image={parkingImage}
+                  results={{
+                    lotId,
+                    imageSize: lotImageSize,
+                    unit: pathUnit,
+                    slots: detectedSlots,
+                    vehicle: detectedVehicleType && { ...detectedVehicleType, driver_flags: driverFlags },
+                    allocatedSlot,
+                    paths: pathsData,
+                    intensities: pathVehicleIntensities,
+                    weights: scoreWeights,
+                    optimalPath,
+                    sessionVehicles: parkingSession.vehicles
+                  }}
+                />
+              </div>
+            )}
+
+            {/* Parking Session */}
+            {currentStep > 1 && parkingSession.vehicles.length > 0 && (
+              <div style={cardStyle}>
+                <h2 style={{ color: 'white', fontSize: '1.5rem', marginBottom: '16px' }}>
+                  🅿️ Parking Session ({parkingSession.vehicles.filter(v => v.status === 'reserved' || v.status === 'parked').length} in lot)
+                </h2>
+                <SessionTable
+                  vehicles={parkingSession.vehicles}
+                  onCheckIn={handleCheckIn}
+                  onRelease={handleRelease}
+                  onGuide={handleGuide}
+                />
+              </div>
+            )}
+
             {/* Reset Button */}
             {currentStep > 1 && (
-              <div style={{ textAlign: 'center', marginTop: '32px' }}>
+              <div style={{ display: 'flex', justifyContent: 'center', gap: '16px', marginTop: '32px' }}>
+                {currentStep > 2 && (
+                  <button
+                    style={buttonStyle}
+                    onClick={nextVehicle}
+                    onMouseEnter={(e) => e.target.style.transform = 'scale(1.05)'}
+                    onMouseLeave={(e) => e.target.style.transform = 'scale(1)'}
+                  >
+                    <Car size={16} />
+                    Next Vehicle
+                  </button>
+                )}
                 <button
                   style={{
                     ...buttonStyle,
@@ -1202,6 +2817,10 @@ const SmartParkingSystem = () => {
               </div>
             )}
 
+            {savedSessionsCard}
+            {analyticsCard}
+            {trainingDataCard}
+
             {/* Instructions */}
             <div style={{
               ...cardStyle,
@@ -1228,9 +2847,9 @@ const SmartParkingSystem = () => {
                     🧠 Smart Allocation Rules
                   </h4>
                   <ul style={{ color: '#94a3b8', fontSize: '14px', listStyle: 'none', padding: 0, lineHeight: '1.6' }}>
-                    <li>• Vehicle-specific placement</li>
-                    <li>• Distance optimization</li>
-                    <li>• Corner/edge preferences</li>
+                    <li>• Editable per-lot rule sets</li>
+                    <li>• Conditions, constraints & weighted preferences</li>
+                    <li>• Dry-run preview per vehicle type</li>
                   </ul>
                 </div>
                 <div>
@@ -1248,8 +2867,8 @@ const SmartParkingSystem = () => {
               <div style={{ marginTop: '16px', padding: '12px', background: 'rgba(255, 255, 255, 0.05)', borderRadius: '8px' }}>
                 <p style={{ color: '#94a3b8', fontSize: '14px', margin: 0 }}>
                   <strong style={{ color: 'white' }}>Models Used:</strong><br/>
-                  • Parking Detection: <code>parking-space-finder-wjxkw-sqkag/1</code><br/>
-                  • Vehicle Classification: <code>vehicle-classification-v2/1</code>
+                  • Parking Detection: <code>{PARKING_MODEL}</code><br/>
+                  • Vehicle Classification: <code>{VEHICLE_MODEL}</code>
                 </p>
               </div>
             </div>
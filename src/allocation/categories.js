@@ -0,0 +1,75 @@
+// Bay categories and the driver needs they serve. A category bay is kept for the
+// drivers who need it (every other vehicle is refused), and those drivers are offered
+// the bays serving their needs before any other bay.
+
+export const SLOT_CATEGORIES = {
+  accessible: { label: 'Accessible', color: '#3b82f6' },
+  ev: { label: 'EV charging', color: '#22d3ee' },
+  reserved: { label: 'Reserved', color: '#f59e0b' },
+  compact: { label: 'Compact', color: '#a855f7' }
+};
+
+export const CATEGORY_IDS = Object.keys(SLOT_CATEGORIES);
+
+// Vehicle types short enough for a compact bay
+export const COMPACT_VEHICLE_TYPES = ['motorcycle', 'car'];
+
+// What the driver told the attendant; carried on the vehicle as driver_flags
+export const NO_DRIVER_FLAGS = { accessiblePermit: false, needsCharging: false, reservationCode: '' };
+
+export const categoriesOf = (slot) => slot.categories || [];
+
+const flagsOf = (vehicle) => ({ ...NO_DRIVER_FLAGS, ...vehicle.driver_flags });
+
+// Why a bay is refused to a vehicle, or null when the vehicle may use it
+export const categoryRefusal = (slot, vehicle) => {
+  const categories = categoriesOf(slot);
+  const flags = flagsOf(vehicle);
+  if (categories.includes('accessible') && !flags.accessiblePermit) return 'accessible bays need a permit';
+  if (categories.includes('ev') && !flags.needsCharging) return 'EV bays are for vehicles that charge';
+  if (categories.includes('reserved')) {
+    if (!flags.reservationCode) return 'reserved bays need a reservation code';
+    if (slot.reservation_code && slot.reservation_code !== flags.reservationCode) return 'reserved for another code';
+  }
+  if (categories.includes('compact') && !COMPACT_VEHICLE_TYPES.includes(vehicle.vehicle_type)) {
+    return `compact bays are too small for a ${vehicle.vehicle_type}`;
+  }
+  return null;
+};
+
+// The driver's needs a bay serves, e.g. ['accessible']
+export const needsServed = (slot, vehicle) => {
+  const categories = categoriesOf(slot);
+  const flags = flagsOf(vehicle);
+  return [
+    flags.reservationCode && categories.includes('reserved') && 'reserved',
+    flags.accessiblePermit && categories.includes('accessible') && 'accessible',
+    flags.needsCharging && categories.includes('ev') && 'ev'
+  ].filter(Boolean);
+};
+
+// Bays serving the most of the driver's needs; all candidates when none serves any.
+// Returns { candidates, served } with the needs those candidates serve.
+export const preferByNeeds = (slots, vehicle) => {
+  const ranked = slots.map(slot => ({ slot, served: needsServed(slot, vehicle) }));
+  const most = Math.max(0, ...ranked.map(entry => entry.served.length));
+  const preferred = ranked.filter(entry => entry.served.length === most);
+  return { candidates: preferred.map(entry => entry.slot), served: most > 0 ? preferred[0].served : [] };
+};
+
+// Category names from the detector's class, for models that label special bays
+export const categoriesFromClass = (className = '') => {
+  const name = className.toLowerCase();
+  return [
+    /handicap|disab|accessib|wheelchair/.test(name) && 'accessible',
+    /\bev\b|electric|charg/.test(name) && 'ev',
+    /reserv/.test(name) && 'reserved',
+    /compact|small/.test(name) && 'compact'
+  ].filter(Boolean);
+};
+
+export const describeFlags = (flags) => [
+  flags.accessiblePermit && 'accessible permit',
+  flags.needsCharging && 'needs charging',
+  flags.reservationCode && `reservation ${flags.reservationCode}`
+].filter(Boolean).join(', ');
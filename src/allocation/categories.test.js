@@ -0,0 +1,31 @@
+import { categoryRefusal, needsServed, preferByNeeds, categoriesFromClass, describeFlags } from './categories';
+
+const bay = (slot_number, categories = [], extra = {}) => ({ slot_number, categories, ...extra });
+const car = (driver_flags) => ({ vehicle_type: 'car', driver_flags });
+
+test('category bays refuse vehicles without the matching need', () => {
+  expect(categoryRefusal(bay(1), car())).toBeNull();
+  expect(categoryRefusal(bay(1, ['accessible']), car())).toBe('accessible bays need a permit');
+  expect(categoryRefusal(bay(1, ['accessible']), car({ accessiblePermit: true }))).toBeNull();
+  expect(categoryRefusal(bay(1, ['reserved'], { reservation_code: 'A1' }), car({ reservationCode: 'B2' }))).toBe('reserved for another code');
+  expect(categoryRefusal(bay(1, ['reserved']), car({ reservationCode: 'B2' }))).toBeNull();
+  expect(categoryRefusal(bay(1, ['compact']), { vehicle_type: 'truck' })).toBe('compact bays are too small for a truck');
+});
+
+test('bays serving the most needs are preferred', () => {
+  const flags = { accessiblePermit: true, needsCharging: true };
+  const bays = [bay(1), bay(2, ['ev']), bay(3, ['accessible', 'ev'])];
+  expect(needsServed(bays[2], car(flags))).toEqual(['accessible', 'ev']);
+  expect(preferByNeeds(bays, car(flags))).toEqual({ candidates: [bays[2]], served: ['accessible', 'ev'] });
+  expect(preferByNeeds(bays, car())).toEqual({ candidates: bays, served: [] });
+});
+
+test('detector classes can name special bays', () => {
+  expect(categoriesFromClass('Handicap-Empty')).toEqual(['accessible']);
+  expect(categoriesFromClass('ev charging spot')).toEqual(['ev']);
+  expect(categoriesFromClass('level-2 empty')).toEqual([]);
+});
+
+test('driver flags read as a short list', () => {
+  expect(describeFlags({ accessiblePermit: true, needsCharging: false, reservationCode: 'R-42' })).toBe('accessible permit, reservation R-42');
+});
@@ -0,0 +1,244 @@
+import { estimateLotScale, fitCandidates } from './size';
+import { categoryRefusal, preferByNeeds, SLOT_CATEGORIES } from './categories';
+
+// Declarative allocation rules. Rules are plain JSON, evaluated in order: the first
+// enabled rule whose conditions match the vehicle and whose constraints leave at least
+// one empty slot the vehicle fits in picks the slot with the highest weighted preference score.
+
+export const RULES_VERSION = 1;
+
+// Size class of each vehicle type, usable in rule conditions
+export const VEHICLE_SIZES = {
+  motorcycle: 'small',
+  car: 'medium',
+  van: 'large',
+  truck: 'large',
+  bus: 'large'
+};
+
+export const VEHICLE_TYPES = Object.keys(VEHICLE_SIZES);
+export const SIZE_CLASSES = ['small', 'medium', 'large'];
+
+// Every factor scores a slot between 0 and 1; distances are normalised over the candidates
+export const PREFERENCE_FACTORS = {
+  near_entrance: { label: 'Near entrance', score: (slot, range) => 1 - range.normalize(slot.distance_from_entrance) },
+  far_from_entrance: { label: 'Far from entrance', score: (slot, range) => range.normalize(slot.distance_from_entrance) },
+  corner: { label: 'Corner', score: (slot) => (slot.is_corner ? 1 : 0) },
+  edge: { label: 'Edge', score: (slot) => (slot.is_edge ? 1 : 0) },
+  middle: { label: 'Middle', score: (slot) => (slot.is_edge ? 0 : 1) }
+};
+
+export const DEFAULT_RULES = [
+  {
+    id: 'large-vehicles',
+    name: 'Large vehicles on corners and edges',
+    enabled: true,
+    when: { sizes: ['large'] },
+    constraints: { edgeOnly: true },
+    preferences: { far_from_entrance: 1 }
+  },
+  {
+    id: 'motorcycles',
+    name: 'Motorcycles furthest from the entrance',
+    enabled: true,
+    when: { vehicleTypes: ['motorcycle'] },
+    constraints: {},
+    preferences: { far_from_entrance: 1 }
+  },
+  {
+    id: 'everyone',
+    name: 'Everyone else closest to the entrance',
+    enabled: true,
+    when: {},
+    constraints: {},
+    preferences: { near_entrance: 1 }
+  }
+];
+
+// Slots carry a zone from the lot template; otherwise blocks between aisles are zones A, B, ...
+export const zoneOf = (slot) => slot.zone || String.fromCharCode(65 + (slot.block || 0));
+
+const minutesOf = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Time windows may wrap past midnight (e.g. 22:00 - 06:00)
+const inTimeWindow = (window, now) => {
+  const current = now.getHours() * 60 + now.getMinutes();
+  const from = minutesOf(window.from);
+  const to = minutesOf(window.to);
+  return from <= to ? current >= from && current < to : current >= from || current < to;
+};
+
+const occupancyOf = (slots) => {
+  if (slots.length === 0) return 0;
+  return (slots.filter(slot => slot.status !== 'empty').length / slots.length) * 100;
+};
+
+const isSet = (list) => Array.isArray(list) && list.length > 0;
+
+export const ruleMatches = (rule, vehicle, { now, occupancy }) => {
+  const when = rule.when || {};
+  const size = VEHICLE_SIZES[vehicle.vehicle_type];
+  if (isSet(when.vehicleTypes) && !when.vehicleTypes.includes(vehicle.vehicle_type)) return false;
+  if (isSet(when.sizes) && !when.sizes.includes(size)) return false;
+  if (when.timeOfDay && !inTimeWindow(when.timeOfDay, now)) return false;
+  if (when.occupancy) {
+    const { min = 0, max = 100 } = when.occupancy;
+    if (occupancy < min || occupancy > max) return false;
+  }
+  return true;
+};
+
+export const applyConstraints = (rule, slots) => {
+  const constraints = rule.constraints || {};
+  return slots.filter(slot => {
+    if (isSet(constraints.zones) && !constraints.zones.includes(zoneOf(slot))) return false;
+    if (constraints.edgeOnly && !slot.is_edge) return false;
+    if (isSet(constraints.reservedRows) && constraints.reservedRows.includes(slot.row + 1)) return false;
+    return true;
+  });
+};
+
+const distanceRange = (slots) => {
+  const distances = slots.map(slot => slot.distance_from_entrance || 0);
+  const min = Math.min(...distances);
+  const max = Math.max(...distances);
+  return { normalize: (value) => (max === min ? 0 : ((value || 0) - min) / (max - min)) };
+};
+
+export const scoreSlot = (rule, slot, range) => {
+  const breakdown = Object.entries(rule.preferences || {})
+    .filter(([factor]) => PREFERENCE_FACTORS[factor])
+    .map(([factor, weight]) => ({ factor, weight, value: PREFERENCE_FACTORS[factor].score(slot, range) }));
+  return { score: breakdown.reduce((sum, part) => sum + part.weight * part.value, 0), breakdown };
+};
+
+// Decide the slot for a vehicle. `slots` is the whole lot (for the occupancy condition and
+// the lot scale estimate), emptySlots carry distance_from_entrance. `scale` is meters per
+// pixel; null skips the size check. Returns { slot, rule, score, breakdown, reason, fit, served }.
+// A vehicle too big for any single bay gets a merged slot listing its span_slots.
+// Category bays (accessible, EV, reserved, compact) are only open to the drivers they are
+// kept for, and a driver's own category bays are tried before the rest (`served` lists them).
+// With avoidUncertain, slots whose detection is uncertain are only tried when no rule can
+// place the vehicle in a certain one.
+export const allocateSlot = (vehicle, emptySlots, { rules = DEFAULT_RULES, slots = emptySlots, now = new Date(), scale, avoidUncertain = false } = {}) => {
+  const context = { now, occupancy: occupancyOf(slots) };
+  const lotScale = scale === undefined ? estimateLotScale(slots) : scale;
+  const open = emptySlots.filter(slot => !categoryRefusal(slot, vehicle));
+  let reason = emptySlots.length === 0
+    ? 'No empty slots'
+    : open.length === 0
+      ? `Every empty slot is kept for another driver (${[...new Set(emptySlots.map(slot => categoryRefusal(slot, vehicle)))].join('; ')})`
+      : 'No rule allows any of the empty slots';
+
+  const certain = open.filter(slot => !slot.uncertain);
+  const pools = avoidUncertain && certain.length > 0 && certain.length < open.length ? [certain, open] : [open];
+
+  for (const pool of pools) {
+    for (const rule of rules) {
+      if (rule.enabled === false || !ruleMatches(rule, vehicle, context)) continue;
+      const allowed = applyConstraints(rule, pool);
+      if (allowed.length === 0) continue;
+
+      const fit = fitCandidates(vehicle, allowed, lotScale);
+      if (fit.candidates.length === 0) {
+        reason = fit.reason;
+        continue;
+      }
+
+      const { candidates, served } = preferByNeeds(fit.candidates, vehicle);
+      const range = distanceRange(candidates);
+      const best = candidates
+        .map(slot => ({ slot, ...scoreSlot(rule, slot, range) }))
+        .reduce((top, candidate) => (candidate.score > top.score ? candidate : top));
+      const needs = served.map(category => SLOT_CATEGORIES[category].label.toLowerCase()).join(' and ');
+      return { ...best, rule, reason: served.length > 0 ? `${rule.name}, ${needs} bay` : rule.name, fit: fit.reason, served };
+    }
+  }
+
+  return { slot: null, rule: null, score: null, breakdown: [], reason, fit: null, served: [] };
+};
+
+// Which slot each vehicle type would get right now, without reserving anything
+export const previewAllocations = (rules, slots, { now = new Date(), vehicleTypes = VEHICLE_TYPES, scale } = {}) => {
+  const emptySlots = slots.filter(slot => slot.status === 'empty');
+  return vehicleTypes.map(vehicleType => ({
+    vehicleType,
+    ...allocateSlot({ vehicle_type: vehicleType }, emptySlots, { rules, slots, now, scale })
+  }));
+};
+
+const isTime = (value) => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+const checkList = (rule, name, list, allowed) => {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) throw new Error(`Rule "${rule}": ${name} must be a list`);
+  const unknown = allowed ? list.filter(value => !allowed.includes(value)) : [];
+  if (unknown.length > 0) throw new Error(`Rule "${rule}": unknown ${name} ${unknown.join(', ')}`);
+  return list;
+};
+
+// Validate and normalise a rule set read from JSON ({ version, rules } or a bare list)
+export const parseRules = (json) => {
+  const list = Array.isArray(json) ? json : json?.rules;
+  if (!Array.isArray(list)) throw new Error('Rules file must contain a "rules" array');
+  if (!Array.isArray(json) && json.version && json.version > RULES_VERSION) {
+    throw new Error(`Rules version ${json.version} is newer than this app supports (${RULES_VERSION})`);
+  }
+
+  return list.map((rule, i) => {
+    const id = String(rule.id ?? `rule-${i + 1}`);
+    const when = rule.when || {};
+    const constraints = rule.constraints || {};
+
+    if (when.timeOfDay && !(isTime(when.timeOfDay.from) && isTime(when.timeOfDay.to))) {
+      throw new Error(`Rule "${id}": timeOfDay needs "from" and "to" as HH:MM`);
+    }
+    if (when.occupancy && [when.occupancy.min, when.occupancy.max].some(v => v !== undefined && typeof v !== 'number')) {
+      throw new Error(`Rule "${id}": occupancy min/max must be percentages`);
+    }
+    const preferences = rule.preferences || {};
+    Object.entries(preferences).forEach(([factor, weight]) => {
+      if (!PREFERENCE_FACTORS[factor]) throw new Error(`Rule "${id}": unknown preference ${factor}`);
+      if (typeof weight !== 'number') throw new Error(`Rule "${id}": weight of ${factor} must be a number`);
+    });
+
+    return {
+      id,
+      name: rule.name || id,
+      enabled: rule.enabled !== false,
+      when: {
+        ...(isSet(when.vehicleTypes) && { vehicleTypes: checkList(id, 'vehicle types', when.vehicleTypes, VEHICLE_TYPES) }),
+        ...(isSet(when.sizes) && { sizes: checkList(id, 'sizes', when.sizes, SIZE_CLASSES) }),
+        ...(when.timeOfDay && { timeOfDay: { from: when.timeOfDay.from, to: when.timeOfDay.to } }),
+        ...(when.occupancy && { occupancy: when.occupancy })
+      },
+      constraints: {
+        ...(isSet(constraints.zones) && { zones: checkList(id, 'zones', constraints.zones).map(String) }),
+        ...(constraints.edgeOnly && { edgeOnly: true }),
+        ...(isSet(constraints.reservedRows) && { reservedRows: checkList(id, 'reserved rows', constraints.reservedRows).map(Number) })
+      },
+      preferences
+    };
+  });
+};
+
+export const serializeRules = (rules) => ({ version: RULES_VERSION, rules });
+
+// Rule sets are saved per lot in localStorage, like the lot's gates
+const storageKey = (lotId) => `smartParking.rules.${lotId}`;
+
+export const loadRules = (lotId) => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(storageKey(lotId)));
+    return saved ? parseRules(saved) : DEFAULT_RULES;
+  } catch (err) {
+    return DEFAULT_RULES;
+  }
+};
+
+export const saveRules = (lotId, rules) => {
+  window.localStorage.setItem(storageKey(lotId), JSON.stringify(serializeRules(rules)));
+};
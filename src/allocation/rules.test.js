@@ -0,0 +1,123 @@
+import { DEFAULT_RULES, allocateSlot, parseRules, previewAllocations } from './rules';
+
+const slot = (slot_number, distance, extra = {}) => ({
+  slot_number,
+  status: 'empty',
+  distance_from_entrance: distance,
+  row: 0,
+  block: 0,
+  is_edge: false,
+  is_corner: false,
+  ...extra
+});
+
+const emptySlots = [
+  slot(1, 300, { is_edge: true, is_corner: true }),
+  slot(2, 100),
+  slot(3, 200, { row: 1, block: 1, is_edge: true }),
+  slot(4, 500, { row: 1, block: 1 })
+];
+
+test('default rules keep the original placement per vehicle type', () => {
+  expect(allocateSlot({ vehicle_type: 'car' }, emptySlots).slot.slot_number).toBe(2);
+  expect(allocateSlot({ vehicle_type: 'motorcycle' }, emptySlots).slot.slot_number).toBe(4);
+  expect(allocateSlot({ vehicle_type: 'bus' }, emptySlots).slot.slot_number).toBe(1);
+});
+
+test('large vehicles fall through to the next rule when no edge slot is free', () => {
+  const middleOnly = [slot(2, 100), slot(4, 500)];
+  const decision = allocateSlot({ vehicle_type: 'truck' }, middleOnly);
+  expect(decision.slot.slot_number).toBe(2);
+  expect(decision.rule.id).toBe('everyone');
+});
+
+test('unknown vehicle types are handled by the catch-all rule instead of crashing', () => {
+  expect(allocateSlot({ vehicle_type: 'tractor' }, emptySlots).slot.slot_number).toBe(2);
+});
+
+test('time of day and occupancy conditions select the rule', () => {
+  const rules = parseRules({
+    version: 1,
+    rules: [
+      { id: 'night', when: { timeOfDay: { from: '22:00', to: '06:00' } }, preferences: { far_from_entrance: 1 } },
+      { id: 'busy', when: { occupancy: { min: 50 } }, constraints: { zones: ['B'] }, preferences: { near_entrance: 1 } },
+      { id: 'rest', preferences: { near_entrance: 1 } }
+    ]
+  });
+  const quiet = [...emptySlots, slot(5, 50, { status: 'occupied' })];
+  const busy = [...emptySlots, ...[5, 6, 7, 8, 9].map(n => slot(n, 50, { status: 'occupied' }))];
+
+  expect(allocateSlot({ vehicle_type: 'car' }, emptySlots, { rules, slots: quiet, now: new Date(2026, 4, 4, 23, 0) }).rule.id).toBe('night');
+  expect(allocateSlot({ vehicle_type: 'car' }, emptySlots, { rules, slots: quiet, now: new Date(2026, 4, 4, 12, 0) }).rule.id).toBe('rest');
+
+  const decision = allocateSlot({ vehicle_type: 'car' }, emptySlots, { rules, slots: busy, now: new Date(2026, 4, 4, 12, 0) });
+  expect(decision.rule.id).toBe('busy');
+  expect(decision.slot.slot_number).toBe(3);
+});
+
+test('weighted preferences trade distance against position', () => {
+  const [rule] = parseRules([
+    { id: 'edge-ish', constraints: { reservedRows: [2] }, preferences: { near_entrance: 1, corner: 2 } }
+  ]);
+  const decision = allocateSlot({ vehicle_type: 'car' }, emptySlots, { rules: [rule] });
+  expect(decision.slot.slot_number).toBe(1);
+  expect(decision.breakdown).toEqual([
+    { factor: 'near_entrance', weight: 1, value: 0 },
+    { factor: 'corner', weight: 2, value: 1 }
+  ]);
+});
+
+test('no slot when every rule excludes the empty slots', () => {
+  const rules = parseRules([{ id: 'vip', constraints: { zones: ['C'] }, preferences: { near_entrance: 1 } }]);
+  expect(allocateSlot({ vehicle_type: 'car' }, emptySlots, { rules })).toMatchObject({ slot: null, rule: null });
+});
+
+test('dry run previews every vehicle type without reserving', () => {
+  const lot = [...emptySlots, slot(9, 10, { status: 'occupied' })];
+  const preview = previewAllocations(DEFAULT_RULES, lot);
+  expect(preview.map(p => [p.vehicleType, p.slot.slot_number])).toEqual([
+    ['motorcycle', 4], ['car', 2], ['van', 1], ['truck', 1], ['bus', 1]
+  ]);
+  expect(lot.every(s => s.status !== 'reserved')).toBe(true);
+});
+
+test('parseRules rejects malformed rule files', () => {
+  expect(() => parseRules({})).toThrow('"rules" array');
+  expect(() => parseRules([{ id: 'a', when: { vehicleTypes: ['tank'] } }])).toThrow('unknown vehicle types tank');
+  expect(() => parseRules([{ id: 'a', when: { timeOfDay: { from: '7am', to: '10:00' } } }])).toThrow('HH:MM');
+  expect(() => parseRules([{ id: 'a', preferences: { shade: 1 } }])).toThrow('unknown preference shade');
+  expect(() => parseRules({ version: 9, rules: [] })).toThrow('newer');
+});
+
+test('category bays are kept for the drivers they serve and offered to them first', () => {
+  const lot = [
+    slot(1, 100, { categories: ['accessible'] }),
+    slot(2, 200, { categories: ['ev'] }),
+    slot(3, 300),
+    slot(4, 400, { categories: ['reserved'], reservation_code: 'R-42' })
+  ];
+
+  expect(allocateSlot({ vehicle_type: 'car' }, lot).slot.slot_number).toBe(3);
+
+  const permit = allocateSlot({ vehicle_type: 'car', driver_flags: { accessiblePermit: true } }, lot);
+  expect(permit.slot.slot_number).toBe(1);
+  expect(permit.served).toEqual(['accessible']);
+  expect(permit.reason).toBe('Everyone else closest to the entrance, accessible bay');
+
+  expect(allocateSlot({ vehicle_type: 'car', driver_flags: { needsCharging: true } }, lot).slot.slot_number).toBe(2);
+  expect(allocateSlot({ vehicle_type: 'car', driver_flags: { reservationCode: 'R-42' } }, lot).slot.slot_number).toBe(4);
+  expect(allocateSlot({ vehicle_type: 'car', driver_flags: { reservationCode: 'R-7' } }, lot).slot.slot_number).toBe(3);
+});
+
+test('a vehicle with only category bays left is refused with the reason', () => {
+  const decision = allocateSlot({ vehicle_type: 'van' }, [slot(1, 100, { categories: ['compact'] }), slot(2, 200, { categories: ['ev'] })]);
+  expect(decision.slot).toBeNull();
+  expect(decision.reason).toBe('Every empty slot is kept for another driver (compact bays are too small for a van; EV bays are for vehicles that charge)');
+});
+
+test('uncertain slots are avoided while a certain one is free', () => {
+  const slots = [slot(2, 100, { uncertain: true }), slot(4, 500)];
+  expect(allocateSlot({ vehicle_type: 'car' }, slots).slot.slot_number).toBe(2);
+  expect(allocateSlot({ vehicle_type: 'car' }, slots, { avoidUncertain: true }).slot.slot_number).toBe(4);
+  expect(allocateSlot({ vehicle_type: 'car' }, slots.slice(0, 1), { avoidUncertain: true }).slot.slot_number).toBe(2);
+});
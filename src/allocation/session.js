@@ -0,0 +1,115 @@
+// Session-level allocation engine: every admitted vehicle reserves its slot so the
+// next one cannot get it, check-in turns the reservation into an occupied slot and
+// release frees it again. All functions are pure and return new session/slot lists.
+
+export const VEHICLE_STATUS = {
+  reserved: 'Reserved',
+  parked: 'Parked',
+  departed: 'Departed',
+  waiting: 'No slot'
+};
+
+export const createSession = () => ({ vehicles: [], nextId: 1 });
+
+// A vehicle spanning several bays holds all of them (span_slots)
+const slotsOf = (vehicle) => vehicle.span_slots || [vehicle.slot_number];
+
+const setSlotStatus = (slots, slotNumbers, status, vehicleId) => slots.map(slot => {
+  if (!slotNumbers.includes(slot.slot_number)) return slot;
+  const { reserved_by, ...rest } = slot;
+  return vehicleId ? { ...rest, status, reserved_by: vehicleId } : { ...rest, status };
+});
+
+const updateVehicle = (session, vehicleId, changes) => ({
+  ...session,
+  vehicles: session.vehicles.map(vehicle => (vehicle.id === vehicleId ? { ...vehicle, ...changes } : vehicle))
+});
+
+// Allocate a slot for an arriving vehicle and reserve it.
+// chooseSlot(vehicle, emptySlots, slots) returns a decision { slot, reason }; the slot is
+// null when the vehicle cannot be placed and may list span_slots for oversized vehicles.
+export const admitVehicle = (session, slots, vehicle, chooseSlot, now = new Date()) => {
+  const id = `V${session.nextId}`;
+  const emptySlots = slots.filter(slot => slot.status === 'empty');
+  const decision = emptySlots.length > 0 ? chooseSlot(vehicle, emptySlots, slots) : { slot: null, reason: 'No empty slots' };
+  const chosen = decision.slot;
+
+  const entry = {
+    id,
+    vehicle_type: vehicle.vehicle_type,
+    confidence: vehicle.confidence,
+    original_class: vehicle.original_class,
+    driver_flags: vehicle.driver_flags || null,
+    slot_number: chosen ? chosen.slot_number : null,
+    span_slots: chosen?.span_slots || null,
+    slot_label: chosen?.label || null,
+    status: chosen ? 'reserved' : 'waiting',
+    reason: decision.reason,
+    arrived_at: now.toISOString(),
+    parked_at: null,
+    departed_at: null
+  };
+
+  return {
+    session: { vehicles: [...session.vehicles, entry], nextId: session.nextId + 1 },
+    slots: chosen ? setSlotStatus(slots, slotsOf(chosen), 'reserved', id) : slots,
+    entry,
+    slot: chosen ? { ...chosen, status: 'reserved', reserved_by: id } : null
+  };
+};
+
+// Admit a batch of vehicles in arrival order
+export const allocateQueue = (session, slots, vehicles, chooseSlot, now = new Date()) =>
+  vehicles.reduce((state, vehicle) => {
+    const result = admitVehicle(state.session, state.slots, vehicle, chooseSlot, now);
+    return { session: result.session, slots: result.slots, entries: [...state.entries, result.entry] };
+  }, { session, slots, entries: [] });
+
+// The reserved slot turned out not to be free (e.g. an uncertain detection the operator checked),
+// or the vehicle was misclassified: the bays in takenSlots become occupied, the rest of the
+// reservation is freed and the vehicle is allocated again, keeping its entry. A vehicle that got
+// no slot can be tried again the same way. `vehicle` is what chooseSlot needs to know about it.
+export const reallocateVehicle = (session, slots, vehicleId, vehicle, chooseSlot, takenSlots = []) => {
+  const entry = session.vehicles.find(v => v.id === vehicleId);
+  if (!entry || !['reserved', 'waiting'].includes(entry.status)) return { session, slots, slot: null };
+
+  const freed = setSlotStatus(setSlotStatus(slots, slotsOf(entry), 'empty'), takenSlots, 'occupied');
+  const emptySlots = freed.filter(slot => slot.status === 'empty');
+  const decision = emptySlots.length > 0 ? chooseSlot(vehicle, emptySlots, freed) : { slot: null, reason: 'No empty slots' };
+  const chosen = decision.slot;
+
+  return {
+    session: updateVehicle(session, vehicleId, {
+      vehicle_type: vehicle.vehicle_type,
+      slot_number: chosen ? chosen.slot_number : null,
+      span_slots: chosen?.span_slots || null,
+      slot_label: chosen?.label || null,
+      status: chosen ? 'reserved' : 'waiting',
+      reason: decision.reason
+    }),
+    slots: chosen ? setSlotStatus(freed, slotsOf(chosen), 'reserved', vehicleId) : freed,
+    slot: chosen ? { ...chosen, status: 'reserved', reserved_by: vehicleId } : null
+  };
+};
+
+// The vehicle reached its slot: the reservation becomes an occupied slot
+export const checkInVehicle = (session, slots, vehicleId, now = new Date()) => {
+  const vehicle = session.vehicles.find(v => v.id === vehicleId);
+  if (!vehicle || vehicle.status !== 'reserved') return { session, slots };
+
+  return {
+    session: updateVehicle(session, vehicleId, { status: 'parked', parked_at: now.toISOString() }),
+    slots: setSlotStatus(slots, slotsOf(vehicle), 'occupied', vehicleId)
+  };
+};
+
+// The vehicle left (or gave up its reservation): free the slot
+export const releaseVehicle = (session, slots, vehicleId, now = new Date()) => {
+  const vehicle = session.vehicles.find(v => v.id === vehicleId);
+  if (!vehicle || vehicle.status === 'departed') return { session, slots };
+
+  return {
+    session: updateVehicle(session, vehicleId, { status: 'departed', departed_at: now.toISOString() }),
+    slots: vehicle.slot_number ? setSlotStatus(slots, slotsOf(vehicle), 'empty') : slots
+  };
+};
@@ -0,0 +1,92 @@
+import { admitVehicle, allocateQueue, checkInVehicle, createSession, reallocateVehicle, releaseVehicle } from './session';
+
+const now = new Date('2026-05-04T08:30:00Z');
+const slots = [
+  { slot_number: 1, status: 'empty' },
+  { slot_number: 2, status: 'occupied' },
+  { slot_number: 3, status: 'empty' }
+];
+const firstEmpty = (vehicle, emptySlots) => ({ slot: emptySlots[0], reason: 'first empty' });
+const car = { vehicle_type: 'car', confidence: 0.9, original_class: 'sedan' };
+
+test('admitting a vehicle reserves its slot', () => {
+  const result = admitVehicle(createSession(), slots, car, firstEmpty, now);
+
+  expect(result.entry).toMatchObject({ id: 'V1', slot_number: 1, status: 'reserved', arrived_at: now.toISOString() });
+  expect(result.slots[0]).toEqual({ slot_number: 1, status: 'reserved', reserved_by: 'V1' });
+  expect(result.slot).toMatchObject({ slot_number: 1, status: 'reserved' });
+  expect(slots[0].status).toBe('empty');
+});
+
+test('a vehicle keeps the driver flags it was admitted with', () => {
+  const flags = { accessiblePermit: true, needsCharging: false, reservationCode: '' };
+  const { session } = allocateQueue(createSession(), slots, [{ ...car, driver_flags: flags }, car], firstEmpty, now);
+
+  expect(session.vehicles.map(entry => entry.driver_flags)).toEqual([flags, null]);
+});
+
+test('a queue never hands out the same slot twice', () => {
+  const { session, slots: after, entries } = allocateQueue(createSession(), slots, [car, car, car], firstEmpty, now);
+
+  expect(entries.map(entry => entry.slot_number)).toEqual([1, 3, null]);
+  expect(entries[2].status).toBe('waiting');
+  expect(session.vehicles).toHaveLength(3);
+  expect(after.filter(slot => slot.status === 'reserved')).toHaveLength(2);
+});
+
+test('check-in occupies the slot and release frees it', () => {
+  const admitted = admitVehicle(createSession(), slots, car, firstEmpty, now);
+  const parked = checkInVehicle(admitted.session, admitted.slots, 'V1', now);
+  expect(parked.slots[0]).toMatchObject({ status: 'occupied', reserved_by: 'V1' });
+  expect(parked.session.vehicles[0]).toMatchObject({ status: 'parked', parked_at: now.toISOString() });
+
+  const left = releaseVehicle(parked.session, parked.slots, 'V1', now);
+  expect(left.slots[0]).toEqual({ slot_number: 1, status: 'empty' });
+  expect(left.session.vehicles[0].status).toBe('departed');
+});
+
+test('check-in only applies to reserved vehicles', () => {
+  const session = createSession();
+  expect(checkInVehicle(session, slots, 'V9')).toEqual({ session, slots });
+});
+
+test('a vehicle spanning several bays reserves, occupies and frees all of them', () => {
+  const lot = [...slots, { slot_number: 4, status: 'empty' }];
+  const span = () => ({ slot: { slot_number: 3, span_slots: [3, 4] }, reason: 'span' });
+  const bus = { vehicle_type: 'bus', confidence: 0.8, original_class: 'bus' };
+
+  const admitted = admitVehicle(createSession(), lot, bus, span, now);
+  expect(admitted.entry).toMatchObject({ slot_number: 3, span_slots: [3, 4], reason: 'span' });
+  expect(admitted.slots.filter(slot => slot.reserved_by === 'V1').map(slot => slot.slot_number)).toEqual([3, 4]);
+
+  const parked = checkInVehicle(admitted.session, admitted.slots, 'V1', now);
+  expect(parked.slots.filter(slot => slot.status === 'occupied').map(slot => slot.slot_number)).toEqual([2, 3, 4]);
+
+  const left = releaseVehicle(parked.session, parked.slots, 'V1', now);
+  expect(left.slots.filter(slot => slot.status === 'empty').map(slot => slot.slot_number)).toEqual([1, 3, 4]);
+});
+
+test('a vehicle whose slot was taken after all is allocated again', () => {
+  const admitted = admitVehicle(createSession(), slots, car, firstEmpty, now);
+  const moved = reallocateVehicle(admitted.session, admitted.slots, 'V1', car, firstEmpty, [1]);
+
+  expect(moved.slots.map(slot => slot.status)).toEqual(['occupied', 'occupied', 'reserved']);
+  expect(moved.slots[0].reserved_by).toBeUndefined();
+  expect(moved.session.vehicles).toEqual([expect.objectContaining({ id: 'V1', slot_number: 3, status: 'reserved' })]);
+  expect(moved.slot).toMatchObject({ slot_number: 3, reserved_by: 'V1' });
+
+  const stuck = reallocateVehicle(moved.session, moved.slots, 'V1', car, firstEmpty, [3]);
+  expect(stuck.slot).toBeNull();
+  expect(stuck.session.vehicles[0]).toMatchObject({ slot_number: null, status: 'waiting', reason: 'No empty slots' });
+});
+
+test('a vehicle corrected to another type is allocated again, even one that got no slot', () => {
+  const full = slots.map(slot => ({ ...slot, status: 'occupied' }));
+  const waiting = admitVehicle(createSession(), full, car, firstEmpty, now);
+  expect(waiting.entry.status).toBe('waiting');
+
+  const truck = { ...car, vehicle_type: 'truck' };
+  const freed = full.map(slot => (slot.slot_number === 3 ? { ...slot, status: 'empty' } : slot));
+  const retried = reallocateVehicle(waiting.session, freed, 'V1', truck, firstEmpty);
+  expect(retried.session.vehicles[0]).toMatchObject({ vehicle_type: 'truck', slot_number: 3, status: 'reserved' });
+});
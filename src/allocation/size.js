@@ -0,0 +1,119 @@
+import { median } from '../routing/geometry';
+
+// Real-world footprints in meters (length x width) used to check that a vehicle fits a slot
+
+export const VEHICLE_FOOTPRINTS = {
+  motorcycle: { length: 2.2, width: 0.9 },
+  car: { length: 4.6, width: 1.9 },
+  van: { length: 5.3, width: 2.1 },
+  truck: { length: 5.4, width: 2.1 },
+  bus: { length: 12.0, width: 2.55 }
+};
+
+// A standard bay, used to estimate the lot scale when none is configured
+export const STANDARD_BAY = { length: 5.0, width: 2.5 };
+
+// Overhang allowed before a vehicle is considered too big for a bay
+const FIT_TOLERANCE = 0.1;
+
+export const vehicleFootprint = (vehicle) => VEHICLE_FOOTPRINTS[vehicle.vehicle_type] || VEHICLE_FOOTPRINTS.car;
+
+// Meters per pixel, assuming the median detected slot is a standard bay
+export const estimateLotScale = (slots) => {
+  const longSides = slots.map(slot => Math.max(slot.width, slot.height)).filter(side => side > 0);
+  if (longSides.length === 0) return null;
+  return STANDARD_BAY.length / median(longSides);
+};
+
+export const slotFootprint = (slot, scale) => ({
+  length: Math.max(slot.width, slot.height) * scale,
+  width: Math.min(slot.width, slot.height) * scale
+});
+
+export const fitsFootprint = (vehicle, space) =>
+  vehicle.length <= space.length * (1 + FIT_TOLERANCE) && vehicle.width <= space.width * (1 + FIT_TOLERANCE);
+
+export const formatFootprint = ({ length, width }) => `${length.toFixed(1)} × ${width.toFixed(1)} m`;
+
+// Merge a run of side-by-side slots into one candidate the allocator can score and reserve
+export const mergeSlots = (run) => {
+  const left = Math.min(...run.map(slot => slot.x - slot.width / 2));
+  const right = Math.max(...run.map(slot => slot.x + slot.width / 2));
+  const top = Math.min(...run.map(slot => slot.y - slot.height / 2));
+  const bottom = Math.max(...run.map(slot => slot.y + slot.height / 2));
+  const nearest = run.reduce((best, slot) =>
+    (slot.distance_from_entrance < best.distance_from_entrance ? slot : best)
+  );
+
+  return {
+    ...run[0],
+    x: (left + right) / 2,
+    y: (top + bottom) / 2,
+    width: right - left,
+    height: bottom - top,
+    distance_from_entrance: nearest.distance_from_entrance,
+    nearest_entrance: nearest.nearest_entrance,
+    is_edge: run.some(slot => slot.is_edge),
+    is_corner: run.some(slot => slot.is_corner),
+    span_slots: run.map(slot => slot.slot_number)
+  };
+};
+
+// Runs of consecutive empty slots in the same row and block
+const adjacentRuns = (slots) => {
+  const groups = new Map();
+  slots.forEach(slot => {
+    const key = `${slot.row}:${slot.block || 0}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(slot);
+  });
+
+  const runs = [];
+  groups.forEach(group => {
+    const sorted = [...group].sort((a, b) => a.col - b.col);
+    let run = [sorted[0]];
+    sorted.slice(1).forEach(slot => {
+      if (slot.col === run[run.length - 1].col + 1) {
+        run.push(slot);
+      } else {
+        runs.push(run);
+        run = [slot];
+      }
+    });
+    runs.push(run);
+  });
+  return runs;
+};
+
+// Bays in a row sit side by side, so spanning n of them widens the space across the row
+const spanFootprint = (run, scale) => {
+  const across = run.reduce((sum, slot) => sum + slotFootprint(slot, scale).width, 0);
+  const depth = Math.min(...run.map(slot => slotFootprint(slot, scale).length));
+  return { length: Math.max(across, depth), width: Math.min(across, depth) };
+};
+
+// Candidates the vehicle fits in: single slots when any fit, else the smallest spans of
+// adjacent empty slots. Returns { candidates, reason } with a human readable explanation.
+export const fitCandidates = (vehicle, emptySlots, scale) => {
+  const needed = vehicleFootprint(vehicle);
+  const label = `${vehicle.vehicle_type} (${formatFootprint(needed)})`;
+  if (!scale) return { candidates: emptySlots, reason: 'Lot scale unknown, size not checked' };
+
+  const singles = emptySlots.filter(slot => fitsFootprint(needed, slotFootprint(slot, scale)));
+  if (singles.length > 0) {
+    return { candidates: singles, reason: `Fits a single bay: ${label}` };
+  }
+
+  const runs = adjacentRuns(emptySlots);
+  const longest = Math.max(0, ...runs.map(run => run.length));
+  for (let count = 2; count <= longest; count++) {
+    const spans = runs.flatMap(run =>
+      run.slice(0, run.length - count + 1).map((slot, i) => run.slice(i, i + count))
+    ).filter(span => fitsFootprint(needed, spanFootprint(span, scale)));
+    if (spans.length > 0) {
+      return { candidates: spans.map(mergeSlots), reason: `Spans ${count} adjacent bays: ${label} does not fit a single bay` };
+    }
+  }
+
+  return { candidates: [], reason: `A ${label} does not fit any empty bay or run of adjacent empty bays` };
+};
@@ -0,0 +1,55 @@
+import { estimateLotScale, fitCandidates, slotFootprint } from './size';
+import { allocateSlot } from './rules';
+
+// Bays 50 px wide and 100 px deep: a 5 x 2.5 m standard bay at 0.05 m/px
+const bay = (slot_number, col, extra = {}) => ({
+  slot_number,
+  status: 'empty',
+  x: 25 + col * 50,
+  y: 50,
+  width: 50,
+  height: 100,
+  row: 0,
+  col,
+  block: 0,
+  distance_from_entrance: col * 50,
+  ...extra
+});
+
+const row = [0, 1, 2, 3, 4, 5].map(col => bay(col + 1, col));
+
+test('estimates the lot scale from the median bay', () => {
+  expect(estimateLotScale(row)).toBeCloseTo(0.05);
+  expect(slotFootprint(row[0], 0.05)).toEqual({ length: 5, width: 2.5 });
+});
+
+test('vehicles that fit a bay get single slots', () => {
+  const fit = fitCandidates({ vehicle_type: 'van' }, row, 0.05);
+  expect(fit.candidates).toHaveLength(6);
+  expect(fit.reason).toBe('Fits a single bay: van (5.3 × 2.1 m)');
+});
+
+test('a vehicle too long for one bay spans the fewest adjacent empty bays', () => {
+  const fit = fitCandidates({ vehicle_type: 'bus' }, row, 0.05);
+  expect(fit.candidates.map(slot => slot.span_slots)).toEqual([[1, 2, 3, 4, 5], [2, 3, 4, 5, 6]]);
+  expect(fit.candidates[0]).toMatchObject({ slot_number: 1, x: 125, width: 250, distance_from_entrance: 0 });
+  expect(fit.reason).toMatch(/^Spans 5 adjacent bays/);
+});
+
+test('gaps between empty bays break a span', () => {
+  const broken = row.filter(slot => slot.slot_number !== 3);
+  expect(fitCandidates({ vehicle_type: 'bus' }, broken, 0.05).candidates).toEqual([]);
+});
+
+test('allocation refuses when a vehicle fits nowhere', () => {
+  const smallBays = row.slice(0, 1).map(slot => ({ ...slot, height: 50 }));
+  const decision = allocateSlot({ vehicle_type: 'car' }, smallBays, { scale: 0.05 });
+  expect(decision.slot).toBeNull();
+  expect(decision.reason).toBe('A car (4.6 × 1.9 m) does not fit any empty bay or run of adjacent empty bays');
+});
+
+test('allocation scores spans like single slots', () => {
+  const decision = allocateSlot({ vehicle_type: 'bus' }, row, { scale: 0.05 });
+  expect(decision.slot.span_slots).toEqual([1, 2, 3, 4, 5]);
+  expect(decision.fit).toMatch(/^Spans 5/);
+});
@@ -0,0 +1,118 @@
+// Occupancy analytics of a lot over time, from its stored detection snapshots
+// ({ taken_at, slots: [{ slot_number, label, status, x, y, width, height }] }) and the
+// vehicles of its saved sessions (arrived_at, parked_at, departed_at, slot_number, vehicle_type).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const byTime = (a, b) => a.taken_at.localeCompare(b.taken_at);
+
+// Bays a fixed template could not see in a detection say nothing about occupancy
+const observedSlots = (snapshot) => snapshot.slots.filter(slot => slot.status !== 'unknown');
+
+const isTaken = (slot) => slot.status !== 'empty';
+
+// Whether a timestamp falls in a range of local days from date inputs ('YYYY-MM-DD', either may be empty)
+export const inDateRange = (iso, { from, to }) => {
+  const time = new Date(iso).getTime();
+  if (from && time < new Date(`${from}T00:00:00`).getTime()) return false;
+  if (to && time >= new Date(`${to}T00:00:00`).getTime() + DAY_MS) return false;
+  return true;
+};
+
+// Occupied and empty slots per snapshot, oldest first; rate is the occupied share
+export const occupancySeries = (snapshots) => [...snapshots].sort(byTime).map(snapshot => {
+  const slots = observedSlots(snapshot);
+  const occupied = slots.filter(isTaken).length;
+  return {
+    time: snapshot.taken_at,
+    occupied,
+    empty: slots.length - occupied,
+    total: slots.length,
+    rate: slots.length > 0 ? occupied / slots.length : 0
+  };
+});
+
+// Mean occupancy rate for each hour of the day (local time); null for hours never seen
+export const occupancyByHour = (series) => Array.from({ length: 24 }, (_, hour) => {
+  const samples = series.filter(point => new Date(point.time).getHours() === hour);
+  return { hour, samples: samples.length, rate: samples.length > 0 ? mean(samples.map(point => point.rate)) : null };
+});
+
+export const peakHours = (byHour, count = 3) => byHour
+  .filter(entry => entry.samples > 0)
+  .sort((a, b) => b.rate - a.rate || a.hour - b.hour)
+  .slice(0, count);
+
+// How often each slot was seen taken, with its latest box and label for the heatmap
+export const slotUsage = (snapshots) => {
+  const usage = {};
+  [...snapshots].sort(byTime).forEach(snapshot => observedSlots(snapshot).forEach(slot => {
+    const entry = usage[slot.slot_number] || { samples: 0, occupied: 0 };
+    usage[slot.slot_number] = {
+      ...slot,
+      samples: entry.samples + 1,
+      occupied: entry.occupied + (isTaken(slot) ? 1 : 0)
+    };
+  }));
+  return Object.values(usage)
+    .map(({ status, ...entry }) => ({ ...entry, rate: entry.occupied / entry.samples }))
+    .sort((a, b) => a.slot_number - b.slot_number);
+};
+
+// Sessions list their vehicles newest first; a vehicle copied into a duplicated session is counted once
+export const uniqueVehicles = (sessions) => {
+  const vehicles = new Map();
+  sessions.forEach(session => (session.vehicles || []).forEach(vehicle => {
+    const key = `${vehicle.id}@${vehicle.arrived_at}`;
+    if (!vehicles.has(key)) vehicles.set(key, vehicle);
+  }));
+  return [...vehicles.values()];
+};
+
+// Mean completed stay per slot, from check-in (or arrival when never checked in) to departure,
+// longest first. A vehicle spanning several bays counts for each of them.
+export const dwellBySlot = (vehicles) => {
+  const stays = {};
+  vehicles.filter(vehicle => vehicle.departed_at && vehicle.slot_number).forEach(vehicle => {
+    const duration = new Date(vehicle.departed_at) - new Date(vehicle.parked_at || vehicle.arrived_at);
+    (vehicle.span_slots || [vehicle.slot_number]).forEach(slotNumber => {
+      const entry = stays[slotNumber] || { slot_number: slotNumber, label: '', stays: 0, total: 0 };
+      stays[slotNumber] = {
+        ...entry,
+        label: slotNumber === vehicle.slot_number && vehicle.slot_label ? vehicle.slot_label : entry.label,
+        stays: entry.stays + 1,
+        total: entry.total + duration
+      };
+    });
+  });
+  return Object.values(stays)
+    .map(({ total, ...entry }) => ({ ...entry, average_ms: total / entry.stays }))
+    .sort((a, b) => b.average_ms - a.average_ms || a.slot_number - b.slot_number);
+};
+
+// Vehicles allocated a slot per type, and those turned away without one
+export const allocationsByType = (vehicles) => {
+  const types = {};
+  vehicles.forEach(vehicle => {
+    const entry = types[vehicle.vehicle_type] || { vehicle_type: vehicle.vehicle_type, allocated: 0, refused: 0 };
+    types[vehicle.vehicle_type] = vehicle.slot_number
+      ? { ...entry, allocated: entry.allocated + 1 }
+      : { ...entry, refused: entry.refused + 1 };
+  });
+  return Object.values(types).sort((a, b) => b.allocated - a.allocated || a.vehicle_type.localeCompare(b.vehicle_type));
+};
+
+export const formatDwell = (ms) => {
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest === 0 ? `${hours} h` : `${hours} h ${rest} min`;
+};
+
+export const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+// Heatmap color from green (rarely taken) to red (always taken)
+export const usageColor = (rate) => `hsl(${Math.round(140 * (1 - rate))}, 80%, 45%)`;
@@ -0,0 +1,71 @@
+import {
+  inDateRange, occupancySeries, occupancyByHour, peakHours, slotUsage, uniqueVehicles, dwellBySlot, allocationsByType, formatDwell
+} from './occupancy';
+
+// Local times, so hours of the day do not depend on the machine's time zone
+const at = (day, hour, minute = 0) => new Date(2026, 2, day, hour, minute).toISOString();
+
+const box = { x: 10, y: 10, width: 10, height: 20 };
+const snapshot = (takenAt, statuses) => ({
+  taken_at: takenAt,
+  slots: statuses.map((status, i) => ({ ...box, x: 10 + i * 20, slot_number: i + 1, label: '', status }))
+});
+
+const snapshots = [
+  snapshot(at(2, 17), ['occupied', 'occupied', 'empty', 'unknown']),
+  snapshot(at(1, 8), ['empty', 'empty', 'empty', 'empty']),
+  snapshot(at(1, 17, 30), ['occupied', 'reserved', 'occupied', 'occupied'])
+];
+
+test('occupancy series is ordered by time and ignores unseen bays', () => {
+  expect(occupancySeries(snapshots).map(point => [point.occupied, point.total])).toEqual([[0, 4], [4, 4], [2, 3]]);
+});
+
+test('hours of the day are averaged and ranked for the peak', () => {
+  const byHour = occupancyByHour(occupancySeries(snapshots));
+  expect(byHour[17]).toEqual({ hour: 17, samples: 2, rate: (1 + 2 / 3) / 2 });
+  expect(byHour[3]).toEqual({ hour: 3, samples: 0, rate: null });
+  expect(peakHours(byHour).map(entry => entry.hour)).toEqual([17, 8]);
+});
+
+test('slot usage counts how often each slot was taken', () => {
+  const usage = slotUsage(snapshots);
+  expect(usage.map(slot => [slot.slot_number, slot.occupied, slot.samples])).toEqual([[1, 2, 3], [2, 2, 3], [3, 1, 3], [4, 1, 2]]);
+  expect(usage[0]).toMatchObject({ x: 10, width: 10, rate: 2 / 3 });
+});
+
+test('date ranges cover whole local days', () => {
+  expect(inDateRange(at(1, 23, 59), { from: '2026-03-01', to: '2026-03-01' })).toBe(true);
+  expect(inDateRange(at(2, 0, 0), { from: '', to: '2026-03-01' })).toBe(false);
+  expect(inDateRange(at(1, 8), { from: '2026-03-02', to: '' })).toBe(false);
+  expect(inDateRange(at(1, 8), { from: '', to: '' })).toBe(true);
+});
+
+test('stays are averaged per slot from check-in to departure', () => {
+  const vehicles = [
+    { id: 'V1', vehicle_type: 'car', slot_number: 3, slot_label: 'A-03', arrived_at: at(1, 8), parked_at: at(1, 8, 5), departed_at: at(1, 10, 5) },
+    { id: 'V2', vehicle_type: 'car', slot_number: 3, arrived_at: at(1, 11), parked_at: null, departed_at: at(1, 12) },
+    { id: 'V3', vehicle_type: 'bus', slot_number: 5, span_slots: [5, 6], arrived_at: at(1, 9), parked_at: at(1, 9), departed_at: at(1, 9, 30) },
+    { id: 'V4', vehicle_type: 'car', slot_number: 7, arrived_at: at(1, 9), parked_at: at(1, 9), departed_at: null }
+  ];
+  expect(dwellBySlot(vehicles)).toEqual([
+    { slot_number: 3, label: 'A-03', stays: 2, average_ms: 90 * 60000 },
+    { slot_number: 5, label: '', stays: 1, average_ms: 30 * 60000 },
+    { slot_number: 6, label: '', stays: 1, average_ms: 30 * 60000 }
+  ]);
+  expect(formatDwell(90 * 60000)).toBe('1 h 30 min');
+  expect(formatDwell(120 * 60000)).toBe('2 h');
+  expect(formatDwell(20000)).toBe('1 min');
+});
+
+test('allocations split by vehicle type, counting duplicated sessions once', () => {
+  const vehicle = { id: 'V1', vehicle_type: 'car', slot_number: 1, arrived_at: at(1, 8) };
+  const sessions = [
+    { vehicles: [vehicle, { id: 'V2', vehicle_type: 'truck', slot_number: null, arrived_at: at(1, 9) }] },
+    { vehicles: [vehicle, { id: 'V2', vehicle_type: 'car', slot_number: 4, arrived_at: at(2, 9) }] }
+  ];
+  expect(allocationsByType(uniqueVehicles(sessions))).toEqual([
+    { vehicle_type: 'car', allocated: 2, refused: 0 },
+    { vehicle_type: 'truck', allocated: 0, refused: 1 }
+  ]);
+});
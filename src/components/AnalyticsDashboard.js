@@ -0,0 +1,256 @@
+import React, { useState } from 'react';
+import { BarChart3, RefreshCw } from 'lucide-react';
+import { SLOT_STATUS_COLORS } from './LotOverlay';
+import { slotName } from '../lot/template';
+import {
+  inDateRange, occupancySeries, occupancyByHour, peakHours, slotUsage, uniqueVehicles, dwellBySlot, allocationsByType,
+  formatDwell, formatHour, usageColor
+} from '../analytics/occupancy';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 120;
+const DWELL_ROWS = 10;
+const ALLOCATED_COLOR = '#3b82f6';
+
+const smallButtonStyle = {
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  padding: '6px 12px',
+  borderRadius: '6px',
+  fontSize: '13px',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px'
+};
+
+const fieldStyle = {
+  padding: '6px 8px',
+  borderRadius: '6px',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  fontSize: '13px'
+};
+
+const chartStyle = { width: '100%', height: `${CHART_HEIGHT}px`, background: 'rgba(255, 255, 255, 0.05)', borderRadius: '8px' };
+const headingStyle = { color: 'white', fontSize: '1rem', margin: '16px 0 8px' };
+const percent = (rate) => `${Math.round(rate * 100)}%`;
+
+// Occupancy rate of every stored detection, placed by its time
+const OccupancyHistoryChart = ({ series }) => {
+  const start = new Date(series[0].time).getTime();
+  const span = new Date(series[series.length - 1].time).getTime() - start;
+  const x = (point) => (span > 0 ? ((new Date(point.time).getTime() - start) / span) * CHART_WIDTH : CHART_WIDTH / 2);
+  const y = (point) => CHART_HEIGHT - point.rate * CHART_HEIGHT;
+
+  return (
+    <svg data-testid="occupancy-history-chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none" style={chartStyle}>
+      <polyline
+        points={series.map(point => `${x(point)},${y(point)}`).join(' ')}
+        fill="none"
+        stroke={SLOT_STATUS_COLORS.occupied}
+        strokeWidth="2"
+        vectorEffect="non-scaling-stroke"
+      />
+      {series.map((point, i) => (
+        <circle key={i} cx={x(point)} cy={y(point)} r="3" fill={SLOT_STATUS_COLORS.occupied}>
+          <title>{`${new Date(point.time).toLocaleString()}: ${point.occupied}/${point.total} occupied`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+// Mean occupancy per hour of the day; hours without detections are left empty
+const HourChart = ({ byHour }) => {
+  const barWidth = CHART_WIDTH / 24;
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none" style={chartStyle}>
+      {byHour.filter(entry => entry.samples > 0).map(entry => (
+        <rect
+          key={entry.hour}
+          data-testid="hour-bar"
+          x={entry.hour * barWidth + 2}
+          y={CHART_HEIGHT - entry.rate * CHART_HEIGHT}
+          width={barWidth - 4}
+          height={entry.rate * CHART_HEIGHT}
+          fill={usageColor(entry.rate)}
+        >
+          <title>{`${formatHour(entry.hour)}: ${percent(entry.rate)} occupied over ${entry.samples} detections`}</title>
+        </rect>
+      ))}
+    </svg>
+  );
+};
+
+// Each slot's box over the lot, colored by how often it was taken
+const UsageHeatmap = ({ usage, image, imageSize }) => {
+  const width = imageSize?.width || Math.max(...usage.map(slot => slot.x + slot.width / 2));
+  const height = imageSize?.height || Math.max(...usage.map(slot => slot.y + slot.height / 2));
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} style={{ width: '100%', background: 'rgba(255, 255, 255, 0.05)', borderRadius: '8px' }}>
+      {image && <image href={image} x="0" y="0" width={width} height={height} opacity="0.6" />}
+      {usage.map(slot => (
+        <rect
+          key={slot.slot_number}
+          data-testid={`usage-slot-${slot.slot_number}`}
+          x={slot.x - slot.width / 2}
+          y={slot.y - slot.height / 2}
+          width={slot.width}
+          height={slot.height}
+          fill={usageColor(slot.rate)}
+          fillOpacity="0.6"
+          stroke={usageColor(slot.rate)}
+          strokeWidth="2"
+          vectorEffect="non-scaling-stroke"
+        >
+          <title>{`Slot ${slotName(slot)}: taken in ${slot.occupied} of ${slot.samples} detections (${percent(slot.rate)})`}</title>
+        </rect>
+      ))}
+    </svg>
+  );
+};
+
+// Occupancy of the lot over time from its stored detections, and how its saved sessions
+// used it: stays per slot and allocations per vehicle type, filtered by date
+const AnalyticsDashboard = ({ historyStore, sessionStore, lotId, image }) => {
+  const [open, setOpen] = useState(false);
+  const [data, setData] = useState(null);
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [error, setError] = useState('');
+
+  const load = async () => {
+    try {
+      const [snapshots, sessions] = await Promise.all([historyStore.list(lotId), sessionStore.list()]);
+      setData({ lotId, snapshots, sessions: sessions.filter(session => session.summary.lotId === lotId) });
+      setError('');
+    } catch (err) {
+      setError(`Could not read the stored history: ${err.message}`);
+    }
+  };
+
+  const toggle = () => {
+    if (!open) load();
+    setOpen(!open);
+  };
+
+  const snapshots = (data?.snapshots || []).filter(snapshot => inDateRange(snapshot.taken_at, range));
+  const vehicles = uniqueVehicles(data?.sessions || []).filter(vehicle => inDateRange(vehicle.arrived_at, range));
+  const series = occupancySeries(snapshots);
+  const byHour = occupancyByHour(series);
+  const peaks = peakHours(byHour);
+  const usage = slotUsage(snapshots);
+  const dwell = dwellBySlot(vehicles);
+  const allocations = allocationsByType(vehicles);
+  const mostAllocated = Math.max(1, ...allocations.map(entry => entry.allocated + entry.refused));
+  const latest = snapshots.length > 0 ? [...snapshots].sort((a, b) => b.taken_at.localeCompare(a.taken_at))[0] : null;
+
+  return (
+    <div style={{ color: '#94a3b8', fontSize: '13px' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px' }}>
+        <button style={smallButtonStyle} onClick={toggle}>
+          <BarChart3 size={14} />
+          {open ? 'Hide analytics' : 'Show analytics'}
+        </button>
+        {open && (
+          <>
+            <button style={smallButtonStyle} onClick={load} title="Reload the stored history">
+              <RefreshCw size={14} />
+            </button>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              From
+              <input type="date" aria-label="From date" value={range.from} onChange={(e) => setRange({ ...range, from: e.target.value })} style={fieldStyle} />
+            </label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              To
+              <input type="date" aria-label="To date" value={range.to} onChange={(e) => setRange({ ...range, to: e.target.value })} style={fieldStyle} />
+            </label>
+          </>
+        )}
+        {error && <span style={{ color: '#ef4444' }}>{error}</span>}
+      </div>
+
+      {open && data && data.lotId !== lotId && <p style={{ marginTop: '12px' }}>Showing lot {data.lotId}: refresh for lot {lotId}</p>}
+      {open && data && snapshots.length === 0 && vehicles.length === 0 && (
+        <p style={{ marginTop: '12px' }}>No detections or vehicles stored for lot {data.lotId} in this range</p>
+      )}
+
+      {open && series.length > 0 && (
+        <>
+          <h3 style={headingStyle}>Occupancy over time</h3>
+          <p style={{ marginBottom: '8px' }}>
+            {series.length} detections from {new Date(series[0].time).toLocaleString()} to {new Date(series[series.length - 1].time).toLocaleString()}
+            {' '}· {percent(series.reduce((sum, point) => sum + point.rate, 0) / series.length)} occupied on average
+          </p>
+          <OccupancyHistoryChart series={series} />
+
+          <h3 style={headingStyle}>Peak hours</h3>
+          <p style={{ marginBottom: '8px' }}>
+            Busiest: {peaks.map(entry => `${formatHour(entry.hour)} (${percent(entry.rate)})`).join(', ')}
+          </p>
+          <HourChart byHour={byHour} />
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', marginTop: '4px' }}>
+            <span>00:00</span>
+            <span>12:00</span>
+            <span>23:00</span>
+          </div>
+
+          <h3 style={headingStyle}>Slot usage</h3>
+          <UsageHeatmap usage={usage} image={image} imageSize={latest.image_size} />
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '12px', marginTop: '4px' }}>
+            Rarely taken
+            <span style={{ width: '120px', height: '10px', borderRadius: '5px', background: `linear-gradient(90deg, ${usageColor(0)}, ${usageColor(0.5)}, ${usageColor(1)})` }}></span>
+            Always taken
+          </div>
+        </>
+      )}
+
+      {open && dwell.length > 0 && (
+        <>
+          <h3 style={headingStyle}>Average stay per slot</h3>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ color: 'white', textAlign: 'left' }}>
+                <th style={{ padding: '4px 8px' }}>Slot</th>
+                <th style={{ padding: '4px 8px' }}>Completed stays</th>
+                <th style={{ padding: '4px 8px' }}>Average stay</th>
+              </tr>
+            </thead>
+            <tbody>
+              {dwell.slice(0, DWELL_ROWS).map(entry => (
+                <tr key={entry.slot_number}>
+                  <td style={{ padding: '4px 8px' }}>{slotName(entry)}</td>
+                  <td style={{ padding: '4px 8px' }}>{entry.stays}</td>
+                  <td style={{ padding: '4px 8px' }}>{formatDwell(entry.average_ms)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {dwell.length > DWELL_ROWS && <p style={{ marginTop: '4px' }}>{dwell.length - DWELL_ROWS} more slots with shorter stays</p>}
+        </>
+      )}
+
+      {open && allocations.length > 0 && (
+        <>
+          <h3 style={headingStyle}>Allocations by vehicle type</h3>
+          {allocations.map(entry => (
+            <div key={entry.vehicle_type} data-testid="allocation-type" style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' }}>
+              <span style={{ minWidth: '90px', color: 'white', textTransform: 'capitalize' }}>{entry.vehicle_type}</span>
+              <span style={{ flex: 1, display: 'flex', height: '10px', borderRadius: '5px', overflow: 'hidden', background: 'rgba(255, 255, 255, 0.05)' }}>
+                <span style={{ width: `${(entry.allocated / mostAllocated) * 100}%`, background: ALLOCATED_COLOR }}></span>
+                <span style={{ width: `${(entry.refused / mostAllocated) * 100}%`, background: SLOT_STATUS_COLORS.occupied }}></span>
+              </span>
+              <span style={{ minWidth: '160px' }}>
+                {entry.allocated} allocated{entry.refused > 0 && `, ${entry.refused} without a slot`}
+              </span>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AnalyticsDashboard;
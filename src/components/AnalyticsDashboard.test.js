@@ -0,0 +1,57 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import AnalyticsDashboard from './AnalyticsDashboard';
+import { createMemoryHistoryStore, createDetectionSnapshot } from '../storage/detectionHistory';
+import { createMemorySessionStore, createSessionRecord } from '../storage/savedSessions';
+
+const at = (day, hour) => new Date(2026, 2, day, hour);
+const slots = (...statuses) => statuses.map((status, i) => ({ slot_number: i + 1, label: '', status, x: 20 + i * 40, y: 50, width: 30, height: 60 }));
+
+const stores = async () => {
+  const historyStore = createMemoryHistoryStore();
+  const detect = (day, hour, statuses) => historyStore.add(
+    createDetectionSnapshot({ lotId: 'north-lot', sessionId: 'a', source: 'detection', slots: statuses, imageSize: { width: 200, height: 100 } }, at(day, hour))
+  );
+  await detect(1, 8, slots('empty', 'empty'));
+  await detect(1, 17, slots('occupied', 'empty'));
+  await detect(3, 17, slots('occupied', 'occupied'));
+
+  const sessionStore = createMemorySessionStore();
+  await sessionStore.put(createSessionRecord({ id: 'a', name: 'Morning', created_at: at(1, 8).toISOString() }, {
+    currentStep: 2,
+    lotId: 'north-lot',
+    detectedSlots: [],
+    parkingSession: {
+      nextId: 3,
+      vehicles: [
+        { id: 'V1', vehicle_type: 'car', slot_number: 1, arrived_at: at(1, 8).toISOString(), parked_at: at(1, 8).toISOString(), departed_at: at(1, 10).toISOString() },
+        { id: 'V2', vehicle_type: 'bus', slot_number: null, arrived_at: at(3, 9).toISOString() }
+      ]
+    }
+  }));
+  return { historyStore, sessionStore };
+};
+
+test('shows occupancy, peak hours, slot usage, stays and allocations', async () => {
+  render(<AnalyticsDashboard {...await stores()} lotId="north-lot" image={null} />);
+  fireEvent.click(screen.getByText('Show analytics'));
+
+  expect(await screen.findByText(/3 detections from/)).toBeInTheDocument();
+  expect(screen.getByText('Busiest: 17:00 (75%), 08:00 (0%)')).toBeInTheDocument();
+  expect(screen.getAllByTestId('hour-bar')).toHaveLength(2);
+  expect(screen.getByTestId('usage-slot-1')).toHaveTextContent('Slot 1: taken in 2 of 3 detections (67%)');
+  expect(screen.getByText('2 h')).toBeInTheDocument();
+  expect(screen.getAllByTestId('allocation-type').map(row => row.textContent)).toEqual(['car1 allocated', 'bus0 allocated, 1 without a slot']);
+});
+
+test('filters by date range', async () => {
+  render(<AnalyticsDashboard {...await stores()} lotId="north-lot" image={null} />);
+  fireEvent.click(screen.getByText('Show analytics'));
+  await screen.findByText(/3 detections from/);
+
+  fireEvent.change(screen.getByLabelText('From date'), { target: { value: '2026-03-02' } });
+  expect(screen.getByText(/1 detections from/)).toBeInTheDocument();
+  expect(screen.getAllByTestId('allocation-type')).toHaveLength(1);
+
+  fireEvent.change(screen.getByLabelText('To date'), { target: { value: '2026-03-02' } });
+  expect(screen.getByText('No detections or vehicles stored for lot north-lot in this range')).toBeInTheDocument();
+});
@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import { Ruler, Grid, X } from 'lucide-react';
+import LotOverlay from './LotOverlay';
+import { calibrateFromLength, calibrateFromRectangle, describeCalibration } from '../lot/calibration';
+import { STANDARD_BAY } from '../allocation/size';
+
+const MARK_COLOR = '#22d3ee';
+
+const POINTS_NEEDED = { length: 2, rectangle: 4 };
+const CORNER_NAMES = ['top-left', 'top-right', 'bottom-right', 'bottom-left'];
+
+const smallButtonStyle = {
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  padding: '6px 12px',
+  borderRadius: '6px',
+  fontSize: '13px',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px'
+};
+
+const fieldStyle = {
+  padding: '6px 8px',
+  borderRadius: '6px',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  fontSize: '13px',
+  width: '70px'
+};
+
+// Operator marks a known length (e.g. one bay) or the corners of a known rectangle on the lot image
+const CalibrationTool = ({ image, imageSize, slots, calibration, activeCalibration, onCalibrationChange }) => {
+  const [mode, setMode] = useState(null);
+  const [points, setPoints] = useState([]);
+  const [meters, setMeters] = useState(String(STANDARD_BAY.length));
+  const [rectangle, setRectangle] = useState({ width: String(STANDARD_BAY.width), height: String(STANDARD_BAY.length) });
+  const [calibrationError, setCalibrationError] = useState('');
+
+  const startMode = (nextMode) => {
+    setMode(mode === nextMode ? null : nextMode);
+    setPoints([]);
+    setCalibrationError('');
+  };
+
+  const handleImageClick = (point) => {
+    if (points.length < POINTS_NEEDED[mode]) setPoints([...points, point]);
+  };
+
+  const applyCalibration = () => {
+    try {
+      onCalibrationChange(mode === 'length'
+        ? calibrateFromLength(points[0], points[1], Number(meters))
+        : calibrateFromRectangle(points, Number(rectangle.width), Number(rectangle.height)));
+      setMode(null);
+      setPoints([]);
+      setCalibrationError('');
+    } catch (err) {
+      setCalibrationError(err.message);
+    }
+  };
+
+  const shownPoints = mode ? points : calibration?.points || [];
+  const complete = mode && points.length === POINTS_NEEDED[mode];
+
+  return (
+    <div style={{ color: '#94a3b8', fontSize: '13px' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', marginBottom: '12px' }}>
+        <span>{describeCalibration(activeCalibration)}</span>
+        <button style={{ ...smallButtonStyle, borderColor: mode === 'length' ? MARK_COLOR : smallButtonStyle.border }} onClick={() => startMode('length')}>
+          <Ruler size={14} />
+          Known length
+        </button>
+        <button style={{ ...smallButtonStyle, borderColor: mode === 'rectangle' ? MARK_COLOR : smallButtonStyle.border }} onClick={() => startMode('rectangle')}>
+          <Grid size={14} />
+          Four reference points
+        </button>
+        {calibration && (
+          <button style={smallButtonStyle} onClick={() => onCalibrationChange(null)} title="Clear calibration">
+            <X size={14} />
+            Clear
+          </button>
+        )}
+      </div>
+
+      {mode && (
+        <>
+          <p style={{ marginBottom: '8px' }}>
+            {mode === 'length'
+              ? `Click both ends of a known length (${points.length}/2), e.g. the depth of one bay`
+              : points.length < 4
+                ? `Click the ${CORNER_NAMES[points.length]} corner of a rectangle of known size on the ground (${points.length}/4)`
+                : 'All four corners marked'}
+          </p>
+
+          <LotOverlay image={image} imageSize={imageSize} slots={slots} onImageClick={complete ? undefined : handleImageClick}>
+            <g style={{ pointerEvents: 'none' }}>
+              {shownPoints.length > 1 && (
+                <polygon
+                  points={shownPoints.map(point => `${point.x},${point.y}`).join(' ')}
+                  fill={mode === 'rectangle' && complete ? 'rgba(34, 211, 238, 0.15)' : 'none'}
+                  stroke={MARK_COLOR}
+                  strokeWidth="2"
+                  vectorEffect="non-scaling-stroke"
+                />
+              )}
+              {shownPoints.map((point, i) => (
+                <circle key={i} data-testid="calibration-point" cx={point.x} cy={point.y} r="5" fill={MARK_COLOR} />
+              ))}
+            </g>
+          </LotOverlay>
+
+          <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', marginBottom: '12px' }}>
+            {mode === 'length' ? (
+              <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                Length:
+                <input type="number" min="0" step="0.1" value={meters} onChange={(e) => setMeters(e.target.value)} style={fieldStyle} />
+                m
+              </label>
+            ) : (
+              <>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  Width (top edge):
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={rectangle.width}
+                    onChange={(e) => setRectangle({ ...rectangle, width: e.target.value })}
+                    style={fieldStyle}
+                  />
+                  m
+                </label>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  Height (side edge):
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={rectangle.height}
+                    onChange={(e) => setRectangle({ ...rectangle, height: e.target.value })}
+                    style={fieldStyle}
+                  />
+                  m
+                </label>
+              </>
+            )}
+            <button style={smallButtonStyle} onClick={() => setPoints([])} disabled={points.length === 0}>
+              Restart
+            </button>
+            <button style={{ ...smallButtonStyle, borderColor: MARK_COLOR }} onClick={applyCalibration} disabled={!complete}>
+              Apply calibration
+            </button>
+            {calibrationError && <span style={{ color: '#ef4444' }}>{calibrationError}</span>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CalibrationTool;
@@ -0,0 +1,36 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import CalibrationTool from './CalibrationTool';
+
+const renderTool = (onCalibrationChange) => render(
+  <CalibrationTool
+    image="data:image/png;base64,AAAA"
+    imageSize={{ width: 200, height: 100 }}
+    slots={[]}
+    calibration={null}
+    activeCalibration={null}
+    onCalibrationChange={onCalibrationChange}
+  />
+);
+
+test('calibrates from a known length marked on the image', () => {
+  const onCalibrationChange = jest.fn();
+  renderTool(onCalibrationChange);
+  expect(screen.getByText('Not calibrated: distances are in pixels')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Known length'));
+  const svg = screen.getByTestId('lot-overlay');
+  svg.getBoundingClientRect = () => ({ left: 0, top: 0, width: 200, height: 100 });
+  fireEvent.click(svg, { clientX: 20, clientY: 10 });
+  fireEvent.click(svg, { clientX: 20, clientY: 60 });
+  expect(screen.getAllByTestId('calibration-point')).toHaveLength(2);
+
+  fireEvent.click(screen.getByText('Apply calibration'));
+  expect(onCalibrationChange).toHaveBeenCalledWith(expect.objectContaining({ type: 'length', meters: 5, metersPerPixel: 0.1 }));
+});
+
+test('asks for the rectangle corners in order', () => {
+  renderTool(jest.fn());
+  fireEvent.click(screen.getByText('Four reference points'));
+  expect(screen.getByText(/Click the top-left corner/)).toBeInTheDocument();
+  expect(screen.getByText('Apply calibration')).toBeDisabled();
+});
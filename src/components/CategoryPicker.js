@@ -0,0 +1,45 @@
+import React from 'react';
+import { SLOT_CATEGORIES, CATEGORY_IDS } from '../allocation/categories';
+
+const fieldStyle = {
+  padding: '6px 8px',
+  borderRadius: '6px',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  fontSize: '13px',
+  width: '110px'
+};
+
+// Category checkboxes for one bay, with its reservation code when it is reserved
+const CategoryPicker = ({ bay, onChange }) => {
+  const categories = bay.categories || [];
+
+  const toggle = (category, checked) => {
+    const next = checked ? [...categories, category] : categories.filter(entry => entry !== category);
+    onChange({ categories: CATEGORY_IDS.filter(id => next.includes(id)) });
+  };
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '10px' }}>
+      {CATEGORY_IDS.map(category => (
+        <label key={category} style={{ display: 'flex', alignItems: 'center', gap: '4px', color: SLOT_CATEGORIES[category].color }}>
+          <input type="checkbox" checked={categories.includes(category)} onChange={(e) => toggle(category, e.target.checked)} />
+          {SLOT_CATEGORIES[category].label}
+        </label>
+      ))}
+      {categories.includes('reserved') && (
+        <input
+          type="text"
+          aria-label={`Reservation code for bay ${bay.slot_number}`}
+          placeholder="Any code"
+          value={bay.reservation_code || ''}
+          onChange={(e) => onChange({ reservation_code: e.target.value })}
+          style={fieldStyle}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CategoryPicker;
@@ -0,0 +1,19 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import CategoryPicker from './CategoryPicker';
+
+test('toggles categories in a fixed order', () => {
+  const onChange = jest.fn();
+  render(<CategoryPicker bay={{ slot_number: 3, categories: ['compact'] }} onChange={onChange} />);
+
+  fireEvent.click(screen.getByLabelText('Accessible'));
+  expect(onChange).toHaveBeenCalledWith({ categories: ['accessible', 'compact'] });
+  expect(screen.queryByLabelText('Reservation code for bay 3')).not.toBeInTheDocument();
+});
+
+test('reserved bays take a reservation code', () => {
+  const onChange = jest.fn();
+  render(<CategoryPicker bay={{ slot_number: 3, categories: ['reserved'], reservation_code: '' }} onChange={onChange} />);
+
+  fireEvent.change(screen.getByLabelText('Reservation code for bay 3'), { target: { value: 'R-42' } });
+  expect(onChange).toHaveBeenCalledWith({ reservation_code: 'R-42' });
+});
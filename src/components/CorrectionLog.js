@@ -0,0 +1,57 @@
+import React from 'react';
+import { Download } from 'lucide-react';
+import { CORRECTION_KINDS, describeCorrection, exportCorrectionLog } from '../detection/corrections';
+import { download } from '../export/download';
+
+const smallButtonStyle = {
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  padding: '6px 12px',
+  borderRadius: '6px',
+  fontSize: '13px',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px'
+};
+
+// Corrections made this session, newest first, and their download as labeled training data
+const CorrectionLog = ({ log, lotId, sessionId }) => {
+  const exportLog = () => {
+    const fileName = `corrections-${lotId}-${new Date().toISOString().slice(0, 10)}.json`;
+    download(JSON.stringify(exportCorrectionLog(log, { lotId, sessionId }), null, 2), 'application/json', fileName);
+  };
+
+  return (
+    <div style={{ color: '#94a3b8', fontSize: '13px' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+        <span>
+          {log.entries.length === 0
+            ? 'No corrections yet'
+            : `${log.entries.length} correction${log.entries.length === 1 ? '' : 's'} on ${Object.keys(log.images).length} image${Object.keys(log.images).length === 1 ? '' : 's'}`}
+        </span>
+        <button
+          style={smallButtonStyle}
+          onClick={exportLog}
+          disabled={log.entries.length === 0}
+          title="Every corrected image with its labels as the operator left them, for retraining"
+        >
+          <Download size={14} />
+          Export correction log
+        </button>
+      </div>
+      {log.entries.length > 0 && (
+        <ul data-testid="correction-log" style={{ margin: 0, paddingLeft: '20px', lineHeight: '1.6' }}>
+          {[...log.entries].reverse().map(entry => (
+            <li key={entry.id}>
+              {new Date(entry.at).toLocaleTimeString()} · {CORRECTION_KINDS[entry.kind]}: {describeCorrection(entry)}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CorrectionLog;
@@ -0,0 +1,40 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import CorrectionLog from './CorrectionLog';
+import { createCorrectionLog, logCorrection } from '../detection/corrections';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const log = logCorrection(createCorrectionLog(), { kind: 'slot-status', slot_number: 4, slot_name: 'A-4', from: 'occupied', to: 'empty' }, {
+  image: 'data:image/png;base64,AAAA',
+  imageSize: { width: 200, height: 100 },
+  annotations: [{ x: 10, y: 10, width: 20, height: 20, class: 'empty', source: 'operator' }]
+});
+
+test('nothing to export until a correction is made', () => {
+  render(<CorrectionLog log={createCorrectionLog()} lotId="north-lot" sessionId="s1" />);
+  expect(screen.getByText('No corrections yet')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Export correction log' })).toBeDisabled();
+});
+
+test('lists corrections and downloads them with their labeled images', async () => {
+  URL.createObjectURL = jest.fn(() => 'blob:corrections');
+  URL.revokeObjectURL = jest.fn();
+  const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+  render(<CorrectionLog log={log} lotId="north-lot" sessionId="s1" />);
+
+  expect(screen.getByText('1 correction on 1 image')).toBeInTheDocument();
+  expect(screen.getByTestId('correction-log')).toHaveTextContent('Slot status: Slot A-4: occupied → empty');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Export correction log' }));
+  expect(click).toHaveBeenCalled();
+  const text = await new Promise(resolve => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(URL.createObjectURL.mock.calls[0][0]);
+  });
+  const exported = JSON.parse(text);
+  expect(exported).toMatchObject({ lot_id: 'north-lot', session_id: 's1' });
+  expect(exported.images[0].annotations[0]).toMatchObject({ class: 'empty', source: 'operator' });
+});
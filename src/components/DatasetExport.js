@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { Download, Database } from 'lucide-react';
+import { DATASET_FORMATS, collectSamples, buildDatasetZip } from '../export/dataset';
+import { download } from '../export/download';
+
+const smallButtonStyle = {
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  padding: '6px 12px',
+  borderRadius: '6px',
+  fontSize: '13px',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px'
+};
+
+// The session's images as annotation datasets for retraining, in one zip. Samples are only
+// gathered once the panel is opened: every image is hashed to match it to its corrections.
+const DatasetExport = ({ captures, log, lotId, uncertainBelow }) => {
+  const [open, setOpen] = useState(false);
+  const [formats, setFormats] = useState(Object.keys(DATASET_FORMATS));
+  const [flaggedOnly, setFlaggedOnly] = useState(false);
+  const [error, setError] = useState('');
+
+  const samples = open ? collectSamples(captures, log, { uncertainBelow }) : [];
+  const chosen = flaggedOnly ? samples.filter(sample => sample.corrected || sample.low_confidence) : samples;
+  const corrected = samples.filter(sample => sample.corrected).length;
+  const lowConfidence = samples.filter(sample => sample.low_confidence).length;
+
+  const toggleFormat = (format) => setFormats(formats.includes(format)
+    ? formats.filter(entry => entry !== format)
+    : Object.keys(DATASET_FORMATS).filter(entry => entry === format || formats.includes(entry)));
+
+  const exportDataset = () => {
+    try {
+      const fileName = `dataset-${lotId}-${new Date().toISOString().slice(0, 10)}.zip`;
+      download(buildDatasetZip(chosen, { formats, lotId }), 'application/zip', fileName);
+      setError('');
+    } catch (err) {
+      setError(`Could not build the dataset: ${err.message}`);
+    }
+  };
+
+  return (
+    <div style={{ color: '#94a3b8', fontSize: '13px' }}>
+      <button style={smallButtonStyle} onClick={() => setOpen(!open)}>
+        <Database size={14} />
+        {open ? 'Hide dataset export' : 'Export training dataset'}
+      </button>
+
+      {open && (
+        <div style={{ marginTop: '12px' }}>
+          <p style={{ margin: '0 0 8px' }}>
+            {samples.length === 0
+              ? 'No labeled images yet: detect slots or a vehicle first'
+              : `${samples.length} image${samples.length === 1 ? '' : 's'} · ${corrected} corrected · ${lowConfidence} low-confidence (below ${uncertainBelow}%)`}
+          </p>
+          <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '16px', marginBottom: '8px' }}>
+            {Object.entries(DATASET_FORMATS).map(([format, label]) => (
+              <label key={format} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                <input type="checkbox" checked={formats.includes(format)} onChange={() => toggleFormat(format)} />
+                {label}
+              </label>
+            ))}
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              <input type="checkbox" checked={flaggedOnly} onChange={(e) => setFlaggedOnly(e.target.checked)} />
+              Only corrected and low-confidence images
+            </label>
+          </div>
+          <button
+            style={smallButtonStyle}
+            onClick={exportDataset}
+            disabled={chosen.length === 0 || formats.length === 0}
+            title="Images with their labels, corrected and least confident first, for upload to the training pipeline"
+          >
+            <Download size={14} />
+            Download dataset (.zip)
+          </button>
+          {error && <span style={{ color: '#ef4444' }}>{error}</span>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DatasetExport;
@@ -0,0 +1,40 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import DatasetExport from './DatasetExport';
+import { createCorrectionLog } from '../detection/corrections';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const captures = [{
+  kind: 'lot',
+  image: 'data:image/png;base64,iVBORw==',
+  imageSize: { width: 200, height: 100 },
+  slots: [
+    { slot_number: 1, status: 'empty', x: 50, y: 40, width: 20, height: 40, confidence: 0.45 },
+    { slot_number: 2, status: 'occupied', x: 80, y: 40, width: 20, height: 40, confidence: 0.9 }
+  ]
+}];
+
+test('summarizes the samples once opened and downloads them as a zip', () => {
+  URL.createObjectURL = jest.fn(() => 'blob:dataset');
+  URL.revokeObjectURL = jest.fn();
+  const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+  render(<DatasetExport captures={captures} log={createCorrectionLog()} lotId="north-lot" uncertainBelow={60} />);
+
+  fireEvent.click(screen.getByText('Export training dataset'));
+  expect(screen.getByText('1 image · 0 corrected · 1 low-confidence (below 60%)')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Download dataset (.zip)' }));
+  expect(click).toHaveBeenCalled();
+  const blob = URL.createObjectURL.mock.calls[0][0];
+  expect(blob.type).toBe('application/zip');
+  expect(blob.size).toBeGreaterThan(0);
+});
+
+test('nothing to download before an image is labeled', () => {
+  render(<DatasetExport captures={[]} log={createCorrectionLog()} lotId="north-lot" uncertainBelow={60} />);
+  fireEvent.click(screen.getByText('Export training dataset'));
+  expect(screen.getByText(/No labeled images yet/)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Download dataset (.zip)' })).toBeDisabled();
+});
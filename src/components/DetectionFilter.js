@@ -0,0 +1,65 @@
+import React from 'react';
+import { RAW_SLOT_QUERY, UNCERTAIN_SLOT_POLICIES } from '../detection/filtering';
+
+const fieldStyle = {
+  padding: '6px 8px',
+  borderRadius: '6px',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  fontSize: '13px'
+};
+
+// The server is asked for RAW_SLOT_QUERY, so the app can only be stricter than that
+const SLIDERS = [
+  { key: 'confidence', label: 'Confidence threshold', min: RAW_SLOT_QUERY.confidence, max: 95, hint: 'Slot predictions below this are dropped' },
+  { key: 'overlap', label: 'Overlap (NMS)', min: 0, max: RAW_SLOT_QUERY.overlap, hint: 'Boxes overlapping a more confident box of the same class by more than this are dropped' },
+  { key: 'uncertainBelow', label: 'Uncertain below', min: 0, max: 100, hint: 'Slots kept with less confidence than this are marked uncertain' }
+];
+
+// Thresholds for slot detections, applied to the kept raw predictions as they change.
+// `counts` ({ raw, kept, uncertain }) describes the detection they were last applied to.
+const DetectionFilter = ({ filter, onChange, counts }) => (
+  <div style={{ color: '#94a3b8', fontSize: '13px' }}>
+    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '8px 24px' }}>
+      {SLIDERS.map(({ key, label, min, max, hint }) => (
+        <label key={key} title={hint} style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <span style={{ minWidth: '130px' }}>{label}</span>
+          <input
+            type="range"
+            aria-label={label}
+            min={min}
+            max={max}
+            step="5"
+            value={filter[key]}
+            onChange={(e) => onChange({ ...filter, [key]: Number(e.target.value) })}
+            style={{ flex: 1 }}
+          />
+          <span style={{ minWidth: '36px', textAlign: 'right' }}>{filter[key]}%</span>
+        </label>
+      ))}
+    </div>
+
+    <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', marginTop: '12px' }}>
+      <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+        Uncertain slots
+        <select
+          value={filter.uncertainSlots}
+          onChange={(e) => onChange({ ...filter, uncertainSlots: e.target.value })}
+          style={fieldStyle}
+        >
+          {Object.entries(UNCERTAIN_SLOT_POLICIES).map(([id, label]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </label>
+      {counts && (
+        <span>
+          Kept {counts.kept} of {counts.raw} predictions{counts.uncertain > 0 ? ` · ${counts.uncertain} uncertain` : ''}
+        </span>
+      )}
+    </div>
+  </div>
+);
+
+export default DetectionFilter;
@@ -0,0 +1,17 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import DetectionFilter from './DetectionFilter';
+import { DEFAULT_DETECTION_FILTER } from '../detection/filtering';
+
+test('sliders and the policy change the thresholds', () => {
+  const onChange = jest.fn();
+  render(<DetectionFilter filter={DEFAULT_DETECTION_FILTER} onChange={onChange} counts={{ raw: 40, kept: 36, uncertain: 5 }} />);
+
+  fireEvent.change(screen.getByLabelText('Confidence threshold'), { target: { value: '65' } });
+  expect(onChange).toHaveBeenLastCalledWith({ ...DEFAULT_DETECTION_FILTER, confidence: 65 });
+  fireEvent.change(screen.getByLabelText('Overlap (NMS)'), { target: { value: '50' } });
+  expect(onChange).toHaveBeenLastCalledWith({ ...DEFAULT_DETECTION_FILTER, overlap: 50 });
+  fireEvent.change(screen.getByLabelText('Uncertain slots'), { target: { value: 'confirm' } });
+  expect(onChange).toHaveBeenLastCalledWith({ ...DEFAULT_DETECTION_FILTER, uncertainSlots: 'confirm' });
+
+  expect(screen.getByText('Kept 36 of 40 predictions · 5 uncertain')).toBeInTheDocument();
+});
@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from 'react';
+import { ArrowUpDown, LogIn, LogOut, Trash2 } from 'lucide-react';
+import LotOverlay from './LotOverlay';
+import { GATE_TYPES, createGate } from '../lot/gates';
+
+const smallButtonStyle = {
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  padding: '6px 12px',
+  borderRadius: '6px',
+  fontSize: '13px',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px'
+};
+
+const fieldStyle = {
+  padding: '6px 8px',
+  borderRadius: '6px',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  fontSize: '13px'
+};
+
+// Lot overlay where operators click to place entrances and exits for the named lot.
+// With allowRamps (a lot of several camera views) ramp ends can be placed too.
+const GateEditor = ({ image, imageSize, slots, gates, displayGates, onGatesChange, lotId, onLotIdChange, allowRamps = false }) => {
+  const [placing, setPlacing] = useState(null);
+  // The lot id being typed; the lot only switches once it is committed (blur or Enter),
+  // so half-typed ids never load or save anything
+  const [lotDraft, setLotDraft] = useState(lotId);
+
+  useEffect(() => {
+    setLotDraft(lotId);
+  }, [lotId]);
+
+  const commitLotId = () => {
+    const next = lotDraft.trim();
+    if (next && next !== lotId) {
+      onLotIdChange(next);
+    } else {
+      setLotDraft(lotId);
+    }
+  };
+
+  const handleLotKeyDown = (event) => {
+    if (event.key === 'Enter') commitLotId();
+    if (event.key === 'Escape') setLotDraft(lotId);
+  };
+
+  const handleImageClick = (point) => {
+    onGatesChange([...gates, createGate(placing, point, gates)]);
+    setPlacing(null);
+  };
+
+  const renameGate = (gateId, label) => {
+    onGatesChange(gates.map(gate => (gate.id === gateId ? { ...gate, label } : gate)));
+  };
+
+  const removeGate = (gateId) => {
+    onGatesChange(gates.filter(gate => gate.id !== gateId));
+  };
+
+  return (
+    <div>
+      <LotOverlay
+        image={image}
+        imageSize={imageSize}
+        slots={slots}
+        gates={displayGates}
+        onImageClick={placing ? handleImageClick : undefined}
+      />
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', marginBottom: '12px', color: '#94a3b8', fontSize: '13px' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          Lot:
+          <input
+            aria-label="Lot id"
+            value={lotDraft}
+            onChange={(e) => setLotDraft(e.target.value)}
+            onBlur={commitLotId}
+            onKeyDown={handleLotKeyDown}
+            style={{ ...fieldStyle, width: '140px' }}
+          />
+        </label>
+        <button
+          style={{ ...smallButtonStyle, borderColor: placing === 'entrance' ? GATE_TYPES.entrance.color : smallButtonStyle.border }}
+          onClick={() => setPlacing(placing === 'entrance' ? null : 'entrance')}
+        >
+          <LogIn size={14} />
+          Add entrance
+        </button>
+        <button
+          style={{ ...smallButtonStyle, borderColor: placing === 'exit' ? GATE_TYPES.exit.color : smallButtonStyle.border }}
+          onClick={() => setPlacing(placing === 'exit' ? null : 'exit')}
+        >
+          <LogOut size={14} />
+          Add exit
+        </button>
+        {allowRamps && (
+          <button
+            style={{ ...smallButtonStyle, borderColor: placing === 'ramp' ? GATE_TYPES.ramp.color : smallButtonStyle.border }}
+            onClick={() => setPlacing(placing === 'ramp' ? null : 'ramp')}
+          >
+            <ArrowUpDown size={14} />
+            Add ramp
+          </button>
+        )}
+        {placing && <span>Click on the image to place the {GATE_TYPES[placing].label.toLowerCase()}</span>}
+        {!placing && gates.length === 0 && <span>No gates saved for this lot; the bottom center of the image is used as entrance</span>}
+      </div>
+
+      {gates.length > 0 && (
+        <div style={{ display: 'grid', gap: '6px', marginBottom: '16px' }}>
+          {gates.map(gate => (
+            <div key={gate.id} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', color: '#94a3b8' }}>
+              <span style={{ width: '10px', height: '10px', borderRadius: '50%', background: GATE_TYPES[gate.type].color }}></span>
+              <input
+                value={gate.label}
+                onChange={(e) => renameGate(gate.id, e.target.value)}
+                aria-label={`${gate.id} label`}
+                style={{ ...fieldStyle, width: '160px' }}
+              />
+              <span>{GATE_TYPES[gate.type].label} at ({gate.x}, {gate.y})</span>
+              <button style={{ ...smallButtonStyle, padding: '4px 8px' }} onClick={() => removeGate(gate.id)} title="Remove gate">
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GateEditor;
@@ -0,0 +1,82 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import GateEditor from './GateEditor';
+
+const setupEditor = (props = {}) => {
+  const onGatesChange = jest.fn();
+  render(
+    <GateEditor
+      image="data:image/png;base64,AAAA"
+      imageSize={{ width: 200, height: 100 }}
+      slots={[]}
+      gates={[]}
+      displayGates={[]}
+      onGatesChange={onGatesChange}
+      lotId="default"
+      onLotIdChange={jest.fn()}
+      {...props}
+    />
+  );
+  return onGatesChange;
+};
+
+test('places an entrance where the image is clicked', () => {
+  const onGatesChange = setupEditor();
+  const svg = screen.getByTestId('lot-overlay');
+  svg.getBoundingClientRect = () => ({ left: 0, top: 0, width: 200, height: 100 });
+
+  fireEvent.click(screen.getByText('Add entrance'));
+  fireEvent.click(svg, { clientX: 20, clientY: 40 });
+
+  expect(onGatesChange).toHaveBeenCalledWith([{ id: 'gate-1', type: 'entrance', label: 'Entrance 1', x: 20, y: 40 }]);
+});
+
+test('clicks do nothing until a gate type is chosen', () => {
+  const onGatesChange = setupEditor();
+  fireEvent.click(screen.getByTestId('lot-overlay'), { clientX: 20, clientY: 40 });
+  expect(onGatesChange).not.toHaveBeenCalled();
+});
+
+test('gates can be renamed and removed', () => {
+  const gates = [{ id: 'gate-1', type: 'exit', label: 'Exit 1', x: 5, y: 5 }];
+  const onGatesChange = setupEditor({ gates, displayGates: gates });
+
+  fireEvent.change(screen.getByLabelText('gate-1 label'), { target: { value: 'Service exit' } });
+  expect(onGatesChange).toHaveBeenLastCalledWith([{ ...gates[0], label: 'Service exit' }]);
+
+  fireEvent.click(screen.getByTitle('Remove gate'));
+  expect(onGatesChange).toHaveBeenLastCalledWith([]);
+});
+
+test('ramp ends can be placed only in a lot of several camera views', () => {
+  setupEditor();
+  expect(screen.queryByText('Add ramp')).not.toBeInTheDocument();
+});
+
+test('places a ramp end when ramps are allowed', () => {
+  const onGatesChange = setupEditor({ allowRamps: true });
+  const svg = screen.getByTestId('lot-overlay');
+  svg.getBoundingClientRect = () => ({ left: 0, top: 0, width: 200, height: 100 });
+
+  fireEvent.click(screen.getByText('Add ramp'));
+  fireEvent.click(svg, { clientX: 180, clientY: 50 });
+
+  expect(onGatesChange).toHaveBeenCalledWith([{ id: 'gate-1', type: 'ramp', label: 'Ramp 1', x: 180, y: 50 }]);
+});
+
+test('the lot switches only once its id is committed', () => {
+  const onLotIdChange = jest.fn();
+  setupEditor({ onLotIdChange });
+  const field = screen.getByLabelText('Lot id');
+
+  fireEvent.change(field, { target: { value: 'l' } });
+  fireEvent.change(field, { target: { value: 'lot-b ' } });
+  expect(onLotIdChange).not.toHaveBeenCalled();
+
+  fireEvent.keyDown(field, { key: 'Enter' });
+  expect(onLotIdChange).toHaveBeenCalledWith('lot-b');
+
+  fireEvent.change(field, { target: { value: '' } });
+  fireEvent.blur(field);
+  expect(onLotIdChange).toHaveBeenCalledTimes(1);
+  expect(field).toHaveValue('default');
+});
@@ -0,0 +1,290 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { ZoomIn, ZoomOut, Maximize } from 'lucide-react';
+import { GATE_TYPES } from '../lot/gates';
+import { slotName } from '../lot/template';
+import { SLOT_CATEGORIES, categoriesOf } from '../allocation/categories';
+
+// Slot colors by status
+export const SLOT_STATUS_COLORS = {
+  empty: '#10b981',
+  occupied: '#ef4444',
+  reserved: '#f59e0b',
+  blocked: '#64748b'
+};
+
+const ALLOCATED_COLOR = '#3b82f6';
+const MIN_SCALE = 1;
+const MAX_SCALE = 8;
+
+// Fetch the natural size of an image when the detector did not report it
+const useImageSize = (image, knownSize) => {
+  const [loadedSize, setLoadedSize] = useState(null);
+
+  useEffect(() => {
+    if (knownSize || !image) return;
+    const img = new Image();
+    img.onload = () => setLoadedSize({ width: img.naturalWidth, height: img.naturalHeight });
+    img.src = image;
+  }, [image, knownSize]);
+
+  return knownSize || loadedSize;
+};
+
+// Draws detected slot boxes and gates over the lot image, with hover/click details and zoom/pan.
+// Extra SVG layers (e.g. routes) can be passed as children and are drawn in image coordinates.
+// `onImageClick` receives clicks on the image outside any slot, in image coordinates.
+const LotOverlay = ({ image, imageSize, slots, allocatedSlot, gates = [], onSlotClick, onImageClick, children }) => {
+  const size = useImageSize(image, imageSize);
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+  const [view, setView] = useState({ x: 0, y: 0, scale: 1 });
+  const [hoveredSlot, setHoveredSlot] = useState(null);
+  const [selectedSlot, setSelectedSlot] = useState(null);
+
+  // Keep the view inside the image
+  const clampView = (next) => {
+    if (!size) return next;
+    const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, next.scale));
+    const maxX = size.width - size.width / scale;
+    const maxY = size.height - size.height / scale;
+    return {
+      scale,
+      x: Math.min(maxX, Math.max(0, next.x)),
+      y: Math.min(maxY, Math.max(0, next.y))
+    };
+  };
+
+  // Convert a client position into image coordinates
+  const toImagePoint = (clientX, clientY) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return {
+      x: view.x + ((clientX - rect.left) / rect.width) * (size.width / view.scale),
+      y: view.y + ((clientY - rect.top) / rect.height) * (size.height / view.scale)
+    };
+  };
+
+  const zoomAround = (factor, focus) => {
+    setView(current => {
+      const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, current.scale * factor));
+      const center = focus || {
+        x: current.x + size.width / current.scale / 2,
+        y: current.y + size.height / current.scale / 2
+      };
+      // Keep the focus point under the cursor while zooming
+      const ratio = current.scale / scale;
+      return clampView({
+        scale,
+        x: center.x - (center.x - current.x) * ratio,
+        y: center.y - (center.y - current.y) * ratio
+      });
+    });
+  };
+
+  // Wheel zoom needs a non-passive listener to stop the page from scrolling
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg || !size) return;
+    const handleWheel = (event) => {
+      event.preventDefault();
+      zoomAround(event.deltaY < 0 ? 1.2 : 1 / 1.2, toImagePoint(event.clientX, event.clientY));
+    };
+    svg.addEventListener('wheel', handleWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', handleWheel);
+  });
+
+  const handlePointerDown = (event) => {
+    dragRef.current = { clientX: event.clientX, clientY: event.clientY, view, moved: false };
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const dx = event.clientX - drag.clientX;
+    const dy = event.clientY - drag.clientY;
+    if (!drag.moved && Math.abs(dx) + Math.abs(dy) < 4) return;
+    drag.moved = true;
+    const rect = svgRef.current.getBoundingClientRect();
+    setView(clampView({
+      scale: drag.view.scale,
+      x: drag.view.x - dx * (size.width / drag.view.scale) / rect.width,
+      y: drag.view.y - dy * (size.height / drag.view.scale) / rect.height
+    }));
+  };
+
+  const handlePointerUp = () => {
+    // Let the click handler know whether this was a drag
+    setTimeout(() => { dragRef.current = null; }, 0);
+  };
+
+  const handleSlotClick = (event, slot) => {
+    event.stopPropagation();
+    if (dragRef.current?.moved) return;
+    setSelectedSlot(current => (current?.slot_number === slot.slot_number ? null : slot));
+    if (onSlotClick) onSlotClick(slot);
+  };
+
+  const handleImageClick = (event) => {
+    if (!onImageClick || dragRef.current?.moved) return;
+    onImageClick(toImagePoint(event.clientX, event.clientY));
+  };
+
+  if (!image || !size) return null;
+
+  const viewBox = `${view.x} ${view.y} ${size.width / view.scale} ${size.height / view.scale}`;
+  const strokeWidth = Math.max(size.width, size.height) / 400 / view.scale;
+  const zoomButtonStyle = {
+    background: 'rgba(15, 23, 42, 0.8)',
+    border: '1px solid rgba(255, 255, 255, 0.2)',
+    borderRadius: '6px',
+    color: 'white',
+    padding: '6px',
+    cursor: 'pointer',
+    display: 'flex'
+  };
+  const shownSlot = hoveredSlot || selectedSlot;
+
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      <div style={{ position: 'relative', borderRadius: '8px', overflow: 'hidden', border: '2px solid rgba(59, 130, 246, 0.3)' }}>
+        <svg
+          ref={svgRef}
+          data-testid="lot-overlay"
+          viewBox={viewBox}
+          style={{
+            width: '100%',
+            display: 'block',
+            cursor: onImageClick ? 'crosshair' : view.scale > 1 ? 'grab' : 'default',
+            touchAction: 'none'
+          }}
+          onClick={handleImageClick}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerLeave={handlePointerUp}
+        >
+          <image href={image} x="0" y="0" width={size.width} height={size.height} />
+
+          {slots.map(slot => {
+            const isAllocated = allocatedSlot?.slot_number === slot.slot_number ||
+              Boolean(allocatedSlot?.span_slots?.includes(slot.slot_number));
+            const isHighlighted = isAllocated || hoveredSlot?.slot_number === slot.slot_number ||
+              selectedSlot?.slot_number === slot.slot_number;
+            const color = SLOT_STATUS_COLORS[slot.status] || '#94a3b8';
+            const boxStyle = {
+              fill: isAllocated ? ALLOCATED_COLOR : color,
+              fillOpacity: isHighlighted ? 0.55 : 0.3,
+              stroke: isAllocated ? ALLOCATED_COLOR : color,
+              strokeWidth: strokeWidth * (isHighlighted ? 2.5 : 1),
+              // Uncertain detections are outlined dashed
+              strokeDasharray: slot.uncertain ? `${strokeWidth * 4} ${strokeWidth * 3}` : undefined
+            };
+            return (
+              <g
+                key={slot.slot_number}
+                onMouseEnter={() => setHoveredSlot(slot)}
+                onMouseLeave={() => setHoveredSlot(null)}
+                onClick={(event) => handleSlotClick(event, slot)}
+                style={{ cursor: 'pointer' }}
+              >
+                {slot.polygon ? (
+                  <polygon
+                    data-testid={`slot-box-${slot.slot_number}`}
+                    points={slot.polygon.map(point => `${point.x},${point.y}`).join(' ')}
+                    {...boxStyle}
+                  />
+                ) : (
+                  <rect
+                    data-testid={`slot-box-${slot.slot_number}`}
+                    x={slot.x - slot.width / 2}
+                    y={slot.y - slot.height / 2}
+                    width={slot.width}
+                    height={slot.height}
+                    {...boxStyle}
+                  />
+                )}
+                {/* One dot per category along the top edge of the bay */}
+                {categoriesOf(slot).map((category, i) => (
+                  <circle
+                    key={category}
+                    data-testid={`slot-category-${slot.slot_number}`}
+                    cx={slot.x - slot.width / 2 + Math.min(slot.width, slot.height) * (0.15 + i * 0.22)}
+                    cy={slot.y - slot.height / 2 + Math.min(slot.width, slot.height) * 0.15}
+                    r={Math.min(slot.width, slot.height) * 0.09}
+                    fill={SLOT_CATEGORIES[category].color}
+                    style={{ pointerEvents: 'none' }}
+                  />
+                ))}
+                <text
+                  x={slot.x}
+                  y={slot.y}
+                  fill="white"
+                  fontSize={Math.min(slot.width, slot.height) / (slot.label ? 4 : 2.5)}
+                  fontWeight="bold"
+                  textAnchor="middle"
+                  dominantBaseline="central"
+                  style={{ pointerEvents: 'none' }}
+                >
+                  {slotName(slot)}
+                </text>
+              </g>
+            );
+          })}
+
+          {children}
+
+          {gates.map((gate, i) => {
+            const gateType = GATE_TYPES[gate.type] || GATE_TYPES.entrance;
+            return (
+              <g key={gate.id || `gate-${i}`} style={{ pointerEvents: 'none' }}>
+                <circle cx={gate.x} cy={gate.y} r={strokeWidth * 8} fill={gateType.color} stroke="#0f172a" strokeWidth={strokeWidth} />
+                <text
+                  x={gate.x}
+                  y={gate.y - strokeWidth * 12}
+                  fill={gateType.color}
+                  fontSize={strokeWidth * 12}
+                  fontWeight="bold"
+                  textAnchor="middle"
+                >
+                  {gate.label || gateType.label}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+
+        <div style={{ position: 'absolute', top: '8px', right: '8px', display: 'flex', gap: '4px' }}>
+          <button style={zoomButtonStyle} onClick={() => zoomAround(1.5)} title="Zoom in">
+            <ZoomIn size={16} />
+          </button>
+          <button style={zoomButtonStyle} onClick={() => zoomAround(1 / 1.5)} title="Zoom out">
+            <ZoomOut size={16} />
+          </button>
+          <button style={zoomButtonStyle} onClick={() => setView({ x: 0, y: 0, scale: 1 })} title="Reset view">
+            <Maximize size={16} />
+          </button>
+        </div>
+      </div>
+
+      <div style={{ color: '#94a3b8', fontSize: '13px', marginTop: '8px', minHeight: '20px' }}>
+        {shownSlot ? (
+          <span>
+            <strong style={{ color: 'white' }}>Slot {slotName(shownSlot)}{shownSlot.label && ` (#${shownSlot.slot_number})`}</strong>
+            {' · '}<span style={{ color: SLOT_STATUS_COLORS[shownSlot.status] }}>{shownSlot.status}</span>
+            {' · '}Row {shownSlot.row + 1}, Column {shownSlot.col + 1}
+            {' · '}{shownSlot.is_corner ? 'Corner' : shownSlot.is_edge ? 'Edge' : 'Middle'}
+            {shownSlot.zone && ` · ${shownSlot.zone} zone`}
+            {categoriesOf(shownSlot).length > 0 && ` · ${categoriesOf(shownSlot).map(category => SLOT_CATEGORIES[category].label).join(', ')}`}
+            {shownSlot.reservation_code && ` (${shownSlot.reservation_code})`}
+            {shownSlot.original_class && ` · ${(shownSlot.confidence * 100).toFixed(1)}% confidence (${shownSlot.original_class})`}
+            {shownSlot.uncertain && ' · uncertain'}
+            {allocatedSlot?.slot_number === shownSlot.slot_number && ' · allocated'}
+          </span>
+        ) : (
+          <span>Hover or click a slot for details · scroll or use the buttons to zoom, drag to pan</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LotOverlay;
@@ -0,0 +1,58 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import LotOverlay from './LotOverlay';
+
+const slots = [
+  { slot_number: 1, status: 'empty', row: 0, col: 0, x: 50, y: 50, width: 40, height: 80, confidence: 0.912, original_class: 'empty', is_corner: true, is_edge: true },
+  { slot_number: 2, status: 'occupied', row: 0, col: 1, x: 100, y: 50, width: 40, height: 80, confidence: 0.88, original_class: 'occupied', uncertain: true, is_corner: false, is_edge: true }
+];
+
+const renderOverlay = (props = {}) => render(
+  <LotOverlay image="data:image/png;base64,AAAA" imageSize={{ width: 200, height: 100 }} slots={slots} {...props} />
+);
+
+test('draws a box for every slot at its detected position', () => {
+  renderOverlay();
+  expect(screen.getAllByTestId(/^slot-box-/)).toHaveLength(2);
+  expect(screen.getByTestId('slot-box-2')).toHaveAttribute('x', '80');
+  expect(screen.getByTestId('slot-box-2')).toHaveAttribute('y', '10');
+});
+
+test('shows slot details on hover and reports clicks', () => {
+  const onSlotClick = jest.fn();
+  renderOverlay({ onSlotClick });
+
+  fireEvent.mouseOver(screen.getByTestId('slot-box-2'));
+  expect(screen.getByText('Slot 2')).toBeInTheDocument();
+  expect(screen.getByText(/88.0% confidence \(occupied\) · uncertain/)).toBeInTheDocument();
+  expect(screen.getByTestId('slot-box-2')).toHaveAttribute('stroke-dasharray');
+  expect(screen.getByTestId('slot-box-1')).not.toHaveAttribute('stroke-dasharray');
+
+  fireEvent.click(screen.getByTestId('slot-box-1'));
+  expect(onSlotClick).toHaveBeenCalledWith(slots[0]);
+});
+
+test('highlights the allocated slot and marks gates', () => {
+  renderOverlay({ allocatedSlot: slots[0], gates: [{ id: 'gate-1', type: 'exit', x: 100, y: 100, label: 'Gate A' }] });
+  expect(screen.getByTestId('slot-box-1')).toHaveAttribute('fill', '#3b82f6');
+  expect(screen.getByText('Gate A')).toHaveAttribute('fill', '#c084fc');
+});
+
+test('zoom buttons narrow the view box', () => {
+  renderOverlay();
+  fireEvent.click(screen.getByTitle('Zoom in'));
+  const [, , width] = screen.getByTestId('lot-overlay').getAttribute('viewBox').split(' ').map(Number);
+  expect(width).toBeCloseTo(200 / 1.5);
+});
+
+test('reports image clicks outside slots in image coordinates', () => {
+  const onImageClick = jest.fn();
+  renderOverlay({ onImageClick });
+  const svg = screen.getByTestId('lot-overlay');
+  svg.getBoundingClientRect = () => ({ left: 0, top: 0, width: 400, height: 200 });
+
+  fireEvent.click(svg, { clientX: 300, clientY: 100 });
+  expect(onImageClick).toHaveBeenCalledWith({ x: 150, y: 50 });
+
+  fireEvent.click(screen.getByTestId('slot-box-1'));
+  expect(onImageClick).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,284 @@
+import React, { useRef, useState } from 'react';
+import { Square, Route, LogIn, LogOut, Download, Upload, Trash2, ArrowLeftRight, PenTool } from 'lucide-react';
+import LotOverlay from './LotOverlay';
+import CategoryPicker from './CategoryPicker';
+import { GATE_TYPES, createGate } from '../lot/gates';
+import {
+  ZONES, createTemplate, templateSlots, addBay, updateBay, removeBay, addAisle, updateAisle, reverseAisle, removeAisle,
+  parseTemplate, serializeTemplate, slotName
+} from '../lot/template';
+import { download } from '../export/download';
+
+const DRAW_COLOR = '#22d3ee';
+const AISLE_COLOR = '#a855f7';
+
+const smallButtonStyle = {
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  padding: '6px 12px',
+  borderRadius: '6px',
+  fontSize: '13px',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px'
+};
+
+const fieldStyle = {
+  padding: '6px 8px',
+  borderRadius: '6px',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  fontSize: '13px'
+};
+
+const TOOL_HINTS = {
+  bay: (count) => `Click the four corners of a bay (${count}/4)`,
+  redraw: (count) => `Click the four new corners of the selected bay (${count}/4)`,
+  aisle: (count) => `Click along the aisle centerline (${count} points), then finish the aisle`,
+  entrance: () => 'Click where vehicles enter the lot',
+  exit: () => 'Click where vehicles leave the lot'
+};
+
+const toPoints = (points) => points.map(point => `${point.x},${point.y}`).join(' ');
+
+// Arrowhead at the middle of a segment, pointing from a to b
+const arrowAt = (a, b, size) => {
+  const angle = Math.atan2(b.y - a.y, b.x - a.x);
+  const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  const corner = (turn) => ({
+    x: mid.x - size * Math.cos(angle + turn),
+    y: mid.y - size * Math.sin(angle + turn)
+  });
+  return toPoints([{ x: mid.x + size * Math.cos(angle) / 2, y: mid.y + size * Math.sin(angle) / 2 }, corner(0.5), corner(-0.5)]);
+};
+
+// Operators draw the lot on a reference image: bay polygons and zones, aisle centerlines
+// with one-way directions, and gates. The result is the lot template, importable and
+// exportable as JSON.
+const LotTemplateEditor = ({ image, imageSize, template, gates, displayGates, onTemplateChange, onGatesChange, lotId }) => {
+  const [open, setOpen] = useState(false);
+  const [tool, setTool] = useState(null);
+  const [points, setPoints] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [importError, setImportError] = useState('');
+  const importRef = useRef(null);
+
+  const current = template || createTemplate([]);
+  const slots = templateSlots(current);
+  const selected = slots.find(slot => slot.slot_number === selectedId);
+  const arrowSize = Math.max(12, (imageSize?.width || 800) / 60);
+
+  const startTool = (nextTool) => {
+    setTool(tool === nextTool ? null : nextTool);
+    setPoints([]);
+  };
+
+  const handleImageClick = (point) => {
+    if (tool === 'entrance' || tool === 'exit') {
+      onGatesChange([...gates, createGate(tool, point, gates)]);
+      setTool(null);
+      return;
+    }
+    const next = [...points, point];
+    if ((tool === 'bay' || tool === 'redraw') && next.length === 4) {
+      onTemplateChange(tool === 'bay' ? addBay(current, next) : updateBay(current, selectedId, { polygon: next }));
+      setPoints([]);
+      if (tool === 'redraw') setTool(null);
+      return;
+    }
+    setPoints(next);
+  };
+
+  const finishAisle = () => {
+    onTemplateChange(addAisle(current, points));
+    setPoints([]);
+    setTool(null);
+  };
+
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const imported = parseTemplate(JSON.parse(e.target.result));
+        onTemplateChange(imported.template);
+        if (imported.gates) onGatesChange(imported.gates);
+        setSelectedId(null);
+        setImportError('');
+      } catch (err) {
+        setImportError(`Invalid template file: ${err.message}`);
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  };
+
+  const exportTemplate = () => {
+    download(JSON.stringify(serializeTemplate(current, gates), null, 2), 'application/json', `lot-template-${lotId}.json`);
+  };
+
+  const toolButton = (name, icon, label) => (
+    <button style={{ ...smallButtonStyle, borderColor: tool === name ? DRAW_COLOR : smallButtonStyle.border }} onClick={() => startTool(name)}>
+      {icon}
+      {label}
+    </button>
+  );
+
+  return (
+    <div style={{ color: '#94a3b8', fontSize: '13px' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', marginBottom: '12px' }}>
+        <span>
+          {current.slots.length} bays, {current.aisles.length} aisles, {gates.length} gates ·{' '}
+          {current.fixed ? 'drawn: detection only fills in occupancy' : 'from detection: new bays are added as they are found'}
+        </span>
+        <button style={smallButtonStyle} onClick={() => setOpen(!open)}>
+          <PenTool size={14} />
+          {open ? 'Close editor' : 'Edit template'}
+        </button>
+        <button style={smallButtonStyle} onClick={exportTemplate}>
+          <Download size={14} />
+          Export JSON
+        </button>
+        <input type="file" ref={importRef} onChange={handleImport} accept="application/json,.json" style={{ display: 'none' }} />
+        <button style={smallButtonStyle} onClick={() => importRef.current?.click()}>
+          <Upload size={14} />
+          Import JSON
+        </button>
+        {template && (
+          <button style={smallButtonStyle} onClick={() => { onTemplateChange(null); setSelectedId(null); }} title="Forget the template; the next detection starts a new one">
+            <Trash2 size={14} />
+            Clear
+          </button>
+        )}
+        {importError && <span style={{ color: '#ef4444' }}>{importError}</span>}
+      </div>
+
+      {open && (
+        <>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '8px' }}>
+            {toolButton('bay', <Square size={14} />, 'Draw bay')}
+            {toolButton('aisle', <Route size={14} />, 'Draw aisle')}
+            {toolButton('entrance', <LogIn size={14} />, `Add ${GATE_TYPES.entrance.label.toLowerCase()}`)}
+            {toolButton('exit', <LogOut size={14} />, `Add ${GATE_TYPES.exit.label.toLowerCase()}`)}
+            {tool === 'aisle' && (
+              <button style={{ ...smallButtonStyle, borderColor: DRAW_COLOR }} onClick={finishAisle} disabled={points.length < 2}>
+                Finish aisle
+              </button>
+            )}
+          </div>
+          <p style={{ marginBottom: '8px' }}>
+            {tool ? TOOL_HINTS[tool](points.length) : 'Pick a tool, or click a bay to label it, zone it or redraw it'}
+          </p>
+
+          <LotOverlay
+            image={image}
+            imageSize={imageSize}
+            slots={tool ? [] : slots}
+            allocatedSlot={selected}
+            gates={displayGates}
+            onSlotClick={(slot) => setSelectedId(slot.slot_number === selectedId ? null : slot.slot_number)}
+            onImageClick={tool ? handleImageClick : undefined}
+          >
+            <g style={{ pointerEvents: 'none' }}>
+              {tool && slots.map(slot => (
+                <polygon
+                  key={slot.slot_number}
+                  points={toPoints(slot.polygon || [
+                    { x: slot.x - slot.width / 2, y: slot.y - slot.height / 2 },
+                    { x: slot.x + slot.width / 2, y: slot.y - slot.height / 2 },
+                    { x: slot.x + slot.width / 2, y: slot.y + slot.height / 2 },
+                    { x: slot.x - slot.width / 2, y: slot.y + slot.height / 2 }
+                  ])}
+                  fill="none"
+                  stroke="#94a3b8"
+                  strokeWidth="1"
+                  vectorEffect="non-scaling-stroke"
+                />
+              ))}
+              {current.aisles.map(aisle => (
+                <g key={aisle.id} data-testid="template-aisle">
+                  <polyline points={toPoints(aisle.points)} fill="none" stroke={AISLE_COLOR} strokeWidth="3" strokeDasharray="10 6" vectorEffect="non-scaling-stroke" />
+                  {aisle.oneWay && aisle.points.slice(1).map((point, i) => (
+                    <polygon key={i} data-testid="one-way-arrow" points={arrowAt(aisle.points[i], point, arrowSize)} fill={AISLE_COLOR} />
+                  ))}
+                </g>
+              ))}
+              {points.length > 1 && (
+                <polyline points={toPoints(points)} fill="none" stroke={DRAW_COLOR} strokeWidth="2" vectorEffect="non-scaling-stroke" />
+              )}
+              {points.map((point, i) => (
+                <circle key={i} data-testid="template-point" cx={point.x} cy={point.y} r="5" fill={DRAW_COLOR} />
+              ))}
+            </g>
+          </LotOverlay>
+
+          {selected && !tool && (
+            <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', marginBottom: '12px' }}>
+              <strong style={{ color: 'white' }}>Bay #{selected.slot_number} ({slotName(selected)})</strong>
+              <input
+                type="text"
+                aria-label={`Label for bay ${selected.slot_number}`}
+                placeholder="Label"
+                value={selected.label}
+                onChange={(e) => onTemplateChange(updateBay(current, selected.slot_number, { label: e.target.value }))}
+                style={{ ...fieldStyle, width: '90px' }}
+              />
+              <select
+                aria-label={`Zone for bay ${selected.slot_number}`}
+                value={selected.zone}
+                onChange={(e) => onTemplateChange(updateBay(current, selected.slot_number, { zone: e.target.value }))}
+                style={fieldStyle}
+              >
+                <option value="">No zone</option>
+                {ZONES.map(zone => <option key={zone} value={zone}>{zone}</option>)}
+              </select>
+              <CategoryPicker bay={selected} onChange={(changes) => onTemplateChange(updateBay(current, selected.slot_number, changes))} />
+              <button style={smallButtonStyle} onClick={() => startTool('redraw')}>
+                <PenTool size={14} />
+                Redraw
+              </button>
+              <button
+                style={smallButtonStyle}
+                onClick={() => { onTemplateChange(removeBay(current, selected.slot_number)); setSelectedId(null); }}
+              >
+                <Trash2 size={14} />
+                Delete bay
+              </button>
+            </div>
+          )}
+
+          {current.aisles.length > 0 && (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+              {current.aisles.map(aisle => (
+                <div key={aisle.id} style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                  <span style={{ color: AISLE_COLOR, minWidth: '70px' }}>{aisle.id}</span>
+                  <span>{aisle.points.length} points</span>
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                    <input
+                      type="checkbox"
+                      checked={aisle.oneWay}
+                      onChange={(e) => onTemplateChange(updateAisle(current, aisle.id, { oneWay: e.target.checked }))}
+                    />
+                    One-way
+                  </label>
+                  <button style={smallButtonStyle} onClick={() => onTemplateChange(reverseAisle(current, aisle.id))} title={`Reverse ${aisle.id}`}>
+                    <ArrowLeftRight size={14} />
+                  </button>
+                  <button style={smallButtonStyle} onClick={() => onTemplateChange(removeAisle(current, aisle.id))} title={`Remove ${aisle.id}`}>
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LotTemplateEditor;
@@ -0,0 +1,77 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import LotTemplateEditor from './LotTemplateEditor';
+import { addAisle, createTemplate, updateAisle } from '../lot/template';
+
+const template = createTemplate([{ slot_number: 1, label: '', x: 20, y: 40, width: 40, height: 80 }]);
+
+const renderEditor = (props = {}) => render(
+  <LotTemplateEditor
+    image="data:image/png;base64,AAAA"
+    imageSize={{ width: 200, height: 100 }}
+    template={template}
+    gates={[]}
+    displayGates={[]}
+    onTemplateChange={jest.fn()}
+    onGatesChange={jest.fn()}
+    lotId="north-lot"
+    {...props}
+  />
+);
+
+const overlay = () => {
+  const svg = screen.getByTestId('lot-overlay');
+  svg.getBoundingClientRect = () => ({ left: 0, top: 0, width: 200, height: 100 });
+  return svg;
+};
+
+test('draws a bay from four clicked corners', () => {
+  const onTemplateChange = jest.fn();
+  renderEditor({ onTemplateChange });
+  expect(screen.getByText(/1 bays, 0 aisles, 0 gates · from detection/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Edit template'));
+  fireEvent.click(screen.getByText('Draw bay'));
+  [[100, 10], [140, 10], [140, 90], [100, 90]].forEach(([clientX, clientY]) => fireEvent.click(overlay(), { clientX, clientY }));
+
+  const drawn = onTemplateChange.mock.calls[0][0];
+  expect(drawn.fixed).toBe(true);
+  expect(drawn.slots[1]).toMatchObject({ id: 2, x: 120, y: 50, width: 40, height: 80 });
+});
+
+test('draws an aisle and places an entrance', () => {
+  const onTemplateChange = jest.fn();
+  const onGatesChange = jest.fn();
+  renderEditor({ onTemplateChange, onGatesChange });
+
+  fireEvent.click(screen.getByText('Edit template'));
+  fireEvent.click(screen.getByText('Draw aisle'));
+  fireEvent.click(overlay(), { clientX: 0, clientY: 95 });
+  fireEvent.click(overlay(), { clientX: 200, clientY: 95 });
+  fireEvent.click(screen.getByText('Finish aisle'));
+  expect(onTemplateChange.mock.calls[0][0].aisles).toEqual([
+    { id: 'aisle-1', points: [{ x: 0, y: 95 }, { x: 200, y: 95 }], oneWay: false }
+  ]);
+
+  fireEvent.click(screen.getByText('Add entrance'));
+  fireEvent.click(overlay(), { clientX: 100, clientY: 100 });
+  expect(onGatesChange).toHaveBeenCalledWith([expect.objectContaining({ type: 'entrance', x: 100, y: 100 })]);
+});
+
+test('one-way aisles show their direction', () => {
+  const oneWay = updateAisle(addAisle(template, [{ x: 0, y: 95 }, { x: 100, y: 95 }, { x: 200, y: 95 }]), 'aisle-1', { oneWay: true });
+  renderEditor({ template: oneWay });
+
+  fireEvent.click(screen.getByText('Edit template'));
+  expect(screen.getAllByTestId('one-way-arrow')).toHaveLength(2);
+  expect(screen.getByRole('checkbox', { name: 'One-way' })).toBeChecked();
+});
+
+test('puts a clicked bay in a zone', () => {
+  const onTemplateChange = jest.fn();
+  renderEditor({ onTemplateChange });
+
+  fireEvent.click(screen.getByText('Edit template'));
+  fireEvent.click(screen.getByTestId('slot-box-1'));
+  fireEvent.change(screen.getByLabelText('Zone for bay 1'), { target: { value: 'EV' } });
+  expect(onTemplateChange.mock.calls[0][0].slots[0]).toMatchObject({ id: 1, zone: 'EV' });
+});
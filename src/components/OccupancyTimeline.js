@@ -0,0 +1,100 @@
+import React from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import LotOverlay, { SLOT_STATUS_COLORS } from './LotOverlay';
+import { slotsAtFrame } from '../monitoring/occupancyTracker';
+import { formatTimestamp } from '../monitoring/frames';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 120;
+const OBSERVED_COLOR = '#94a3b8';
+
+const smallButtonStyle = {
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  padding: '6px 12px',
+  borderRadius: '6px',
+  fontSize: '13px',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px'
+};
+
+// Occupied slots over time: tracked status solid, raw per-frame detections dashed
+const OccupancyChart = ({ timeline, total, index, onIndexChange }) => {
+  const x = (i) => (timeline.length > 1 ? (i / (timeline.length - 1)) * CHART_WIDTH : CHART_WIDTH / 2);
+  const y = (count) => CHART_HEIGHT - (total > 0 ? (count / total) * CHART_HEIGHT : 0);
+  const line = (key) => timeline.map((entry, i) => `${x(i)},${y(entry[key])}`).join(' ');
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      preserveAspectRatio="none"
+      style={{ width: '100%', height: `${CHART_HEIGHT}px`, background: 'rgba(255, 255, 255, 0.05)', borderRadius: '8px', cursor: 'pointer' }}
+      onClick={(e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        if (rect.width > 0) onIndexChange(Math.round(((e.clientX - rect.left) / rect.width) * (timeline.length - 1)));
+      }}
+    >
+      <polyline points={line('observedOccupied')} fill="none" stroke={OBSERVED_COLOR} strokeWidth="2" strokeDasharray="6 4" vectorEffect="non-scaling-stroke" />
+      <polyline points={line('occupied')} fill="none" stroke={SLOT_STATUS_COLORS.occupied} strokeWidth="2" vectorEffect="non-scaling-stroke" />
+      <line x1={x(index)} x2={x(index)} y1="0" y2={CHART_HEIGHT} stroke="white" strokeWidth="1" vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+};
+
+// Tracked slot occupancy across the sampled frames, scrubbed with a slider or by clicking the chart
+const OccupancyTimeline = ({ frames, timeline, slots, imageSize, index, onIndexChange }) => {
+  const entry = timeline[index];
+  const held = Object.values(entry.slots).filter(state => state.observed && state.observed !== state.status).length;
+  const missed = Object.values(entry.slots).filter(state => !state.observed).length;
+  const seek = (next) => onIndexChange(Math.min(timeline.length - 1, Math.max(0, next)));
+
+  return (
+    <div style={{ color: '#94a3b8', fontSize: '14px' }}>
+      <LotOverlay image={frames[index].image} imageSize={imageSize} slots={slotsAtFrame(slots, timeline, index)} />
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '8px' }}>
+        <button style={smallButtonStyle} onClick={() => seek(index - 1)} disabled={index === 0} title="Previous frame">
+          <ChevronLeft size={14} />
+        </button>
+        <input
+          type="range"
+          aria-label="Timeline position"
+          min="0"
+          max={timeline.length - 1}
+          value={index}
+          onChange={(e) => seek(Number(e.target.value))}
+          style={{ flex: 1 }}
+        />
+        <button style={smallButtonStyle} onClick={() => seek(index + 1)} disabled={index === timeline.length - 1} title="Next frame">
+          <ChevronRight size={14} />
+        </button>
+      </div>
+
+      <p style={{ marginBottom: '8px' }}>
+        Frame {index + 1}/{timeline.length} at {formatTimestamp(entry.time)}:{' '}
+        <strong style={{ color: SLOT_STATUS_COLORS.occupied }}>{entry.occupied} occupied</strong>,{' '}
+        <strong style={{ color: SLOT_STATUS_COLORS.empty }}>{entry.empty} empty</strong>
+        {held > 0 && ` · ${held} held against this frame's detection`}
+        {missed > 0 && ` · ${missed} not detected in this frame`}
+      </p>
+
+      <OccupancyChart timeline={timeline} total={slots.length} index={index} onIndexChange={seek} />
+
+      <div style={{ display: 'flex', gap: '16px', fontSize: '13px', marginTop: '8px' }}>
+        <span style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <span style={{ width: '16px', borderTop: `2px solid ${SLOT_STATUS_COLORS.occupied}` }}></span>
+          Occupied (tracked)
+        </span>
+        <span style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <span style={{ width: '16px', borderTop: `2px dashed ${OBSERVED_COLOR}` }}></span>
+          Occupied (raw detections)
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default OccupancyTimeline;
@@ -0,0 +1,43 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import OccupancyTimeline from './OccupancyTimeline';
+import { SLOT_STATUS_COLORS } from './LotOverlay';
+import { trackOccupancy } from '../monitoring/occupancyTracker';
+
+const slots = [
+  { slot_number: 1, status: 'empty', x: 20, y: 40, width: 40, height: 80 },
+  { slot_number: 2, status: 'empty', x: 60, y: 40, width: 40, height: 80 }
+];
+const box = (x, className) => ({ x, y: 40, width: 40, height: 80, class: className });
+const classes = ['car', 'car', 'empty', 'car'];
+const frames = classes.map((className, i) => ({ time: i * 30, image: 'data:image/png;base64,AAAA', predictions: [box(20, 'empty'), box(60, className)] }));
+const timeline = trackOccupancy(slots, frames, prediction => prediction.class === 'car');
+
+const renderTimeline = (index, onIndexChange = jest.fn()) => render(
+  <OccupancyTimeline
+    frames={frames}
+    timeline={timeline}
+    slots={slots}
+    imageSize={{ width: 100, height: 80 }}
+    index={index}
+    onIndexChange={onIndexChange}
+  />
+);
+
+test('shows the tracked status at the selected frame', () => {
+  renderTimeline(2);
+  expect(screen.getByText(/Frame 3\/4 at 1:00/)).toBeInTheDocument();
+  expect(screen.getByText('1 occupied')).toBeInTheDocument();
+  expect(screen.getByText(/1 held against this frame's detection/)).toBeInTheDocument();
+  expect(screen.getByTestId('slot-box-2')).toHaveAttribute('fill', SLOT_STATUS_COLORS.occupied);
+});
+
+test('scrubs with the slider and the step buttons', () => {
+  const onIndexChange = jest.fn();
+  renderTimeline(0, onIndexChange);
+
+  fireEvent.change(screen.getByLabelText('Timeline position'), { target: { value: '3' } });
+  expect(onIndexChange).toHaveBeenLastCalledWith(3);
+  fireEvent.click(screen.getByTitle('Next frame'));
+  expect(onIndexChange).toHaveBeenLastCalledWith(1);
+  expect(screen.getByTitle('Previous frame')).toBeDisabled();
+});
@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { Download, Printer, FileText } from 'lucide-react';
+import { buildSessionExport, slotsToCsv, buildReportHtml } from '../export/sessionExport';
+import { download } from '../export/download';
+
+const smallButtonStyle = {
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  padding: '6px 12px',
+  borderRadius: '6px',
+  fontSize: '13px',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px'
+};
+
+// Downloads of the session's results. `results` holds what buildSessionExport takes;
+// `image` is the lot image drawn under the report's annotations.
+const ResultsExport = ({ results, image }) => {
+  const [error, setError] = useState('');
+  const baseName = `parking-session-${results.lotId}-${new Date().toISOString().slice(0, 10)}`;
+
+  const printReport = () => {
+    const report = window.open('', '_blank');
+    if (!report) {
+      setError('Allow pop-ups for this page to print the report');
+      return;
+    }
+    report.document.write(buildReportHtml(buildSessionExport(results), image));
+    report.document.close();
+    report.focus();
+    report.print();
+    setError('');
+  };
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', color: '#94a3b8', fontSize: '13px' }}>
+      <button
+        style={smallButtonStyle}
+        onClick={() => download(JSON.stringify(buildSessionExport(results), null, 2), 'application/json', `${baseName}.json`)}
+        title="Slots, vehicle, allocation, every candidate path with its score parts, and the chosen path"
+      >
+        <Download size={14} />
+        JSON
+      </button>
+      <button style={smallButtonStyle} onClick={() => download(slotsToCsv(buildSessionExport(results)), 'text/csv', `${baseName}-slots.csv`)}>
+        <Download size={14} />
+        Slot table (CSV)
+      </button>
+      <button style={smallButtonStyle} onClick={() => download(buildReportHtml(buildSessionExport(results), image), 'text/html', `${baseName}.html`)}>
+        <FileText size={14} />
+        HTML report
+      </button>
+      <button style={smallButtonStyle} onClick={printReport} title="Opens the report for printing or saving as PDF">
+        <Printer size={14} />
+        Print / PDF
+      </button>
+      {error && <span style={{ color: '#ef4444' }}>{error}</span>}
+    </div>
+  );
+};
+
+export default ResultsExport;
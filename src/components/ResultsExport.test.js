@@ -0,0 +1,51 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import ResultsExport from './ResultsExport';
+
+const results = {
+  lotId: 'north-lot',
+  imageSize: { width: 200, height: 120 },
+  unit: 'm',
+  slots: [{ slot_number: 1, label: '', status: 'empty', x: 50, y: 40, width: 30, height: 60 }],
+  vehicle: null,
+  allocatedSlot: null,
+  paths: [],
+  intensities: {},
+  optimalPath: null,
+  sessionVehicles: []
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('downloads the slot table as CSV', async () => {
+  URL.createObjectURL = jest.fn(() => 'blob:slots');
+  URL.revokeObjectURL = jest.fn();
+  const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+  render(<ResultsExport results={results} image={null} />);
+
+  fireEvent.click(screen.getByText('Slot table (CSV)'));
+
+  expect(click).toHaveBeenCalled();
+  const blob = URL.createObjectURL.mock.calls[0][0];
+  expect(blob.type).toBe('text/csv');
+  const text = await new Promise(resolve => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+  });
+  expect(text).toContain('1,,empty,50,40,30,60');
+});
+
+test('prints the report in a new window, or says when pop-ups are blocked', () => {
+  const report = { document: { write: jest.fn(), close: jest.fn() }, focus: jest.fn(), print: jest.fn() };
+  jest.spyOn(window, 'open').mockReturnValueOnce(report).mockReturnValueOnce(null);
+  render(<ResultsExport results={results} image={null} />);
+
+  fireEvent.click(screen.getByText('Print / PDF'));
+  expect(report.document.write).toHaveBeenCalledWith(expect.stringContaining('Parking session report: north-lot'));
+  expect(report.print).toHaveBeenCalled();
+
+  fireEvent.click(screen.getByText('Print / PDF'));
+  expect(screen.getByText('Allow pop-ups for this page to print the report')).toBeInTheDocument();
+});
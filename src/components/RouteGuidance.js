@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import LotOverlay from './LotOverlay';
+import { buildTurnByTurn } from '../routing/guidance';
+import { buildLevelTurnByTurn } from '../routing/levels';
+import { slotName } from '../lot/template';
+
+const OPTIMAL_COLOR = '#22d3ee';
+const ALTERNATIVE_COLORS = ['#f59e0b', '#a855f7', '#f472b6', '#94a3b8'];
+
+const toPolyline = (points) => points.map(point => `${point.x},${point.y}`).join(' ');
+
+// Optimal route (and any alternatives switched on) drawn over the lot, with turn-by-turn steps.
+// A route across levels is drawn over the destination view, with its earlier legs over the
+// views they cross: legViews ({ viewId: { image, imageSize, slots, gates, label } }).
+const RouteGuidance = ({
+  image, imageSize, slots, allocatedSlot, gates, paths, optimalPath, formatDistance, measure,
+  slotLabel, legViews = {}, levelOf
+}) => {
+  const [shownAlternatives, setShownAlternatives] = useState([]);
+
+  const alternatives = paths.filter(path => path.id !== optimalPath.id);
+  const colorOf = (path) => ALTERNATIVE_COLORS[alternatives.indexOf(path) % ALTERNATIVE_COLORS.length];
+  const crossesLevels = optimalPath.legs?.length > 1;
+  const guidance = {
+    slotLabel: slotLabel || (allocatedSlot ? `Slot ${slotName(allocatedSlot)}` : undefined),
+    startLabel: optimalPath.entrance?.label,
+    formatDistance
+  };
+  // Level paths are in meters even within one view, so their legs measure themselves
+  const instructions = optimalPath.legs
+    ? buildLevelTurnByTurn(optimalPath, { ...guidance, levelOf })
+    : buildTurnByTurn(optimalPath, { ...guidance, measure });
+  const earlierLegs = crossesLevels ? optimalPath.legs.slice(0, -1) : [];
+
+  const toggleAlternative = (pathId) => {
+    setShownAlternatives(current =>
+      current.includes(pathId) ? current.filter(id => id !== pathId) : [...current, pathId]
+    );
+  };
+
+  return (
+    <div>
+      {earlierLegs.map((leg, i) => legViews[leg.view] && (
+        <div key={i} data-testid="route-leg">
+          <p style={{ color: '#94a3b8', fontSize: '14px', marginBottom: '8px' }}>
+            Leg {i + 1}: {legViews[leg.view].label}{optimalPath.ramps[i] ? `, to ${optimalPath.ramps[i].name}` : ''}
+          </p>
+          <LotOverlay image={legViews[leg.view].image} imageSize={legViews[leg.view].imageSize} slots={legViews[leg.view].slots} gates={legViews[leg.view].gates}>
+            <polyline
+              points={toPolyline(leg.points)}
+              fill="none"
+              stroke={OPTIMAL_COLOR}
+              strokeWidth="5"
+              strokeLinejoin="round"
+              strokeLinecap="round"
+              vectorEffect="non-scaling-stroke"
+              style={{ pointerEvents: 'none' }}
+            />
+          </LotOverlay>
+        </div>
+      ))}
+      {crossesLevels && (
+        <p style={{ color: '#94a3b8', fontSize: '14px', marginBottom: '8px' }}>
+          Leg {optimalPath.legs.length}: {legViews[optimalPath.legs[optimalPath.legs.length - 1].view]?.label || 'destination'}
+        </p>
+      )}
+      <LotOverlay image={image} imageSize={imageSize} slots={slots} allocatedSlot={allocatedSlot} gates={gates}>
+        <g style={{ pointerEvents: 'none' }}>
+          {alternatives.filter(path => shownAlternatives.includes(path.id)).map(path => (
+            <polyline
+              key={path.id}
+              data-testid="route-alternative"
+              points={toPolyline(path.points)}
+              fill="none"
+              stroke={colorOf(path)}
+              strokeWidth="3"
+              strokeDasharray="8 6"
+              strokeLinejoin="round"
+              vectorEffect="non-scaling-stroke"
+            />
+          ))}
+          <polyline
+            data-testid="route-optimal"
+            points={toPolyline(optimalPath.points)}
+            fill="none"
+            stroke={OPTIMAL_COLOR}
+            strokeWidth="5"
+            strokeLinejoin="round"
+            strokeLinecap="round"
+            vectorEffect="non-scaling-stroke"
+          />
+        </g>
+      </LotOverlay>
+
+      {alternatives.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '16px', fontSize: '14px', color: '#94a3b8', marginBottom: '16px' }}>
+          <span style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <span style={{ width: '16px', height: '4px', background: OPTIMAL_COLOR, borderRadius: '2px' }}></span>
+            {optimalPath.name} (optimal)
+          </span>
+          {alternatives.map(path => (
+            <label key={path.id} style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={shownAlternatives.includes(path.id)}
+                onChange={() => toggleAlternative(path.id)}
+              />
+              <span style={{ width: '16px', height: '4px', background: colorOf(path), borderRadius: '2px' }}></span>
+              Show {path.name}
+            </label>
+          ))}
+        </div>
+      )}
+
+      <ol style={{ color: '#94a3b8', fontSize: '14px', lineHeight: '1.8', paddingLeft: '20px', margin: 0 }}>
+        {instructions.map((step, i) => (
+          <li key={i} style={{ color: step.type === 'arrive' ? '#10b981' : undefined }}>
+            {step.text}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default RouteGuidance;
@@ -0,0 +1,102 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import RouteGuidance from './RouteGuidance';
+
+const slot = { slot_number: 4, status: 'empty', row: 0, col: 0, x: 150, y: 40, width: 40, height: 60 };
+const optimalPath = {
+  id: 1,
+  name: 'Path 1',
+  entrance: { id: 'gate-1', label: 'North gate' },
+  points: [
+    { x: 100, y: 200, type: 'entrance' },
+    { x: 100, y: 100, type: 'access' },
+    { x: 150, y: 100, type: 'access' },
+    { x: 150, y: 40, type: 'slot' }
+  ]
+};
+const alternative = { id: 2, name: 'Path 2', points: [{ x: 100, y: 200 }, { x: 190, y: 200 }, { x: 150, y: 40 }] };
+
+const renderGuidance = () => render(
+  <RouteGuidance
+    image="data:image/png;base64,AAAA"
+    imageSize={{ width: 200, height: 200 }}
+    slots={[slot]}
+    allocatedSlot={slot}
+    gates={[{ id: 'gate-1', type: 'entrance', label: 'North gate', x: 100, y: 200 }]}
+    paths={[optimalPath, alternative]}
+    optimalPath={optimalPath}
+  />
+);
+
+test('draws the optimal route and lists turn-by-turn steps', () => {
+  renderGuidance();
+  expect(screen.queryAllByTestId('route-alternative')).toHaveLength(0);
+  expect(screen.getByTestId('route-optimal')).toHaveAttribute('points', '100,200 100,100 150,100 150,40');
+  expect(screen.getByText('From North gate, go straight 100 px')).toBeInTheDocument();
+  expect(screen.getByText('Turn right, then go straight 50 px')).toBeInTheDocument();
+  expect(screen.getByText('Slot 4 is on your left')).toBeInTheDocument();
+});
+
+test('alternative paths can be toggled on and off', () => {
+  renderGuidance();
+  const toggle = screen.getByLabelText('Show Path 2');
+
+  fireEvent.click(toggle);
+  expect(screen.getAllByTestId('route-alternative')).toHaveLength(1);
+
+  fireEvent.click(toggle);
+  expect(screen.queryAllByTestId('route-alternative')).toHaveLength(0);
+});
+
+test('a route across levels shows each earlier leg over its own view and the ramp to take', () => {
+  const legs = [
+    { view: 'main', metersPerPixel: 0.1, points: [{ x: 0, y: 100, type: 'entrance' }, { x: 200, y: 100, type: 'access' }] },
+    { view: 'view-1', metersPerPixel: 0.1, points: optimalPath.points.slice(1) }
+  ];
+  const path = { ...optimalPath, legs, ramps: [{ id: 'ramp-1', name: 'North ramp', length: 25 }], points: legs[1].points };
+  render(
+    <RouteGuidance
+      image="data:image/png;base64,AAAA"
+      imageSize={{ width: 200, height: 200 }}
+      slots={[slot]}
+      allocatedSlot={slot}
+      gates={[]}
+      paths={[path]}
+      optimalPath={path}
+      formatDistance={(length) => `${Math.round(length)} m`}
+      slotLabel="Level 2, slot 4"
+      levelOf={(viewId) => (viewId === 'view-1' ? 'Level 2' : 'Level 1')}
+      legViews={{
+        main: { image: 'data:image/png;base64,AAAA', imageSize: { width: 200, height: 200 }, slots: [], gates: [], label: 'Level 1 · Camera 1' },
+        'view-1': { label: 'Level 2 · Camera 2' }
+      }}
+    />
+  );
+
+  expect(screen.getAllByTestId('route-leg')).toHaveLength(1);
+  expect(screen.getByText('Leg 1: Level 1 · Camera 1, to North ramp')).toBeInTheDocument();
+  expect(screen.getByText('Leg 2: Level 2 · Camera 2')).toBeInTheDocument();
+  expect(screen.getByText('From North gate, go straight 20 m')).toBeInTheDocument();
+  expect(screen.getByText('Take North ramp to Level 2 (25 m)')).toBeInTheDocument();
+  expect(screen.getByText('From North ramp, go straight 5 m')).toBeInTheDocument();
+  expect(screen.getByText('Level 2, slot 4 is on your left')).toBeInTheDocument();
+});
+
+test('a level path within one view is measured in meters by its leg', () => {
+  const path = { ...optimalPath, legs: [{ view: 'main', metersPerPixel: 0.1, points: optimalPath.points }], ramps: [] };
+  render(
+    <RouteGuidance
+      image="data:image/png;base64,AAAA"
+      imageSize={{ width: 200, height: 200 }}
+      slots={[slot]}
+      allocatedSlot={slot}
+      gates={[]}
+      paths={[path]}
+      optimalPath={path}
+      formatDistance={(length) => `${Math.round(length)} m`}
+      measure={(a, b) => Math.hypot(b.x - a.x, b.y - a.y)}
+    />
+  );
+
+  expect(screen.queryAllByTestId('route-leg')).toHaveLength(0);
+  expect(screen.getByText('From North gate, go straight 10 m')).toBeInTheDocument();
+});
@@ -0,0 +1,292 @@
+import React, { useRef, useState } from 'react';
+import { ArrowUp, ArrowDown, Trash2, Plus, Download, Upload, RotateCcw } from 'lucide-react';
+import {
+  DEFAULT_RULES,
+  PREFERENCE_FACTORS,
+  SIZE_CLASSES,
+  VEHICLE_TYPES,
+  parseRules,
+  previewAllocations,
+  serializeRules,
+  zoneOf
+} from '../allocation/rules';
+import { download } from '../export/download';
+
+const smallButtonStyle = {
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  padding: '6px 12px',
+  borderRadius: '6px',
+  fontSize: '13px',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px'
+};
+
+const fieldStyle = {
+  padding: '4px 8px',
+  borderRadius: '6px',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  fontSize: '13px'
+};
+
+const rowStyle = { display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '10px', marginBottom: '8px' };
+const labelStyle = { display: 'flex', alignItems: 'center', gap: '4px' };
+
+const toggle = (list = [], value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+
+// Drop empty conditions/constraints so the saved JSON only holds what the operator set
+const compact = (section) => Object.fromEntries(Object.entries(section).filter(([, value]) =>
+  value !== undefined && value !== false && !(Array.isArray(value) && value.length === 0)
+));
+
+const CheckboxGroup = ({ label, options, selected = [], onChange, format = (value) => value }) => (
+  <div style={rowStyle}>
+    <span style={{ minWidth: '110px' }}>{label}</span>
+    {options.map(option => (
+      <label key={option} style={labelStyle}>
+        <input type="checkbox" checked={selected.includes(option)} onChange={() => onChange(toggle(selected, option))} />
+        {format(option)}
+      </label>
+    ))}
+  </div>
+);
+
+const RuleCard = ({ rule, index, count, zones, rows, onChange, onMove, onRemove }) => {
+  const when = rule.when || {};
+  const constraints = rule.constraints || {};
+  const setWhen = (changes) => onChange({ ...rule, when: compact({ ...when, ...changes }) });
+  const setConstraints = (changes) => onChange({ ...rule, constraints: compact({ ...constraints, ...changes }) });
+  const setWeight = (factor, value) => {
+    const { [factor]: removed, ...rest } = rule.preferences || {};
+    onChange({ ...rule, preferences: value === '' ? rest : { ...rest, [factor]: Number(value) } });
+  };
+
+  return (
+    <div style={{ background: 'rgba(255, 255, 255, 0.05)', borderRadius: '8px', padding: '12px', marginBottom: '12px' }}>
+      <div style={rowStyle}>
+        <input
+          type="checkbox"
+          checked={rule.enabled !== false}
+          onChange={(e) => onChange({ ...rule, enabled: e.target.checked })}
+          aria-label={`${rule.id} enabled`}
+        />
+        <input
+          value={rule.name}
+          onChange={(e) => onChange({ ...rule, name: e.target.value })}
+          aria-label={`${rule.id} name`}
+          style={{ ...fieldStyle, flex: 1, minWidth: '200px', fontWeight: 'bold' }}
+        />
+        <button style={smallButtonStyle} onClick={() => onMove(index, -1)} disabled={index === 0} title="Move up">
+          <ArrowUp size={14} />
+        </button>
+        <button style={smallButtonStyle} onClick={() => onMove(index, 1)} disabled={index === count - 1} title="Move down">
+          <ArrowDown size={14} />
+        </button>
+        <button style={smallButtonStyle} onClick={() => onRemove(index)} title="Remove rule">
+          <Trash2 size={14} />
+        </button>
+      </div>
+
+      <h4 style={{ color: '#3b82f6', margin: '8px 0' }}>When</h4>
+      <CheckboxGroup label="Vehicle types" options={VEHICLE_TYPES} selected={when.vehicleTypes} onChange={(vehicleTypes) => setWhen({ vehicleTypes })} />
+      <CheckboxGroup label="Sizes" options={SIZE_CLASSES} selected={when.sizes} onChange={(sizes) => setWhen({ sizes })} />
+      <div style={rowStyle}>
+        <span style={{ minWidth: '110px' }}>Time of day</span>
+        <input
+          type="time"
+          value={when.timeOfDay?.from || ''}
+          onChange={(e) => setWhen({ timeOfDay: e.target.value ? { to: '23:59', ...when.timeOfDay, from: e.target.value } : undefined })}
+          aria-label={`${rule.id} from`}
+          style={fieldStyle}
+        />
+        to
+        <input
+          type="time"
+          value={when.timeOfDay?.to || ''}
+          onChange={(e) => setWhen({ timeOfDay: e.target.value ? { from: '00:00', ...when.timeOfDay, to: e.target.value } : undefined })}
+          aria-label={`${rule.id} to`}
+          style={fieldStyle}
+        />
+        <span style={{ minWidth: '80px', marginLeft: '12px' }}>Occupancy %</span>
+        {['min', 'max'].map(bound => (
+          <input
+            key={bound}
+            type="number"
+            min="0"
+            max="100"
+            placeholder={bound}
+            value={when.occupancy?.[bound] ?? ''}
+            onChange={(e) => {
+              const occupancy = compact({ ...when.occupancy, [bound]: e.target.value === '' ? undefined : Number(e.target.value) });
+              setWhen({ occupancy: Object.keys(occupancy).length > 0 ? occupancy : undefined });
+            }}
+            aria-label={`${rule.id} occupancy ${bound}`}
+            style={{ ...fieldStyle, width: '64px' }}
+          />
+        ))}
+      </div>
+
+      <h4 style={{ color: '#f59e0b', margin: '8px 0' }}>Constraints</h4>
+      {zones.length > 1 && (
+        <CheckboxGroup label="Allowed zones" options={zones} selected={constraints.zones} onChange={(zones) => setConstraints({ zones })} />
+      )}
+      <CheckboxGroup
+        label="Reserved rows"
+        options={rows}
+        selected={constraints.reservedRows}
+        onChange={(reservedRows) => setConstraints({ reservedRows })}
+        format={(row) => `Row ${row}`}
+      />
+      <div style={rowStyle}>
+        <label style={labelStyle}>
+          <input type="checkbox" checked={Boolean(constraints.edgeOnly)} onChange={(e) => setConstraints({ edgeOnly: e.target.checked })} />
+          Edge and corner slots only
+        </label>
+      </div>
+
+      <h4 style={{ color: '#10b981', margin: '8px 0' }}>Preferences (weights)</h4>
+      <div style={rowStyle}>
+        {Object.entries(PREFERENCE_FACTORS).map(([factor, { label }]) => (
+          <label key={factor} style={labelStyle}>
+            {label}
+            <input
+              type="number"
+              step="0.1"
+              value={rule.preferences?.[factor] ?? ''}
+              onChange={(e) => setWeight(factor, e.target.value)}
+              aria-label={`${rule.id} ${factor} weight`}
+              style={{ ...fieldStyle, width: '64px' }}
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Settings for the declarative allocation rules, with a dry run of the current lot
+const RuleEditor = ({ rules, onRulesChange, slots, scale }) => {
+  const [editing, setEditing] = useState(false);
+  const [importError, setImportError] = useState('');
+  const importRef = useRef(null);
+
+  const preview = previewAllocations(rules, slots, { scale });
+  const zones = [...new Set(slots.map(zoneOf))].sort();
+  const rows = [...new Set(slots.map(slot => slot.row + 1))].filter(Number.isFinite).sort((a, b) => a - b);
+
+  const updateRule = (index, rule) => onRulesChange(rules.map((current, i) => (i === index ? rule : current)));
+  const removeRule = (index) => onRulesChange(rules.filter((rule, i) => i !== index));
+  const moveRule = (index, offset) => {
+    const next = [...rules];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onRulesChange(next);
+  };
+  const addRule = () => {
+    const nextId = rules.reduce((max, rule) => Math.max(max, Number(rule.id.split('-')[1]) || 0), 0) + 1;
+    onRulesChange([
+      ...rules,
+      { id: `rule-${nextId}`, name: `Rule ${nextId}`, enabled: true, when: {}, constraints: {}, preferences: { near_entrance: 1 } }
+    ]);
+  };
+
+  const exportRules = () => {
+    download(JSON.stringify(serializeRules(rules), null, 2), 'application/json', 'allocation-rules.json');
+  };
+
+  const importRules = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        onRulesChange(parseRules(JSON.parse(e.target.result)));
+        setImportError('');
+      } catch (err) {
+        setImportError(`Invalid rules file: ${err.message}`);
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  };
+
+  const cellStyle = { padding: '6px 8px', borderBottom: '1px solid rgba(255, 255, 255, 0.1)', textAlign: 'left' };
+
+  return (
+    <div style={{ color: '#94a3b8', fontSize: '13px' }}>
+      <h4 style={{ color: '#10b981', marginBottom: '8px' }}>Dry run: next vehicle of each type would get</h4>
+      <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '16px', fontSize: '14px' }}>
+        <thead>
+          <tr style={{ color: 'white' }}>
+            <th style={cellStyle}>Vehicle</th>
+            <th style={cellStyle}>Slot</th>
+            <th style={cellStyle}>Rule</th>
+          </tr>
+        </thead>
+        <tbody>
+          {preview.map(({ vehicleType, slot, reason }) => (
+            <tr key={vehicleType}>
+              <td style={cellStyle}>{vehicleType}</td>
+              <td style={{ ...cellStyle, color: slot ? '#10b981' : '#ef4444' }}>
+                {slot ? `#${(slot.span_slots || [slot.slot_number]).join('+')} (Row ${slot.row + 1}, Zone ${zoneOf(slot)})` : 'No slot'}
+              </td>
+              <td style={cellStyle}>{reason}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div style={{ ...rowStyle, marginBottom: '12px' }}>
+        <button style={smallButtonStyle} onClick={() => setEditing(!editing)}>
+          {editing ? 'Hide rules' : `Edit rules (${rules.length})`}
+        </button>
+        <button style={smallButtonStyle} onClick={exportRules}>
+          <Download size={14} />
+          Export JSON
+        </button>
+        <button style={smallButtonStyle} onClick={() => importRef.current?.click()}>
+          <Upload size={14} />
+          Import JSON
+        </button>
+        <input type="file" ref={importRef} onChange={importRules} accept="application/json,.json" style={{ display: 'none' }} />
+        <button style={smallButtonStyle} onClick={() => onRulesChange(DEFAULT_RULES)}>
+          <RotateCcw size={14} />
+          Reset to defaults
+        </button>
+        {importError && <span style={{ color: '#ef4444' }}>{importError}</span>}
+      </div>
+
+      {editing && (
+        <div>
+          <p style={{ marginBottom: '12px' }}>
+            Rules are tried from top to bottom. The first enabled rule that matches the vehicle and leaves an empty slot
+            picks the slot with the highest weighted preference score.
+          </p>
+          {rules.map((rule, index) => (
+            <RuleCard
+              key={rule.id}
+              rule={rule}
+              index={index}
+              count={rules.length}
+              zones={zones}
+              rows={rows}
+              onChange={(next) => updateRule(index, next)}
+              onMove={moveRule}
+              onRemove={removeRule}
+            />
+          ))}
+          <button style={smallButtonStyle} onClick={addRule}>
+            <Plus size={14} />
+            Add rule
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RuleEditor;
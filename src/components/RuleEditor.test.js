@@ -0,0 +1,27 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import RuleEditor from './RuleEditor';
+import { DEFAULT_RULES } from '../allocation/rules';
+
+const slots = [
+  { slot_number: 1, status: 'empty', distance_from_entrance: 300, row: 0, block: 0, is_edge: true, is_corner: true },
+  { slot_number: 2, status: 'empty', distance_from_entrance: 100, row: 0, block: 0, is_edge: false, is_corner: false }
+];
+
+test('previews the slot each vehicle type would get', () => {
+  render(<RuleEditor rules={DEFAULT_RULES} onRulesChange={jest.fn()} slots={slots} />);
+
+  expect(screen.getByRole('row', { name: /^car/ })).toHaveTextContent('#2 (Row 1, Zone A)Everyone else closest to the entrance');
+  expect(screen.getByRole('row', { name: /^bus/ })).toHaveTextContent('#1');
+});
+
+test('edits a rule weight', () => {
+  const onRulesChange = jest.fn();
+  render(<RuleEditor rules={DEFAULT_RULES} onRulesChange={onRulesChange} slots={slots} />);
+
+  fireEvent.click(screen.getByText('Edit rules (3)'));
+  fireEvent.change(screen.getByLabelText('everyone edge weight'), { target: { value: '2' } });
+
+  const updated = onRulesChange.mock.calls[0][0];
+  expect(updated[2].preferences).toEqual({ near_entrance: 1, edge: 2 });
+  expect(updated[0]).toBe(DEFAULT_RULES[0]);
+});
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { FolderOpen, Play, Copy, Trash2 } from 'lucide-react';
+import { duplicateSessionRecord } from '../storage/savedSessions';
+
+const STEP_NAMES = {
+  1: 'Upload Parking Lot',
+  2: 'Upload Vehicle',
+  3: 'Slot Allocation',
+  4: 'Path Analysis',
+  5: 'Optimal Path'
+};
+
+const smallButtonStyle = {
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  padding: '6px 12px',
+  borderRadius: '6px',
+  fontSize: '13px',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px'
+};
+
+const describeSummary = (session) => {
+  const { slots, empty, vehicles } = session.summary;
+  return `Step ${session.step}: ${STEP_NAMES[session.step] || 'Unknown'} · ${slots} slots (${empty} empty) · ${vehicles} vehicles`;
+};
+
+// Sessions saved in this browser: resume one at the step it was left, duplicate it to try
+// something else from the same point, or delete it. The current session saves itself.
+const SavedSessions = ({ store, currentId, onResume }) => {
+  const [open, setOpen] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState('');
+
+  const refresh = async () => {
+    try {
+      setSessions(await store.list());
+      setError('');
+    } catch (err) {
+      setError(`Could not read saved sessions: ${err.message}`);
+    }
+  };
+
+  const toggle = () => {
+    if (!open) refresh();
+    setOpen(!open);
+  };
+
+  const duplicate = async (id) => {
+    try {
+      await store.put(duplicateSessionRecord(await store.get(id)));
+      await refresh();
+    } catch (err) {
+      setError(`Could not duplicate the session: ${err.message}`);
+    }
+  };
+
+  const remove = async (id) => {
+    try {
+      await store.remove(id);
+      await refresh();
+    } catch (err) {
+      setError(`Could not delete the session: ${err.message}`);
+    }
+  };
+
+  return (
+    <div style={{ color: '#94a3b8', fontSize: '13px' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', marginBottom: open ? '12px' : 0 }}>
+        <button style={smallButtonStyle} onClick={toggle}>
+          <FolderOpen size={14} />
+          {open ? 'Hide saved sessions' : 'Show saved sessions'}
+        </button>
+        {!store.persistent && <span>This browser cannot store sessions; they last until the page is closed</span>}
+        {error && <span style={{ color: '#ef4444' }}>{error}</span>}
+      </div>
+
+      {open && sessions.length === 0 && !error && <p>No saved sessions yet: a session is saved once a lot image is loaded</p>}
+      {open && sessions.map(session => (
+        <div
+          key={session.id}
+          data-testid="saved-session"
+          style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', padding: '8px 0', borderBottom: '1px solid rgba(255, 255, 255, 0.1)' }}
+        >
+          <div style={{ flex: 1, minWidth: '220px' }}>
+            <strong style={{ color: 'white' }}>{session.name}</strong>
+            {session.id === currentId && <span style={{ color: '#10b981' }}> · current</span>}
+            <div>{describeSummary(session)}</div>
+            <div>Saved {new Date(session.updated_at).toLocaleString()}</div>
+          </div>
+          <button style={smallButtonStyle} onClick={() => onResume(session.id)} disabled={session.id === currentId} title={`Resume ${session.name}`}>
+            <Play size={14} />
+            Resume
+          </button>
+          <button style={smallButtonStyle} onClick={() => duplicate(session.id)} title={`Duplicate ${session.name}`}>
+            <Copy size={14} />
+            Duplicate
+          </button>
+          <button
+            style={smallButtonStyle}
+            onClick={() => remove(session.id)}
+            disabled={session.id === currentId}
+            title={`Delete ${session.name}`}
+          >
+            <Trash2 size={14} />
+            Delete
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SavedSessions;
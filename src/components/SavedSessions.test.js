@@ -0,0 +1,44 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import SavedSessions from './SavedSessions';
+import { createMemorySessionStore, createSessionRecord } from '../storage/savedSessions';
+
+const snapshot = {
+  currentStep: 3,
+  lotId: 'north-lot',
+  detectedSlots: [{ slot_number: 1, status: 'empty' }, { slot_number: 2, status: 'reserved' }],
+  parkingSession: { vehicles: [{ id: 'V1' }], nextId: 2 }
+};
+
+const storeWith = async (...names) => {
+  const store = createMemorySessionStore();
+  for (const [i, name] of names.entries()) {
+    await store.put(createSessionRecord({ id: `session-${i + 1}`, name, created_at: '2026-03-01T08:00:00.000Z' }, snapshot));
+  }
+  return store;
+};
+
+test('lists saved sessions with their step and resumes one', async () => {
+  const onResume = jest.fn();
+  render(<SavedSessions store={await storeWith('Morning run', 'Evening run')} currentId="session-2" onResume={onResume} />);
+
+  fireEvent.click(screen.getByText('Show saved sessions'));
+  expect(await screen.findAllByTestId('saved-session')).toHaveLength(2);
+  expect(screen.getAllByText('Step 3: Slot Allocation · 2 slots (1 empty) · 1 vehicles')).toHaveLength(2);
+
+  expect(screen.getByTitle('Resume Evening run')).toBeDisabled();
+  fireEvent.click(screen.getByTitle('Resume Morning run'));
+  expect(onResume).toHaveBeenCalledWith('session-1');
+});
+
+test('duplicates and deletes sessions', async () => {
+  const store = await storeWith('Morning run');
+  render(<SavedSessions store={store} currentId="session-other" onResume={jest.fn()} />);
+
+  fireEvent.click(screen.getByText('Show saved sessions'));
+  fireEvent.click(await screen.findByTitle('Duplicate Morning run'));
+  expect(await screen.findByText('Morning run (copy)')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByTitle('Delete Morning run'));
+  await waitFor(() => expect(screen.getAllByTestId('saved-session')).toHaveLength(1));
+  expect(await store.list()).toEqual([expect.objectContaining({ name: 'Morning run (copy)' })]);
+});
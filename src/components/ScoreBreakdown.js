@@ -0,0 +1,32 @@
+import React from 'react';
+import { SCORE_FACTORS, FACTOR_IDS } from '../routing/pathScore';
+
+// A path's score as a bar of the points each factor added, out of 100
+const ScoreBreakdown = ({ scored }) => {
+  const parts = FACTOR_IDS.filter(factor => scored.parts[factor] > 0);
+
+  return (
+    <div style={{ fontSize: '13px', color: '#94a3b8' }}>
+      <div style={{ display: 'flex', height: '10px', borderRadius: '5px', overflow: 'hidden', background: 'rgba(255, 255, 255, 0.05)', margin: '8px 0 6px' }}>
+        {parts.map(factor => (
+          <span
+            key={factor}
+            data-testid={`score-part-${factor}`}
+            title={`${SCORE_FACTORS[factor].label}: ${scored.parts[factor].toFixed(1)} points`}
+            style={{ width: `${scored.parts[factor]}%`, background: SCORE_FACTORS[factor].color }}
+          ></span>
+        ))}
+      </div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px 12px' }}>
+        {parts.map(factor => (
+          <span key={factor} style={{ color: SCORE_FACTORS[factor].color }}>
+            {SCORE_FACTORS[factor].label} +{scored.parts[factor].toFixed(1)}
+          </span>
+        ))}
+        <span>= {scored.total.toFixed(1)}</span>
+      </div>
+    </div>
+  );
+};
+
+export default ScoreBreakdown;
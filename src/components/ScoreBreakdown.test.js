@@ -0,0 +1,11 @@
+import { render, screen } from '@testing-library/react';
+import ScoreBreakdown from './ScoreBreakdown';
+
+test('shows the points each factor added to the score', () => {
+  render(<ScoreBreakdown scored={{ parts: { distance: 25, time: 0, turns: 0, tJunctions: 12.5, intensity: 0 }, total: 37.5 }} />);
+
+  expect(screen.getByTestId('score-part-distance')).toHaveStyle({ width: '25%' });
+  expect(screen.queryByTestId('score-part-time')).not.toBeInTheDocument();
+  expect(screen.getByText('Junctions +12.5')).toBeInTheDocument();
+  expect(screen.getByText('= 37.5')).toBeInTheDocument();
+});
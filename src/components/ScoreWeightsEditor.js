@@ -0,0 +1,56 @@
+import React from 'react';
+import { SCORE_FACTORS, FACTOR_IDS, SCORE_PRESETS, presetOf } from '../routing/pathScore';
+
+const presetButtonStyle = (active) => ({
+  background: active ? 'linear-gradient(90deg, #3b82f6, #1d4ed8)' : 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  padding: '6px 12px',
+  borderRadius: '6px',
+  fontSize: '13px',
+  cursor: 'pointer'
+});
+
+// What the optimal path is chosen for: a preset, or a weight per factor
+const ScoreWeightsEditor = ({ weights, onChange }) => {
+  const preset = presetOf(weights);
+  const totalWeight = FACTOR_IDS.reduce((sum, factor) => sum + weights[factor], 0);
+
+  return (
+    <div style={{ color: '#94a3b8', fontSize: '13px' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', marginBottom: '12px' }}>
+        <span>Optimize for:</span>
+        {Object.entries(SCORE_PRESETS).map(([id, { label, weights: presetWeights }]) => (
+          <button key={id} style={presetButtonStyle(preset === id)} onClick={() => onChange(presetWeights)}>
+            {label}
+          </button>
+        ))}
+        {!preset && <span>Custom weights</span>}
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '8px 24px' }}>
+        {FACTOR_IDS.map(factor => (
+          <label key={factor} style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <span style={{ minWidth: '80px', color: SCORE_FACTORS[factor].color }}>{SCORE_FACTORS[factor].label}</span>
+            <input
+              type="range"
+              aria-label={`Weight for ${SCORE_FACTORS[factor].label}`}
+              min="0"
+              max="100"
+              step="5"
+              value={Math.round(weights[factor] * 100)}
+              onChange={(e) => onChange({ ...weights, [factor]: Number(e.target.value) / 100 })}
+              style={{ flex: 1 }}
+            />
+            <span style={{ minWidth: '36px', textAlign: 'right' }}>
+              {totalWeight > 0 ? `${Math.round((weights[factor] / totalWeight) * 100)}%` : '—'}
+            </span>
+          </label>
+        ))}
+      </div>
+      {totalWeight === 0 && <p style={{ color: '#f59e0b', marginTop: '8px' }}>Give at least one factor a weight; until then the shortest path wins</p>}
+    </div>
+  );
+};
+
+export default ScoreWeightsEditor;
@@ -0,0 +1,24 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import ScoreWeightsEditor from './ScoreWeightsEditor';
+import { SCORE_PRESETS, DEFAULT_SCORE_WEIGHTS } from '../routing/pathScore';
+
+test('presets and sliders change the weights', () => {
+  const onChange = jest.fn();
+  render(<ScoreWeightsEditor weights={DEFAULT_SCORE_WEIGHTS} onChange={onChange} />);
+
+  expect(screen.getByLabelText('Weight for Distance')).toHaveValue('30');
+  fireEvent.click(screen.getByText('Least traffic'));
+  expect(onChange).toHaveBeenLastCalledWith(SCORE_PRESETS.leastTraffic.weights);
+
+  fireEvent.change(screen.getByLabelText('Weight for Turns'), { target: { value: '45' } });
+  expect(onChange).toHaveBeenLastCalledWith({ ...DEFAULT_SCORE_WEIGHTS, turns: 0.45 });
+});
+
+test('custom weights show their share and warn when all are zero', () => {
+  const { rerender } = render(<ScoreWeightsEditor weights={{ distance: 1, time: 1, turns: 0, tJunctions: 0, intensity: 0 }} onChange={() => {}} />);
+  expect(screen.getByText('Custom weights')).toBeInTheDocument();
+  expect(screen.getAllByText('50%')).toHaveLength(2);
+
+  rerender(<ScoreWeightsEditor weights={{ distance: 0, time: 0, turns: 0, tJunctions: 0, intensity: 0 }} onChange={() => {}} />);
+  expect(screen.getByText(/Give at least one factor a weight/)).toBeInTheDocument();
+});
@@ -0,0 +1,78 @@
+import React from 'react';
+import { VEHICLE_STATUS } from '../allocation/session';
+
+const STATUS_COLORS = {
+  reserved: '#f59e0b',
+  parked: '#ef4444',
+  departed: '#64748b',
+  waiting: '#fca5a5'
+};
+
+const actionStyle = {
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  padding: '4px 10px',
+  borderRadius: '6px',
+  fontSize: '12px',
+  cursor: 'pointer'
+};
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleTimeString() : '—');
+
+// Live table of the vehicles admitted in this session and where they are parked
+const SessionTable = ({ vehicles, onCheckIn, onRelease, onGuide }) => {
+  if (vehicles.length === 0) return null;
+
+  const cellStyle = { padding: '8px', borderBottom: '1px solid rgba(255, 255, 255, 0.1)', textAlign: 'left' };
+
+  return (
+    <table style={{ width: '100%', borderCollapse: 'collapse', color: '#94a3b8', fontSize: '14px' }}>
+      <thead>
+        <tr style={{ color: 'white' }}>
+          <th style={cellStyle}>Vehicle</th>
+          <th style={cellStyle}>Type</th>
+          <th style={cellStyle}>Slot</th>
+          <th style={cellStyle}>Status</th>
+          <th style={cellStyle}>Arrived</th>
+          <th style={cellStyle}>Parked</th>
+          <th style={cellStyle}>Left</th>
+          <th style={cellStyle}></th>
+        </tr>
+      </thead>
+      <tbody>
+        {vehicles.map(vehicle => (
+          <tr key={vehicle.id}>
+            <td style={cellStyle}>{vehicle.id}</td>
+            <td style={cellStyle}>{vehicle.vehicle_type}</td>
+            <td style={cellStyle}>
+              {vehicle.slot_number ? (vehicle.span_slots || [vehicle.slot_number]).map(n => `#${n}`).join(' + ') : '—'}
+              {vehicle.slot_label && ` (${vehicle.slot_label})`}
+            </td>
+            <td style={{ ...cellStyle, color: STATUS_COLORS[vehicle.status] }} title={vehicle.status === 'waiting' ? vehicle.reason : undefined}>
+              {VEHICLE_STATUS[vehicle.status]}
+            </td>
+            <td style={cellStyle}>{formatTime(vehicle.arrived_at)}</td>
+            <td style={cellStyle}>{formatTime(vehicle.parked_at)}</td>
+            <td style={cellStyle}>{formatTime(vehicle.departed_at)}</td>
+            <td style={{ ...cellStyle, display: 'flex', gap: '6px', justifyContent: 'flex-end' }}>
+              {vehicle.status === 'reserved' && onGuide && (
+                <button style={actionStyle} onClick={() => onGuide(vehicle)}>Guide</button>
+              )}
+              {vehicle.status === 'reserved' && (
+                <button style={actionStyle} onClick={() => onCheckIn(vehicle.id)}>Check in</button>
+              )}
+              {vehicle.status !== 'departed' && (
+                <button style={actionStyle} onClick={() => onRelease(vehicle.id)}>
+                  {vehicle.status === 'parked' ? 'Check out' : 'Release'}
+                </button>
+              )}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default SessionTable;
@@ -0,0 +1,29 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import SessionTable from './SessionTable';
+
+const vehicles = [
+  { id: 'V1', vehicle_type: 'car', slot_number: 4, status: 'reserved', arrived_at: '2026-05-04T08:30:00Z' },
+  { id: 'V2', vehicle_type: 'bus', slot_number: 9, status: 'parked', arrived_at: '2026-05-04T08:31:00Z', parked_at: '2026-05-04T08:33:00Z' },
+  { id: 'V3', vehicle_type: 'van', slot_number: null, status: 'waiting', arrived_at: '2026-05-04T08:32:00Z' }
+];
+
+test('lists who is parked where with the actions each status allows', () => {
+  const onCheckIn = jest.fn();
+  const onRelease = jest.fn();
+  render(<SessionTable vehicles={vehicles} onCheckIn={onCheckIn} onRelease={onRelease} />);
+
+  expect(screen.getByText('#4')).toBeInTheDocument();
+  expect(screen.getByText('No slot')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Check in'));
+  expect(onCheckIn).toHaveBeenCalledWith('V1');
+
+  fireEvent.click(screen.getByText('Check out'));
+  expect(onRelease).toHaveBeenCalledWith('V2');
+  expect(screen.getAllByText('Release')).toHaveLength(2);
+});
+
+test('renders nothing for an empty session', () => {
+  render(<SessionTable vehicles={[]} onCheckIn={jest.fn()} onRelease={jest.fn()} />);
+  expect(screen.queryByRole('table')).not.toBeInTheDocument();
+});
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import LotOverlay, { SLOT_STATUS_COLORS } from './LotOverlay';
+import { CORRECTABLE_STATUSES } from '../detection/corrections';
+import { slotName } from '../lot/template';
+
+const smallButtonStyle = {
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  padding: '6px 12px',
+  borderRadius: '6px',
+  fontSize: '13px',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px'
+};
+
+// Smallest side of a drawn slot, in image pixels; smaller boxes are taken for stray clicks
+const MIN_SLOT_SIDE = 4;
+
+// Fix what the detector got wrong: click a slot to set its status or delete it, or draw a
+// missed slot from two opposite corners. Slots held by a vehicle are left alone.
+const SlotCorrectionEditor = ({ image, imageSize, slots, gates, onStatusChange, onAddSlot, onRemoveSlot }) => {
+  const [selectedNumber, setSelectedNumber] = useState(null);
+  const [adding, setAdding] = useState(false);
+  const [corner, setCorner] = useState(null);
+
+  const selected = slots.find(slot => slot.slot_number === selectedNumber);
+
+  const handleImageClick = (point) => {
+    if (!corner) {
+      setCorner(point);
+      return;
+    }
+    const box = {
+      x: Math.round((corner.x + point.x) / 2),
+      y: Math.round((corner.y + point.y) / 2),
+      width: Math.round(Math.abs(point.x - corner.x)),
+      height: Math.round(Math.abs(point.y - corner.y))
+    };
+    if (box.width >= MIN_SLOT_SIDE && box.height >= MIN_SLOT_SIDE) onAddSlot(box);
+    setCorner(null);
+    setAdding(false);
+  };
+
+  const toggleAdding = () => {
+    setAdding(!adding);
+    setCorner(null);
+  };
+
+  return (
+    <div>
+      <LotOverlay
+        image={image}
+        imageSize={imageSize}
+        slots={slots}
+        gates={gates}
+        onSlotClick={(slot) => setSelectedNumber(current => (current === slot.slot_number ? null : slot.slot_number))}
+        onImageClick={adding ? handleImageClick : undefined}
+      />
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', color: '#94a3b8', fontSize: '13px' }}>
+        <button style={{ ...smallButtonStyle, borderColor: adding ? SLOT_STATUS_COLORS.empty : smallButtonStyle.border }} onClick={toggleAdding}>
+          <Plus size={14} />
+          Add missed slot
+        </button>
+        {adding && <span>{corner ? 'Click the opposite corner of the slot' : 'Click one corner of the missed slot'}</span>}
+
+        {!adding && !selected && <span>Click a slot to correct its status or delete it</span>}
+        {!adding && selected && selected.status === 'reserved' && (
+          <span>Slot {slotName(selected)} is held by vehicle {selected.reserved_by}; release it before correcting the slot</span>
+        )}
+        {!adding && selected && selected.status !== 'reserved' && (
+          <>
+            <span>Slot {slotName(selected)} is</span>
+            {Object.entries(CORRECTABLE_STATUSES).map(([status, label]) => (
+              <button
+                key={status}
+                style={{ ...smallButtonStyle, borderColor: selected.status === status ? SLOT_STATUS_COLORS[status] : smallButtonStyle.border }}
+                onClick={() => onStatusChange(selected, status)}
+                disabled={selected.status === status}
+                aria-pressed={selected.status === status}
+              >
+                {label}
+              </button>
+            ))}
+            <button
+              style={smallButtonStyle}
+              onClick={() => {
+                onRemoveSlot(selected);
+                setSelectedNumber(null);
+              }}
+            >
+              <Trash2 size={14} />
+              Delete slot
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SlotCorrectionEditor;
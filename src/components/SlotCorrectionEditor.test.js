@@ -0,0 +1,47 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import SlotCorrectionEditor from './SlotCorrectionEditor';
+
+const slots = [
+  { slot_number: 1, status: 'occupied', row: 0, col: 0, x: 30, y: 30, width: 40, height: 40 },
+  { slot_number: 2, status: 'reserved', reserved_by: 'V1', row: 0, col: 1, x: 90, y: 30, width: 40, height: 40 }
+];
+
+const setupEditor = () => {
+  const handlers = { onStatusChange: jest.fn(), onAddSlot: jest.fn(), onRemoveSlot: jest.fn() };
+  render(
+    <SlotCorrectionEditor image="data:image/png;base64,AAAA" imageSize={{ width: 200, height: 100 }} slots={slots} gates={[]} {...handlers} />
+  );
+  return handlers;
+};
+
+test('a clicked slot can be given another status or deleted', () => {
+  const { onStatusChange, onRemoveSlot } = setupEditor();
+  fireEvent.click(screen.getByTestId('slot-box-1'));
+
+  expect(screen.getByRole('button', { name: 'Occupied' })).toBeDisabled();
+  fireEvent.click(screen.getByRole('button', { name: 'Blocked' }));
+  expect(onStatusChange).toHaveBeenCalledWith(slots[0], 'blocked');
+
+  fireEvent.click(screen.getByText('Delete slot'));
+  expect(onRemoveSlot).toHaveBeenCalledWith(slots[0]);
+});
+
+test('a slot held by a vehicle cannot be corrected', () => {
+  setupEditor();
+  fireEvent.click(screen.getByTestId('slot-box-2'));
+  expect(screen.getByText(/held by vehicle V1/)).toBeInTheDocument();
+  expect(screen.queryByText('Delete slot')).not.toBeInTheDocument();
+});
+
+test('a missed slot is drawn from two opposite corners', () => {
+  const { onAddSlot } = setupEditor();
+  const svg = screen.getByTestId('lot-overlay');
+  svg.getBoundingClientRect = () => ({ left: 0, top: 0, width: 200, height: 100 });
+
+  fireEvent.click(screen.getByText('Add missed slot'));
+  fireEvent.click(svg, { clientX: 130, clientY: 10 });
+  expect(screen.getByText('Click the opposite corner of the slot')).toBeInTheDocument();
+  fireEvent.click(svg, { clientX: 170, clientY: 50 });
+
+  expect(onAddSlot).toHaveBeenCalledWith({ x: 150, y: 30, width: 40, height: 40 });
+});
@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { Tag, RotateCcw } from 'lucide-react';
+import LotOverlay from './LotOverlay';
+import CategoryPicker from './CategoryPicker';
+import { createTemplate, setSlotLabel, tagBay, autoLabelTemplate, slotName } from '../lot/template';
+
+const smallButtonStyle = {
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  padding: '6px 12px',
+  borderRadius: '6px',
+  fontSize: '13px',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px'
+};
+
+const fieldStyle = {
+  padding: '6px 8px',
+  borderRadius: '6px',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  fontSize: '13px',
+  width: '100px'
+};
+
+const describeMatch = (match) => {
+  if (!match) return null;
+  if (match.created) return `Template created from this detection (${match.matched} bays)`;
+  if (match.fixed) {
+    return `${match.matched} drawn bays detected${match.missing.length > 0 ? `, ${match.missing.length} unknown` : ''}` +
+      (match.ignored > 0 ? ` · ${match.ignored} detections outside the template ignored` : '');
+  }
+  const parts = [`${match.matched} bays matched to the template`];
+  if (match.added.length > 0) parts.push(`${match.added.length} new (${match.added.map(id => `#${id}`).join(', ')})`);
+  if (match.missing.length > 0) parts.push(`${match.missing.length} not detected (${match.missing.map(id => `#${id}`).join(', ')})`);
+  return parts.join(' · ');
+};
+
+// Saved bays of the lot: how this detection matched them, and the operator's labels per bay
+const SlotTemplateEditor = ({ image, imageSize, slots, template, match, onTemplateChange }) => {
+  const [editing, setEditing] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const selected = slots.find(slot => slot.slot_number === selectedId);
+
+  return (
+    <div style={{ color: '#94a3b8', fontSize: '13px' }}>
+      <p style={{ marginBottom: '12px' }}>
+        {template
+          ? `${template.slots.length} bays in the template, ${template.slots.filter(bay => bay.label).length} labelled. ${describeMatch(match) || ''}`
+          : 'No template yet: the next detection becomes the lot template'}
+      </p>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '12px' }}>
+        <button style={smallButtonStyle} onClick={() => setEditing(!editing)} disabled={!template}>
+          <Tag size={14} />
+          {editing ? 'Done labelling' : 'Edit labels'}
+        </button>
+        <button style={smallButtonStyle} onClick={() => onTemplateChange(autoLabelTemplate(template, slots))} disabled={!template}>
+          Label by row and column
+        </button>
+        <button
+          style={smallButtonStyle}
+          onClick={() => onTemplateChange(createTemplate(slots, { aisles: template?.aisles }))}
+          disabled={slots.length === 0}
+          title="Replace the saved bays with this detection, keeping its numbers and labels"
+        >
+          <RotateCcw size={14} />
+          Save detection as template
+        </button>
+      </div>
+
+      {editing && template && (
+        <>
+          <p style={{ marginBottom: '8px' }}>Click a bay to label it or tag its categories</p>
+          <LotOverlay image={image} imageSize={imageSize} slots={slots} onSlotClick={(slot) => setSelectedId(slot.slot_number)} />
+          {selected && (
+            <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '12px', marginBottom: '12px' }}>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                Bay #{selected.slot_number} ({slotName(selected)}):
+                <input
+                  type="text"
+                  aria-label={`Label for bay ${selected.slot_number}`}
+                  placeholder="e.g. B-07"
+                  value={selected.label || ''}
+                  onChange={(e) => onTemplateChange(setSlotLabel(template, selected.slot_number, e.target.value))}
+                  style={fieldStyle}
+                />
+              </label>
+              <CategoryPicker bay={selected} onChange={(changes) => onTemplateChange(tagBay(template, selected.slot_number, changes))} />
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SlotTemplateEditor;
@@ -0,0 +1,44 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import SlotTemplateEditor from './SlotTemplateEditor';
+import { createTemplate } from '../lot/template';
+
+const slots = [
+  { slot_number: 1, status: 'empty', row: 0, col: 0, x: 20, y: 40, width: 40, height: 80, label: '' },
+  { slot_number: 2, status: 'empty', row: 1, col: 6, x: 60, y: 40, width: 40, height: 80, label: '' }
+];
+const template = createTemplate(slots);
+
+const renderEditor = (props = {}) => render(
+  <SlotTemplateEditor
+    image="data:image/png;base64,AAAA"
+    imageSize={{ width: 100, height: 80 }}
+    slots={slots}
+    template={template}
+    match={{ matched: 1, added: [2], missing: [] }}
+    onTemplateChange={jest.fn()}
+    {...props}
+  />
+);
+
+test('summarises how the detection matched the template', () => {
+  renderEditor();
+  expect(screen.getByText(/2 bays in the template, 0 labelled\. 1 bays matched to the template · 1 new \(#2\)/)).toBeInTheDocument();
+});
+
+test('labels a clicked bay', () => {
+  const onTemplateChange = jest.fn();
+  renderEditor({ onTemplateChange });
+
+  fireEvent.click(screen.getByText('Edit labels'));
+  fireEvent.click(screen.getByTestId('slot-box-2'));
+  fireEvent.change(screen.getByLabelText('Label for bay 2'), { target: { value: 'B-07' } });
+  expect(onTemplateChange.mock.calls[0][0].slots[1]).toMatchObject({ id: 2, label: 'B-07' });
+});
+
+test('labels every bay by its row and column', () => {
+  const onTemplateChange = jest.fn();
+  renderEditor({ onTemplateChange });
+
+  fireEvent.click(screen.getByText('Label by row and column'));
+  expect(onTemplateChange.mock.calls[0][0].slots.map(bay => bay.label)).toEqual(['A-01', 'B-07']);
+});
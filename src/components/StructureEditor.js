@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import {
+  MAIN_VIEW_ID, allViews, addLevel, renameLevel, removeLevel, addView, renameView, removeView, addRamp, removeRamp
+} from '../lot/structure';
+
+const smallButtonStyle = {
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  padding: '6px 12px',
+  borderRadius: '6px',
+  fontSize: '13px',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px'
+};
+
+const fieldStyle = {
+  padding: '6px 8px',
+  borderRadius: '6px',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  background: 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  fontSize: '13px'
+};
+
+const endKey = (end) => `${end.view}/${end.gate}`;
+
+// Levels of the lot, the camera views on each and the ramps between them.
+// rampGatesOf(viewId) lists the ramp gates placed on a view, the ends a ramp can join.
+const StructureEditor = ({ structure, onChange, rampGatesOf }) => {
+  const [draft, setDraft] = useState({ from: '', to: '', length: '' });
+
+  const views = allViews(structure);
+  const ends = views.flatMap(view => rampGatesOf(view.id).map(gate => ({
+    key: endKey({ view: view.id, gate: gate.id }),
+    end: { view: view.id, gate: gate.id },
+    label: `${view.level_name} · ${view.name} · ${gate.label}`
+  })));
+  const endLabel = (end) => ends.find(entry => entry.key === endKey(end))?.label || `${end.view} · ${end.gate} (not placed)`;
+  const endOf = (key) => ends.find(entry => entry.key === key)?.end;
+  const length = Number(draft.length);
+  const canAddRamp = endOf(draft.from) && endOf(draft.to) && endOf(draft.from).view !== endOf(draft.to).view && length > 0;
+
+  const createRamp = () => {
+    onChange(addRamp(structure, { from: endOf(draft.from), to: endOf(draft.to), length }));
+    setDraft({ from: '', to: '', length: '' });
+  };
+
+  return (
+    <div style={{ color: '#94a3b8', fontSize: '13px' }}>
+      <div style={{ display: 'grid', gap: '12px', marginBottom: '12px' }}>
+        {structure.levels.map(level => (
+          <div key={level.id} style={{ display: 'grid', gap: '6px' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+              <input
+                value={level.name}
+                onChange={(e) => onChange(renameLevel(structure, level.id, e.target.value))}
+                aria-label={`${level.id} name`}
+                style={{ ...fieldStyle, width: '140px', fontWeight: '600' }}
+              />
+              <button style={smallButtonStyle} onClick={() => onChange(addView(structure, level.id))}>
+                <Plus size={14} />
+                Add camera
+              </button>
+              {!level.views.some(view => view.id === MAIN_VIEW_ID) && (
+                <button style={{ ...smallButtonStyle, padding: '4px 8px' }} onClick={() => onChange(removeLevel(structure, level.id))} title={`Remove ${level.name}`}>
+                  <Trash2 size={14} />
+                </button>
+              )}
+            </div>
+            {level.views.map(view => (
+              <div key={view.id} style={{ display: 'flex', alignItems: 'center', gap: '8px', paddingLeft: '16px' }}>
+                <input
+                  value={view.name}
+                  onChange={(e) => onChange(renameView(structure, view.id, e.target.value))}
+                  aria-label={`${view.id} name`}
+                  style={{ ...fieldStyle, width: '140px' }}
+                />
+                <span>Slots from {view.base + 1}</span>
+                {view.id !== MAIN_VIEW_ID && level.views.length > 1 && (
+                  <button style={{ ...smallButtonStyle, padding: '4px 8px' }} onClick={() => onChange(removeView(structure, view.id))} title={`Remove ${view.name}`}>
+                    <Trash2 size={14} />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+      <button style={{ ...smallButtonStyle, marginBottom: '16px' }} onClick={() => onChange(addLevel(structure))}>
+        <Plus size={14} />
+        Add level
+      </button>
+
+      {views.length > 1 && (
+        <div>
+          <h4 style={{ color: 'white', marginBottom: '8px' }}>Ramps</h4>
+          {structure.ramps.map(ramp => (
+            <div key={ramp.id} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' }}>
+              <span>{ramp.name}: {endLabel(ramp.from)} ↔ {endLabel(ramp.to)}, {ramp.length} m</span>
+              <button style={{ ...smallButtonStyle, padding: '4px 8px' }} onClick={() => onChange(removeRamp(structure, ramp.id))} title={`Remove ${ramp.name}`}>
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+          {ends.length < 2 ? (
+            <p>Place a ramp gate on the camera views at both ends of a ramp (step 2) to join them here.</p>
+          ) : (
+            <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px' }}>
+              {['from', 'to'].map(side => (
+                <select
+                  key={side}
+                  aria-label={`Ramp ${side}`}
+                  value={draft[side]}
+                  onChange={(e) => setDraft({ ...draft, [side]: e.target.value })}
+                  style={fieldStyle}
+                >
+                  <option value="">{side === 'from' ? 'From...' : 'To...'}</option>
+                  {ends.map(entry => (
+                    <option key={entry.key} value={entry.key}>{entry.label}</option>
+                  ))}
+                </select>
+              ))}
+              <input
+                type="number"
+                min="1"
+                placeholder="Length (m)"
+                aria-label="Ramp length in meters"
+                value={draft.length}
+                onChange={(e) => setDraft({ ...draft, length: e.target.value })}
+                style={{ ...fieldStyle, width: '100px' }}
+              />
+              <button style={smallButtonStyle} onClick={createRamp} disabled={!canAddRamp}>
+                <Plus size={14} />
+                Add ramp
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StructureEditor;
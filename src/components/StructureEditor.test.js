@@ -0,0 +1,37 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import StructureEditor from './StructureEditor';
+import { DEFAULT_STRUCTURE, addLevel } from '../lot/structure';
+
+const noGates = () => [];
+
+test('adds a level with its own camera view', () => {
+  const onChange = jest.fn();
+  render(<StructureEditor structure={DEFAULT_STRUCTURE} onChange={onChange} rampGatesOf={noGates} />);
+
+  fireEvent.click(screen.getByText('Add level'));
+  expect(onChange.mock.calls[0][0].levels[1]).toEqual({
+    id: 'level-2', name: 'Level 2', views: [{ id: 'view-1', name: 'Camera 2', base: 1000 }]
+  });
+});
+
+test('the main view\'s level cannot be removed', () => {
+  render(<StructureEditor structure={addLevel(DEFAULT_STRUCTURE)} onChange={jest.fn()} rampGatesOf={noGates} />);
+  expect(screen.queryByTitle('Remove Level 1')).not.toBeInTheDocument();
+  expect(screen.getByTitle('Remove Level 2')).toBeInTheDocument();
+  expect(screen.getByText(/Place a ramp gate/)).toBeInTheDocument();
+});
+
+test('joins ramp gates of two views with a ramp', () => {
+  const onChange = jest.fn();
+  const rampGatesOf = (viewId) => [{ id: 'gate-3', type: 'ramp', label: viewId === 'main' ? 'Down' : 'Up', x: 0, y: 0 }];
+  render(<StructureEditor structure={addLevel(DEFAULT_STRUCTURE)} onChange={onChange} rampGatesOf={rampGatesOf} />);
+
+  fireEvent.change(screen.getByLabelText('Ramp from'), { target: { value: 'main/gate-3' } });
+  fireEvent.change(screen.getByLabelText('Ramp to'), { target: { value: 'view-1/gate-3' } });
+  fireEvent.change(screen.getByLabelText('Ramp length in meters'), { target: { value: '30' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Add ramp' }));
+
+  expect(onChange.mock.calls[0][0].ramps).toEqual([{
+    id: 'ramp-1', name: 'Ramp 1', from: { view: 'main', gate: 'gate-3' }, to: { view: 'view-1', gate: 'gate-3' }, length: 30
+  }]);
+});
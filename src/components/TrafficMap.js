@@ -0,0 +1,52 @@
+import React from 'react';
+import LotOverlay from './LotOverlay';
+
+// How each detected vehicle was counted
+export const TRAFFIC_COLORS = {
+  aisle: '#f97316',
+  parked: '#64748b',
+  unmatched: '#e2e8f0'
+};
+
+const LEGEND = [
+  ['aisle', 'In an aisle (counted)'],
+  ['parked', 'Parked in a slot'],
+  ['unmatched', 'Away from any lane (ignored)']
+];
+
+// Vehicles found in the traffic image, drawn over it by how they were counted
+const TrafficMap = ({ image, imageSize, slots, vehicles }) => (
+  <div>
+    <LotOverlay image={image} imageSize={imageSize} slots={slots}>
+      <g style={{ pointerEvents: 'none' }}>
+        {LEGEND.map(([kind]) => vehicles[kind].map((vehicle, i) => (
+          <rect
+            key={`${kind}-${i}`}
+            data-testid={`traffic-${kind}`}
+            x={vehicle.x - vehicle.width / 2}
+            y={vehicle.y - vehicle.height / 2}
+            width={vehicle.width}
+            height={vehicle.height}
+            fill={TRAFFIC_COLORS[kind]}
+            fillOpacity={kind === 'aisle' ? 0.35 : 0.1}
+            stroke={TRAFFIC_COLORS[kind]}
+            strokeWidth="2"
+            strokeDasharray={kind === 'aisle' ? undefined : '6 4'}
+            vectorEffect="non-scaling-stroke"
+          />
+        )))}
+      </g>
+    </LotOverlay>
+
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '16px', fontSize: '14px', color: '#94a3b8', marginBottom: '16px' }}>
+      {LEGEND.map(([kind, label]) => (
+        <span key={kind} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <span style={{ width: '16px', height: '16px', border: `2px solid ${TRAFFIC_COLORS[kind]}`, borderRadius: '3px' }}></span>
+          {label} ({vehicles[kind].length})
+        </span>
+      ))}
+    </div>
+  </div>
+);
+
+export default TrafficMap;
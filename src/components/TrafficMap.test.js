@@ -0,0 +1,20 @@
+import { render, screen } from '@testing-library/react';
+import TrafficMap from './TrafficMap';
+
+const car = (x, y) => ({ x, y, width: 40, height: 20, confidence: 0.9, class: 'car' });
+
+test('draws each vehicle by how it was counted', () => {
+  render(
+    <TrafficMap
+      image="data:image/png;base64,AAAA"
+      imageSize={{ width: 200, height: 100 }}
+      slots={[]}
+      vehicles={{ aisle: [car(50, 50), car(90, 50)], parked: [car(20, 20)], unmatched: [] }}
+    />
+  );
+
+  expect(screen.getAllByTestId('traffic-aisle')).toHaveLength(2);
+  expect(screen.getAllByTestId('traffic-parked')).toHaveLength(1);
+  expect(screen.getByText('In an aisle (counted) (2)')).toBeInTheDocument();
+  expect(screen.getByText('Away from any lane (ignored) (0)')).toBeInTheDocument();
+});
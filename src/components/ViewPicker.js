@@ -0,0 +1,30 @@
+import React from 'react';
+
+const viewButtonStyle = (active) => ({
+  background: active ? 'linear-gradient(90deg, #3b82f6, #1d4ed8)' : 'rgba(255, 255, 255, 0.1)',
+  color: 'white',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  padding: '6px 12px',
+  borderRadius: '6px',
+  fontSize: '13px',
+  cursor: 'pointer'
+});
+
+// Which camera view of a multi-level lot is shown; `slotCounts` ({ viewId: n }) marks the detected ones
+const ViewPicker = ({ views, activeViewId, onViewChange, slotCounts = {} }) => (
+  <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', marginBottom: '16px', color: '#94a3b8', fontSize: '13px' }}>
+    <span>Camera view:</span>
+    {views.map(view => (
+      <button
+        key={view.id}
+        style={viewButtonStyle(view.id === activeViewId)}
+        onClick={() => onViewChange(view.id)}
+        aria-pressed={view.id === activeViewId}
+      >
+        {view.level_name} · {view.name} ({slotCounts[view.id] ? `${slotCounts[view.id]} slots` : 'not detected'})
+      </button>
+    ))}
+  </div>
+);
+
+export default ViewPicker;
@@ -0,0 +1,16 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import ViewPicker from './ViewPicker';
+
+const views = [
+  { id: 'main', name: 'Camera 1', level_name: 'Level 1' },
+  { id: 'view-1', name: 'Camera 2', level_name: 'Level 2' }
+];
+
+test('lists every view with its level and switches on click', () => {
+  const onViewChange = jest.fn();
+  render(<ViewPicker views={views} activeViewId="main" onViewChange={onViewChange} slotCounts={{ main: 36 }} />);
+
+  expect(screen.getByRole('button', { name: 'Level 1 · Camera 1 (36 slots)' })).toHaveAttribute('aria-pressed', 'true');
+  fireEvent.click(screen.getByRole('button', { name: 'Level 2 · Camera 2 (not detected)' }));
+  expect(onViewChange).toHaveBeenCalledWith('view-1');
+});
@@ -0,0 +1,193 @@
+// Detection backends. Every backend exposes the same calls (slots, vehicle type and
+// traffic, i.e. every vehicle visible in a lot or aisle image) and resolves to a
+// Roboflow-shaped response: { predictions: [{ x, y, width, height, confidence, class }], image: { width, height } }
+
+import { RAW_SLOT_QUERY } from './filtering';
+import { createOnnxBackend } from './onnx';
+
+export const PARKING_MODEL = 'parking-space-finder-wjxkw-sqkag/1';
+export const VEHICLE_MODEL = 'vehicle-classification-v2/1';
+
+// Hosted Roboflow is reached through the app server (server/), which holds the API key;
+// a self-hosted server is called directly, with a key only if it asks for one
+export const BACKEND_TYPES = {
+  roboflow: { label: 'Hosted Roboflow (through the app server)', acceptsApiKey: false, requiresUrl: false },
+  selfHosted: { label: 'Self-hosted inference server', acceptsApiKey: true, requiresUrl: true },
+  fixture: { label: 'Offline fixtures (recorded predictions)', acceptsApiKey: false, requiresUrl: false },
+  onnx: { label: 'In-browser models (ONNX)', acceptsApiKey: false, requiresUrl: false }
+};
+
+const checkResponse = (response, errorPrefix) => {
+  if (!response.ok) {
+    throw new Error(`${errorPrefix}: ${response.status} - ${response.statusText}`);
+  }
+  return response.json();
+};
+
+const postImage = async (url, imageFile, errorPrefix) => {
+  const formData = new FormData();
+  formData.append('file', imageFile);
+
+  const response = await fetch(url, {
+    method: 'POST',
+    body: formData
+  });
+
+  return checkResponse(response, errorPrefix);
+};
+
+const buildModelUrl = (baseUrl, model, apiKey, params) => {
+  const query = new URLSearchParams({ ...(apiKey ? { api_key: apiKey } : {}), ...params });
+  return `${baseUrl.replace(/\/+$/, '')}/${model}?${query.toString()}`;
+};
+
+// Any server speaking Roboflow's HTTP API, e.g. Roboflow Inference in Docker
+export const createRoboflowBackend = ({ apiKey, baseUrl, type = 'selfHosted' }) => ({
+  type,
+  label: BACKEND_TYPES[type].label,
+
+  // Loose thresholds: the app filters slot predictions itself (see filtering.js)
+  detectParkingSlots: async (imageFile) => postImage(
+    buildModelUrl(baseUrl, PARKING_MODEL, apiKey, RAW_SLOT_QUERY),
+    imageFile,
+    'API Error'
+  ),
+
+  detectVehicleType: async (imageFile) => postImage(
+    buildModelUrl(baseUrl, VEHICLE_MODEL, apiKey, { confidence: 50 }),
+    imageFile,
+    'Vehicle detection failed'
+  ),
+
+  detectTraffic: async (imageFile) => postImage(
+    buildModelUrl(baseUrl, VEHICLE_MODEL, apiKey, { confidence: 40, overlap: 30 }),
+    imageFile,
+    'Traffic detection failed'
+  )
+});
+
+// The app server's detection endpoints take the image itself as the body. baseUrl is empty
+// when the app is served by that server (or proxied to it in development).
+const postToServer = async (baseUrl, route, params, imageFile, errorPrefix) => {
+  const response = await fetch(`${baseUrl.replace(/\/+$/, '')}${route}?${new URLSearchParams(params).toString()}`, {
+    method: 'POST',
+    headers: { 'Content-Type': imageFile.type || 'application/octet-stream' },
+    body: imageFile
+  });
+  return checkResponse(response, errorPrefix);
+};
+
+// Hosted Roboflow through the app server, so the key never reaches the browser
+export const createServerBackend = ({ baseUrl = '' } = {}) => ({
+  type: 'roboflow',
+  label: BACKEND_TYPES.roboflow.label,
+
+  detectParkingSlots: async (imageFile) => postToServer(baseUrl, '/api/detect/slots', RAW_SLOT_QUERY, imageFile, 'API Error'),
+
+  detectVehicleType: async (imageFile) => postToServer(baseUrl, '/api/detect/vehicle', { confidence: 50 }, imageFile, 'Vehicle detection failed'),
+
+  detectTraffic: async (imageFile) => postToServer(baseUrl, '/api/detect/vehicle', { confidence: 40, overlap: 30 }, imageFile, 'Traffic detection failed')
+});
+
+// A fixture is one recorded response or an array of them, replayed in order and then cycled
+const toRecordings = (fixture) => {
+  const recordings = Array.isArray(fixture) ? fixture : [fixture];
+  recordings.forEach((recording, i) => {
+    if (!recording || !Array.isArray(recording.predictions)) {
+      throw new Error(`Fixture recording ${i + 1} has no "predictions" array`);
+    }
+  });
+  return recordings;
+};
+
+// Traffic recordings are optional: without them no vehicles are seen in the aisles
+export const createFixtureBackend = ({ slots, vehicles, traffic = { predictions: [] } }) => {
+  const slotRecordings = toRecordings(slots);
+  const vehicleRecordings = toRecordings(vehicles);
+  const trafficRecordings = toRecordings(traffic);
+  let slotCalls = 0;
+  let vehicleCalls = 0;
+  let trafficCalls = 0;
+
+  return {
+    type: 'fixture',
+    label: BACKEND_TYPES.fixture.label,
+
+    detectParkingSlots: async () => slotRecordings[slotCalls++ % slotRecordings.length],
+
+    detectVehicleType: async () => vehicleRecordings[vehicleCalls++ % vehicleRecordings.length],
+
+    detectTraffic: async () => trafficRecordings[trafficCalls++ % trafficRecordings.length]
+  };
+};
+
+// Passes calls through to a backend and reports each raw response as (kind, response),
+// kind being 'slots', 'vehicles' or 'traffic', so a saved session can replay them
+export const withRecording = (backend, onResponse) => {
+  const recorded = (kind, detect) => async (imageFile) => {
+    const response = await detect(imageFile);
+    onResponse(kind, response);
+    return response;
+  };
+  return {
+    ...backend,
+    detectParkingSlots: recorded('slots', backend.detectParkingSlots),
+    detectVehicleType: recorded('vehicles', backend.detectVehicleType),
+    detectTraffic: recorded('traffic', backend.detectTraffic)
+  };
+};
+
+const RECORDING_NAMES = { slots: 'slot detections', vehicles: 'vehicle detections', traffic: 'traffic detections' };
+
+// Answers from the responses recorded in a saved session, in the order they were received,
+// then from the live backend once they run out (when one is connected)
+export const createReplayBackend = (recordings, live = null) => {
+  const remaining = {
+    slots: [...(recordings.slots || [])],
+    vehicles: [...(recordings.vehicles || [])],
+    traffic: [...(recordings.traffic || [])]
+  };
+  const replay = (kind, method) => async (imageFile) => {
+    if (remaining[kind].length > 0) return remaining[kind].shift();
+    if (!live) {
+      throw new Error(`No recorded ${RECORDING_NAMES[kind]} left in this saved session; connect a detection backend to detect more`);
+    }
+    return live[method](imageFile);
+  };
+
+  return {
+    type: 'replay',
+    label: live ? `Saved session replay, then ${live.label}` : 'Saved session replay',
+    live,
+    detectParkingSlots: replay('slots', 'detectParkingSlots'),
+    detectVehicleType: replay('vehicles', 'detectVehicleType'),
+    detectTraffic: replay('traffic', 'detectTraffic')
+  };
+};
+
+export const createDetectionBackend = (config) => {
+  switch (config.type) {
+    case 'roboflow':
+      return createServerBackend({ baseUrl: config.serverUrl });
+    case 'selfHosted':
+      return createRoboflowBackend({ apiKey: config.apiKey, baseUrl: config.baseUrl });
+    case 'fixture':
+      return createFixtureBackend(config.fixtures);
+    case 'onnx':
+      return { type: 'onnx', label: BACKEND_TYPES.onnx.label, ...createOnnxBackend(config) };
+    default:
+      throw new Error(`Unknown detection backend: ${config.type}`);
+  }
+};
+
+// Whether the backend config has everything it needs to run
+export const isBackendConfigured = (config) => {
+  const backendType = BACKEND_TYPES[config.type];
+  if (!backendType) return false;
+  if (backendType.requiresUrl && !config.baseUrl?.trim()) return false;
+  if (config.type === 'fixture' && (!config.fixtures?.slots || !config.fixtures?.vehicles)) return false;
+  if (config.type === 'onnx' && !['slots', 'vehicles'].every(kind => config.models?.[kind]?.data && config.models[kind].classes?.length > 0)) {
+    return false;
+  }
+  return true;
+};
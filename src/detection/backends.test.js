@@ -0,0 +1,108 @@
+import {
+  createDetectionBackend, createFixtureBackend, createReplayBackend, isBackendConfigured, withRecording, PARKING_MODEL, VEHICLE_MODEL
+} from './backends';
+import demoLotFixture from './fixtures/demo-lot.json';
+import demoVehicleFixture from './fixtures/demo-vehicles.json';
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('fixture backend replays recordings in order and cycles', async () => {
+  const backend = createFixtureBackend({ slots: demoLotFixture, vehicles: demoVehicleFixture });
+  expect(await backend.detectParkingSlots()).toBe(demoLotFixture);
+  expect(await backend.detectParkingSlots()).toBe(demoLotFixture);
+
+  const classes = [];
+  for (let i = 0; i < demoVehicleFixture.length + 1; i++) {
+    const result = await backend.detectVehicleType();
+    classes.push(result.predictions[0].class);
+  }
+  expect(classes[0]).toBe(demoVehicleFixture[0].predictions[0].class);
+  expect(classes[demoVehicleFixture.length]).toBe(classes[0]);
+});
+
+test('fixture backend rejects recordings without predictions', () => {
+  expect(() => createFixtureBackend({ slots: {}, vehicles: demoVehicleFixture })).toThrow(/predictions/);
+});
+
+test('self-hosted backend posts to the configured server', async () => {
+  global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ predictions: [] }) });
+  const backend = createDetectionBackend({ type: 'selfHosted', baseUrl: 'http://localhost:9001/', apiKey: '' });
+
+  await backend.detectParkingSlots(new Blob(['x']));
+
+  expect(global.fetch).toHaveBeenCalledWith(
+    `http://localhost:9001/${PARKING_MODEL}?confidence=10&overlap=90`,
+    expect.objectContaining({ method: 'POST' })
+  );
+});
+
+test('hosted backend posts the image to the app server, with no key', async () => {
+  global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ predictions: [] }) });
+  const image = new Blob(['x'], { type: 'image/jpeg' });
+
+  await createDetectionBackend({ type: 'roboflow' }).detectParkingSlots(image);
+
+  expect(global.fetch).toHaveBeenCalledWith('/api/detect/slots?confidence=10&overlap=90', {
+    method: 'POST',
+    headers: { 'Content-Type': 'image/jpeg' },
+    body: image
+  });
+});
+
+test('hosted backend surfaces HTTP errors', async () => {
+  global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 429, statusText: 'Too Many Requests' });
+  const backend = createDetectionBackend({ type: 'roboflow' });
+
+  await expect(backend.detectVehicleType(new Blob(['x']))).rejects.toThrow('Vehicle detection failed: 429 - Too Many Requests');
+});
+
+test('isBackendConfigured checks what each backend needs', () => {
+  expect(isBackendConfigured({ type: 'roboflow', apiKey: '' })).toBe(true);
+  expect(isBackendConfigured({ type: 'selfHosted', baseUrl: '' })).toBe(false);
+  expect(isBackendConfigured({ type: 'fixture', fixtures: { slots: demoLotFixture } })).toBe(false);
+  expect(isBackendConfigured({ type: 'onnx', models: { slots: { data: new Uint8Array(1), classes: ['empty'] } } })).toBe(false);
+  expect(isBackendConfigured({
+    type: 'onnx',
+    models: { slots: { data: new Uint8Array(1), classes: ['empty'] }, vehicles: { data: new Uint8Array(1), classes: ['car'] } }
+  })).toBe(true);
+  expect(isBackendConfigured({ type: 'unknown' })).toBe(false);
+});
+
+test('traffic detection uses the vehicle model, or recorded traffic offline', async () => {
+  global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ predictions: [] }) });
+  await createDetectionBackend({ type: 'roboflow' }).detectTraffic(new Blob(['x']));
+  expect(global.fetch.mock.calls[0][0]).toBe('/api/detect/vehicle?confidence=40&overlap=30');
+  await createDetectionBackend({ type: 'selfHosted', baseUrl: 'http://localhost:9001', apiKey: 'key' }).detectTraffic(new Blob(['x']));
+  expect(global.fetch.mock.calls[1][0]).toBe(`http://localhost:9001/${VEHICLE_MODEL}?api_key=key&confidence=40&overlap=30`);
+
+  const recorded = { predictions: [{ x: 1, y: 2, width: 3, height: 4, confidence: 0.9, class: 'car' }] };
+  expect(await createFixtureBackend({ slots: demoLotFixture, vehicles: demoVehicleFixture, traffic: recorded }).detectTraffic()).toBe(recorded);
+  expect((await createFixtureBackend({ slots: demoLotFixture, vehicles: demoVehicleFixture }).detectTraffic()).predictions).toEqual([]);
+});
+
+test('a recording backend reports every raw response by kind', async () => {
+  const onResponse = jest.fn();
+  const backend = withRecording(createFixtureBackend({ slots: demoLotFixture, vehicles: demoVehicleFixture }), onResponse);
+
+  await backend.detectParkingSlots();
+  await backend.detectTraffic();
+
+  expect(onResponse).toHaveBeenNthCalledWith(1, 'slots', demoLotFixture);
+  expect(onResponse).toHaveBeenNthCalledWith(2, 'traffic', { predictions: [] });
+  expect(backend.label).toBe('Offline fixtures (recorded predictions)');
+});
+
+test('a replay backend answers from recordings, then from the live backend', async () => {
+  const recorded = { predictions: [{ x: 1, y: 2, width: 3, height: 4, confidence: 0.9, class: 'car' }] };
+  const replay = createReplayBackend({ slots: [], vehicles: [recorded] });
+  expect(await replay.detectVehicleType()).toBe(recorded);
+  await expect(replay.detectVehicleType()).rejects.toThrow(/No recorded vehicle detections left/);
+
+  const live = createFixtureBackend({ slots: demoLotFixture, vehicles: demoVehicleFixture });
+  const withLive = createReplayBackend({ vehicles: [recorded] }, live);
+  expect(await withLive.detectVehicleType()).toBe(recorded);
+  expect(await withLive.detectParkingSlots()).toBe(demoLotFixture);
+  expect(withLive.label).toBe('Saved session replay, then Offline fixtures (recorded predictions)');
+});
@@ -0,0 +1,124 @@
+import { distance } from '../routing/geometry';
+
+// Operator corrections of detections: slots set empty, occupied or blocked, missed slots
+// added, false ones removed and vehicle types overridden. Every correction is logged with
+// the image it was made on and that image's labels as the operator left them, so the log
+// doubles as labeled training data for retraining the models.
+
+export const CORRECTION_LOG_VERSION = 1;
+
+// Statuses an operator can give a slot; a blocked bay (coned off, works) is never allocated
+export const CORRECTABLE_STATUSES = { empty: 'Empty', occupied: 'Occupied', blocked: 'Blocked' };
+
+export const CORRECTION_KINDS = {
+  'slot-status': 'Slot status',
+  'slot-added': 'Missed slot added',
+  'slot-removed': 'False slot removed',
+  'vehicle-type': 'Vehicle type'
+};
+
+export const createCorrectionLog = () => ({ images: {}, entries: [] });
+
+// Short id of an image (FNV-1a of its data URL), so each image is kept once in the log
+export const imageKey = (data) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < data.length; i++) {
+    hash ^= data.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `img-${(hash >>> 0).toString(16).padStart(8, '0')}`;
+};
+
+const boxOf = ({ x, y, width, height }) => ({ x, y, width, height });
+
+export const correctSlotStatus = (slots, slotNumber, status) => slots.map(slot => (
+  slot.slot_number === slotNumber ? { ...slot, status, corrected: true, uncertain: false } : slot
+));
+
+// A slot the detector missed, numbered after the last one (from firstId in a camera view of
+// a multi-level lot). It takes the row and column of the nearest slot.
+export const addMissedSlot = (slots, box, { status = 'empty', slotNumber, firstId = 1 } = {}) => {
+  const nearest = slots.reduce((best, slot) => (!best || distance(slot, box) < distance(best, box) ? slot : best), null);
+  const slot = {
+    slot_number: slotNumber ?? Math.max(firstId - 1, ...slots.map(entry => entry.slot_number)) + 1,
+    status,
+    row: nearest ? nearest.row : 0,
+    col: nearest ? nearest.col : 0,
+    block: nearest ? nearest.block : 0,
+    ...boxOf(box),
+    is_corner: false,
+    is_edge: false,
+    corrected: true
+  };
+  return [...slots, slot].sort((a, b) => a.slot_number - b.slot_number);
+};
+
+export const removeSlot = (slots, slotNumber) => slots.filter(slot => slot.slot_number !== slotNumber);
+
+// Training label of a slot. Reservations are the app's own, so a reserved bay is labeled empty.
+const SLOT_LABELS = { empty: 'empty', reserved: 'empty', occupied: 'occupied', blocked: 'blocked' };
+
+export const slotAnnotations = (slots) => slots
+  .filter(slot => SLOT_LABELS[slot.status])
+  .map(slot => ({ ...boxOf(slot), class: SLOT_LABELS[slot.status], source: slot.corrected ? 'operator' : 'model' }));
+
+export const vehicleAnnotations = (vehicle) => [{ ...boxOf(vehicle), class: vehicle.vehicle_type, source: 'operator' }];
+
+// Log a correction made on `image`; `annotations` are all of that image's labels after it.
+// A correction without its image (e.g. a vehicle guided from the session table) is logged alone.
+export const logCorrection = (log, correction, { image, imageSize, annotations }, now = new Date()) => {
+  const entry = { id: log.entries.length + 1, at: now.toISOString(), image_id: image ? imageKey(image) : null, ...correction };
+  if (!image) return { ...log, entries: [...log.entries, entry] };
+  const imageId = entry.image_id;
+  return {
+    images: {
+      ...log.images,
+      [imageId]: {
+        kind: correction.kind === 'vehicle-type' ? 'vehicle' : 'lot',
+        width: imageSize?.width ?? null,
+        height: imageSize?.height ?? null,
+        data: image,
+        annotations
+      }
+    },
+    entries: [...log.entries, entry]
+  };
+};
+
+// The slot corrections made on an image, applied again, e.g. once its detection is filtered again
+export const applySlotCorrections = (slots, log, image) => {
+  const imageId = imageKey(image);
+  return log.entries.filter(entry => entry.image_id === imageId).reduce((current, entry) => {
+    if (entry.kind === 'slot-status') return correctSlotStatus(current, entry.slot_number, entry.to);
+    if (entry.kind === 'slot-removed') return removeSlot(current, entry.slot_number);
+    if (entry.kind === 'slot-added' && !current.some(slot => slot.slot_number === entry.slot_number)) {
+      return addMissedSlot(current, entry.box, { status: entry.to, slotNumber: entry.slot_number });
+    }
+    return current;
+  }, slots);
+};
+
+export const describeCorrection = (entry) => {
+  switch (entry.kind) {
+    case 'slot-status':
+      return `Slot ${entry.slot_name}: ${entry.from} → ${entry.to}`;
+    case 'slot-added':
+      return `Slot ${entry.slot_name} added (${entry.to})`;
+    case 'slot-removed':
+      return `Slot ${entry.slot_name} removed (was ${entry.from})`;
+    default: {
+      const detected = entry.original_class ? `${entry.from} (${entry.original_class})` : entry.from;
+      return `${entry.vehicle_id ? `Vehicle ${entry.vehicle_id}` : 'Vehicle'}: ${detected} → ${entry.to}`;
+    }
+  }
+};
+
+// The log as a file: every corrected image with its labels, and the corrections in order
+export const exportCorrectionLog = (log, { lotId, sessionId }, now = new Date()) => ({
+  version: CORRECTION_LOG_VERSION,
+  exported_at: now.toISOString(),
+  lot_id: lotId,
+  session_id: sessionId,
+  images: Object.entries(log.images).map(([id, image]) => ({ id, ...image })),
+  corrections: log.entries
+});
@@ -0,0 +1,73 @@
+import {
+  addMissedSlot, applySlotCorrections, correctSlotStatus, createCorrectionLog, describeCorrection, exportCorrectionLog,
+  imageKey, logCorrection, removeSlot, slotAnnotations, vehicleAnnotations
+} from './corrections';
+
+const now = new Date('2026-05-04T08:30:00Z');
+const image = 'data:image/jpeg;base64,AAAA';
+const slots = [
+  { slot_number: 1, status: 'empty', row: 0, col: 0, block: 0, x: 20, y: 30, width: 40, height: 60, uncertain: true },
+  { slot_number: 2, status: 'reserved', reserved_by: 'V1', row: 0, col: 1, block: 0, x: 60, y: 30, width: 40, height: 60 },
+  { slot_number: 3, status: 'occupied', row: 1, col: 0, block: 0, x: 20, y: 130, width: 40, height: 60 }
+];
+
+test('slots can be flipped, added and removed', () => {
+  expect(correctSlotStatus(slots, 1, 'blocked')[0]).toMatchObject({ status: 'blocked', corrected: true, uncertain: false });
+
+  const added = addMissedSlot(slots, { x: 100, y: 30, width: 40, height: 60 });
+  expect(added[3]).toMatchObject({ slot_number: 4, status: 'empty', row: 0, col: 1, corrected: true });
+  expect(addMissedSlot([], { x: 0, y: 0, width: 10, height: 10 }, { firstId: 1001 })[0].slot_number).toBe(1001);
+
+  expect(removeSlot(slots, 3).map(slot => slot.slot_number)).toEqual([1, 2]);
+});
+
+test('labels follow what the operator sees, with reservations labeled empty', () => {
+  expect(slotAnnotations(correctSlotStatus(slots, 3, 'blocked'))).toEqual([
+    { x: 20, y: 30, width: 40, height: 60, class: 'empty', source: 'model' },
+    { x: 60, y: 30, width: 40, height: 60, class: 'empty', source: 'model' },
+    { x: 20, y: 130, width: 40, height: 60, class: 'blocked', source: 'operator' }
+  ]);
+  expect(vehicleAnnotations({ vehicle_type: 'van', x: 5, y: 6, width: 7, height: 8 })).toEqual([
+    { x: 5, y: 6, width: 7, height: 8, class: 'van', source: 'operator' }
+  ]);
+});
+
+test('corrections are logged with their image once, and export as training data', () => {
+  const flipped = correctSlotStatus(slots, 3, 'empty');
+  let log = logCorrection(createCorrectionLog(), { kind: 'slot-status', slot_number: 3, slot_name: '3', from: 'occupied', to: 'empty' }, {
+    image, imageSize: { width: 200, height: 200 }, annotations: slotAnnotations(flipped)
+  }, now);
+  log = logCorrection(log, { kind: 'slot-removed', slot_number: 1, slot_name: '1', from: 'empty' }, {
+    image, imageSize: { width: 200, height: 200 }, annotations: slotAnnotations(removeSlot(flipped, 1))
+  }, now);
+
+  const exported = exportCorrectionLog(log, { lotId: 'north-lot', sessionId: 's1' }, now);
+  expect(exported.images).toHaveLength(1);
+  expect(exported.images[0]).toMatchObject({ id: imageKey(image), kind: 'lot', width: 200, data: image });
+  expect(exported.images[0].annotations).toHaveLength(2);
+  expect(exported.corrections.map(describeCorrection)).toEqual(['Slot 3: occupied → empty', 'Slot 1 removed (was empty)']);
+  expect(exported).toMatchObject({ version: 1, lot_id: 'north-lot', session_id: 's1', exported_at: now.toISOString() });
+});
+
+test('an image\'s slot corrections are applied again to a new filtering of its detection', () => {
+  let log = createCorrectionLog();
+  const context = { image, imageSize: null, annotations: [] };
+  log = logCorrection(log, { kind: 'slot-status', slot_number: 1, to: 'occupied' }, context, now);
+  log = logCorrection(log, { kind: 'slot-added', slot_number: 9, to: 'empty', box: { x: 100, y: 130, width: 40, height: 60 } }, context, now);
+  log = logCorrection(log, { kind: 'slot-removed', slot_number: 3 }, context, now);
+  log = logCorrection(log, { kind: 'slot-removed', slot_number: 2 }, { ...context, image: 'data:image/jpeg;base64,BBBB' }, now);
+
+  const again = applySlotCorrections(slots, log, image);
+  expect(again.map(slot => [slot.slot_number, slot.status])).toEqual([[1, 'occupied'], [2, 'reserved'], [9, 'empty']]);
+});
+
+test('vehicle type corrections describe what the model saw', () => {
+  expect(describeCorrection({ kind: 'vehicle-type', vehicle_id: 'V2', from: 'car', original_class: 'forklift', to: 'truck' }))
+    .toBe('Vehicle V2: car (forklift) → truck');
+});
+
+test('a correction without its image is logged on its own', () => {
+  const log = logCorrection(createCorrectionLog(), { kind: 'vehicle-type', from: 'car', to: 'van' }, { image: null, annotations: [] }, now);
+  expect(log.images).toEqual({});
+  expect(log.entries[0]).toMatchObject({ id: 1, image_id: null, to: 'van' });
+});
@@ -0,0 +1,81 @@
+// Confidence and overlap filtering of slot detections, done in the app rather than by the
+// detection server. Slot detections are requested with loose thresholds (RAW_SLOT_QUERY) and the
+// raw response is kept, so changing a threshold re-filters it without another call.
+// Thresholds are percentages, like Roboflow's query parameters; prediction confidences are 0..1.
+
+import { boxIoU } from '../monitoring/occupancyTracker';
+
+// Loosest thresholds asked of the server; the app cannot filter below them
+export const RAW_SLOT_QUERY = { confidence: 10, overlap: 90 };
+
+// confidence: predictions below it are dropped. overlap: a box overlapping a more confident
+// box of the same class by more than this (intersection over union) is dropped.
+// uncertainBelow: slots kept with less confidence than this are marked uncertain.
+// uncertainSlots: 'avoid' allocates them only when no certain slot is left, 'confirm' allocates
+// them like any other; either way the operator is asked to confirm an uncertain allocation.
+export const DEFAULT_DETECTION_FILTER = { confidence: 40, overlap: 30, uncertainBelow: 60, uncertainSlots: 'avoid' };
+
+export const UNCERTAIN_SLOT_POLICIES = {
+  avoid: 'Avoid unless nothing else is free',
+  confirm: 'Allocate, then ask to confirm'
+};
+
+const percentOf = (prediction) => (prediction.confidence || 0) * 100;
+
+// Predictions passing the thresholds, most confident first: greedy non-maximum suppression per class
+export const filterPredictions = (predictions, { confidence, overlap }) => predictions
+  .filter(prediction => percentOf(prediction) >= confidence)
+  .sort((a, b) => b.confidence - a.confidence)
+  .reduce((kept, prediction) => (
+    kept.some(other => other.class === prediction.class && boxIoU(other, prediction) * 100 > overlap)
+      ? kept
+      : [...kept, prediction]
+  ), []);
+
+// A raw response with only the predictions passing the thresholds
+export const filterResponse = (response, filter) => ({
+  ...response,
+  predictions: filterPredictions(response.predictions || [], filter)
+});
+
+// Slots whose detection is not trusted enough to send a driver there unchecked. Bays a fixed
+// template could not see carry no confidence and are not uncertain, just unknown; neither are
+// slots an operator corrected.
+export const markUncertain = (slots, { uncertainBelow }) => slots.map(slot => ({
+  ...slot,
+  uncertain: typeof slot.confidence === 'number' && slot.status !== 'unknown' && !slot.corrected && percentOf(slot) < uncertainBelow
+}));
+
+const checkPercent = (data, name) => {
+  const value = data[name] ?? DEFAULT_DETECTION_FILTER[name];
+  if (typeof value !== 'number' || !(value >= 0 && value <= 100)) throw new Error(`${name} must be a percentage`);
+  return value;
+};
+
+export const parseDetectionFilter = (data) => {
+  if (!data || typeof data !== 'object') throw new Error('Detection filter must be an object');
+  const uncertainSlots = data.uncertainSlots ?? DEFAULT_DETECTION_FILTER.uncertainSlots;
+  if (!UNCERTAIN_SLOT_POLICIES[uncertainSlots]) throw new Error(`Unknown policy for uncertain slots: ${uncertainSlots}`);
+  return {
+    confidence: checkPercent(data, 'confidence'),
+    overlap: checkPercent(data, 'overlap'),
+    uncertainBelow: checkPercent(data, 'uncertainBelow'),
+    uncertainSlots
+  };
+};
+
+// Thresholds are saved per lot, like its gates and rules
+const storageKey = (lotId) => `smartParking.detection.${lotId}`;
+
+export const loadDetectionFilter = (lotId) => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(storageKey(lotId)));
+    return saved ? parseDetectionFilter(saved) : DEFAULT_DETECTION_FILTER;
+  } catch (err) {
+    return DEFAULT_DETECTION_FILTER;
+  }
+};
+
+export const saveDetectionFilter = (lotId, filter) => {
+  window.localStorage.setItem(storageKey(lotId), JSON.stringify(filter));
+};
@@ -0,0 +1,45 @@
+import {
+  DEFAULT_DETECTION_FILTER, filterPredictions, filterResponse, markUncertain, parseDetectionFilter,
+  loadDetectionFilter, saveDetectionFilter
+} from './filtering';
+import { boxIoU } from '../monitoring/occupancyTracker';
+
+const box = (x, confidence, extra = {}) => ({ x, y: 50, width: 40, height: 80, confidence, class: 'empty', ...extra });
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('overlap is intersection over union of center-based boxes', () => {
+  expect(boxIoU(box(50), box(50))).toBe(1);
+  expect(boxIoU(box(50), box(70))).toBeCloseTo(1 / 3, 5);
+  expect(boxIoU(box(50), box(100))).toBe(0);
+});
+
+test('predictions below the confidence threshold or overlapping a better box are dropped', () => {
+  const predictions = [box(50, 0.5), box(60, 0.9), box(150, 0.3), box(60, 0.7, { class: 'occupied' })];
+
+  expect(filterPredictions(predictions, { confidence: 40, overlap: 30 }).map(p => p.confidence)).toEqual([0.9, 0.7]);
+  expect(filterPredictions(predictions, { confidence: 20, overlap: 80 }).map(p => p.confidence)).toEqual([0.9, 0.7, 0.5, 0.3]);
+  expect(filterResponse({ image: { width: 200 }, predictions }, { confidence: 95, overlap: 30 })).toEqual({ image: { width: 200 }, predictions: [] });
+});
+
+test('slots detected with little confidence are marked uncertain', () => {
+  const slots = markUncertain([
+    { slot_number: 1, status: 'empty', confidence: 0.55 },
+    { slot_number: 2, status: 'occupied', confidence: 0.8 },
+    { slot_number: 3, status: 'unknown' },
+    { slot_number: 4, status: 'empty', confidence: 0.3, corrected: true }
+  ], { uncertainBelow: 60 });
+  expect(slots.map(slot => slot.uncertain)).toEqual([true, false, false, false]);
+});
+
+test('thresholds are validated and saved per lot', () => {
+  expect(parseDetectionFilter({ confidence: 55 })).toEqual({ ...DEFAULT_DETECTION_FILTER, confidence: 55 });
+  expect(() => parseDetectionFilter({ overlap: 120 })).toThrow('overlap must be a percentage');
+  expect(() => parseDetectionFilter({ uncertainSlots: 'ignore' })).toThrow('Unknown policy for uncertain slots: ignore');
+
+  saveDetectionFilter('north', { ...DEFAULT_DETECTION_FILTER, confidence: 70 });
+  expect(loadDetectionFilter('north').confidence).toBe(70);
+  expect(loadDetectionFilter('south')).toEqual(DEFAULT_DETECTION_FILTER);
+});
@@ -0,0 +1,169 @@
+// In-browser detection with ONNX Runtime Web: a slot-occupancy model and a vehicle model,
+// loaded from files the operator provides and run on the device, with no server and no key.
+// Models are expected as YOLOv8 exports them (Roboflow's YOLOv8 training included): one
+// input [1, 3, size, size] of letterboxed RGB in 0..1, and one output [1, 4 + classes, boxes]
+// of center boxes in input pixels followed by each class's score. A classification model
+// (output [1, classes]) also serves for vehicles; its prediction spans the whole image.
+// Predictions come out in the Roboflow shape the other backends resolve to.
+// The runtime's WebAssembly (ort-wasm-simd-threaded.jsep.wasm, with its .mjs loader) is found
+// by webpack through `new URL(..., import.meta.url)` and emitted to build/static/media; whatever
+// serves the build must send .wasm as application/wasm and .mjs as JavaScript, as
+// server/app.js does.
+
+import { RAW_SLOT_QUERY, filterPredictions } from './filtering';
+
+// YOLOv8's default export size
+export const DEFAULT_INPUT_SIZE = 640;
+
+// Class names of a model, as a comma or line separated list (quotes are dropped)
+export const parseClassNames = (text) => (text || '')
+  .split(/[\n,]/)
+  .map(name => name.trim().replace(/^['"]|['"]$/g, ''))
+  .filter(Boolean);
+
+// Scale and padding that fit an image into a square input without distorting it
+export const letterbox = (imageSize, inputSize) => {
+  const scale = Math.min(inputSize / imageSize.width, inputSize / imageSize.height);
+  const width = Math.round(imageSize.width * scale);
+  const height = Math.round(imageSize.height * scale);
+  return { scale, width, height, padX: Math.floor((inputSize - width) / 2), padY: Math.floor((inputSize - height) / 2) };
+};
+
+// RGBA pixels (as from a canvas) to planar RGB in 0..1, the layout of the model input
+export const toInputData = (pixels, inputSize) => {
+  const area = inputSize * inputSize;
+  const data = new Float32Array(3 * area);
+  for (let i = 0; i < area; i++) {
+    data[i] = pixels[i * 4] / 255;
+    data[area + i] = pixels[i * 4 + 1] / 255;
+    data[2 * area + i] = pixels[i * 4 + 2] / 255;
+  }
+  return data;
+};
+
+// Boxes of a detection output back in image pixels, each with its best class
+export const decodeDetections = (data, dims, { classes, box, minConfidence = 0 }) => {
+  const channels = 4 + classes.length;
+  let count;
+  let at;
+  if (dims[1] === channels) {
+    count = dims[2];
+    at = (i, channel) => data[channel * count + i];
+  } else if (dims[2] === channels) {
+    count = dims[1];
+    at = (i, channel) => data[i * channels + channel];
+  } else {
+    throw new Error(`Model output [${dims.join(', ')}] does not match its ${classes.length} class names`);
+  }
+
+  const predictions = [];
+  for (let i = 0; i < count; i++) {
+    let best = 0;
+    for (let c = 1; c < classes.length; c++) {
+      if (at(i, 4 + c) > at(i, 4 + best)) best = c;
+    }
+    const confidence = at(i, 4 + best);
+    if (confidence < minConfidence) continue;
+    predictions.push({
+      x: (at(i, 0) - box.padX) / box.scale,
+      y: (at(i, 1) - box.padY) / box.scale,
+      width: at(i, 2) / box.scale,
+      height: at(i, 3) / box.scale,
+      confidence,
+      class: classes[best]
+    });
+  }
+  return predictions;
+};
+
+// Scores as probabilities: most classifiers export logits, which softmax turns into
+// probabilities; scores that already are (none negative, summing to 1) are kept
+export const toProbabilities = (scores) => {
+  const values = Array.from(scores);
+  const sum = values.reduce((total, value) => total + value, 0);
+  if (values.every(value => value >= 0) && Math.abs(sum - 1) < 1e-3) return values;
+  const max = Math.max(...values);
+  const exps = values.map(value => Math.exp(value - max));
+  const total = exps.reduce((acc, value) => acc + value, 0);
+  return exps.map(value => value / total);
+};
+
+// A classifier's scores as one prediction covering the whole image
+export const decodeClassification = (data, classes, imageSize) => {
+  if (data.length !== classes.length) {
+    throw new Error(`Model output of ${data.length} scores does not match its ${classes.length} class names`);
+  }
+  const probabilities = toProbabilities(data);
+  const best = probabilities.reduce((top, score, i) => (score > probabilities[top] ? i : top), 0);
+  return [{ x: imageSize.width / 2, y: imageSize.height / 2, ...imageSize, confidence: probabilities[best], class: classes[best] }];
+};
+
+// The image drawn letterboxed onto a square canvas, padded with YOLO's gray
+const readImagePixels = async (imageFile, inputSize) => {
+  const bitmap = await createImageBitmap(imageFile);
+  const imageSize = { width: bitmap.width, height: bitmap.height };
+  const box = letterbox(imageSize, inputSize);
+  const canvas = document.createElement('canvas');
+  canvas.width = inputSize;
+  canvas.height = inputSize;
+  const context = canvas.getContext('2d');
+  context.fillStyle = 'rgb(114, 114, 114)';
+  context.fillRect(0, 0, inputSize, inputSize);
+  context.drawImage(bitmap, box.padX, box.padY, box.width, box.height);
+  return { pixels: context.getImageData(0, 0, inputSize, inputSize).data, imageSize, box };
+};
+
+// The thresholds the hosted models are queried with
+const VEHICLE_QUERY = { confidence: 50, overlap: 30 };
+const TRAFFIC_QUERY = { confidence: 40, overlap: 30 };
+
+// The detection calls of the in-browser backend (see backends.js). models: { slots, vehicles },
+// each { data (the .onnx file's bytes), classes }. The runtime is only loaded, and each model
+// only compiled, when first needed.
+export const createOnnxBackend = ({ models, inputSize = DEFAULT_INPUT_SIZE }, {
+  loadRuntime = () => import('onnxruntime-web'),
+  readImage = readImagePixels
+} = {}) => {
+  let runtime = null;
+  const sessions = {};
+
+  // A model that fails to load is forgotten, so the next call tries it again
+  const sessionFor = async (kind) => {
+    runtime = runtime || await loadRuntime();
+    if (!sessions[kind]) {
+      const loading = runtime.InferenceSession.create(models[kind].data);
+      sessions[kind] = loading;
+      loading.catch(() => {
+        if (sessions[kind] === loading) delete sessions[kind];
+      });
+    }
+    return sessions[kind];
+  };
+
+  // Roboflow-shaped predictions; `located` is false for a classifier, whose box is the whole image
+  const detect = async (kind, imageFile, query) => {
+    const session = await sessionFor(kind);
+    const { classes } = models[kind];
+    const { pixels, imageSize, box } = await readImage(imageFile, inputSize);
+    const input = new runtime.Tensor('float32', toInputData(pixels, inputSize), [1, 3, inputSize, inputSize]);
+    const results = await session.run({ [session.inputNames[0]]: input });
+    const output = results[session.outputNames[0]];
+    const located = output.dims.length !== 2;
+    const predictions = located
+      ? decodeDetections(output.data, output.dims, { classes, box, minConfidence: query.confidence / 100 })
+      : decodeClassification(output.data, classes, imageSize);
+    return { predictions: filterPredictions(predictions, query), image: imageSize, located };
+  };
+
+  const response = ({ predictions, image }) => ({ predictions, image });
+
+  return {
+    detectParkingSlots: async (imageFile) => response(await detect('slots', imageFile, RAW_SLOT_QUERY)),
+    detectVehicleType: async (imageFile) => response(await detect('vehicles', imageFile, VEHICLE_QUERY)),
+    // A classifier cannot tell where vehicles are, so it sees no traffic
+    detectTraffic: async (imageFile) => {
+      const result = await detect('vehicles', imageFile, TRAFFIC_QUERY);
+      return response(result.located ? result : { ...result, predictions: [] });
+    }
+  };
+};
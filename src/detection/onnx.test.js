@@ -0,0 +1,130 @@
+import { parseClassNames, letterbox, toInputData, decodeDetections, decodeClassification, toProbabilities, createOnnxBackend } from './onnx';
+import { createDetectionBackend } from './backends';
+
+test('class names come from a comma or line separated list', () => {
+  expect(parseClassNames("'empty', 'occupied'")).toEqual(['empty', 'occupied']);
+  expect(parseClassNames('car\ntruck\n\nbus\n')).toEqual(['car', 'truck', 'bus']);
+  expect(parseClassNames('')).toEqual([]);
+});
+
+test('an image is letterboxed into the square input', () => {
+  expect(letterbox({ width: 1280, height: 720 }, 640)).toEqual({ scale: 0.5, width: 640, height: 360, padX: 0, padY: 140 });
+  expect(letterbox({ width: 100, height: 200 }, 100)).toEqual({ scale: 0.5, width: 50, height: 100, padX: 25, padY: 0 });
+});
+
+test('RGBA pixels become planar RGB in 0..1', () => {
+  const pixels = Uint8ClampedArray.from([255, 0, 51, 255, 0, 255, 102, 255, 0, 0, 0, 255, 255, 255, 255, 255]);
+  expect(Array.from(toInputData(pixels, 2)).map(value => Math.round(value * 10) / 10)).toEqual([
+    1, 0, 0, 1,
+    0, 1, 0, 1,
+    0.2, 0.4, 0, 1
+  ]);
+});
+
+// Two boxes in a 100 × 100 input, the image letterboxed at half scale with 10 pixels of padding above
+const box = { scale: 0.5, padX: 0, padY: 10 };
+const channelsFirst = [
+  50, 20, // x
+  60, 40, // y
+  10, 20, // width
+  20, 10, // height
+  0.9, 0.1, // empty
+  0.05, 0.3 // occupied
+];
+
+test('detection outputs are decoded back to image pixels, in either layout', () => {
+  const expected = [
+    { x: 100, y: 100, width: 20, height: 40, confidence: 0.9, class: 'empty' },
+    { x: 40, y: 60, width: 40, height: 20, confidence: 0.3, class: 'occupied' }
+  ];
+  expect(decodeDetections(channelsFirst, [1, 6, 2], { classes: ['empty', 'occupied'], box })).toEqual(expected);
+
+  const channelsLast = [0, 1].flatMap(i => [0, 1, 2, 3, 4, 5].map(channel => channelsFirst[channel * 2 + i]));
+  expect(decodeDetections(channelsLast, [1, 2, 6], { classes: ['empty', 'occupied'], box, minConfidence: 0.5 })).toEqual(expected.slice(0, 1));
+
+  expect(() => decodeDetections(channelsFirst, [1, 6, 2], { classes: ['empty'], box })).toThrow('does not match its 1 class names');
+});
+
+test('a classifier names the vehicle over the whole image', () => {
+  expect(decodeClassification(Float32Array.from([0.1, 0.7, 0.2]), ['car', 'truck', 'bus'], { width: 640, height: 480 })).toEqual([
+    { x: 320, y: 240, width: 640, height: 480, confidence: expect.closeTo(0.7), class: 'truck' }
+  ]);
+  expect(() => decodeClassification([0.5], ['car', 'truck'], { width: 1, height: 1 })).toThrow('1 scores');
+});
+
+test('classifier logits become probabilities; probabilities are kept', () => {
+  expect(toProbabilities([0.1, 0.7, 0.2])).toEqual([0.1, 0.7, 0.2]);
+  const probabilities = toProbabilities([2, 0, -1]);
+  expect(probabilities.reduce((sum, value) => sum + value, 0)).toBeCloseTo(1);
+  expect(probabilities[0]).toBeCloseTo(Math.exp(2) / (Math.exp(2) + 1 + Math.exp(-1)));
+  expect(decodeClassification([3.2, -1.5], ['car', 'truck'], { width: 2, height: 2 })[0].confidence).toBeCloseTo(0.991, 3);
+});
+
+// A runtime whose models answer with a fixed output, compiled once per model
+const fakeRuntime = (outputs) => {
+  const create = jest.fn(async (data) => ({
+    inputNames: ['images'],
+    outputNames: ['output0'],
+    run: jest.fn(async (feeds) => {
+      expect(feeds.images.dims).toEqual([1, 3, 100, 100]);
+      return { output0: outputs[data] };
+    })
+  }));
+  return {
+    InferenceSession: { create },
+    Tensor: function Tensor(type, data, dims) {
+      Object.assign(this, { type, data, dims });
+    }
+  };
+};
+
+test('the in-browser backend answers in the Roboflow shape with no key', async () => {
+  const runtime = fakeRuntime({
+    slots: { dims: [1, 6, 2], data: channelsFirst },
+    vehicles: { dims: [1, 2], data: [0.2, 0.8] }
+  });
+  const backend = createOnnxBackend({
+    inputSize: 100,
+    models: { slots: { data: 'slots', classes: ['empty', 'occupied'] }, vehicles: { data: 'vehicles', classes: ['car', 'van'] } }
+  }, {
+    loadRuntime: async () => runtime,
+    readImage: async (file, size) => ({ pixels: new Uint8ClampedArray(size * size * 4), imageSize: { width: 200, height: 180 }, box })
+  });
+
+  const slots = await backend.detectParkingSlots(new Blob(['x']));
+  expect(slots.image).toEqual({ width: 200, height: 180 });
+  expect(slots.predictions.map(prediction => prediction.class)).toEqual(['empty', 'occupied']);
+
+  const vehicle = await backend.detectVehicleType(new Blob(['x']));
+  expect(vehicle.predictions).toEqual([{ x: 100, y: 90, width: 200, height: 180, confidence: 0.8, class: 'van' }]);
+  expect((await backend.detectTraffic(new Blob(['x']))).predictions).toEqual([]);
+
+  await backend.detectParkingSlots(new Blob(['x']));
+  expect(runtime.InferenceSession.create).toHaveBeenCalledTimes(2);
+});
+
+test('a model that fails to load is loaded again on the next call', async () => {
+  const create = jest.fn()
+    .mockRejectedValueOnce(new Error('bad model'))
+    .mockResolvedValue({
+      inputNames: ['images'],
+      outputNames: ['output0'],
+      run: async () => ({ output0: { dims: [1, 2], data: [0.2, 0.8] } })
+    });
+  const backend = createOnnxBackend({
+    inputSize: 100,
+    models: { slots: { data: 'slots', classes: ['empty', 'occupied'] }, vehicles: { data: 'vehicles', classes: ['car', 'van'] } }
+  }, {
+    loadRuntime: async () => ({ InferenceSession: { create }, Tensor: function Tensor() {} }),
+    readImage: async (file, size) => ({ pixels: new Uint8ClampedArray(size * size * 4), imageSize: { width: 10, height: 10 }, box })
+  });
+
+  await expect(backend.detectVehicleType(new Blob(['x']))).rejects.toThrow('bad model');
+  expect((await backend.detectVehicleType(new Blob(['x']))).predictions[0].class).toBe('van');
+  expect(create).toHaveBeenCalledTimes(2);
+});
+
+test('the in-browser backend is chosen like the others', () => {
+  const backend = createDetectionBackend({ type: 'onnx', models: {} });
+  expect(backend).toMatchObject({ type: 'onnx', label: 'In-browser models (ONNX)' });
+});
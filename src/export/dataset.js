@@ -0,0 +1,217 @@
+// Active-learning datasets for retraining the detection models on our own lots: the
+// session's images with the model's labels, or the operator's where they corrected them,
+// packaged as COCO JSON, YOLO txt and Pascal VOC XML in one zip. Images the models were
+// least sure of, and corrected ones, come first, so the most useful ones are labeled first.
+
+import { imageKey, slotAnnotations } from '../detection/corrections';
+import { VEHICLE_TYPES } from '../allocation/rules';
+import { createZip } from './zip';
+
+export const DATASET_VERSION = 1;
+
+export const DATASET_FORMATS = { coco: 'COCO JSON', yolo: 'YOLO txt', voc: 'Pascal VOC XML' };
+
+// One dataset per model: slot statuses for the slot detector, vehicle types for the classifier
+export const DATASETS = {
+  lot: { folder: 'parking-slots', classes: ['empty', 'occupied', 'blocked'] },
+  vehicle: { folder: 'vehicles', classes: VEHICLE_TYPES }
+};
+
+const boxOf = ({ x, y, width, height }) => ({ x, y, width, height });
+
+// Labels and the model's lowest confidence in them for an image of the session.
+// A vehicle type the detector could only guess counts as no confidence at all.
+const captureLabels = (capture, corrected) => {
+  if (capture.kind === 'vehicle') {
+    const { vehicle } = capture;
+    return {
+      annotations: [{ ...boxOf(vehicle), class: vehicle.vehicle_type, source: corrected ? 'operator' : 'model' }],
+      confidences: corrected ? [] : [vehicle.type_guessed ? 0 : vehicle.confidence]
+    };
+  }
+  const annotations = slotAnnotations(capture.slots);
+  return {
+    annotations,
+    confidences: capture.slots
+      .filter(slot => !slot.corrected && slot.status !== 'unknown' && typeof slot.confidence === 'number')
+      .map(slot => slot.confidence)
+  };
+};
+
+// Corrected samples first (the operator's labels are known right), then low-confidence ones,
+// then the rest; the least confident first within each
+export const prioritizeSamples = (samples) => [...samples].sort((a, b) =>
+  Number(b.corrected) - Number(a.corrected)
+  || Number(b.low_confidence) - Number(a.low_confidence)
+  || (a.min_confidence ?? 1) - (b.min_confidence ?? 1)
+);
+
+// captures: the session's images, { kind: 'lot', image, imageSize, slots } or
+// { kind: 'vehicle', image, imageSize, vehicle }. Corrected images no longer on screen
+// come from the correction log. Images of unknown size cannot be labeled and are left out.
+// uncertainBelow (%) is where a detection counts as low-confidence.
+export const collectSamples = (captures, log, { uncertainBelow }) => {
+  const samples = [];
+  const seen = new Set();
+  captures.filter(capture => capture.image && capture.imageSize).forEach(capture => {
+    const id = imageKey(capture.image);
+    if (seen.has(id)) return;
+    seen.add(id);
+    const corrected = Boolean(log.images[id]) || (capture.kind === 'lot' && capture.slots.some(slot => slot.corrected));
+    const { annotations, confidences } = captureLabels(capture, corrected);
+    samples.push({
+      id,
+      kind: capture.kind,
+      image: capture.image,
+      width: capture.imageSize.width,
+      height: capture.imageSize.height,
+      annotations,
+      corrected,
+      min_confidence: confidences.length > 0 ? Math.min(...confidences) : null
+    });
+  });
+  Object.entries(log.images)
+    .filter(([id, entry]) => !seen.has(id) && entry.width && entry.height)
+    .forEach(([id, entry]) => samples.push({
+      id,
+      kind: entry.kind,
+      image: entry.data,
+      width: entry.width,
+      height: entry.height,
+      annotations: entry.annotations,
+      corrected: true,
+      min_confidence: null
+    }));
+
+  return prioritizeSamples(samples.map(sample => ({
+    ...sample,
+    low_confidence: sample.min_confidence !== null && sample.min_confidence * 100 < uncertainBelow
+  })));
+};
+
+const IMAGE_EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif', 'image/bmp': 'bmp' };
+
+// The bytes of an uploaded image, which the app keeps as a data URL
+export const decodeDataUrl = (url) => {
+  const match = /^data:([^;,]+)?((?:;[^;,]+)*?)(;base64)?,(.*)$/s.exec(url);
+  if (!match) throw new Error('Image is not a data URL');
+  const [, type = 'text/plain', , base64, payload] = match;
+  const text = base64 ? window.atob(payload) : decodeURIComponent(payload);
+  return { type, extension: IMAGE_EXTENSIONS[type] || 'bin', bytes: Uint8Array.from(text, char => char.charCodeAt(0)) };
+};
+
+// Labels of classes a dataset does not have (e.g. a slot marked unknown) are left out
+const labeled = (sample, classes) => sample.annotations.filter(annotation => classes.includes(annotation.class));
+
+const corners = ({ x, y, width, height }) => ({ left: x - width / 2, top: y - height / 2, right: x + width / 2, bottom: y + height / 2 });
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// COCO boxes are [left, top, width, height] in pixels; ids start at 1
+export const toCoco = (samples, fileNames, classes, now = new Date()) => {
+  let nextId = 1;
+  return {
+    info: { description: 'Smart Parking active-learning export', version: String(DATASET_VERSION), date_created: now.toISOString() },
+    images: samples.map((sample, i) => ({ id: i + 1, file_name: fileNames[i], width: sample.width, height: sample.height })),
+    categories: classes.map((name, i) => ({ id: i + 1, name, supercategory: 'none' })),
+    annotations: samples.flatMap((sample, i) => labeled(sample, classes).map(annotation => {
+      const { left, top } = corners(annotation);
+      return {
+        id: nextId++,
+        image_id: i + 1,
+        category_id: classes.indexOf(annotation.class) + 1,
+        bbox: [round(left, 2), round(top, 2), annotation.width, annotation.height],
+        area: annotation.width * annotation.height,
+        iscrowd: 0
+      };
+    }))
+  };
+};
+
+// One line per box: class index, then center and size as fractions of the image
+export const toYoloLabels = (sample, classes) => labeled(sample, classes)
+  .map(annotation => [
+    classes.indexOf(annotation.class),
+    round(annotation.x / sample.width, 6),
+    round(annotation.y / sample.height, 6),
+    round(annotation.width / sample.width, 6),
+    round(annotation.height / sample.height, 6)
+  ].join(' '))
+  .join('\n');
+
+const yoloConfig = (classes) => [
+  'train: images',
+  'val: images',
+  `nc: ${classes.length}`,
+  `names: [${classes.map(name => `'${name}'`).join(', ')}]`,
+  ''
+].join('\n');
+
+const escapeXml = (value) => String(value).replace(/[<>&'"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[char]);
+
+export const toVocXml = (sample, fileName, classes) => [
+  '<annotation>',
+  '  <folder>images</folder>',
+  `  <filename>${escapeXml(fileName)}</filename>`,
+  `  <size><width>${sample.width}</width><height>${sample.height}</height><depth>3</depth></size>`,
+  '  <segmented>0</segmented>',
+  ...labeled(sample, classes).map(annotation => {
+    const { left, top, right, bottom } = corners(annotation);
+    return [
+      '  <object>',
+      `    <name>${escapeXml(annotation.class)}</name>`,
+      '    <pose>Unspecified</pose>',
+      '    <truncated>0</truncated>',
+      '    <difficult>0</difficult>',
+      `    <bndbox><xmin>${Math.round(left)}</xmin><ymin>${Math.round(top)}</ymin><xmax>${Math.round(right)}</xmax><ymax>${Math.round(bottom)}</ymax></bndbox>`,
+      '  </object>'
+    ].join('\n');
+  }),
+  '</annotation>',
+  ''
+].join('\n');
+
+// Every file of the export: per dataset its images and the labels in each chosen format,
+// and a manifest listing the samples in priority order. File names are numbered in that
+// order, so sorting by name keeps it.
+export const buildDatasetFiles = (samples, { formats = Object.keys(DATASET_FORMATS), lotId }, now = new Date()) => {
+  const files = [];
+  const manifest = [];
+  Object.entries(DATASETS).forEach(([kind, { folder, classes }]) => {
+    const members = samples.filter(sample => sample.kind === kind);
+    if (members.length === 0) return;
+    const bases = members.map((sample, i) => `${String(i + 1).padStart(4, '0')}-${sample.id}`);
+    const images = members.map((sample, i) => {
+      const { bytes, extension } = decodeDataUrl(sample.image);
+      return { name: `${bases[i]}.${extension}`, bytes };
+    });
+
+    images.forEach(image => files.push({ name: `${folder}/images/${image.name}`, data: image.bytes }));
+    if (formats.includes('coco')) {
+      files.push({ name: `${folder}/_annotations.coco.json`, data: JSON.stringify(toCoco(members, images.map(image => image.name), classes, now), null, 2) });
+    }
+    if (formats.includes('yolo')) {
+      members.forEach((sample, i) => files.push({ name: `${folder}/labels/${bases[i]}.txt`, data: toYoloLabels(sample, classes) }));
+      files.push({ name: `${folder}/data.yaml`, data: yoloConfig(classes) });
+    }
+    if (formats.includes('voc')) {
+      members.forEach((sample, i) => files.push({ name: `${folder}/Annotations/${bases[i]}.xml`, data: toVocXml(sample, images[i].name, classes) }));
+    }
+    members.forEach((sample, i) => manifest.push({
+      file: `${folder}/images/${images[i].name}`,
+      dataset: folder,
+      corrected: sample.corrected,
+      low_confidence: sample.low_confidence,
+      min_confidence: sample.min_confidence,
+      labels: labeled(sample, classes).length
+    }));
+  });
+
+  files.push({
+    name: 'manifest.json',
+    data: JSON.stringify({ version: DATASET_VERSION, exported_at: now.toISOString(), lot_id: lotId, formats, samples: manifest }, null, 2)
+  });
+  return files;
+};
+
+export const buildDatasetZip = (samples, options, now = new Date()) => createZip(buildDatasetFiles(samples, options, now), now);
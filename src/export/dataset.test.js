@@ -0,0 +1,74 @@
+import { collectSamples, decodeDataUrl, toCoco, toYoloLabels, toVocXml, buildDatasetFiles } from './dataset';
+import { createCorrectionLog, logCorrection, imageKey } from '../detection/corrections';
+
+const now = new Date('2026-05-04T08:30:00Z');
+const lotImage = 'data:image/png;base64,iVBORw0K';
+const oldLotImage = 'data:image/jpeg;base64,/9j/4AAQ';
+const vehicleImage = 'data:image/jpeg;base64,/9j/2wBD';
+
+const slots = [
+  { slot_number: 1, status: 'empty', x: 50, y: 40, width: 20, height: 40, confidence: 0.9 },
+  { slot_number: 2, status: 'reserved', x: 80, y: 40, width: 20, height: 40, confidence: 0.95 },
+  { slot_number: 3, status: 'unknown', x: 110, y: 40, width: 20, height: 40 }
+];
+
+const captures = [
+  { kind: 'lot', image: lotImage, imageSize: { width: 200, height: 100 }, slots },
+  { kind: 'vehicle', image: vehicleImage, imageSize: { width: 64, height: 48 }, vehicle: { vehicle_type: 'car', type_guessed: true, confidence: 0.8, x: 32, y: 24, width: 40, height: 20 } },
+  { kind: 'vehicle', image: null, imageSize: null, vehicle: { vehicle_type: 'van', confidence: 0.9 } }
+];
+
+const correctedLog = () => logCorrection(createCorrectionLog(), { kind: 'slot-status', slot_number: 7, slot_name: '7', from: 'empty', to: 'occupied' }, {
+  image: oldLotImage,
+  imageSize: { width: 100, height: 100 },
+  annotations: [{ x: 30, y: 30, width: 20, height: 20, class: 'occupied', source: 'operator' }]
+}, now);
+
+test('corrected and low-confidence images come first, then the least confident', () => {
+  const samples = collectSamples(captures, correctedLog(), { uncertainBelow: 60 });
+
+  expect(samples.map(sample => [sample.kind, sample.corrected, sample.low_confidence])).toEqual([
+    ['lot', true, false],
+    ['vehicle', false, true],
+    ['lot', false, false]
+  ]);
+  expect(samples[0].id).toBe(imageKey(oldLotImage));
+  expect(samples[1].min_confidence).toBe(0);
+  expect(samples[2]).toMatchObject({ min_confidence: 0.9, width: 200, height: 100 });
+  expect(samples[2].annotations.map(annotation => annotation.class)).toEqual(['empty', 'empty']);
+});
+
+test('labels convert to COCO, YOLO and VOC in image pixels or fractions', () => {
+  const [sample] = collectSamples(captures.slice(0, 1), createCorrectionLog(), { uncertainBelow: 60 });
+  const classes = ['empty', 'occupied', 'blocked'];
+
+  const coco = toCoco([sample], ['0001.png'], classes, now);
+  expect(coco.images).toEqual([{ id: 1, file_name: '0001.png', width: 200, height: 100 }]);
+  expect(coco.annotations[0]).toEqual({ id: 1, image_id: 1, category_id: 1, bbox: [40, 20, 20, 40], area: 800, iscrowd: 0 });
+
+  expect(toYoloLabels(sample, classes)).toBe('0 0.25 0.4 0.1 0.4\n0 0.4 0.4 0.1 0.4');
+  expect(toVocXml(sample, '0001.png', classes)).toContain('<bndbox><xmin>40</xmin><ymin>20</ymin><xmax>60</xmax><ymax>60</ymax></bndbox>');
+});
+
+test('the export holds each dataset in the chosen formats and a manifest in priority order', () => {
+  const samples = collectSamples(captures, correctedLog(), { uncertainBelow: 60 });
+  const files = buildDatasetFiles(samples, { formats: ['coco', 'yolo'], lotId: 'north-lot' }, now);
+  const names = files.map(file => file.name);
+
+  expect(names).toContain(`parking-slots/images/0001-${imageKey(oldLotImage)}.jpg`);
+  expect(names).toContain(`parking-slots/images/0002-${imageKey(lotImage)}.png`);
+  expect(names).toContain('parking-slots/_annotations.coco.json');
+  expect(names).toContain(`vehicles/labels/0001-${imageKey(vehicleImage)}.txt`);
+  expect(names).toContain('vehicles/data.yaml');
+  expect(names.some(name => name.includes('Annotations/'))).toBe(false);
+
+  const manifest = JSON.parse(files.find(file => file.name === 'manifest.json').data);
+  expect(manifest).toMatchObject({ version: 1, lot_id: 'north-lot', formats: ['coco', 'yolo'] });
+  expect(manifest.samples.map(sample => sample.file)).toEqual(names.filter(name => name.includes('/images/')));
+});
+
+test('images are unpacked from their data URLs', () => {
+  expect(decodeDataUrl('data:image/png;base64,iVBORw==')).toMatchObject({ type: 'image/png', extension: 'png' });
+  expect(Array.from(decodeDataUrl('data:image/png;base64,iVBORw==').bytes)).toEqual([0x89, 0x50, 0x4e, 0x47]);
+  expect(() => decodeDataUrl('blob:http://localhost/1')).toThrow('not a data URL');
+});
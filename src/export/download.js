@@ -0,0 +1,9 @@
+// Saves content as a file through a temporary link to a blob
+export const download = (content, type, fileName) => {
+  const blob = new Blob([content], { type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(link.href);
+};
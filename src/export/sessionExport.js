@@ -0,0 +1,177 @@
+// Exports of a session's results: the full record as JSON, the slot table as CSV and a
+// printable HTML report (printed to PDF from the browser) with the annotated lot image
+
+import { SLOT_STATUS_COLORS } from '../components/LotOverlay';
+import { SCORE_FACTORS, FACTOR_IDS, DEFAULT_SCORE_WEIGHTS, scorePaths } from '../routing/pathScore';
+import { slotName } from '../lot/template';
+
+export const EXPORT_VERSION = 1;
+
+const ALLOCATED_COLOR = '#3b82f6';
+const PATH_COLOR = '#10b981';
+const UNKNOWN_COLOR = '#94a3b8';
+
+// Slot table columns, in CSV order
+export const SLOT_COLUMNS = [
+  'slot_number', 'label', 'status', 'x', 'y', 'width', 'height', 'confidence', 'original_class',
+  'row', 'col', 'zone', 'categories', 'reservation_code', 'reserved_by', 'distance_from_entrance_px', 'nearest_entrance'
+];
+
+const slotRow = (slot) => ({
+  slot_number: slot.slot_number,
+  label: slot.label || '',
+  status: slot.status,
+  x: slot.x,
+  y: slot.y,
+  width: slot.width,
+  height: slot.height,
+  confidence: slot.confidence ?? null,
+  original_class: slot.original_class || null,
+  row: slot.row ?? null,
+  col: slot.col ?? null,
+  zone: slot.zone || '',
+  categories: slot.categories || [],
+  reservation_code: slot.reservation_code || '',
+  reserved_by: slot.reserved_by || null,
+  distance_from_entrance_px: slot.distance_from_entrance ?? null,
+  nearest_entrance: slot.nearest_entrance || null
+});
+
+// The session's results as one machine-readable record. Distances of paths are in `unit`
+// (meters when the lot is calibrated); slot boxes are in image pixels.
+export const buildSessionExport = ({
+  lotId, imageSize, unit, slots, vehicle, allocatedSlot, paths, intensities, weights = DEFAULT_SCORE_WEIGHTS,
+  optimalPath, sessionVehicles
+}, now = new Date()) => ({
+  version: EXPORT_VERSION,
+  exported_at: now.toISOString(),
+  lot: { id: lotId, image_size: imageSize || null, distance_unit: unit },
+  slots: slots.map(slotRow),
+  vehicle: vehicle ? {
+    vehicle_type: vehicle.vehicle_type,
+    confidence: vehicle.confidence,
+    original_class: vehicle.original_class || null,
+    box: { x: vehicle.x, y: vehicle.y, width: vehicle.width, height: vehicle.height },
+    driver_flags: vehicle.driver_flags || null
+  } : null,
+  allocation: allocatedSlot ? {
+    slot_number: allocatedSlot.slot_number,
+    label: allocatedSlot.label || '',
+    span_slots: allocatedSlot.span_slots || null,
+    reason: allocatedSlot.allocation_reason || null,
+    fit: allocatedSlot.fit_reason || null
+  } : null,
+  scoring: { weights },
+  paths: scorePaths(paths, intensities, weights).map(({ path, intensity, parts, total }) => ({
+    id: path.id,
+    name: path.name,
+    entrance: path.entrance || null,
+    distance: path.distance,
+    eta_seconds: path.eta ?? null,
+    turns: path.turns,
+    t_junctions: path.tJunctions,
+    vehicle_intensity: intensity,
+    score: { parts, total },
+    points: path.points.map(({ x, y }) => ({ x, y }))
+  })),
+  chosen_path_id: optimalPath ? optimalPath.id : null,
+  session: sessionVehicles
+});
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(';') : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// The slot table of an export as CSV
+export const slotsToCsv = (record) => [
+  SLOT_COLUMNS.join(','),
+  ...record.slots.map(slot => SLOT_COLUMNS.map(column => csvValue(slot[column])).join(','))
+].join('\n');
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+const round = (value, digits = 1) => (typeof value === 'number' ? value.toFixed(digits) : '—');
+
+// The lot image with slot boxes by status, the allocated slot and the chosen path
+const annotatedLot = (record, image) => {
+  const size = record.lot.image_size || {
+    width: Math.max(...record.slots.map(slot => slot.x + slot.width / 2)),
+    height: Math.max(...record.slots.map(slot => slot.y + slot.height / 2))
+  };
+  const stroke = Math.max(size.width, size.height) / 300;
+  const allocated = record.allocation ? record.allocation.span_slots || [record.allocation.slot_number] : [];
+  const chosen = record.paths.find(path => path.id === record.chosen_path_id);
+
+  const boxes = record.slots.map(slot => {
+    const color = allocated.includes(slot.slot_number)
+      ? ALLOCATED_COLOR
+      : SLOT_STATUS_COLORS[slot.status] || UNKNOWN_COLOR;
+    return `<rect x="${slot.x - slot.width / 2}" y="${slot.y - slot.height / 2}" width="${slot.width}" height="${slot.height}" ` +
+      `fill="${color}" fill-opacity="0.25" stroke="${color}" stroke-width="${stroke}" />` +
+      `<text x="${slot.x}" y="${slot.y}" fill="white" font-size="${Math.min(slot.width, slot.height) / 3}" ` +
+      `text-anchor="middle" dominant-baseline="middle">${escapeHtml(slotName(slot))}</text>`;
+  }).join('');
+  const route = chosen
+    ? `<polyline points="${chosen.points.map(point => `${point.x},${point.y}`).join(' ')}" fill="none" stroke="${PATH_COLOR}" stroke-width="${stroke * 2}" />`
+    : '';
+
+  return `<svg viewBox="0 0 ${size.width} ${size.height}" xmlns="http://www.w3.org/2000/svg">` +
+    (image ? `<image href="${escapeHtml(image)}" x="0" y="0" width="${size.width}" height="${size.height}" />` : '') +
+    `${boxes}${route}</svg>`;
+};
+
+const table = (headers, rows) => `<table><thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>` +
+  `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+
+// A self-contained HTML page of the export, laid out for printing
+export const buildReportHtml = (record, image) => {
+  const unit = record.lot.distance_unit;
+  const counts = ['empty', 'occupied', 'reserved'].map(status => `${record.slots.filter(slot => slot.status === status).length} ${status}`);
+  const { vehicle, allocation } = record;
+
+  const sections = [
+    `<h1>Parking session report: ${escapeHtml(record.lot.id)}</h1>`,
+    `<p>Exported ${escapeHtml(new Date(record.exported_at).toLocaleString())} · ${record.slots.length} slots (${counts.join(', ')})</p>`,
+    `<figure>${annotatedLot(record, image)}</figure>`,
+    vehicle && `<h2>Vehicle</h2><p>${escapeHtml(vehicle.vehicle_type)} (${escapeHtml(vehicle.original_class || 'unknown class')}), ` +
+      `confidence ${round(vehicle.confidence * 100)}%</p>`,
+    allocation && `<h2>Allocation</h2><p>Slot ${escapeHtml(allocation.label || allocation.slot_number)}` +
+      `${allocation.span_slots ? ` spanning ${allocation.span_slots.map(n => `#${n}`).join(' + ')}` : ''}` +
+      `${allocation.reason ? `: ${escapeHtml(allocation.reason)}` : ''}</p>`,
+    record.paths.length > 0 && `<h2>Candidate paths</h2>${table(
+      ['Path', `Distance (${unit})`, 'Turns', 'Junctions', 'Intensity', ...FACTOR_IDS.map(factor => `${SCORE_FACTORS[factor].label} part`), 'Score', ''],
+      record.paths.map(path => [
+        path.name, round(path.distance, 0), path.turns, path.t_junctions, `${path.vehicle_intensity}%`,
+        ...FACTOR_IDS.map(factor => round(path.score.parts[factor])), round(path.score.total),
+        path.id === record.chosen_path_id ? 'Chosen' : ''
+      ])
+    )}` +
+      `<p>Weights: ${FACTOR_IDS.map(factor => `${SCORE_FACTORS[factor].label} ${record.scoring.weights[factor]}`).join(', ')}. ` +
+      'Each part is the factor against the worst candidate, weighted; lower scores are better.</p>',
+    record.session.length > 0 && `<h2>Session</h2>${table(
+      ['Vehicle', 'Type', 'Slot', 'Status', 'Arrived', 'Departed'],
+      record.session.map(entry => [
+        entry.id, entry.vehicle_type, entry.slot_label || entry.slot_number || '—', entry.status,
+        entry.arrived_at ? new Date(entry.arrived_at).toLocaleString() : '—',
+        entry.departed_at ? new Date(entry.departed_at).toLocaleString() : '—'
+      ])
+    )}`,
+    `<h2>Slots</h2>${table(
+      ['Slot', 'Label', 'Status', 'x', 'y', 'Width', 'Height', 'Confidence', 'Zone', 'Categories'],
+      record.slots.map(slot => [
+        slot.slot_number, slot.label, slot.status, round(slot.x, 0), round(slot.y, 0), round(slot.width, 0), round(slot.height, 0),
+        slot.confidence === null ? '—' : `${round(slot.confidence * 100)}%`, slot.zone, slot.categories.join(', ')
+      ])
+    )}`
+  ];
+
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Parking session report: ${escapeHtml(record.lot.id)}</title>` +
+    '<style>body{font-family:sans-serif;margin:24px;color:#0f172a}figure{margin:0 0 16px}svg{width:100%;height:auto;background:#1e293b}' +
+    'table{border-collapse:collapse;width:100%;font-size:12px;margin-bottom:16px}th,td{border:1px solid #cbd5e1;padding:4px 6px;text-align:left}' +
+    'h2{font-size:16px;margin:16px 0 8px;break-after:avoid}tr{break-inside:avoid}</style></head>' +
+    `<body>${sections.filter(Boolean).join('')}</body></html>`;
+};
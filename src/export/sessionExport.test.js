@@ -0,0 +1,64 @@
+import { buildSessionExport, slotsToCsv, buildReportHtml, SLOT_COLUMNS } from './sessionExport';
+
+const slots = [
+  { slot_number: 1, label: 'A-01', status: 'reserved', reserved_by: 'V1', x: 50, y: 40, width: 30, height: 60, confidence: 0.91, original_class: 'empty', row: 0, col: 0, categories: ['ev'], distance_from_entrance: 120, nearest_entrance: 'gate-1' },
+  { slot_number: 2, label: 'Visitor, "north"', status: 'occupied', x: 90, y: 40, width: 30, height: 60, confidence: 0.8, original_class: 'car', row: 0, col: 1 }
+];
+
+const paths = [
+  { id: 1, name: 'Path 1', distance: 40, turns: 1, tJunctions: 2, eta: 12, points: [{ x: 0, y: 100, id: 'gate' }, { x: 50, y: 100 }, { x: 50, y: 40 }] },
+  { id: 2, name: 'Path 2', distance: 60, turns: 2, tJunctions: 1, eta: 18, points: [{ x: 0, y: 100 }, { x: 50, y: 40 }] }
+];
+
+const results = {
+  lotId: 'north-lot',
+  imageSize: { width: 200, height: 120 },
+  unit: 'm',
+  slots,
+  vehicle: { vehicle_type: 'car', confidence: 0.87, original_class: 'sedan', x: 10, y: 10, width: 5, height: 5, driver_flags: { needsCharging: true } },
+  allocatedSlot: { ...slots[0], allocation_reason: 'Closest to the entrance, EV charging bay', fit_reason: 'Fits' },
+  paths,
+  intensities: { 1: 50 },
+  optimalPath: { ...paths[0], score: 25 },
+  sessionVehicles: [{ id: 'V1', vehicle_type: 'car', slot_number: 1, slot_label: 'A-01', status: 'reserved', arrived_at: '2026-03-01T08:00:00.000Z' }]
+};
+
+test('the export holds slots, vehicle, allocation and every path with its score parts', () => {
+  const record = buildSessionExport(results, new Date('2026-03-01T09:00:00.000Z'));
+
+  expect(record.lot).toEqual({ id: 'north-lot', image_size: { width: 200, height: 120 }, distance_unit: 'm' });
+  expect(record.slots[0]).toMatchObject({ slot_number: 1, status: 'reserved', confidence: 0.91, categories: ['ev'], distance_from_entrance_px: 120 });
+  expect(record.vehicle).toMatchObject({ vehicle_type: 'car', box: { x: 10, y: 10, width: 5, height: 5 }, driver_flags: { needsCharging: true } });
+  expect(record.allocation).toEqual({ slot_number: 1, label: 'A-01', span_slots: null, reason: 'Closest to the entrance, EV charging bay', fit: 'Fits' });
+  expect(record.scoring.weights).toEqual({ distance: 0.3, time: 0.2, turns: 0.1, tJunctions: 0.2, intensity: 0.2 });
+  expect(record.paths[0].score.parts).toMatchObject({ distance: 20, turns: 5, tJunctions: 20, intensity: 10 });
+  expect(record.paths[0].score.total).toBeCloseTo(68.33, 2);
+  expect(record.paths[1].score.total).toBeCloseTo(70, 5);
+  expect(record.paths[1]).toMatchObject({ vehicle_intensity: 0, points: [{ x: 0, y: 100 }, { x: 50, y: 40 }] });
+  expect(record.chosen_path_id).toBe(1);
+  expect(record.session).toHaveLength(1);
+});
+
+test('an export before allocation has no vehicle, allocation or paths', () => {
+  const record = buildSessionExport({ ...results, vehicle: null, allocatedSlot: null, paths: [], optimalPath: null });
+  expect(record).toMatchObject({ vehicle: null, allocation: null, paths: [], chosen_path_id: null });
+});
+
+test('the slot table is CSV with quoted values where needed', () => {
+  const lines = slotsToCsv(buildSessionExport(results)).split('\n');
+  expect(lines[0]).toBe(SLOT_COLUMNS.join(','));
+  expect(lines[1]).toBe('1,A-01,reserved,50,40,30,60,0.91,empty,0,0,,ev,,V1,120,gate-1');
+  expect(lines[2]).toBe('2,"Visitor, ""north""",occupied,90,40,30,60,0.8,car,0,1,,,,,,');
+});
+
+test('the report annotates the lot and lists the paths with the chosen one', () => {
+  const html = buildReportHtml(buildSessionExport(results), 'data:image/png;base64,AAAA');
+
+  expect(html).toContain('<image href="data:image/png;base64,AAAA"');
+  expect(html).toContain('stroke="#3b82f6"');
+  expect(html).toContain('<polyline points="0,100 50,100 50,40"');
+  expect(html).toContain('<td>Path 1</td><td>40</td><td>1</td><td>2</td><td>50%</td><td>20.0</td><td>13.3</td><td>5.0</td><td>20.0</td><td>10.0</td><td>68.3</td><td>Chosen</td>');
+  expect(html).toContain('Weights: Distance 0.3, Drive time 0.2, Turns 0.1, Junctions 0.2, Traffic 0.2.');
+  expect(html).toContain('Visitor, &quot;north&quot;');
+  expect(html).toContain('confidence 87.0%');
+});
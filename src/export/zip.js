@@ -0,0 +1,88 @@
+// A minimal ZIP writer, enough to hand a folder of files to the browser as one download.
+// Files are stored without compression: the bulk of a dataset is images, which are
+// compressed already. Names are UTF-8 and may contain folders ("images/0001.jpg").
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+export const utf8Bytes = (text) => {
+  const bytes = [];
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    }
+  }
+  return Uint8Array.from(bytes);
+};
+
+// Date and time as MS-DOS stores them, in local time like other zip tools
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+const header = (fields) => {
+  const size = fields.reduce((sum, [bytes]) => sum + bytes, 0);
+  const view = new DataView(new ArrayBuffer(size));
+  fields.reduce((offset, [bytes, value]) => {
+    if (bytes === 4) view.setUint32(offset, value, true);
+    else view.setUint16(offset, value, true);
+    return offset + bytes;
+  }, 0);
+  return new Uint8Array(view.buffer);
+};
+
+const UTF8_NAMES = 0x0800;
+
+// files: [{ name, data }], data a string (written as UTF-8) or a Uint8Array
+export const createZip = (files, now = new Date()) => {
+  const { time, date } = dosDateTime(now);
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = utf8Bytes(file.name);
+    const data = typeof file.data === 'string' ? utf8Bytes(file.data) : file.data;
+    const crc = crc32(data);
+    const local = header([
+      [4, 0x04034b50], [2, 20], [2, UTF8_NAMES], [2, 0], [2, time], [2, date],
+      [4, crc], [4, data.length], [4, data.length], [2, name.length], [2, 0]
+    ]);
+    central.push(header([
+      [4, 0x02014b50], [2, 20], [2, 20], [2, UTF8_NAMES], [2, 0], [2, time], [2, date],
+      [4, crc], [4, data.length], [4, data.length], [2, name.length], [2, 0], [2, 0], [2, 0], [2, 0], [4, 0], [4, offset]
+    ]), name);
+    parts.push(local, name, data);
+    offset += local.length + name.length + data.length;
+  });
+
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+  const end = header([
+    [4, 0x06054b50], [2, 0], [2, 0], [2, files.length], [2, files.length], [4, centralSize], [4, offset], [2, 0]
+  ]);
+
+  const all = [...parts, ...central, end];
+  const zip = new Uint8Array(all.reduce((sum, part) => sum + part.length, 0));
+  all.reduce((position, part) => {
+    zip.set(part, position);
+    return position + part.length;
+  }, 0);
+  return zip;
+};
@@ -0,0 +1,42 @@
+import { crc32, utf8Bytes, createZip } from './zip';
+
+const ascii = (bytes) => String.fromCharCode(...bytes);
+
+// Names and contents of the files in a zip, read back through its central directory
+const readZip = (zip) => {
+  const view = new DataView(zip.buffer);
+  const end = zip.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(position, true)).toBe(0x02014b50);
+    const size = view.getUint32(position + 20, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const offset = view.getUint32(position + 42, true);
+    const name = ascii(zip.slice(position + 46, position + 46 + nameLength));
+    const dataStart = offset + 30 + view.getUint16(offset + 26, true);
+    files.push({ name, data: zip.slice(dataStart, dataStart + size), crc: view.getUint32(position + 16, true) });
+    position += 46 + nameLength;
+  }
+  return files;
+};
+
+test('crc32 and UTF-8 match the standard values', () => {
+  expect(crc32(utf8Bytes('hello'))).toBe(0x3610a686);
+  expect(Array.from(utf8Bytes('é→🚗'))).toEqual([0xc3, 0xa9, 0xe2, 0x86, 0x92, 0xf0, 0x9f, 0x9a, 0x97]);
+});
+
+test('every file is stored under its name and can be read back', () => {
+  const zip = createZip([
+    { name: 'labels/0001.txt', data: '0 0.5 0.5 0.1 0.2\n' },
+    { name: 'images/0001.png', data: Uint8Array.from([137, 80, 78, 71]) }
+  ], new Date(2026, 4, 4, 8, 30));
+
+  const files = readZip(zip);
+  expect(files.map(file => file.name)).toEqual(['labels/0001.txt', 'images/0001.png']);
+  expect(ascii(files[0].data)).toBe('0 0.5 0.5 0.1 0.2\n');
+  expect(Array.from(files[1].data)).toEqual([137, 80, 78, 71]);
+  files.forEach(file => expect(file.crc).toBe(crc32(file.data)));
+});
@@ -0,0 +1,108 @@
+import { median } from '../routing/geometry';
+
+// Infer the physical layout of a lot from detection boxes ({ x, y, width, height }
+// with x/y at the box center): rows come from vertical overlap, aisles from
+// horizontal gaps. Nothing assumes a fixed number of bays per row.
+
+// Two boxes share a row when they overlap vertically by at least this share of the shorter one
+const ROW_OVERLAP_RATIO = 0.5;
+// A horizontal gap wider than this share of a typical bay width is a driving aisle
+const AISLE_GAP_RATIO = 0.5;
+
+const top = (box) => box.y - box.height / 2;
+const bottom = (box) => box.y + box.height / 2;
+const left = (box) => box.x - box.width / 2;
+const right = (box) => box.x + box.width / 2;
+
+const verticalOverlap = (box, row) => {
+  const overlap = Math.min(bottom(box), row.bottom) - Math.max(top(box), row.top);
+  return overlap / Math.min(box.height, row.bottom - row.top);
+};
+
+// Group boxes into rows, top to bottom. Boxes are visited in y order and join the
+// row they overlap most, so the result does not depend on the input order.
+export const clusterRows = (boxes) => {
+  const rows = [];
+
+  [...boxes]
+    .sort((a, b) => a.y - b.y || a.x - b.x)
+    .forEach(box => {
+      const best = rows.reduce((match, row) => {
+        const overlap = verticalOverlap(box, row);
+        return overlap >= ROW_OVERLAP_RATIO && (!match || overlap > match.overlap) ? { row, overlap } : match;
+      }, null);
+
+      if (best) {
+        best.row.boxes.push(box);
+        best.row.top = Math.min(best.row.top, top(box));
+        best.row.bottom = Math.max(best.row.bottom, bottom(box));
+      } else {
+        rows.push({ boxes: [box], top: top(box), bottom: bottom(box) });
+      }
+    });
+
+  return rows
+    .sort((a, b) => (a.top + a.bottom) - (b.top + b.bottom))
+    .map((row, index) => ({
+      index,
+      top: row.top,
+      bottom: row.bottom,
+      boxes: row.boxes.sort((a, b) => a.x - b.x)
+    }));
+};
+
+// Vertical aisles: x ranges inside the lot that no box covers in any row
+export const findVerticalAisles = (boxes) => {
+  if (boxes.length === 0) return [];
+
+  const minGap = median(boxes.map(box => box.width)) * AISLE_GAP_RATIO;
+  const intervals = boxes
+    .map(box => [left(box), right(box)])
+    .sort((a, b) => a[0] - b[0]);
+
+  const aisles = [];
+  let coveredUntil = intervals[0][1];
+  intervals.slice(1).forEach(([start, end]) => {
+    if (start - coveredUntil >= minGap) {
+      aisles.push({ left: coveredUntil, right: start, x: (coveredUntil + start) / 2 });
+    }
+    coveredUntil = Math.max(coveredUntil, end);
+  });
+  return aisles;
+};
+
+// Assign every box its row, column, block (run of bays between aisles) and edge/corner role
+export const inferLayout = (boxes) => {
+  const rows = clusterRows(boxes);
+  const aisles = findVerticalAisles(boxes);
+  const blockOf = (box) => aisles.filter(aisle => aisle.x < box.x).length;
+
+  const slots = rows.flatMap(row => row.boxes.map((box, col) => {
+    const block = blockOf(box);
+    const previous = row.boxes[col - 1];
+    const next = row.boxes[col + 1];
+    const isRowEnd = col === 0 || col === row.boxes.length - 1;
+    const isBlockEnd = isRowEnd || blockOf(previous) !== block || blockOf(next) !== block;
+    const isOuterRow = row.index === 0 || row.index === rows.length - 1;
+
+    return {
+      box,
+      row: row.index,
+      col,
+      block,
+      is_edge: isOuterRow || isBlockEnd,
+      is_corner: isOuterRow && isBlockEnd
+    };
+  }));
+
+  return {
+    slots,
+    rows: rows.map(({ index, top: rowTop, bottom: rowBottom, boxes: rowBoxes }) => ({
+      index,
+      top: rowTop,
+      bottom: rowBottom,
+      count: rowBoxes.length
+    })),
+    aisles
+  };
+};
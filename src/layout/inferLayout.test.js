@@ -0,0 +1,49 @@
+import { clusterRows, findVerticalAisles, inferLayout } from './inferLayout';
+import demoLotFixture from '../detection/fixtures/demo-lot.json';
+
+const box = (x, y, extra = {}) => ({ x, y, width: 40, height: 80, ...extra });
+
+test('clusterRows groups by vertical overlap regardless of input order', () => {
+  // Jittered y values that a pairwise "within 50px" comparator cannot order consistently
+  const boxes = [box(200, 130), box(100, 100), box(150, 145), box(120, 300), box(60, 290)];
+  const rows = clusterRows(boxes);
+  expect(rows.map(row => row.boxes.map(b => b.x))).toEqual([[100, 150, 200], [60, 120]]);
+  expect(clusterRows([...boxes].reverse())).toEqual(rows);
+});
+
+test('findVerticalAisles reports x gaps wider than half a bay', () => {
+  const boxes = [box(100, 100), box(140, 100), box(260, 100), box(300, 100), box(100, 300)];
+  expect(findVerticalAisles(boxes)).toEqual([{ left: 160, right: 240, x: 200 }]);
+  expect(findVerticalAisles([box(100, 100), box(150, 100)])).toEqual([]);
+});
+
+test('inferLayout gives real rows, columns and edge roles for rows of any width', () => {
+  // Row 0: five bays; row 1: two blocks of two bays split by a cross aisle
+  const boxes = [
+    box(100, 100), box(140, 100), box(180, 100), box(220, 100), box(260, 100),
+    box(100, 300), box(140, 300), box(400, 300), box(440, 300)
+  ];
+  const { slots, rows, aisles } = inferLayout(boxes);
+
+  expect(rows.map(row => row.count)).toEqual([5, 4]);
+  expect(aisles).toHaveLength(1);
+
+  const at = (x, y) => slots.find(slot => slot.box.x === x && slot.box.y === y);
+  expect(at(260, 100)).toMatchObject({ row: 0, col: 4, block: 0, is_corner: true, is_edge: true });
+  expect(at(400, 300)).toMatchObject({ row: 1, col: 2, block: 1, is_corner: true, is_edge: true });
+  expect(slots.filter(slot => slot.is_corner)).toHaveLength(6);
+});
+
+test('middle rows only have edge slots at block ends', () => {
+  const boxes = [0, 1, 2].flatMap(row => [100, 140, 180].map(x => box(x, 100 + row * 200)));
+  const middle = inferLayout(boxes).slots.filter(slot => slot.row === 1);
+  expect(middle.map(slot => slot.is_edge)).toEqual([true, false, true]);
+  expect(middle.some(slot => slot.is_corner)).toBe(false);
+});
+
+test('demo fixture resolves into three rows split by a central aisle', () => {
+  const { rows, aisles, slots } = inferLayout(demoLotFixture.predictions);
+  expect(rows.map(row => row.count)).toEqual([12, 12, 12]);
+  expect(aisles).toHaveLength(1);
+  expect(new Set(slots.map(slot => slot.block))).toEqual(new Set([0, 1]));
+});
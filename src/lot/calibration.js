@@ -0,0 +1,126 @@
+import { distance, median } from '../routing/geometry';
+import { estimateLotScale } from '../allocation/size';
+
+// Pixel to meter calibration of the lot image, saved per lot in localStorage.
+// Either a known length between two points (uniform scale), or four image points
+// marking a rectangle of known size on the ground (homography, handles perspective).
+
+// Solve the 8x8 system for the homography mapping src points onto dst points
+export const solveHomography = (src, dst) => {
+  const rows = [];
+  src.forEach(({ x, y }, i) => {
+    const { x: u, y: v } = dst[i];
+    rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  });
+
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < 8; r++) {
+      if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-10) {
+      throw new Error('Reference points must form a quadrilateral with no three points in a line');
+    }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    for (let r = 0; r < 8; r++) {
+      if (r === col) continue;
+      const factor = rows[r][col] / rows[col][col];
+      for (let c = col; c < 9; c++) rows[r][c] -= factor * rows[col][c];
+    }
+  }
+
+  const h = rows.map((row, i) => row[8] / row[i]);
+  return [[h[0], h[1], h[2]], [h[3], h[4], h[5]], [h[6], h[7], 1]];
+};
+
+export const applyHomography = (matrix, { x, y }) => {
+  const w = matrix[2][0] * x + matrix[2][1] * y + matrix[2][2];
+  return {
+    x: (matrix[0][0] * x + matrix[0][1] * y + matrix[0][2]) / w,
+    y: (matrix[1][0] * x + matrix[1][1] * y + matrix[1][2]) / w
+  };
+};
+
+const roundPoint = ({ x, y }) => ({ x: Math.round(x), y: Math.round(y) });
+
+export const calibrateFromLength = (a, b, meters) => {
+  const pixels = distance(a, b);
+  if (!(meters > 0) || pixels === 0) throw new Error('Mark two different points and a length above zero');
+  return { type: 'length', points: [roundPoint(a), roundPoint(b)], meters, metersPerPixel: meters / pixels };
+};
+
+// Points are the rectangle's corners clicked in order: top-left, top-right, bottom-right, bottom-left
+export const calibrateFromRectangle = (points, width, height) => {
+  if (points.length !== 4) throw new Error('Mark the four corners of the reference rectangle');
+  if (!(width > 0 && height > 0)) throw new Error('Rectangle width and height must be above zero');
+  const world = [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+  return { type: 'homography', points: points.map(roundPoint), width, height, matrix: solveHomography(points, world) };
+};
+
+// Without a calibration, assume the median detected bay is a standard bay
+export const estimateCalibration = (slots) => {
+  const metersPerPixel = estimateLotScale(slots);
+  return metersPerPixel ? { type: 'estimated', metersPerPixel } : null;
+};
+
+// Measuring helpers for a calibration; without one, distances stay in pixels
+export const createProjector = (calibration) => {
+  const toWorld = calibration?.type === 'homography'
+    ? (point) => applyHomography(calibration.matrix, point)
+    : (point) => {
+      const scale = calibration?.metersPerPixel || 1;
+      return { x: point.x * scale, y: point.y * scale };
+    };
+  const measure = (a, b) => distance(toWorld(a), toWorld(b));
+
+  return {
+    unit: calibration ? 'm' : 'px',
+    toWorld,
+    measure,
+    pathLength: (points) => points.slice(1).reduce((sum, point, i) => sum + measure(points[i], point), 0),
+    // Meters per pixel around a point (varies across the image under perspective)
+    scaleAt: (point) => (measure(point, { x: point.x + 1, y: point.y }) + measure(point, { x: point.x, y: point.y + 1 })) / 2
+  };
+};
+
+// One meters-per-pixel figure for the lot, as used by the slot size check
+export const lotScaleOf = (calibration, slots) => {
+  if (!calibration) return null;
+  if (calibration.type !== 'homography') return calibration.metersPerPixel;
+  const projector = createProjector(calibration);
+  return slots.length > 0 ? median(slots.map(slot => projector.scaleAt(slot))) : projector.scaleAt(calibration.points[0]);
+};
+
+export const formatLength = (length, unit = 'm') => `${Math.round(length)} ${unit}`;
+
+export const describeCalibration = (calibration) => {
+  if (!calibration) return 'Not calibrated: distances are in pixels';
+  if (calibration.type === 'length') {
+    return `Calibrated from a ${calibration.meters} m reference (${calibration.metersPerPixel.toFixed(4)} m per pixel)`;
+  }
+  if (calibration.type === 'homography') {
+    return `Calibrated from a ${calibration.width} × ${calibration.height} m reference rectangle (perspective corrected)`;
+  }
+  return `Estimated ${calibration.metersPerPixel.toFixed(4)} m per pixel, assuming the median bay is a standard bay`;
+};
+
+const storageKey = (lotId) => `smartParking.calibration.${lotId}`;
+
+export const loadCalibration = (lotId) => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(storageKey(lotId)));
+    return saved && (saved.type === 'length' || saved.type === 'homography') ? saved : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+export const saveCalibration = (lotId, calibration) => {
+  if (calibration) {
+    window.localStorage.setItem(storageKey(lotId), JSON.stringify(calibration));
+  } else {
+    window.localStorage.removeItem(storageKey(lotId));
+  }
+};
@@ -0,0 +1,53 @@
+import {
+  applyHomography,
+  calibrateFromLength,
+  calibrateFromRectangle,
+  createProjector,
+  estimateCalibration,
+  lotScaleOf,
+  solveHomography
+} from './calibration';
+
+test('a known length gives a uniform scale', () => {
+  const calibration = calibrateFromLength({ x: 10, y: 10 }, { x: 10, y: 110 }, 5);
+  expect(calibration.metersPerPixel).toBeCloseTo(0.05);
+
+  const projector = createProjector(calibration);
+  expect(projector.unit).toBe('m');
+  expect(projector.pathLength([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 200 }])).toBeCloseTo(15);
+  expect(() => calibrateFromLength({ x: 1, y: 1 }, { x: 1, y: 1 }, 5)).toThrow('two different points');
+});
+
+test('four reference points map a perspective view onto the ground', () => {
+  // A 10 x 20 m rectangle seen in perspective: the far edge looks shorter
+  const corners = [{ x: 300, y: 100 }, { x: 500, y: 100 }, { x: 600, y: 500 }, { x: 200, y: 500 }];
+  const calibration = calibrateFromRectangle(corners, 10, 20);
+  const world = corners.map(point => applyHomography(calibration.matrix, point));
+
+  [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 20 }, { x: 0, y: 20 }].forEach((expected, i) => {
+    expect(world[i].x).toBeCloseTo(expected.x);
+    expect(world[i].y).toBeCloseTo(expected.y);
+  });
+
+  const projector = createProjector(calibration);
+  expect(projector.measure(corners[0], corners[1])).toBeCloseTo(10);
+  expect(projector.measure(corners[3], corners[2])).toBeCloseTo(10);
+  // A pixel near the camera covers less ground than one far away
+  expect(projector.scaleAt({ x: 400, y: 450 })).toBeLessThan(projector.scaleAt({ x: 400, y: 120 }));
+});
+
+test('collinear reference points are rejected', () => {
+  const line = [{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 2 }, { x: 3, y: 3 }];
+  expect(() => solveHomography(line, line)).toThrow('no three points in a line');
+});
+
+test('falls back to a standard bay estimate, or pixels without slots', () => {
+  const slots = [{ x: 0, y: 0, width: 50, height: 100 }, { x: 60, y: 0, width: 50, height: 100 }];
+  const estimated = estimateCalibration(slots);
+  expect(estimated).toEqual({ type: 'estimated', metersPerPixel: 0.05 });
+  expect(lotScaleOf(estimated, slots)).toBe(0.05);
+
+  expect(estimateCalibration([])).toBeNull();
+  expect(createProjector(null).unit).toBe('px');
+  expect(createProjector(null).measure({ x: 0, y: 0 }, { x: 3, y: 4 })).toBe(5);
+});
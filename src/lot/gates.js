@@ -0,0 +1,67 @@
+import { distance } from '../routing/geometry';
+
+// Entrances, exits and ramp ends placed by operators, saved per lot in localStorage.
+// A ramp gate is where a ramp to another level leaves this camera view (see structure.js).
+
+export const GATE_TYPES = {
+  entrance: { label: 'Entrance', color: '#facc15' },
+  exit: { label: 'Exit', color: '#c084fc' },
+  ramp: { label: 'Ramp', color: '#38bdf8' }
+};
+
+const storageKey = (lotId) => `smartParking.gates.${lotId}`;
+
+export const loadGates = (lotId) => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(storageKey(lotId)));
+    return Array.isArray(saved) ? saved : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+export const saveGates = (lotId, gates) => {
+  window.localStorage.setItem(storageKey(lotId), JSON.stringify(gates));
+};
+
+export const createGate = (type, point, gates) => {
+  const sameType = gates.filter(gate => gate.type === type);
+  const nextId = gates.reduce((max, gate) => Math.max(max, Number(gate.id.split('-')[1]) || 0), 0) + 1;
+  return {
+    id: `gate-${nextId}`,
+    type,
+    label: `${GATE_TYPES[type].label} ${sameType.length + 1}`,
+    x: Math.round(point.x),
+    y: Math.round(point.y)
+  };
+};
+
+// Without configured entrances, assume one at the bottom center of the image
+export const defaultEntrance = (imageSize) => ({
+  id: 'default-entrance',
+  type: 'entrance',
+  label: 'Entrance',
+  x: imageSize?.width ? imageSize.width / 2 : 640,
+  y: imageSize?.height ? imageSize.height : 480
+});
+
+// Entrances in effect: placed gates first, then a fallback (layout file or image default)
+export const resolveEntrances = (gates, fallback) => {
+  const entrances = gates.filter(gate => gate.type === 'entrance');
+  return entrances.length > 0 ? entrances : [fallback];
+};
+
+export const nearestGate = (point, gates) => gates.reduce((best, gate) => {
+  const gap = distance(point, gate);
+  return !best || gap < best.distance ? { gate, distance: gap } : best;
+}, null);
+
+// Straight-line distance from each slot to its nearest entrance (or the one the vehicle used)
+export const measureFromEntrances = (slots, entrances) => slots.map(slot => {
+  const nearest = nearestGate(slot, entrances);
+  return {
+    ...slot,
+    distance_from_entrance: nearest ? nearest.distance : 0,
+    nearest_entrance: nearest ? nearest.gate.id : null
+  };
+});
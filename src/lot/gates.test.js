@@ -0,0 +1,37 @@
+import { createGate, defaultEntrance, loadGates, measureFromEntrances, nearestGate, resolveEntrances, saveGates } from './gates';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('gates are saved and loaded per lot', () => {
+  const gates = [createGate('entrance', { x: 10.4, y: 20.6 }, [])];
+  saveGates('north-lot', gates);
+
+  expect(loadGates('north-lot')).toEqual([{ id: 'gate-1', type: 'entrance', label: 'Entrance 1', x: 10, y: 21 }]);
+  expect(loadGates('south-lot')).toEqual([]);
+});
+
+test('createGate numbers ids and labels per type', () => {
+  const first = createGate('entrance', { x: 0, y: 0 }, []);
+  const exit = createGate('exit', { x: 5, y: 5 }, [first]);
+  expect(exit).toMatchObject({ id: 'gate-2', label: 'Exit 1' });
+});
+
+test('resolveEntrances falls back when no entrance is placed', () => {
+  const fallback = defaultEntrance({ width: 800, height: 600 });
+  expect(fallback).toMatchObject({ x: 400, y: 600 });
+  expect(resolveEntrances([{ id: 'gate-1', type: 'exit', x: 0, y: 0 }], fallback)).toEqual([fallback]);
+});
+
+test('slots are measured from their nearest entrance', () => {
+  const entrances = [
+    { id: 'west', type: 'entrance', x: 0, y: 100 },
+    { id: 'east', type: 'entrance', x: 400, y: 100 }
+  ];
+  const [westSlot, eastSlot] = measureFromEntrances([{ x: 30, y: 60 }, { x: 400, y: 50 }], entrances);
+
+  expect(westSlot).toMatchObject({ distance_from_entrance: 50, nearest_entrance: 'west' });
+  expect(eastSlot).toMatchObject({ distance_from_entrance: 50, nearest_entrance: 'east' });
+  expect(nearestGate({ x: 390, y: 0 }, entrances).gate.id).toBe('east');
+});
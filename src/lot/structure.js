@@ -0,0 +1,184 @@
+import { slotName } from './template';
+
+// Levels and camera views of a lot, saved per lot in localStorage. A lot starts as one level
+// seen by one camera (the main view). Every view added gets its own image, slot detection,
+// template, gates and calibration, stored under its own id (viewStorageId), and its slots
+// join the one inventory of the lot. Bay ids stay unique across views because each view
+// numbers its bays from its own base: 1, 1001, 2001, ...
+// Ramps join a ramp gate of one view to a ramp gate of another, so routes can cross levels.
+
+export const STRUCTURE_VERSION = 1;
+
+export const MAIN_VIEW_ID = 'main';
+
+export const VIEW_NUMBER_SPAN = 1000;
+
+export const DEFAULT_STRUCTURE = {
+  version: STRUCTURE_VERSION,
+  levels: [{ id: 'level-1', name: 'Level 1', views: [{ id: MAIN_VIEW_ID, name: 'Camera 1', base: 0 }] }],
+  ramps: []
+};
+
+// Every view with its level, in level order
+export const allViews = (structure) => structure.levels.flatMap(level =>
+  level.views.map(view => ({ ...view, level_id: level.id, level_name: level.name }))
+);
+
+export const findView = (structure, viewId) => allViews(structure).find(view => view.id === viewId) || null;
+
+export const isMultiView = (structure) => allViews(structure).length > 1;
+
+// The main view keeps the lot's own storage, so single-view lots are unchanged
+export const viewStorageId = (lotId, viewId) => (viewId === MAIN_VIEW_ID ? lotId : `${lotId}@${viewId}`);
+
+export const firstSlotNumber = (view) => view.base + 1;
+
+// Slots from before levels existed belong to the main view
+export const slotViewId = (slot) => slot.view_id || MAIN_VIEW_ID;
+
+export const viewSlots = (slots, viewId) => slots.filter(slot => slotViewId(slot) === viewId);
+
+// The lot's inventory with one view's slots replaced by a new detection of it
+export const mergeViewSlots = (inventory, viewId, slots) => [
+  ...inventory.filter(slot => slotViewId(slot) !== viewId),
+  ...slots.map(slot => ({ ...slot, view_id: viewId }))
+].sort((a, b) => a.slot_number - b.slot_number);
+
+// Where a slot is, for people: "Level 2, slot B-14" once the lot has several views
+export const slotPlace = (structure, slot) => {
+  const view = isMultiView(structure) ? findView(structure, slotViewId(slot)) : null;
+  return view ? `${view.level_name}, slot ${slotName(slot)}` : `Slot ${slotName(slot)}`;
+};
+
+const nextIndex = (ids, prefix) => ids.reduce((max, id) => {
+  const match = new RegExp(`^${prefix}-(\\d+)$`).exec(id);
+  return match ? Math.max(max, Number(match[1])) : max;
+}, 0) + 1;
+
+const newView = (structure, name) => {
+  const views = allViews(structure);
+  const index = nextIndex(views.map(view => view.id), 'view');
+  return {
+    id: `view-${index}`,
+    name: name || `Camera ${views.length + 1}`,
+    base: Math.max(...views.map(view => view.base)) + VIEW_NUMBER_SPAN
+  };
+};
+
+export const addLevel = (structure, name) => {
+  const index = nextIndex(structure.levels.map(level => level.id), 'level');
+  const level = { id: `level-${index}`, name: name || `Level ${structure.levels.length + 1}`, views: [newView(structure)] };
+  return { ...structure, levels: [...structure.levels, level] };
+};
+
+export const renameLevel = (structure, levelId, name) => ({
+  ...structure,
+  levels: structure.levels.map(level => (level.id === levelId ? { ...level, name } : level))
+});
+
+// Ramps to a removed view go with it
+const withoutViews = (structure, viewIds) => ({
+  ...structure,
+  ramps: structure.ramps.filter(ramp => !viewIds.includes(ramp.from.view) && !viewIds.includes(ramp.to.view))
+});
+
+// The main view's level stays: it holds the lot's original camera
+export const removeLevel = (structure, levelId) => {
+  const level = structure.levels.find(entry => entry.id === levelId);
+  if (!level || level.views.some(view => view.id === MAIN_VIEW_ID)) return structure;
+  return withoutViews({ ...structure, levels: structure.levels.filter(entry => entry.id !== levelId) }, level.views.map(view => view.id));
+};
+
+export const addView = (structure, levelId, name) => {
+  const view = newView(structure, name);
+  return {
+    ...structure,
+    levels: structure.levels.map(level => (level.id === levelId ? { ...level, views: [...level.views, view] } : level))
+  };
+};
+
+export const renameView = (structure, viewId, name) => ({
+  ...structure,
+  levels: structure.levels.map(level => ({
+    ...level,
+    views: level.views.map(view => (view.id === viewId ? { ...view, name } : view))
+  }))
+});
+
+// A level keeps at least one view, and the main view is never removed
+export const removeView = (structure, viewId) => {
+  const level = structure.levels.find(entry => entry.views.some(view => view.id === viewId));
+  if (!level || viewId === MAIN_VIEW_ID || level.views.length === 1) return structure;
+  return withoutViews({
+    ...structure,
+    levels: structure.levels.map(entry => (entry === level ? { ...entry, views: entry.views.filter(view => view.id !== viewId) } : entry))
+  }, [viewId]);
+};
+
+// A ramp runs both ways between two ramp gates; its length (meters) cannot be seen in either image
+export const addRamp = (structure, { from, to, length, name }) => {
+  const index = nextIndex(structure.ramps.map(ramp => ramp.id), 'ramp');
+  return {
+    ...structure,
+    ramps: [...structure.ramps, { id: `ramp-${index}`, name: name || `Ramp ${index}`, from, to, length }]
+  };
+};
+
+export const removeRamp = (structure, rampId) => ({ ...structure, ramps: structure.ramps.filter(ramp => ramp.id !== rampId) });
+
+const isEnd = (end) => end && typeof end.view === 'string' && typeof end.gate === 'string';
+
+// Validate a saved or imported structure
+export const parseStructure = (data) => {
+  if (!data || !Array.isArray(data.levels) || data.levels.length === 0) {
+    throw new Error('Lot structure must contain a non-empty "levels" array');
+  }
+  if (data.version > STRUCTURE_VERSION) {
+    throw new Error(`Lot structure version ${data.version} is newer than this app supports (${STRUCTURE_VERSION})`);
+  }
+
+  const viewIds = new Set();
+  const bases = new Set();
+  const levels = data.levels.map((level, i) => {
+    if (!Array.isArray(level.views) || level.views.length === 0) throw new Error(`Level ${level.name || i + 1} needs at least one camera view`);
+    return {
+      id: String(level.id ?? `level-${i + 1}`),
+      name: String(level.name || `Level ${i + 1}`),
+      views: level.views.map(view => {
+        if (!view.id || viewIds.has(view.id)) throw new Error(`Every camera view needs a unique id (${view.id})`);
+        if (!Number.isInteger(view.base) || view.base < 0 || view.base % VIEW_NUMBER_SPAN !== 0 || bases.has(view.base)) {
+          throw new Error(`View ${view.id} needs its own slot number base, a multiple of ${VIEW_NUMBER_SPAN}`);
+        }
+        viewIds.add(view.id);
+        bases.add(view.base);
+        return { id: String(view.id), name: String(view.name || view.id), base: view.base };
+      })
+    };
+  });
+  if (!viewIds.has(MAIN_VIEW_ID)) throw new Error(`Lot structure needs the "${MAIN_VIEW_ID}" camera view`);
+
+  const ramps = (data.ramps || []).map((ramp, i) => {
+    if (!isEnd(ramp.from) || !isEnd(ramp.to) || !viewIds.has(ramp.from.view) || !viewIds.has(ramp.to.view)) {
+      throw new Error(`Ramp ${ramp.name || i + 1} must join gates of two known camera views`);
+    }
+    if (!(ramp.length > 0)) throw new Error(`Ramp ${ramp.name || i + 1} needs a length in meters`);
+    return { id: String(ramp.id ?? `ramp-${i + 1}`), name: String(ramp.name || `Ramp ${i + 1}`), from: ramp.from, to: ramp.to, length: ramp.length };
+  });
+
+  return { version: STRUCTURE_VERSION, levels, ramps };
+};
+
+const storageKey = (lotId) => `smartParking.structure.${lotId}`;
+
+export const loadStructure = (lotId) => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(storageKey(lotId)));
+    return saved ? parseStructure(saved) : DEFAULT_STRUCTURE;
+  } catch (err) {
+    return DEFAULT_STRUCTURE;
+  }
+};
+
+export const saveStructure = (lotId, structure) => {
+  window.localStorage.setItem(storageKey(lotId), JSON.stringify(structure));
+};
@@ -0,0 +1,55 @@
+import {
+  DEFAULT_STRUCTURE, addLevel, addRamp, addView, allViews, loadStructure, mergeViewSlots, parseStructure,
+  removeLevel, removeView, saveStructure, slotPlace, viewStorageId
+} from './structure';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('levels and views get their own slot number bases and storage', () => {
+  const structure = addView(addLevel(DEFAULT_STRUCTURE), 'level-2', 'Camera 3');
+  expect(allViews(structure).map(view => [view.id, view.level_name, view.base])).toEqual([
+    ['main', 'Level 1', 0],
+    ['view-1', 'Level 2', 1000],
+    ['view-2', 'Level 2', 2000]
+  ]);
+  expect(viewStorageId('north-lot', 'main')).toBe('north-lot');
+  expect(viewStorageId('north-lot', 'view-1')).toBe('north-lot@view-1');
+});
+
+test('a new detection of a view replaces only that view\'s slots', () => {
+  const inventory = [{ slot_number: 1, status: 'empty' }, { slot_number: 1001, status: 'empty', view_id: 'view-1' }];
+  const merged = mergeViewSlots(inventory, 'view-1', [{ slot_number: 1002, status: 'occupied' }]);
+  expect(merged.map(slot => [slot.slot_number, slot.view_id])).toEqual([[1, undefined], [1002, 'view-1']]);
+});
+
+test('slots are placed on their level once the lot has several views', () => {
+  const slot = { slot_number: 1014, label: 'B-14', view_id: 'view-1' };
+  expect(slotPlace(DEFAULT_STRUCTURE, { slot_number: 3 })).toBe('Slot 3');
+  expect(slotPlace(addLevel(DEFAULT_STRUCTURE), slot)).toBe('Level 2, slot B-14');
+});
+
+test('removing a view takes its ramps, and the main view cannot be removed', () => {
+  let structure = addView(addLevel(DEFAULT_STRUCTURE), 'level-2');
+  structure = addRamp(structure, { from: { view: 'main', gate: 'gate-2' }, to: { view: 'view-2', gate: 'gate-1' }, length: 25 });
+  expect(structure.ramps[0]).toMatchObject({ id: 'ramp-1', name: 'Ramp 1' });
+
+  expect(removeView(structure, 'view-2').ramps).toEqual([]);
+  expect(removeView(structure, 'main')).toBe(structure);
+  expect(removeLevel(structure, 'level-1')).toBe(structure);
+  expect(removeLevel(structure, 'level-2').levels).toHaveLength(1);
+});
+
+test('structures are validated and saved per lot', () => {
+  expect(() => parseStructure({ levels: [{ views: [{ id: 'view-1', base: 1000 }] }] })).toThrow('"main" camera view');
+  expect(() => parseStructure({
+    levels: [{ views: [{ id: 'main', base: 0 }] }],
+    ramps: [{ from: { view: 'main', gate: 'gate-1' }, to: { view: 'gone', gate: 'gate-1' }, length: 10 }]
+  })).toThrow('two known camera views');
+
+  const structure = addLevel(DEFAULT_STRUCTURE);
+  saveStructure('north-lot', structure);
+  expect(loadStructure('north-lot')).toEqual(structure);
+  expect(loadStructure('south-lot')).toBe(DEFAULT_STRUCTURE);
+});
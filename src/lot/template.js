@@ -0,0 +1,331 @@
+import { distance } from '../routing/geometry';
+import { boxIoU } from '../monitoring/occupancyTracker';
+import { inferLayout } from '../layout/inferLayout';
+import { GATE_TYPES } from './gates';
+import { CATEGORY_IDS } from '../allocation/categories';
+
+// Lot template: the bays of a lot with persistent ids and operator labels, saved per lot
+// in localStorage. Every detection run is matched against it, so a bay keeps its number
+// (slot_number = template id) and label however the detector happens to order the boxes.
+//
+// Operators can also draw the lot in the template editor: bay polygons, zones and aisle
+// centerlines (optionally one-way, in point order). A drawn template is `fixed`: detection
+// then only fills in the occupancy of its bays, and routing drives along its aisles.
+
+export const TEMPLATE_VERSION = 2;
+
+// Zones operators can put bays in; allocation rules can be limited to them
+export const ZONES = ['VIP', 'Disabled', 'EV', 'Staff'];
+
+// A detection overlapping a bay by at least this much is that bay
+const MIN_IOU = 0.3;
+// Otherwise its center must lie within this share of the bay's shorter side
+const CENTROID_RATIO = 0.5;
+
+// What a bay tells about itself beyond its position: label, zone and categories
+// (accessible, EV, reserved, compact; a reserved bay may hold one reservation code)
+const bayTags = (bay) => ({
+  label: bay.label || '',
+  zone: bay.zone || '',
+  categories: bay.categories || [],
+  reservation_code: bay.reservation_code || ''
+});
+
+// A detected slot tagged by its bay. Categories the detector derived from its class
+// (kept as detected_categories) stay alongside the bay's own, so tagging again after the
+// bay's categories change drops only what the bay no longer has.
+const tagSlot = (slot, bay) => {
+  const detected = slot.detected_categories || slot.categories || [];
+  const tags = bayTags(bay);
+  return {
+    ...slot,
+    ...tags,
+    detected_categories: detected,
+    categories: [...new Set([...detected, ...tags.categories])]
+  };
+};
+
+const toBay = ({ slot_number, polygon, x, y, width, height, ...slot }) => ({
+  id: slot_number,
+  ...bayTags(slot),
+  x,
+  y,
+  width,
+  height,
+  ...(polygon && { polygon })
+});
+
+// A camera view of a multi-level lot numbers its bays from its own first id, so bay ids
+// stay unique across the lot (see structure.js); single-view lots start at 1
+export const createTemplate = (slots, { aisles = [], fixed = false, firstId = 1 } = {}) => ({
+  version: TEMPLATE_VERSION,
+  fixed,
+  slots: slots.map(toBay),
+  aisles,
+  ...(firstId > 1 && { first_id: firstId })
+});
+
+const nextId = (template) => template.slots.reduce((max, bay) => Math.max(max, bay.id), (template.first_id || 1) - 1) + 1;
+
+// A template drawn or imported with ids below a view's first id is shifted up into its range
+export const rebaseTemplate = (template, firstId) => {
+  if (firstId <= 1 || template.slots.every(bay => bay.id >= firstId)) {
+    return firstId > 1 && template.first_id !== firstId ? { ...template, first_id: firstId } : template;
+  }
+  const offset = firstId - 1;
+  return {
+    ...template,
+    first_id: firstId,
+    slots: template.slots.map(bay => ({ ...bay, id: bay.id + offset }))
+  };
+};
+
+// Candidate pairs ranked by overlap; centroid-only matches rank below any overlapping one
+const candidatePairs = (bays, slots) => {
+  const pairs = [];
+  bays.forEach(bay => slots.forEach((slot, i) => {
+    const overlap = boxIoU(bay, slot);
+    const limit = CENTROID_RATIO * Math.min(bay.width, bay.height);
+    const offset = distance(bay, slot);
+    if (overlap >= MIN_IOU) {
+      pairs.push({ bay, slot: i, score: 1 + overlap });
+    } else if (offset <= limit) {
+      pairs.push({ bay, slot: i, score: 1 - offset / limit });
+    }
+  }));
+  return pairs.sort((a, b) => b.score - a.score);
+};
+
+// Renumber detected slots by the template. Bays not in the template yet get new ids and are added.
+// Returns { slots, template, matched, added, missing } with the added and missing bays' ids.
+export const matchToTemplate = (template, slots) => {
+  const bayFor = {};
+  const usedBays = new Set();
+  candidatePairs(template.slots, slots).forEach(({ bay, slot }) => {
+    if (bayFor[slot] || usedBays.has(bay.id)) return;
+    bayFor[slot] = bay;
+    usedBays.add(bay.id);
+  });
+
+  let id = nextId(template);
+  const newBays = [];
+  const matchedSlots = slots.map((slot, i) => {
+    const bay = bayFor[i];
+    if (bay) return tagSlot({ ...slot, slot_number: bay.id }, bay);
+    const added = { ...slot, slot_number: id++, ...bayTags({ categories: slot.categories }) };
+    newBays.push(added);
+    return added;
+  });
+
+  return {
+    slots: matchedSlots,
+    template: newBays.length > 0
+      ? { ...template, slots: [...template.slots, ...newBays.map(toBay)] }
+      : template,
+    matched: usedBays.size,
+    added: newBays.map(slot => slot.slot_number),
+    missing: template.slots.filter(bay => !usedBays.has(bay.id)).map(bay => bay.id)
+  };
+};
+
+// Known bays only: matched bays take the detected status; bays not seen are 'unknown',
+// so they are never allocated. Detections outside the template are ignored.
+// Returns { slots, matched, ignored, missing } with the missing bays' ids.
+export const fillOccupancy = (template, detected) => {
+  const known = templateSlots(template);
+  const detectionFor = {};
+  const used = new Set();
+  candidatePairs(template.slots, detected).forEach(({ bay, slot }) => {
+    if (detectionFor[bay.id] || used.has(slot)) return;
+    detectionFor[bay.id] = detected[slot];
+    used.add(slot);
+  });
+
+  return {
+    slots: known.map(slot => {
+      const match = detectionFor[slot.slot_number];
+      return match
+        ? { ...slot, status: match.status, confidence: match.confidence, original_class: match.original_class }
+        : slot;
+    }),
+    matched: used.size,
+    ignored: detected.length - used.size,
+    missing: known.filter(slot => !detectionFor[slot.slot_number]).map(slot => slot.slot_number)
+  };
+};
+
+// The template's bays as slots, with rows, columns and blocks inferred from their boxes
+export const templateSlots = (template) => inferLayout(template.slots).slots
+  .map(({ box: bay, row, col, block, is_corner, is_edge }) => ({
+    slot_number: bay.id,
+    ...bayTags(bay),
+    status: 'unknown',
+    row,
+    col,
+    block,
+    x: bay.x,
+    y: bay.y,
+    width: bay.width,
+    height: bay.height,
+    ...(bay.polygon && { polygon: bay.polygon }),
+    is_corner,
+    is_edge
+  }))
+  .sort((a, b) => a.slot_number - b.slot_number);
+
+// Center and size of the box around a polygon
+export const polygonBox = (points) => {
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  return { x: (minX + maxX) / 2, y: (minY + maxY) / 2, width: maxX - minX, height: maxY - minY };
+};
+
+const roundPoint = ({ x, y }) => ({ x: Math.round(x), y: Math.round(y) });
+
+// Editing a template marks it as drawn by the operator
+const edit = (template, changes) => ({ ...template, ...changes, fixed: true });
+
+export const addBay = (template, polygon) => {
+  const points = polygon.map(roundPoint);
+  return edit(template, {
+    slots: [...template.slots, { id: nextId(template), ...bayTags({}), ...polygonBox(points), polygon: points }]
+  });
+};
+
+// Changes to a bay; a new polygon also moves its box
+export const updateBay = (template, id, changes) => {
+  const box = changes.polygon ? { ...polygonBox(changes.polygon), polygon: changes.polygon.map(roundPoint) } : {};
+  return edit(template, {
+    slots: template.slots.map(bay => (bay.id === id ? { ...bay, ...changes, ...box } : bay))
+  });
+};
+
+export const removeBay = (template, id) => edit(template, { slots: template.slots.filter(bay => bay.id !== id) });
+
+export const addAisle = (template, points) => {
+  const next = template.aisles.reduce((max, aisle) => Math.max(max, Number(aisle.id.split('-')[1]) || 0), 0) + 1;
+  return edit(template, { aisles: [...template.aisles, { id: `aisle-${next}`, points: points.map(roundPoint), oneWay: false }] });
+};
+
+export const updateAisle = (template, id, changes) => edit(template, {
+  aisles: template.aisles.map(aisle => (aisle.id === id ? { ...aisle, ...changes } : aisle))
+});
+
+// One-way aisles run in point order, so reversing the points turns the arrows round
+export const reverseAisle = (template, id) => {
+  const aisle = template.aisles.find(entry => entry.id === id);
+  return updateAisle(template, id, { points: [...aisle.points].reverse() });
+};
+
+export const removeAisle = (template, id) => edit(template, { aisles: template.aisles.filter(aisle => aisle.id !== id) });
+
+// Tagging a bay (label, zone, categories) leaves how the template was made alone
+export const tagBay = (template, id, changes) => ({
+  ...template,
+  slots: template.slots.map(bay => (bay.id === id ? { ...bay, ...changes } : bay))
+});
+
+export const setSlotLabel = (template, id, label) => tagBay(template, id, { label });
+
+// Row letter and column number from the detected layout, e.g. B-07
+export const layoutLabel = (slot) => `${String.fromCharCode(65 + slot.row)}-${String(slot.col + 1).padStart(2, '0')}`;
+
+export const autoLabelTemplate = (template, slots) =>
+  slots.reduce((next, slot) => setSlotLabel(next, slot.slot_number, layoutLabel(slot)), template);
+
+// Apply the template's labels, zones and categories to detected slots
+export const withLabels = (template, slots) => {
+  const bays = Object.fromEntries(template.slots.map(bay => [bay.id, bay]));
+  return slots.map(slot => (bays[slot.slot_number] ? tagSlot(slot, bays[slot.slot_number]) : slot));
+};
+
+// How a slot is named to people: its label, else its number
+export const slotName = (slot) => slot.label || String(slot.slot_number);
+
+const isPoint = (point) => point && Number.isFinite(point.x) && Number.isFinite(point.y);
+
+// Version 1 templates only held detected bays and labels
+const upgrade = (template) => (template.version === 1
+  ? { ...template, version: TEMPLATE_VERSION, fixed: false, aisles: [], slots: template.slots.map(bay => ({ ...bay, ...bayTags(bay) })) }
+  : template);
+
+// Validate an imported template file: { version, fixed?, slots, aisles?, gates? }.
+// Returns { template, gates }; gates are null when the file has none.
+export const parseTemplate = (data) => {
+  if (!data || typeof data !== 'object') throw new Error('Template must be a JSON object');
+  if (data.version !== 1 && data.version !== TEMPLATE_VERSION) {
+    throw new Error(`Unsupported template version ${data.version}; expected ${TEMPLATE_VERSION}`);
+  }
+  if (!Array.isArray(data.slots)) throw new Error('Template must contain a "slots" array');
+
+  const ids = new Set();
+  const slots = data.slots.map((bay, i) => {
+    if (!Number.isInteger(bay.id) || bay.id < 1 || ids.has(bay.id)) {
+      throw new Error(`Bay ${i + 1} needs a unique positive whole-number id`);
+    }
+    ids.add(bay.id);
+    if (bay.polygon !== undefined && (!Array.isArray(bay.polygon) || bay.polygon.length < 3 || !bay.polygon.every(isPoint))) {
+      throw new Error(`Bay ${bay.id}: polygon needs at least three {x, y} points`);
+    }
+    const box = bay.polygon ? polygonBox(bay.polygon) : bay;
+    if (![box.x, box.y, box.width, box.height].every(Number.isFinite)) {
+      throw new Error(`Bay ${bay.id} needs a polygon or x, y, width and height`);
+    }
+    const categories = bay.categories || [];
+    const unknown = Array.isArray(categories) ? categories.filter(category => !CATEGORY_IDS.includes(category)) : [categories];
+    if (unknown.length > 0) throw new Error(`Bay ${bay.id}: unknown categories ${unknown.join(', ')}`);
+    return {
+      id: bay.id,
+      ...bayTags({ categories, label: String(bay.label || ''), zone: String(bay.zone || ''), reservation_code: String(bay.reservation_code || '') }),
+      x: box.x,
+      y: box.y,
+      width: box.width,
+      height: box.height,
+      ...(bay.polygon && { polygon: bay.polygon })
+    };
+  });
+
+  const aisles = (data.aisles || []).map((aisle, i) => {
+    if (!Array.isArray(aisle.points) || aisle.points.length < 2 || !aisle.points.every(isPoint)) {
+      throw new Error(`Aisle ${aisle.id ?? i + 1} needs at least two {x, y} points`);
+    }
+    return { id: String(aisle.id ?? `aisle-${i + 1}`), points: aisle.points, oneWay: Boolean(aisle.oneWay) };
+  });
+
+  const gates = Array.isArray(data.gates)
+    ? data.gates.map((gate, i) => {
+      if (!GATE_TYPES[gate.type] || !isPoint(gate)) throw new Error(`Gate ${gate.id ?? i + 1} needs a type (entrance, exit or ramp) and x, y`);
+      return { id: String(gate.id ?? `gate-${i + 1}`), type: gate.type, label: String(gate.label || GATE_TYPES[gate.type].label), x: gate.x, y: gate.y };
+    })
+    : null;
+
+  return {
+    template: upgrade({ version: data.version, fixed: data.version === 1 ? false : data.fixed !== false, slots, aisles }),
+    gates
+  };
+};
+
+// The template file bundles the lot's gates, so one file describes the whole lot
+export const serializeTemplate = (template, gates = []) => ({ ...template, version: TEMPLATE_VERSION, gates });
+
+const storageKey = (lotId) => `smartParking.template.${lotId}`;
+
+export const loadTemplate = (lotId) => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(storageKey(lotId)));
+    return saved && (saved.version === 1 || saved.version === TEMPLATE_VERSION) && Array.isArray(saved.slots)
+      ? upgrade(saved)
+      : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+export const saveTemplate = (lotId, template) => {
+  if (template) {
+    window.localStorage.setItem(storageKey(lotId), JSON.stringify(template));
+  } else {
+    window.localStorage.removeItem(storageKey(lotId));
+  }
+};
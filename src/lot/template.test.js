@@ -0,0 +1,129 @@
+import {
+  createTemplate, matchToTemplate, setSlotLabel, autoLabelTemplate, withLabels, slotName, loadTemplate, saveTemplate,
+  addBay, updateBay, removeBay, addAisle, updateAisle, reverseAisle, removeAisle, fillOccupancy, parseTemplate, serializeTemplate,
+  rebaseTemplate, tagBay
+} from './template';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+const bay = (slot_number, x, y, row = 0, col = 0) => ({ slot_number, status: 'empty', row, col, x, y, width: 40, height: 80 });
+const template = setSlotLabel(createTemplate([bay(1, 20, 40), bay(2, 60, 40), bay(3, 100, 40)]), 2, 'B-07');
+
+test('detected slots keep their template ids however the detector orders them', () => {
+  // This run missed bay 1, so reading order would number the others 1 and 2
+  const result = matchToTemplate(template, [bay(1, 62, 41), bay(2, 98, 39)]);
+
+  expect(result.slots.map(slot => slot.slot_number)).toEqual([2, 3]);
+  expect(result.slots[0].label).toBe('B-07');
+  expect(result.matched).toBe(2);
+  expect(result.missing).toEqual([1]);
+  expect(result.template).toBe(template);
+});
+
+test('a shifted box is matched by its center when it barely overlaps', () => {
+  const shifted = { ...bay(1, 78, 40), width: 10, height: 20 };
+  expect(matchToTemplate(template, [shifted]).slots[0].slot_number).toBe(2);
+});
+
+test('new bays get fresh ids and join the template', () => {
+  const result = matchToTemplate(template, [bay(1, 20, 40), bay(2, 300, 40)]);
+  expect(result.slots.map(slot => slot.slot_number)).toEqual([1, 4]);
+  expect(result.added).toEqual([4]);
+  expect(result.template.slots.map(entry => entry.id)).toEqual([1, 2, 3, 4]);
+});
+
+test('a camera view numbers its bays from its first id', () => {
+  const view = createTemplate([], { firstId: 1001 });
+  expect(addBay(view, [{ x: 0, y: 0 }, { x: 40, y: 0 }, { x: 40, y: 80 }]).slots[0].id).toBe(1001);
+  expect(matchToTemplate(view, [bay(1, 20, 40)]).slots[0].slot_number).toBe(1001);
+
+  const rebased = rebaseTemplate(template, 2001);
+  expect(rebased.slots.map(entry => entry.id)).toEqual([2001, 2002, 2003]);
+  expect(rebased.first_id).toBe(2001);
+  expect(rebaseTemplate(rebased, 2001)).toBe(rebased);
+  expect(rebaseTemplate(template, 1)).toBe(template);
+});
+
+test('labels come from the layout or the operator', () => {
+  const labelled = autoLabelTemplate(template, [bay(3, 100, 40, 1, 6)]);
+  expect(withLabels(labelled, [bay(3, 0, 0), bay(1, 0, 0)]).map(slotName)).toEqual(['B-07', '1']);
+});
+
+test('categories the detector saw are kept with the bay\'s own', () => {
+  const tagged = tagBay(template, 2, { categories: ['reserved'] });
+  const detected = { ...bay(1, 62, 41), categories: ['ev'] };
+
+  const [matched] = matchToTemplate(tagged, [detected]).slots;
+  expect(matched.categories).toEqual(['ev', 'reserved']);
+  expect(matchToTemplate(template, [detected]).slots[0].categories).toEqual(['ev']);
+
+  // The bay losing a category drops it again, not what was detected
+  expect(withLabels(tagBay(tagged, 2, { categories: ['accessible'] }), [matched])[0].categories).toEqual(['ev', 'accessible']);
+});
+
+test('templates are saved and loaded per lot', () => {
+  saveTemplate('north-lot', template);
+  expect(loadTemplate('north-lot')).toEqual(template);
+  expect(loadTemplate('south-lot')).toBeNull();
+  saveTemplate('north-lot', null);
+  expect(loadTemplate('north-lot')).toBeNull();
+});
+
+const square = (x, y) => [{ x, y }, { x: x + 40, y }, { x: x + 40, y: y + 80 }, { x, y: y + 80 }];
+
+test('drawn bays get a box around their polygon and mark the template as fixed', () => {
+  const drawn = addBay(template, square(200, 0));
+  expect(drawn.fixed).toBe(true);
+  expect(drawn.slots[3]).toMatchObject({ id: 4, x: 220, y: 40, width: 40, height: 80, zone: '' });
+
+  const moved = updateBay(drawn, 4, { polygon: square(300, 0), zone: 'EV' });
+  expect(moved.slots[3]).toMatchObject({ x: 320, zone: 'EV' });
+  expect(removeBay(moved, 4).slots).toHaveLength(3);
+});
+
+test('aisles are drawn, made one-way and reversed', () => {
+  let drawn = addAisle(template, [{ x: 0, y: 100.4 }, { x: 200, y: 100 }]);
+  drawn = updateAisle(drawn, 'aisle-1', { oneWay: true });
+  drawn = reverseAisle(drawn, 'aisle-1');
+  expect(drawn.aisles).toEqual([{ id: 'aisle-1', points: [{ x: 200, y: 100 }, { x: 0, y: 100 }], oneWay: true }]);
+  expect(removeAisle(drawn, 'aisle-1').aisles).toEqual([]);
+});
+
+test('a fixed template only takes occupancy from detection', () => {
+  const fixed = { ...template, fixed: true };
+  const detected = [
+    { ...bay(7, 21, 40), status: 'occupied', confidence: 0.9, original_class: 'car' },
+    { ...bay(8, 500, 40), status: 'empty' }
+  ];
+  const result = fillOccupancy(fixed, detected);
+
+  expect(result.slots.map(slot => [slot.slot_number, slot.status])).toEqual([[1, 'occupied'], [2, 'unknown'], [3, 'unknown']]);
+  expect(result.slots[1]).toMatchObject({ label: 'B-07', row: 0, col: 1 });
+  expect(result).toMatchObject({ matched: 1, ignored: 1, missing: [2, 3] });
+});
+
+test('template files round-trip with their gates and are validated', () => {
+  const gates = [{ id: 'gate-1', type: 'entrance', label: 'North', x: 10, y: 200 }];
+  const drawn = addAisle(addBay(template, square(200, 0)), [{ x: 0, y: 100 }, { x: 200, y: 100 }]);
+  const parsed = parseTemplate(JSON.parse(JSON.stringify(serializeTemplate(drawn, gates))));
+
+  expect(parsed.template).toEqual(drawn);
+  expect(parsed.gates).toEqual(gates);
+  expect(() => parseTemplate({ version: 9, slots: [] })).toThrow('Unsupported template version 9; expected 2');
+  expect(() => parseTemplate({ version: 2, slots: [{ id: 1, polygon: [{ x: 0, y: 0 }] }] }))
+    .toThrow('Bay 1: polygon needs at least three {x, y} points');
+  expect(() => parseTemplate({ version: 2, slots: [], aisles: [{ id: 'a', points: [] }] }))
+    .toThrow('Aisle a needs at least two {x, y} points');
+});
+
+test('version 1 templates are upgraded', () => {
+  window.localStorage.setItem('smartParking.template.old-lot', JSON.stringify({ version: 1, slots: [{ id: 1, label: 'A', x: 0, y: 0, width: 10, height: 20 }] }));
+  expect(loadTemplate('old-lot')).toEqual({
+    version: 2,
+    fixed: false,
+    aisles: [],
+    slots: [{ id: 1, label: 'A', zone: '', categories: [], reservation_code: '', x: 0, y: 0, width: 10, height: 20 }]
+  });
+});
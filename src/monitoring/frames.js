@@ -0,0 +1,82 @@
+// Frames for continuous monitoring: sampled from a video at a fixed interval, or an
+// uploaded image sequence taken to be that interval apart. Each frame is { time, image }
+// with `time` in seconds from the start and `image` a data URL.
+
+// Enough for ten minutes of video at the default five second interval
+export const MAX_FRAMES = 120;
+
+export const sampleTimes = (duration, interval, maxFrames = MAX_FRAMES) => {
+  if (!(duration > 0) || !(interval > 0)) return [0];
+  const times = [];
+  for (let time = 0; time <= duration && times.length < maxFrames; time += interval) {
+    times.push(Math.round(time * 1000) / 1000);
+  }
+  return times;
+};
+
+// Image sequences are ordered by file name, with numbers compared by value (frame2 before frame10)
+export const sortFrameFiles = (files) =>
+  [...files].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+
+export const isVideoFile = (file) => file.type.startsWith('video/');
+
+const readDataURL = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (e) => resolve(e.target.result);
+  reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+  reader.readAsDataURL(file);
+});
+
+export const readImageSequence = async (files, interval) => {
+  const images = await Promise.all(sortFrameFiles(files).map(readDataURL));
+  return images.map((image, i) => ({ time: i * interval, image }));
+};
+
+const waitFor = (element, eventName) => new Promise((resolve, reject) => {
+  const onEvent = () => {
+    element.removeEventListener('error', onError);
+    resolve();
+  };
+  const onError = () => {
+    element.removeEventListener(eventName, onEvent);
+    reject(new Error('The video could not be decoded by this browser'));
+  };
+  element.addEventListener(eventName, onEvent, { once: true });
+  element.addEventListener('error', onError, { once: true });
+});
+
+// Seek through the video and grab a JPEG of each sampled moment
+export const sampleVideoFrames = async (file, interval, { maxFrames = MAX_FRAMES, onProgress } = {}) => {
+  const url = URL.createObjectURL(file);
+  const video = document.createElement('video');
+  video.muted = true;
+  video.preload = 'auto';
+  video.src = url;
+
+  try {
+    await waitFor(video, 'loadeddata');
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    const context = canvas.getContext('2d');
+
+    const times = sampleTimes(video.duration, interval, maxFrames);
+    const frames = [];
+    for (const time of times) {
+      video.currentTime = time;
+      await waitFor(video, 'seeked');
+      context.drawImage(video, 0, 0, canvas.width, canvas.height);
+      frames.push({ time, image: canvas.toDataURL('image/jpeg', 0.9) });
+      if (onProgress) onProgress(frames.length, times.length);
+    }
+    return frames;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+// Timeline position as m:ss
+export const formatTimestamp = (seconds) => {
+  const whole = Math.round(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
@@ -0,0 +1,18 @@
+import { sampleTimes, sortFrameFiles, formatTimestamp } from './frames';
+
+test('frames are sampled at the interval up to the end of the video', () => {
+  expect(sampleTimes(12, 5)).toEqual([0, 5, 10]);
+  expect(sampleTimes(10, 5)).toEqual([0, 5, 10]);
+  expect(sampleTimes(100, 1, 3)).toEqual([0, 1, 2]);
+  expect(sampleTimes(NaN, 5)).toEqual([0]);
+});
+
+test('image sequences are ordered by file name with numbers compared by value', () => {
+  const files = ['frame10.jpg', 'frame2.jpg', 'frame1.jpg'].map(name => new File(['x'], name, { type: 'image/jpeg' }));
+  expect(sortFrameFiles(files).map(file => file.name)).toEqual(['frame1.jpg', 'frame2.jpg', 'frame10.jpg']);
+});
+
+test('timestamps read as minutes and seconds', () => {
+  expect(formatTimestamp(0)).toBe('0:00');
+  expect(formatTimestamp(65.4)).toBe('1:05');
+});
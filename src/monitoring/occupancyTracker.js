@@ -0,0 +1,96 @@
+// Slot occupancy tracked across the frames of a fixed camera. Every frame's detections
+// are matched to a reference set of slots by box overlap; each slot's observations are
+// smoothed over a trailing window, and its status only flips once the smoothed value
+// crosses the far threshold (hysteresis), so a single bad frame does not flip it.
+
+export const DEFAULT_TRACKING = {
+  // Observations averaged per slot
+  window: 5,
+  // Smoothed occupancy an empty slot must reach to turn occupied
+  occupyAt: 0.6,
+  // Smoothed occupancy an occupied slot must drop to to turn empty
+  vacateAt: 0.4,
+  // Minimum overlap for a detection to count as the same slot
+  minIoU: 0.3
+};
+
+// Intersection over union of two center-based boxes
+export const boxIoU = (a, b) => {
+  const overlapX = Math.min(a.x + a.width / 2, b.x + b.width / 2) - Math.max(a.x - a.width / 2, b.x - b.width / 2);
+  const overlapY = Math.min(a.y + a.height / 2, b.y + b.height / 2) - Math.max(a.y - a.height / 2, b.y - b.height / 2);
+  if (overlapX <= 0 || overlapY <= 0) return 0;
+  const intersection = overlapX * overlapY;
+  return intersection / (a.width * a.height + b.width * b.height - intersection);
+};
+
+// Best-overlapping detection per slot, each detection used once: { [slot_number]: prediction | null }
+export const matchPredictions = (slots, predictions, minIoU = DEFAULT_TRACKING.minIoU) => {
+  const pairs = [];
+  slots.forEach(slot => predictions.forEach((prediction, i) => {
+    const overlap = boxIoU(slot, prediction);
+    if (overlap >= minIoU) pairs.push({ slot: slot.slot_number, prediction: i, overlap });
+  }));
+  pairs.sort((a, b) => b.overlap - a.overlap);
+
+  const matches = Object.fromEntries(slots.map(slot => [slot.slot_number, null]));
+  const used = new Set();
+  pairs.forEach(({ slot, prediction }) => {
+    if (matches[slot] || used.has(prediction)) return;
+    matches[slot] = predictions[prediction];
+    used.add(prediction);
+  });
+  return matches;
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const nextStatus = (status, smoothed, { occupyAt, vacateAt }) => {
+  if (smoothed === null) return status;
+  if (status === 'occupied') return smoothed <= vacateAt ? 'empty' : 'occupied';
+  if (status === 'empty') return smoothed >= occupyAt ? 'occupied' : 'empty';
+  return smoothed >= 0.5 ? 'occupied' : 'empty';
+};
+
+// frames: [{ time, predictions }]; isOccupied(prediction) tells an occupied detection from an empty one.
+// Returns one entry per frame: { time, slots: { [slot_number]: { observed, smoothed, status } }, occupied, empty, observedOccupied }.
+// `observed` is 'occupied', 'empty' or null when the slot was not detected in that frame.
+export const trackOccupancy = (slots, frames, isOccupied, options = {}) => {
+  const settings = { ...DEFAULT_TRACKING, ...options };
+  const history = Object.fromEntries(slots.map(slot => [slot.slot_number, []]));
+  const statuses = Object.fromEntries(slots.map(slot => [slot.slot_number, null]));
+
+  return frames.map(frame => {
+    const matches = matchPredictions(slots, frame.predictions, settings.minIoU);
+    const states = {};
+
+    slots.forEach(({ slot_number: number }) => {
+      const match = matches[number];
+      const observed = match ? (isOccupied(match) ? 'occupied' : 'empty') : null;
+      if (observed) history[number] = [...history[number], observed === 'occupied' ? 1 : 0].slice(-settings.window);
+
+      // A slot's first sighting sets its status outright; after that the thresholds apply
+      const smoothed = history[number].length > 0 ? mean(history[number]) : null;
+      statuses[number] = statuses[number] === null && observed ? observed : nextStatus(statuses[number], smoothed, settings);
+      states[number] = { observed, smoothed, status: statuses[number] };
+    });
+
+    const values = Object.values(states);
+    return {
+      time: frame.time,
+      slots: states,
+      occupied: values.filter(state => state.status === 'occupied').length,
+      empty: values.filter(state => state.status === 'empty').length,
+      observedOccupied: values.filter(state => state.observed === 'occupied').length
+    };
+  });
+};
+
+// Reference slots with their tracked status at one frame; slots never seen yet keep their own status
+export const slotsAtFrame = (slots, timeline, index) => {
+  const entry = timeline[index];
+  if (!entry) return slots;
+  return slots.map(slot => {
+    const state = entry.slots[slot.slot_number];
+    return state?.status ? { ...slot, status: state.status, occupancy_score: state.smoothed } : slot;
+  });
+};
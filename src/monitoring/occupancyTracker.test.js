@@ -0,0 +1,54 @@
+import { boxIoU, matchPredictions, trackOccupancy, slotsAtFrame } from './occupancyTracker';
+
+const box = (x, y, className) => ({ x, y, width: 40, height: 80, confidence: 0.9, class: className });
+const slots = [
+  { slot_number: 1, status: 'empty', x: 20, y: 40, width: 40, height: 80 },
+  { slot_number: 2, status: 'empty', x: 60, y: 40, width: 40, height: 80 }
+];
+const isOccupied = (prediction) => prediction.class === 'car';
+
+// Slot 1 stays empty; slot 2 is seen as `classes` frame by frame (null = not detected)
+const frames = (classes) => classes.map((className, i) => ({
+  time: i * 5,
+  predictions: [box(21, 41, 'empty'), ...(className ? [box(59, 40, className)] : [])]
+}));
+
+test('box overlap is intersection over union', () => {
+  expect(boxIoU(slots[0], slots[0])).toBe(1);
+  expect(boxIoU(slots[0], slots[1])).toBe(0);
+  expect(boxIoU(slots[0], { ...slots[0], x: 40 })).toBeCloseTo(1 / 3);
+});
+
+test('each slot takes its best-overlapping detection, each detection once', () => {
+  const matches = matchPredictions(slots, [box(58, 40, 'car'), box(62, 40, 'empty')]);
+  expect(matches[1]).toBeNull();
+  expect(matches[2].class).toBe('car');
+});
+
+test('a single bad frame does not flip a slot', () => {
+  const timeline = trackOccupancy(slots, frames(['car', 'car', 'car', 'empty', 'car', 'car']), isOccupied);
+  expect(timeline.map(entry => entry.slots[2].status)).toEqual(Array(6).fill('occupied'));
+  expect(timeline[3].slots[2].observed).toBe('empty');
+  expect(timeline[3].observedOccupied).toBe(0);
+  expect(timeline[3].occupied).toBe(1);
+});
+
+test('a lasting change flips the slot once the smoothed value crosses the threshold', () => {
+  const timeline = trackOccupancy(slots, frames(['car', 'car', 'car', 'empty', 'empty', 'empty']), isOccupied);
+  expect(timeline.map(entry => entry.slots[2].status))
+    .toEqual(['occupied', 'occupied', 'occupied', 'occupied', 'occupied', 'empty']);
+  expect(timeline[5].slots[2].smoothed).toBeCloseTo(0.4);
+});
+
+test('a missed detection keeps the last status', () => {
+  const timeline = trackOccupancy(slots, frames([null, 'car', null, 'car']), isOccupied);
+  expect(timeline[0].slots[2]).toEqual({ observed: null, smoothed: null, status: null });
+  expect(timeline[2].slots[2].status).toBe('occupied');
+  expect(timeline[0].empty).toBe(1);
+});
+
+test('slots take their tracked status at a frame', () => {
+  const timeline = trackOccupancy(slots, frames([null, 'car']), isOccupied);
+  expect(slotsAtFrame(slots, timeline, 0)[1].status).toBe('empty');
+  expect(slotsAtFrame(slots, timeline, 1)[1]).toMatchObject({ status: 'occupied', occupancy_score: 1 });
+});
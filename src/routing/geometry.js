@@ -0,0 +1,55 @@
+// Small 2D helpers shared by the lot graph and route metrics
+
+export const distance = (a, b) => {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  return Math.sqrt(dx * dx + dy * dy);
+};
+
+// Project point p onto segment a-b, returns the clamped position `t` along the segment
+export const projectOntoSegment = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  if (lengthSq === 0) {
+    return { t: 0, x: a.x, y: a.y, distance: distance(p, a) };
+  }
+
+  const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  const point = { x: a.x + t * dx, y: a.y + t * dy };
+  return { t, ...point, distance: distance(p, point) };
+};
+
+// Intersection of segments a-b and c-d, or null when they do not cross
+export const segmentIntersection = (a, b, c, d) => {
+  const rX = b.x - a.x;
+  const rY = b.y - a.y;
+  const sX = d.x - c.x;
+  const sY = d.y - c.y;
+  const denominator = rX * sY - rY * sX;
+  if (Math.abs(denominator) < 1e-9) return null; // Parallel or collinear
+
+  const t = ((c.x - a.x) * sY - (c.y - a.y) * sX) / denominator;
+  const u = ((c.x - a.x) * rY - (c.y - a.y) * rX) / denominator;
+  const epsilon = 1e-9;
+  if (t < -epsilon || t > 1 + epsilon || u < -epsilon || u > 1 + epsilon) return null;
+
+  return { t, u, x: a.x + t * rX, y: a.y + t * rY };
+};
+
+// Signed heading change in degrees going a -> b -> c (positive = clockwise on screen, i.e. a right turn)
+export const headingChange = (a, b, c) => {
+  const first = Math.atan2(b.y - a.y, b.x - a.x);
+  const second = Math.atan2(c.y - b.y, c.x - b.x);
+  let delta = (second - first) * 180 / Math.PI;
+  if (delta > 180) delta -= 360;
+  if (delta < -180) delta += 360;
+  return delta;
+};
+
+export const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
@@ -0,0 +1,87 @@
+import { distance, headingChange } from './geometry';
+import { TURN_THRESHOLD_DEGREES, isJunction } from './routes';
+
+// Turns sharper than this are "turn", gentler ones are "bear"
+const SHARP_TURN_DEGREES = 60;
+
+const defaultFormatDistance = (length) => `${Math.round(length)} px`;
+
+const sideOf = (delta) => {
+  if (Math.abs(delta) <= TURN_THRESHOLD_DEGREES) return 'ahead';
+  return delta > 0 ? 'right' : 'left';
+};
+
+// Turn-by-turn instructions for a path returned by findCandidatePaths.
+// Screen y grows downwards, so a positive heading change is a right turn.
+// `measure(a, b)` gives leg lengths in the unit formatDistance expects (pixels by default).
+export const buildTurnByTurn = (path, {
+  slotLabel,
+  startLabel = 'the entrance',
+  formatDistance = defaultFormatDistance,
+  measure = distance
+} = {}) => {
+  const points = path.points || [];
+  if (points.length < 2) return [];
+
+  const endsAtSlot = points[points.length - 1].type === 'slot' && points.length >= 3;
+  const drivePoints = endsAtSlot ? points.slice(0, -1) : points;
+
+  const instructions = [];
+  let legLength = 0;
+  let junctionsPassed = 0;
+  let pendingTurn = null;
+
+  const closeLeg = () => {
+    if (pendingTurn) {
+      const where = pendingTurn.junction ? ` at junction ${pendingTurn.junction}` : '';
+      instructions.push({
+        type: 'turn',
+        direction: pendingTurn.direction,
+        junction: pendingTurn.junction,
+        distance: legLength,
+        text: `${pendingTurn.verb} ${pendingTurn.direction}${where}, then go straight ${formatDistance(legLength)}`
+      });
+    } else {
+      instructions.push({
+        type: 'start',
+        distance: legLength,
+        text: `From ${startLabel}, go straight ${formatDistance(legLength)}`
+      });
+    }
+    legLength = 0;
+  };
+
+  drivePoints.slice(1).forEach((point, i) => {
+    const previous = drivePoints[i];
+    legLength += measure(previous, point);
+
+    const next = drivePoints[i + 2];
+    const atJunction = isJunction(point);
+    if (atJunction) junctionsPassed += 1;
+    if (!next) return;
+
+    const delta = headingChange(previous, point, next);
+    if (Math.abs(delta) <= TURN_THRESHOLD_DEGREES) return;
+
+    closeLeg();
+    pendingTurn = {
+      verb: Math.abs(delta) > SHARP_TURN_DEGREES ? 'Turn' : 'Bear',
+      direction: sideOf(delta),
+      junction: atJunction ? junctionsPassed : null
+    };
+  });
+  closeLeg();
+
+  if (endsAtSlot) {
+    const [before, access, slot] = points.slice(-3);
+    const side = sideOf(headingChange(before, access, slot));
+    const label = slotLabel || 'Your slot';
+    instructions.push({
+      type: 'arrive',
+      direction: side,
+      text: side === 'ahead' ? `${label} is straight ahead` : `${label} is on your ${side}`
+    });
+  }
+
+  return instructions;
+};
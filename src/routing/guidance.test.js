@@ -0,0 +1,48 @@
+import { buildTurnByTurn } from './guidance';
+import { buildLotGraph, slotNodeId } from './lotGraph';
+import { findCandidatePaths } from './routes';
+
+const makeSlot = (slot_number, row, x, y) => ({ slot_number, row, x, y, width: 40, height: 80 });
+
+// Three rows with aisles between them; entrance below, left of center
+const slots = [
+  makeSlot(1, 0, 100, 100), makeSlot(2, 0, 150, 100), makeSlot(3, 0, 200, 100),
+  makeSlot(4, 1, 100, 300), makeSlot(5, 1, 150, 300), makeSlot(6, 1, 200, 300),
+  makeSlot(7, 2, 100, 500), makeSlot(8, 2, 150, 500), makeSlot(9, 2, 200, 500)
+];
+const graph = buildLotGraph(slots, { entrance: { x: 120, y: 680 } });
+
+test('describes a route leg by leg and ends with the slot side', () => {
+  const [path] = findCandidatePaths(graph, 'entrance', slotNodeId(slots[0]), { k: 1 });
+  const steps = buildTurnByTurn(path, { slotLabel: 'Slot 1' });
+
+  expect(steps.map(step => step.type)).toEqual(['start', 'turn', 'turn', 'turn', 'arrive']);
+  expect(steps[0].text).toBe('From the entrance, go straight 100 px');
+  expect(steps[1]).toMatchObject({ direction: 'left', junction: null });
+  expect(steps[2]).toMatchObject({ direction: 'right', junction: null, distance: 560 });
+  expect(steps[3].text).toBe('Turn right, then go straight 60 px');
+  expect(steps[4].text).toBe('Slot 1 is on your right');
+});
+
+test('numbers the junctions passed along the way', () => {
+  const [path] = findCandidatePaths(graph, 'entrance', slotNodeId(slots[4]), { k: 1 });
+  const steps = buildTurnByTurn(path, { formatDistance: length => `${length.toFixed(0)} m` });
+
+  // Up the perimeter past the lower aisle junction, then right at the next junction
+  const turnIntoAisle = steps.find(step => step.junction);
+  expect(turnIntoAisle.text).toBe('Turn right at junction 2, then go straight 110 m');
+  expect(steps[steps.length - 1].text).toBe('Your slot is on your right');
+});
+
+test('returns no steps for an empty path', () => {
+  expect(buildTurnByTurn({ points: [] })).toEqual([]);
+});
+
+test('leg lengths follow the given measure', () => {
+  const [path] = findCandidatePaths(graph, 'entrance', slotNodeId(slots[0]), { k: 1 });
+  const halfScale = (a, b) => Math.hypot(a.x - b.x, a.y - b.y) / 2;
+  const steps = buildTurnByTurn(path, { measure: halfScale, formatDistance: length => `${length} m` });
+
+  expect(steps[0].text).toBe('From the entrance, go straight 50 m');
+  expect(steps[2].distance).toBe(280);
+});
@@ -0,0 +1,100 @@
+import { distance, projectOntoSegment, median } from './geometry';
+
+// Traffic intensity along lanes, estimated from vehicle detections in the aisles.
+// Every aisle vehicle is snapped to its nearest lane segment and takes up a vehicle
+// spacing of lane. A path's intensity is the share of its lane length taken up by the
+// vehicles on the segments it drives along.
+
+// One vehicle per this many meters of lane means the lane is jammed
+export const JAM_SPACING_METERS = 7;
+
+const isInside = (point, box) =>
+  Math.abs(point.x - box.x) <= box.width / 2 && Math.abs(point.y - box.y) <= box.height / 2;
+
+const segmentKey = (from, to) => (from < to ? `${from}|${to}` : `${to}|${from}`);
+
+// Split vehicle detections into vehicles parked inside a slot box and vehicles in the aisles
+export const splitVehicles = (predictions, slots) => {
+  const parked = [];
+  const aisle = [];
+  predictions.forEach(prediction => {
+    (slots.some(slot => isInside(prediction, slot)) ? parked : aisle).push(prediction);
+  });
+  return { parked, aisle };
+};
+
+// Aisle vehicles further than this from any lane centerline are ignored: half a bay depth
+// past the aisle edge, taking the aisle to be about one bay depth wide
+export const defaultSnapDistance = (slots) =>
+  slots.length > 0 ? median(slots.map(slot => Math.max(slot.width, slot.height))) : Infinity;
+
+// Each undirected lane edge of the graph once (access edges to slots and gates are skipped)
+export const laneSegments = (graph) => {
+  const segments = {};
+  Object.entries(graph.adjacency).forEach(([from, edges]) => {
+    edges.forEach(edge => {
+      if (edge.kind !== 'lane') return;
+      const key = segmentKey(from, edge.to);
+      if (!segments[key]) {
+        segments[key] = { key, a: graph.nodes[from], b: graph.nodes[edge.to] };
+      }
+    });
+  });
+  return Object.values(segments);
+};
+
+// Vehicle count and density (0..1) per lane segment. `measure` gives lengths in meters.
+export const segmentDensities = (graph, vehicles, { measure = distance, snapDistance = Infinity } = {}) => {
+  const segments = laneSegments(graph).map(segment => ({ ...segment, length: measure(segment.a, segment.b), count: 0 }));
+  const matched = [];
+  const unmatched = [];
+
+  vehicles.forEach(vehicle => {
+    const nearest = segments.reduce((best, segment) => {
+      const projection = projectOntoSegment(vehicle, segment.a, segment.b);
+      return !best || projection.distance < best.distance ? { segment, distance: projection.distance } : best;
+    }, null);
+    if (nearest && nearest.distance <= snapDistance) {
+      nearest.segment.count += 1;
+      matched.push(vehicle);
+    } else {
+      unmatched.push(vehicle);
+    }
+  });
+
+  const densities = Object.fromEntries(segments.map(segment => [segment.key, {
+    key: segment.key,
+    length: segment.length,
+    count: segment.count,
+    density: segment.length > 0 ? Math.min(1, (segment.count * JAM_SPACING_METERS) / segment.length) : 0
+  }]));
+  return { densities, matched, unmatched };
+};
+
+// Add up the traffic along a path: { intensity (0..100), vehicles, laneLength }
+export const pathIntensity = (path, densities) => {
+  const segments = path.nodes.slice(1)
+    .map((node, i) => densities[segmentKey(path.nodes[i], node)])
+    .filter(Boolean);
+  const laneLength = segments.reduce((sum, segment) => sum + segment.length, 0);
+  const occupied = segments.reduce((sum, segment) => sum + segment.count * JAM_SPACING_METERS, 0);
+
+  return {
+    intensity: laneLength > 0 ? Math.round(Math.min(1, occupied / laneLength) * 100) : 0,
+    vehicles: segments.reduce((sum, segment) => sum + segment.count, 0),
+    laneLength
+  };
+};
+
+// Intensity of every candidate path from one set of vehicle detections, with the
+// vehicles sorted into parked, in the aisles (counted) and off the lanes (ignored)
+export const estimatePathIntensities = (paths, graph, predictions, slots, { measure, snapDistance = defaultSnapDistance(slots) } = {}) => {
+  const { parked, aisle } = splitVehicles(predictions, slots);
+  const { densities, matched, unmatched } = segmentDensities(graph, aisle, { measure, snapDistance });
+
+  return {
+    paths: Object.fromEntries(paths.map(path => [path.id, pathIntensity(path, densities)])),
+    densities,
+    vehicles: { parked, aisle: matched, unmatched }
+  };
+};
@@ -0,0 +1,42 @@
+import { buildLotGraph, slotNodeId } from './lotGraph';
+import { findCandidatePaths } from './routes';
+import { estimatePathIntensities, laneSegments, splitVehicles } from './intensity';
+
+const makeSlot = (slot_number, row, x, y) => ({ slot_number, row, x, y, width: 40, height: 80 });
+
+// Two rows with an aisle at y = 200 between them; entrance below
+const slots = [
+  makeSlot(1, 0, 100, 100), makeSlot(2, 0, 150, 100), makeSlot(3, 0, 200, 100),
+  makeSlot(4, 1, 100, 300), makeSlot(5, 1, 150, 300), makeSlot(6, 1, 200, 300)
+];
+const graph = buildLotGraph(slots, { entrance: { x: 150, y: 480 } });
+const paths = findCandidatePaths(graph, 'entrance', slotNodeId(slots[0]), { k: 2 });
+const vehicle = (x, y) => ({ x, y, width: 60, height: 30, confidence: 0.9, class: 'car' });
+
+test('vehicles inside slot boxes count as parked', () => {
+  const { parked, aisle } = splitVehicles([vehicle(150, 100), vehicle(150, 200)], slots);
+  expect(parked).toHaveLength(1);
+  expect(aisle).toEqual([vehicle(150, 200)]);
+});
+
+test('lane segments skip access edges', () => {
+  expect(laneSegments(graph).every(segment => segment.a.type !== 'slot' && segment.b.type !== 'slot')).toBe(true);
+});
+
+test('paths through busy lanes get a higher intensity', () => {
+  // Two cars queued on the left perimeter lane, which only the first path uses
+  const busy = [vehicle(40, 250), vehicle(40, 320)];
+  const { paths: results, vehicles } = estimatePathIntensities(paths, graph, busy, slots);
+
+  expect(vehicles.aisle).toHaveLength(2);
+  const [viaLeft, viaRight] = paths.map(path => results[path.id]);
+  expect(viaLeft.vehicles).toBe(2);
+  expect(viaLeft.intensity).toBe(Math.round((2 * 7 / viaLeft.laneLength) * 100));
+  expect(viaRight).toMatchObject({ vehicles: 0, intensity: 0 });
+});
+
+test('an empty lot has no traffic and far-away detections are ignored', () => {
+  const { paths: results, vehicles } = estimatePathIntensities(paths, graph, [vehicle(900, 900)], slots);
+  expect(vehicles.unmatched).toHaveLength(1);
+  expect(Object.values(results).every(result => result.intensity === 0 && result.vehicles === 0)).toBe(true);
+});
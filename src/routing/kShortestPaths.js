@@ -0,0 +1,101 @@
+// Dijkstra and Yen's k-shortest loopless paths over the lot graph
+
+const edgeKey = (from, to) => `${from}->${to}`;
+
+const defaultEdgeCost = (from, edge) => edge.length;
+
+export const shortestPath = (graph, source, target, options = {}) => {
+  const {
+    blockedNodes = new Set(),
+    blockedEdges = new Set(),
+    edgeCost = defaultEdgeCost
+  } = options;
+
+  if (!graph.nodes[source] || !graph.nodes[target]) return null;
+
+  const costs = { [source]: 0 };
+  const previous = {};
+  const visited = new Set();
+  const queue = [source];
+
+  while (queue.length > 0) {
+    // Lots are small, a linear scan beats keeping a heap
+    let bestIndex = 0;
+    queue.forEach((id, i) => {
+      if (costs[id] < costs[queue[bestIndex]]) bestIndex = i;
+    });
+    const current = queue.splice(bestIndex, 1)[0];
+    if (visited.has(current)) continue;
+    visited.add(current);
+    if (current === target) break;
+
+    (graph.adjacency[current] || []).forEach(edge => {
+      if (blockedNodes.has(edge.to) || blockedEdges.has(edgeKey(current, edge.to))) return;
+      const cost = costs[current] + edgeCost(current, edge);
+      if (costs[edge.to] === undefined || cost < costs[edge.to]) {
+        costs[edge.to] = cost;
+        previous[edge.to] = current;
+        queue.push(edge.to);
+      }
+    });
+  }
+
+  if (costs[target] === undefined) return null;
+
+  const nodes = [target];
+  while (nodes[0] !== source) {
+    nodes.unshift(previous[nodes[0]]);
+  }
+  return { nodes, cost: costs[target] };
+};
+
+const pathCost = (graph, nodes, edgeCost = defaultEdgeCost) => nodes.slice(1).reduce((total, to, i) => {
+  const from = nodes[i];
+  const cheapest = Math.min(...graph.adjacency[from]
+    .filter(edge => edge.to === to)
+    .map(edge => edgeCost(from, edge)));
+  return total + cheapest;
+}, 0);
+
+const samePath = (a, b) => a.length === b.length && a.every((id, i) => id === b[i]);
+
+export const kShortestPaths = (graph, source, target, k, options = {}) => {
+  const first = shortestPath(graph, source, target, options);
+  if (!first) return [];
+
+  const found = [first];
+  const candidates = [];
+
+  for (let i = 1; i < k; i++) {
+    const previousPath = found[i - 1].nodes;
+
+    for (let j = 0; j < previousPath.length - 1; j++) {
+      const spurNode = previousPath[j];
+      const rootPath = previousPath.slice(0, j + 1);
+
+      // Forbid the edges already used by accepted paths sharing this root
+      const blockedEdges = new Set(options.blockedEdges);
+      found.forEach(path => {
+        if (path.nodes.length > j + 1 && samePath(path.nodes.slice(0, j + 1), rootPath)) {
+          blockedEdges.add(edgeKey(path.nodes[j], path.nodes[j + 1]));
+        }
+      });
+      const blockedNodes = new Set([...(options.blockedNodes || []), ...rootPath.slice(0, -1)]);
+
+      const spur = shortestPath(graph, spurNode, target, { ...options, blockedNodes, blockedEdges });
+      if (!spur) continue;
+
+      const nodes = [...rootPath.slice(0, -1), ...spur.nodes];
+      const isKnown = candidates.some(c => samePath(c.nodes, nodes)) || found.some(p => samePath(p.nodes, nodes));
+      if (!isKnown) {
+        candidates.push({ nodes, cost: pathCost(graph, nodes, options.edgeCost) });
+      }
+    }
+
+    if (candidates.length === 0) break;
+    candidates.sort((a, b) => a.cost - b.cost);
+    found.push(candidates.shift());
+  }
+
+  return found;
+};
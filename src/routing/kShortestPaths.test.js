@@ -0,0 +1,33 @@
+import { createGraph, addNode, addEdge } from './lotGraph';
+import { shortestPath, kShortestPaths } from './kShortestPaths';
+
+// Classic Yen example: C -> H with three distinct routes
+const buildExampleGraph = () => {
+  const graph = createGraph();
+  ['C', 'D', 'E', 'F', 'G', 'H'].forEach((id, i) => addNode(graph, { id, x: i, y: 0 }));
+  [
+    ['C', 'D', 3], ['C', 'E', 2], ['D', 'F', 4], ['E', 'D', 1],
+    ['E', 'F', 2], ['E', 'G', 3], ['F', 'G', 2], ['F', 'H', 1], ['G', 'H', 2]
+  ].forEach(([from, to, length]) => addEdge(graph, from, to, { length, oneWay: true }));
+  return graph;
+};
+
+test('shortestPath finds the cheapest route', () => {
+  const path = shortestPath(buildExampleGraph(), 'C', 'H');
+  expect(path.nodes).toEqual(['C', 'E', 'F', 'H']);
+  expect(path.cost).toBe(5);
+});
+
+test('shortestPath returns null when the target is unreachable', () => {
+  expect(shortestPath(buildExampleGraph(), 'H', 'C')).toBeNull();
+});
+
+test('kShortestPaths returns loopless paths in cost order', () => {
+  const paths = kShortestPaths(buildExampleGraph(), 'C', 'H', 3);
+  expect(paths.map(p => p.nodes.join(''))).toEqual(['CEFH', 'CEGH', 'CDFH']);
+  expect(paths.map(p => p.cost)).toEqual([5, 7, 8]);
+});
+
+test('kShortestPaths stops when no more paths exist', () => {
+  expect(kShortestPaths(buildExampleGraph(), 'C', 'H', 10)).toHaveLength(7);
+});
@@ -0,0 +1,160 @@
+import { createGraph, addNode, addEdge, buildLotGraph, gateNodeId, slotNodeId } from './lotGraph';
+import { describePath } from './routes';
+import { kShortestPaths } from './kShortestPaths';
+import { buildTurnByTurn } from './guidance';
+import { distance } from './geometry';
+import { slotViewId } from '../lot/structure';
+
+// Routing across the camera views of a multi-level lot. Each view's lot graph is built on
+// its own, in its image's pixels, then merged under view-prefixed node ids with edge lengths
+// in meters (by the view's calibration). Ramps join the ramp gates they connect, so one
+// route can leave a view at a ramp and carry on in the view at its other end.
+
+export const viewNodeId = (viewId, id) => `${viewId}|${id}`;
+
+// views: [{ id, slots, gates, lanes, metersPerPixel }]; ramps as in structure.js
+export const buildLevelGraph = (views, ramps = []) => {
+  const graph = { ...createGraph(), metersPerPixel: {} };
+  views.forEach(view => {
+    const local = buildLotGraph(view.slots, { gates: view.gates, lanes: view.lanes });
+    graph.metersPerPixel[view.id] = view.metersPerPixel;
+    Object.values(local.nodes).forEach(node => addNode(graph, { ...node, id: viewNodeId(view.id, node.id), view: view.id }));
+    Object.entries(local.adjacency).forEach(([from, edges]) => edges.forEach(edge => {
+      graph.adjacency[viewNodeId(view.id, from)].push({ ...edge, to: viewNodeId(view.id, edge.to), length: edge.length * view.metersPerPixel });
+    }));
+  });
+
+  // A ramp whose gates are not placed yet leaves its levels unconnected
+  ramps.forEach(ramp => {
+    const from = viewNodeId(ramp.from.view, gateNodeId({ id: ramp.from.gate }));
+    const to = viewNodeId(ramp.to.view, gateNodeId({ id: ramp.to.gate }));
+    if (graph.nodes[from] && graph.nodes[to]) addEdge(graph, from, to, { length: ramp.length, kind: 'ramp' });
+  });
+  return graph;
+};
+
+// The nodes of one view, e.g. to match vehicles seen by that camera to its aisles
+export const viewSubgraph = (graph, viewId) => {
+  const ids = Object.keys(graph.nodes).filter(id => graph.nodes[id].view === viewId);
+  return {
+    nodes: Object.fromEntries(ids.map(id => [id, graph.nodes[id]])),
+    adjacency: Object.fromEntries(ids.map(id => [id, graph.adjacency[id].filter(edge => graph.nodes[edge.to].view === viewId)]))
+  };
+};
+
+const rampBetween = (ramps, from, to) => ramps.find(ramp => [[ramp.from, ramp.to], [ramp.to, ramp.from]].some(([a, b]) =>
+  from === viewNodeId(a.view, gateNodeId({ id: a.gate })) && to === viewNodeId(b.view, gateNodeId({ id: b.gate }))
+));
+
+// Candidate routes between two nodes of the merged graph, shortest first. A route is split
+// into legs, one per view it passes through, joined by ramps. `points` are the last leg's,
+// drawn over the destination view; distances are in meters.
+export const findLevelPaths = (graph, fromId, toId, { k = 4, ramps = [] } = {}) =>
+  kShortestPaths(graph, fromId, toId, k).map((path, i) => {
+    const legs = [];
+    const crossed = [];
+    path.nodes.forEach((id, j) => {
+      const view = graph.nodes[id].view;
+      const leg = legs[legs.length - 1];
+      if (leg && leg.view === view) {
+        leg.nodes.push(id);
+      } else {
+        if (leg) crossed.push(rampBetween(ramps, path.nodes[j - 1], id));
+        legs.push({ view, nodes: [id] });
+      }
+    });
+
+    const measured = legs.map(leg => {
+      const metrics = describePath(graph, leg.nodes);
+      return {
+        view: leg.view,
+        points: metrics.points,
+        metersPerPixel: graph.metersPerPixel[leg.view],
+        distance: metrics.length * graph.metersPerPixel[leg.view],
+        turns: metrics.turns,
+        tJunctions: metrics.tJunctions
+      };
+    });
+    const rampLength = crossed.reduce((sum, ramp) => sum + (ramp ? ramp.length : 0), 0);
+
+    return {
+      id: i + 1,
+      name: `Path ${i + 1}`,
+      nodes: path.nodes,
+      points: measured[measured.length - 1].points,
+      legs: measured,
+      ramps: crossed.map(ramp => (ramp ? { id: ramp.id, name: ramp.name, length: ramp.length } : null)),
+      distance: measured.reduce((sum, leg) => sum + leg.distance, 0) + rampLength,
+      turns: measured.reduce((sum, leg) => sum + leg.turns, 0),
+      tJunctions: measured.reduce((sum, leg) => sum + leg.tJunctions, 0),
+      vehicleIntensity: null,
+      score: null
+    };
+  });
+
+// Drive distance (meters) from the nearest of the start nodes to every node: Dijkstra from all of them at once
+export const driveDistances = (graph, startIds) => {
+  const costs = {};
+  const origin = {};
+  const queue = [];
+  startIds.filter(id => graph.nodes[id]).forEach(id => {
+    costs[id] = 0;
+    origin[id] = id;
+    queue.push(id);
+  });
+  const visited = new Set();
+
+  while (queue.length > 0) {
+    let bestIndex = 0;
+    queue.forEach((id, i) => {
+      if (costs[id] < costs[queue[bestIndex]]) bestIndex = i;
+    });
+    const current = queue.splice(bestIndex, 1)[0];
+    if (visited.has(current)) continue;
+    visited.add(current);
+
+    graph.adjacency[current].forEach(edge => {
+      const cost = costs[current] + edge.length;
+      if (costs[edge.to] === undefined || cost < costs[edge.to]) {
+        costs[edge.to] = cost;
+        origin[edge.to] = origin[current];
+        queue.push(edge.to);
+      }
+    });
+  }
+  return { costs, origin };
+};
+
+// Each slot's drive distance from the nearest start node, with that node as nearest_entrance;
+// slots no route reaches (e.g. a level without a ramp yet) get null
+export const measureAcrossLevels = (graph, slots, startIds) => {
+  const { costs, origin } = driveDistances(graph, startIds);
+  return slots.map(slot => {
+    const id = viewNodeId(slotViewId(slot), slotNodeId(slot));
+    return {
+      ...slot,
+      distance_from_entrance: costs[id] ?? null,
+      nearest_entrance: costs[id] === undefined ? null : origin[id]
+    };
+  });
+};
+
+// Turn-by-turn for a route across views: each leg's steps, then the ramp to the next leg.
+// levelOf(viewId) names where a ramp leads, e.g. "Level 2".
+export const buildLevelTurnByTurn = (path, { slotLabel, startLabel, formatDistance, levelOf = (viewId) => viewId }) =>
+  path.legs.flatMap((leg, i) => {
+    const last = i === path.legs.length - 1;
+    const ramp = path.ramps[i];
+    const steps = buildTurnByTurn({ points: leg.points }, {
+      slotLabel: last ? slotLabel : undefined,
+      startLabel: i === 0 ? startLabel : path.ramps[i - 1]?.name,
+      formatDistance,
+      measure: (a, b) => distance(a, b) * leg.metersPerPixel
+    });
+    if (last) return steps;
+    const to = levelOf(path.legs[i + 1].view);
+    return [...steps, {
+      type: 'ramp',
+      text: ramp ? `Take ${ramp.name} to ${to} (${formatDistance(ramp.length)})` : `Continue to ${to}`
+    }];
+  });
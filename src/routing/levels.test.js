@@ -0,0 +1,68 @@
+import { buildLevelGraph, buildLevelTurnByTurn, findLevelPaths, measureAcrossLevels, viewNodeId, viewSubgraph } from './levels';
+
+const lane = [{ id: 'aisle', points: [{ x: 0, y: 100 }, { x: 200, y: 100 }] }];
+const slot = (slot_number, x, view_id) => ({ slot_number, view_id, status: 'empty', row: 0, col: 0, x, y: 60, width: 40, height: 60 });
+const ramp = { id: 'ramp-1', name: 'North ramp', from: { view: 'main', gate: 'gate-2' }, to: { view: 'view-1', gate: 'gate-1' }, length: 20 };
+
+const views = [
+  {
+    id: 'main',
+    slots: [slot(1, 100, 'main')],
+    gates: [{ id: 'gate-1', type: 'entrance', x: 0, y: 110 }, { id: 'gate-2', type: 'ramp', x: 200, y: 110 }],
+    lanes: lane,
+    metersPerPixel: 0.1
+  },
+  {
+    id: 'view-1',
+    slots: [slot(1001, 150, 'view-1')],
+    gates: [{ id: 'gate-1', type: 'ramp', x: 0, y: 110 }],
+    lanes: lane,
+    metersPerPixel: 0.1
+  }
+];
+
+test('a route to another level crosses the ramp and is split into legs per view', () => {
+  const graph = buildLevelGraph(views, [ramp]);
+  const [path] = findLevelPaths(graph, viewNodeId('main', 'gate:gate-1'), viewNodeId('view-1', 'slot-1001'), { ramps: [ramp] });
+
+  expect(path.legs.map(leg => leg.view)).toEqual(['main', 'view-1']);
+  expect(path.ramps).toEqual([{ id: 'ramp-1', name: 'North ramp', length: 20 }]);
+  expect(path.legs[0].distance).toBeCloseTo(22, 5);
+  expect(path.legs[1].distance).toBeCloseTo(20, 5);
+  expect(path.distance).toBeCloseTo(62, 5);
+  expect(path.points).toBe(path.legs[1].points);
+  expect(path.points[path.points.length - 1]).toMatchObject({ x: 150, y: 60 });
+});
+
+test('slots are measured by drive distance and unreachable levels are left out', () => {
+  const start = [viewNodeId('main', 'gate:gate-1')];
+  const connected = measureAcrossLevels(buildLevelGraph(views, [ramp]), [...views[0].slots, ...views[1].slots], start);
+  expect(connected.map(entry => Math.round(entry.distance_from_entrance))).toEqual([15, 62]);
+  expect(connected[1].nearest_entrance).toBe('main|gate:gate-1');
+
+  const apart = measureAcrossLevels(buildLevelGraph(views), views[1].slots, start);
+  expect(apart[0]).toMatchObject({ distance_from_entrance: null, nearest_entrance: null });
+});
+
+test('a view subgraph keeps only that camera\'s nodes and edges', () => {
+  const sub = viewSubgraph(buildLevelGraph(views, [ramp]), 'view-1');
+  expect(Object.values(sub.nodes).every(node => node.view === 'view-1')).toBe(true);
+  expect(Object.values(sub.adjacency).flat().some(edge => edge.kind === 'ramp')).toBe(false);
+});
+
+test('turn-by-turn steps take the ramp between legs', () => {
+  const graph = buildLevelGraph(views, [ramp]);
+  const [path] = findLevelPaths(graph, viewNodeId('main', 'gate:gate-1'), viewNodeId('view-1', 'slot-1001'), { ramps: [ramp] });
+  const steps = buildLevelTurnByTurn(path, {
+    slotLabel: 'Level 2, slot 1001',
+    startLabel: 'Entrance 1',
+    formatDistance: (length) => `${Math.round(length)} m`,
+    levelOf: (viewId) => (viewId === 'view-1' ? 'Level 2' : 'Level 1')
+  });
+
+  expect(steps[0].text).toBe('From Entrance 1, go straight 1 m');
+  expect(steps.map(step => step.type)).toContain('ramp');
+  expect(steps.find(step => step.type === 'ramp').text).toBe('Take North ramp to Level 2 (20 m)');
+  expect(steps.find(step => step.text.startsWith('From North ramp'))).toBeTruthy();
+  expect(steps[steps.length - 1]).toMatchObject({ type: 'arrive', text: 'Level 2, slot 1001 is on your left' });
+});
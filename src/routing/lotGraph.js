@@ -0,0 +1,220 @@
+import { distance, projectOntoSegment, segmentIntersection, median } from './geometry';
+import { findVerticalAisles } from '../layout/inferLayout';
+
+// The lot is modelled as a graph of drivable lane points. Lanes are straight
+// (or polyline) centerlines; slots and the entrance hang off their nearest lane
+// through a short "access" edge.
+
+export const createGraph = () => ({ nodes: {}, adjacency: {} });
+
+export const addNode = (graph, node) => {
+  if (!graph.nodes[node.id]) {
+    graph.nodes[node.id] = { type: 'lane', ...node };
+    graph.adjacency[node.id] = [];
+  }
+  return graph.nodes[node.id];
+};
+
+export const addEdge = (graph, from, to, { length, kind = 'lane', oneWay = false } = {}) => {
+  const edgeLength = length ?? distance(graph.nodes[from], graph.nodes[to]);
+  graph.adjacency[from].push({ to, length: edgeLength, kind });
+  if (!oneWay) {
+    graph.adjacency[to].push({ to: from, length: edgeLength, kind });
+  }
+};
+
+export const slotNodeId = (slot) => `slot-${slot.slot_number}`;
+
+export const gateNodeId = (gate) => `gate:${gate.id}`;
+
+const pointKey = (point) => `p:${Math.round(point.x)}:${Math.round(point.y)}`;
+
+// Split polyline lanes into two-point segments
+const toSegments = (lanes) => lanes.flatMap(lane =>
+  lane.points.slice(0, -1).map((point, i) => ({
+    id: lane.points.length > 2 ? `${lane.id}#${i}` : lane.id,
+    laneId: lane.id,
+    a: point,
+    b: lane.points[i + 1],
+    oneWay: Boolean(lane.oneWay)
+  }))
+);
+
+// Build a routable graph from lane centerlines and the points (slots, entrances) attached to them
+export const buildGraphFromLanes = (lanes, attachments = []) => {
+  const graph = createGraph();
+  const segments = toSegments(lanes);
+  const stopsBySegment = Object.fromEntries(segments.map(segment => [segment.id, []]));
+  const lanesAtPoint = {};
+
+  const addPointStop = (segment, t, point) => {
+    const id = pointKey(point);
+    addNode(graph, { id, x: point.x, y: point.y });
+    lanesAtPoint[id] = lanesAtPoint[id] || new Set();
+    lanesAtPoint[id].add(segment.laneId);
+    stopsBySegment[segment.id].push({ t, id });
+  };
+
+  segments.forEach(segment => {
+    addPointStop(segment, 0, segment.a);
+    addPointStop(segment, 1, segment.b);
+  });
+
+  // Lane crossings become shared nodes
+  segments.forEach((first, i) => {
+    segments.slice(i + 1).forEach(second => {
+      const hit = segmentIntersection(first.a, first.b, second.a, second.b);
+      if (!hit) return;
+      addPointStop(first, hit.t, hit);
+      addPointStop(second, hit.u, hit);
+    });
+  });
+
+  // Attach slots / entrances to the nearest allowed lane
+  attachments.forEach(attachment => {
+    const candidates = attachment.laneIds?.length
+      ? segments.filter(segment => attachment.laneIds.includes(segment.laneId))
+      : segments;
+    const nearest = (candidates.length ? candidates : segments).reduce((best, segment) => {
+      const projection = projectOntoSegment(attachment, segment.a, segment.b);
+      return !best || projection.distance < best.projection.distance ? { segment, projection } : best;
+    }, null);
+    if (!nearest) return;
+
+    const { laneIds, ...nodeData } = attachment;
+    const accessId = `${attachment.id}:access`;
+    addNode(graph, { ...nodeData });
+    addNode(graph, { id: accessId, type: 'access', x: nearest.projection.x, y: nearest.projection.y });
+    stopsBySegment[nearest.segment.id].push({ t: nearest.projection.t, id: accessId });
+    addEdge(graph, attachment.id, accessId, { kind: 'access' });
+  });
+
+  // Chain the stops along each segment
+  segments.forEach(segment => {
+    const stops = stopsBySegment[segment.id]
+      .sort((a, b) => a.t - b.t)
+      .filter((stop, i, all) => i === 0 || stop.id !== all[i - 1].id);
+    stops.slice(1).forEach((stop, i) => {
+      addEdge(graph, stops[i].id, stop.id, { oneWay: segment.oneWay });
+    });
+  });
+
+  // Classify lane points: where two or more lanes meet it is a junction
+  Object.values(graph.nodes).forEach(node => {
+    const neighbours = new Set();
+    Object.entries(graph.adjacency).forEach(([from, edges]) => {
+      edges.forEach(edge => {
+        if (edge.kind !== 'lane') return;
+        if (from === node.id) neighbours.add(edge.to);
+        if (edge.to === node.id) neighbours.add(from);
+      });
+    });
+    node.degree = neighbours.size;
+    if (node.type === 'lane' && lanesAtPoint[node.id]?.size > 1) {
+      node.type = 'junction';
+    }
+  });
+
+  return graph;
+};
+
+// Guess aisle centerlines from the slot boxes: a horizontal aisle runs in every
+// gap between rows wide enough to drive through, plus one in front of the outer
+// rows. Perimeter lanes on the left and right and any vertical aisles cutting
+// through the rows connect them.
+export const inferLanesFromSlots = (slots) => {
+  if (slots.length === 0) return { lanes: [], laneIdsByRow: {} };
+
+  const rows = Object.values(slots.reduce((groups, slot) => {
+    (groups[slot.row] = groups[slot.row] || []).push(slot);
+    return groups;
+  }, {}))
+    .map(rowSlots => ({
+      row: rowSlots[0].row,
+      top: Math.min(...rowSlots.map(s => s.y - s.height / 2)),
+      bottom: Math.max(...rowSlots.map(s => s.y + s.height / 2))
+    }))
+    .sort((a, b) => a.top - b.top);
+
+  const slotDepth = median(slots.map(s => s.height)) || 1;
+  const margin = slotDepth / 2;
+  const left = Math.min(...slots.map(s => s.x - s.width / 2)) - margin;
+  const right = Math.max(...slots.map(s => s.x + s.width / 2)) + margin;
+
+  // gaps[i] is the aisle y above rows[i] (the last one lies below the last row)
+  const gaps = rows.map((row, i) => {
+    if (i === 0) return row.top - margin;
+    const previous = rows[i - 1];
+    const gap = row.top - previous.bottom;
+    return gap >= slotDepth / 2 ? (previous.bottom + row.top) / 2 : null;
+  });
+  gaps.push(rows[rows.length - 1].bottom + margin);
+
+  const lanes = [];
+  const laneIdsByRow = {};
+  gaps.forEach((y, i) => {
+    if (y === null) return;
+    const id = `aisle-${i}`;
+    lanes.push({ id, points: [{ x: left, y }, { x: right, y }] });
+    if (rows[i - 1]) (laneIdsByRow[rows[i - 1].row] = laneIdsByRow[rows[i - 1].row] || []).push(id);
+    if (rows[i]) (laneIdsByRow[rows[i].row] = laneIdsByRow[rows[i].row] || []).push(id);
+  });
+
+  const laneYs = gaps.filter(y => y !== null);
+  const top = Math.min(...laneYs);
+  const bottom = Math.max(...laneYs);
+  if (bottom > top) {
+    lanes.push({ id: 'perimeter-left', points: [{ x: left, y: top }, { x: left, y: bottom }] });
+    lanes.push({ id: 'perimeter-right', points: [{ x: right, y: top }, { x: right, y: bottom }] });
+    findVerticalAisles(slots).forEach((aisle, i) => {
+      lanes.push({ id: `cross-aisle-${i}`, points: [{ x: aisle.x, y: top }, { x: aisle.x, y: bottom }] });
+    });
+  }
+
+  return { lanes, laneIdsByRow };
+};
+
+// Build the lot graph from detected slots, using layout lanes when provided.
+// Gates (entrances/exits) are attached as `gate:<id>` nodes, a single `entrance` point as `entrance`.
+export const buildLotGraph = (slots, { entrance, gates = [], lanes } = {}) => {
+  const inferred = lanes?.length ? { lanes, laneIdsByRow: {} } : inferLanesFromSlots(slots);
+
+  const attachments = slots.map(slot => ({
+    id: slotNodeId(slot),
+    type: 'slot',
+    slotNumber: slot.slot_number,
+    x: slot.x,
+    y: slot.y,
+    laneIds: inferred.laneIdsByRow[slot.row]
+  }));
+  if (entrance) {
+    attachments.push({ id: 'entrance', type: 'entrance', x: entrance.x, y: entrance.y });
+  }
+  gates.forEach(gate => {
+    attachments.push({ id: gateNodeId(gate), type: gate.type, label: gate.label, x: gate.x, y: gate.y });
+  });
+
+  return buildGraphFromLanes(inferred.lanes, attachments);
+};
+
+const isPoint = (point) => point && Number.isFinite(point.x) && Number.isFinite(point.y);
+
+// Validate a lot layout file: { lanes: [{ id, points: [{x, y}, ...], oneWay? }], entrance?: {x, y} }
+export const parseLotLayout = (layout) => {
+  if (!layout || !Array.isArray(layout.lanes) || layout.lanes.length === 0) {
+    throw new Error('Layout file must contain a non-empty "lanes" array');
+  }
+
+  const lanes = layout.lanes.map((lane, i) => {
+    if (!Array.isArray(lane.points) || lane.points.length < 2 || !lane.points.every(isPoint)) {
+      throw new Error(`Lane ${lane.id ?? i + 1} needs at least two {x, y} points`);
+    }
+    return { id: String(lane.id ?? `lane-${i + 1}`), points: lane.points, oneWay: Boolean(lane.oneWay) };
+  });
+
+  if (layout.entrance && !isPoint(layout.entrance)) {
+    throw new Error('Layout entrance must be an {x, y} point');
+  }
+
+  return { lanes, entrance: layout.entrance || null };
+};
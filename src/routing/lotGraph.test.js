@@ -0,0 +1,68 @@
+import { buildLotGraph, buildGraphFromLanes, inferLanesFromSlots, parseLotLayout, slotNodeId } from './lotGraph';
+import { findCandidatePaths } from './routes';
+
+const makeSlot = (slot_number, row, x, y) => ({ slot_number, row, x, y, width: 40, height: 80 });
+
+// Two rows of three bays with a driving aisle between them
+const slots = [
+  makeSlot(1, 0, 100, 100), makeSlot(2, 0, 150, 100), makeSlot(3, 0, 200, 100),
+  makeSlot(4, 1, 100, 300), makeSlot(5, 1, 150, 300), makeSlot(6, 1, 200, 300)
+];
+
+test('inferLanesFromSlots puts an aisle between rows and perimeter lanes around them', () => {
+  const { lanes, laneIdsByRow } = inferLanesFromSlots(slots);
+  const aisleYs = lanes.filter(l => l.id.startsWith('aisle')).map(l => l.points[0].y);
+  expect(aisleYs).toEqual([20, 200, 380]);
+  expect(lanes.map(l => l.id)).toContain('perimeter-left');
+  expect(laneIdsByRow[0]).toEqual(['aisle-0', 'aisle-1']);
+});
+
+test('inferLanesFromSlots skips the aisle between back-to-back rows', () => {
+  const backToBack = [makeSlot(1, 0, 100, 100), makeSlot(2, 1, 100, 180)];
+  const { lanes } = inferLanesFromSlots(backToBack);
+  expect(lanes.map(l => l.id)).toEqual(['aisle-0', 'aisle-2', 'perimeter-left', 'perimeter-right']);
+});
+
+test('lane crossings become junction nodes', () => {
+  const graph = buildGraphFromLanes([
+    { id: 'a', points: [{ x: 0, y: 50 }, { x: 100, y: 50 }] },
+    { id: 'b', points: [{ x: 50, y: 0 }, { x: 50, y: 100 }] }
+  ]);
+  const junctions = Object.values(graph.nodes).filter(n => n.type === 'junction');
+  expect(junctions).toHaveLength(1);
+  expect(junctions[0]).toMatchObject({ x: 50, y: 50, degree: 4 });
+});
+
+test('one-way lanes only allow travel in their drawn direction', () => {
+  const graph = buildGraphFromLanes(
+    [{ id: 'a', points: [{ x: 0, y: 0 }, { x: 100, y: 0 }], oneWay: true }],
+    [{ id: 'start', x: 10, y: 10 }, { id: 'end', x: 90, y: 10 }]
+  );
+  expect(findCandidatePaths(graph, 'start', 'end')).toHaveLength(1);
+  expect(findCandidatePaths(graph, 'end', 'start')).toHaveLength(0);
+});
+
+test('candidate paths report real length, turns and junctions', () => {
+  const graph = buildLotGraph(slots, { entrance: { x: 150, y: 480 } });
+  const paths = findCandidatePaths(graph, 'entrance', slotNodeId(slots[1]), { k: 3 });
+
+  expect(paths.length).toBeGreaterThan(1);
+  expect(paths.map(p => p.id)).toEqual(paths.map((_, i) => i + 1));
+
+  // Slot 2 opens onto the top aisle, so the route goes round the perimeter
+  const [best] = paths;
+  expect(best.nodes[0]).toBe('entrance');
+  expect(best.nodes[best.nodes.length - 1]).toBe('slot-2');
+  expect(best.distance).toBeCloseTo(100 + 110 + 360 + 110 + 80, 5);
+  expect(best.turns).toBe(4);
+  expect(best.tJunctions).toBe(1);
+  paths.slice(1).forEach(path => expect(path.distance).toBeGreaterThanOrEqual(best.distance));
+});
+
+test('parseLotLayout validates lanes and entrance', () => {
+  expect(() => parseLotLayout({})).toThrow(/lanes/);
+  expect(() => parseLotLayout({ lanes: [{ id: 'a', points: [{ x: 0, y: 0 }] }] })).toThrow(/two/);
+  const layout = parseLotLayout({ lanes: [{ points: [{ x: 0, y: 0 }, { x: 5, y: 0 }] }], entrance: { x: 1, y: 2 } });
+  expect(layout.lanes[0].id).toBe('lane-1');
+  expect(layout.entrance).toEqual({ x: 1, y: 2 });
+});
@@ -0,0 +1,94 @@
+// Cost model for picking the optimal path among the candidates (lower is better).
+// Every factor is normalized to 0..1 before it is weighted, so a path's distance in
+// meters cannot drown out its junction count: factors measured against the candidates
+// are divided by the worst candidate's value, factors with a fixed range by its maximum.
+// A score is 0..100, the weighted mean of the normalized factors, and splits into the
+// points each factor added. Weights are saved per lot.
+
+// Factor value of a path; intensity is its vehicle intensity (0-100)
+export const SCORE_FACTORS = {
+  distance: { label: 'Distance', color: '#3b82f6', value: (path) => path.distance },
+  time: { label: 'Drive time', color: '#22d3ee', value: (path) => path.eta ?? 0 },
+  turns: { label: 'Turns', color: '#a855f7', value: (path) => path.turns },
+  tJunctions: { label: 'Junctions', color: '#f59e0b', value: (path) => path.tJunctions },
+  intensity: { label: 'Traffic', color: '#ef4444', value: (path, intensity) => intensity, max: 100 }
+};
+
+export const FACTOR_IDS = Object.keys(SCORE_FACTORS);
+
+export const SCORE_PRESETS = {
+  balanced: { label: 'Balanced', weights: { distance: 0.3, time: 0.2, turns: 0.1, tJunctions: 0.2, intensity: 0.2 } },
+  fastest: { label: 'Fastest', weights: { distance: 0.2, time: 0.6, turns: 0, tJunctions: 0, intensity: 0.2 } },
+  safest: { label: 'Safest', weights: { distance: 0.1, time: 0, turns: 0.3, tJunctions: 0.4, intensity: 0.2 } },
+  leastTraffic: { label: 'Least traffic', weights: { distance: 0.15, time: 0.15, turns: 0, tJunctions: 0, intensity: 0.7 } }
+};
+
+export const DEFAULT_SCORE_WEIGHTS = SCORE_PRESETS.balanced.weights;
+
+// The preset a set of weights matches, if any
+export const presetOf = (weights) => Object.keys(SCORE_PRESETS).find(id =>
+  FACTOR_IDS.every(factor => SCORE_PRESETS[id].weights[factor] === weights[factor])
+) || null;
+
+// Weights from a saved or imported object: every factor present, none negative
+export const parseScoreWeights = (data) => {
+  if (!data || typeof data !== 'object') throw new Error('Score weights must be an object');
+  const weights = Object.fromEntries(FACTOR_IDS.map(factor => {
+    const weight = data[factor] ?? 0;
+    if (typeof weight !== 'number' || !(weight >= 0)) throw new Error(`Weight for ${factor} must be a number of 0 or more`);
+    return [factor, weight];
+  }));
+  if (FACTOR_IDS.every(factor => weights[factor] === 0)) throw new Error('At least one factor needs a weight');
+  return weights;
+};
+
+// Score every candidate path. Returns, in the paths' order, { path, intensity, normalized,
+// parts, total }: parts are the points each factor added and sum to the total.
+export const scorePaths = (paths, intensities = {}, weights = DEFAULT_SCORE_WEIGHTS) => {
+  const totalWeight = FACTOR_IDS.reduce((sum, factor) => sum + weights[factor], 0) || 1;
+  const intensityOf = (path) => intensities[path.id] || 0;
+  const scales = Object.fromEntries(FACTOR_IDS.map(factor => {
+    const { value, max } = SCORE_FACTORS[factor];
+    return [factor, max || Math.max(0, ...paths.map(path => value(path, intensityOf(path))))];
+  }));
+
+  return paths.map(path => {
+    const intensity = intensityOf(path);
+    const normalized = Object.fromEntries(FACTOR_IDS.map(factor => {
+      const scale = scales[factor];
+      return [factor, scale > 0 ? SCORE_FACTORS[factor].value(path, intensity) / scale : 0];
+    }));
+    const parts = Object.fromEntries(FACTOR_IDS.map(factor => [factor, (100 * weights[factor] * normalized[factor]) / totalWeight]));
+    return { path, intensity, normalized, parts, total: FACTOR_IDS.reduce((sum, factor) => sum + parts[factor], 0) };
+  });
+};
+
+// Lowest score; the first candidate (the shortest) wins a tie
+export const bestScored = (scored) => scored.reduce((best, entry) => (entry.total < best.total ? entry : best));
+
+// Why the best path beat the runner-up: the factors it gained most on, largest first
+export const explainWinner = (scored) => {
+  if (scored.length < 2) return null;
+  const best = bestScored(scored);
+  const runnerUp = scored.filter(entry => entry !== best).reduce((next, entry) => (entry.total < next.total ? entry : next));
+  const gains = FACTOR_IDS
+    .map(factor => ({ factor, label: SCORE_FACTORS[factor].label, points: runnerUp.parts[factor] - best.parts[factor] }))
+    .filter(gain => gain.points > 0.05)
+    .sort((a, b) => b.points - a.points);
+  return { best, runnerUp, margin: runnerUp.total - best.total, gains };
+};
+
+const storageKey = (lotId) => `smartParking.scoring.${lotId}`;
+
+export const loadScoreWeights = (lotId) => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(storageKey(lotId)));
+    return saved ? parseScoreWeights(saved) : DEFAULT_SCORE_WEIGHTS;
+  } catch (err) {
+    return DEFAULT_SCORE_WEIGHTS;
+  }
+};
+
+export const saveScoreWeights = (lotId, weights) => {
+  window.localStorage.setItem(storageKey(lotId), JSON.stringify(weights));
+};
@@ -0,0 +1,60 @@
+import {
+  SCORE_PRESETS, DEFAULT_SCORE_WEIGHTS, presetOf, parseScoreWeights, scorePaths, bestScored, explainWinner,
+  loadScoreWeights, saveScoreWeights
+} from './pathScore';
+
+const paths = [
+  { id: 1, distance: 40, eta: 12, turns: 1, tJunctions: 2 },
+  { id: 2, distance: 80, eta: 20, turns: 0, tJunctions: 0 }
+];
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('factors are normalized against the worst candidate and parts sum to the total', () => {
+  const [first, second] = scorePaths(paths, { 2: 50 }, { distance: 1, time: 0, turns: 0, tJunctions: 1, intensity: 0 });
+
+  expect(first.normalized).toMatchObject({ distance: 0.5, tJunctions: 1, intensity: 0 });
+  expect(first.parts).toEqual({ distance: 25, time: 0, turns: 0, tJunctions: 50, intensity: 0 });
+  expect(first.total).toBe(75);
+  expect(second).toMatchObject({ intensity: 50, total: 50 });
+  expect(second.normalized.intensity).toBe(0.5);
+});
+
+test('the preset decides which path wins', () => {
+  const intensities = { 1: 80 };
+  expect(bestScored(scorePaths(paths, intensities, SCORE_PRESETS.safest.weights)).path.id).toBe(2);
+  expect(bestScored(scorePaths(paths, {}, SCORE_PRESETS.fastest.weights)).path.id).toBe(1);
+});
+
+test('the first path wins a tie', () => {
+  const scored = scorePaths([{ id: 1, distance: 10, turns: 0, tJunctions: 0 }, { id: 2, distance: 10, turns: 0, tJunctions: 0 }]);
+  expect(bestScored(scored).path.id).toBe(1);
+});
+
+test('the winner is explained by the factors it gained most on', () => {
+  const explanation = explainWinner(scorePaths(paths, {}, { distance: 0.2, time: 0, turns: 0, tJunctions: 0.8, intensity: 0 }));
+
+  expect(explanation.best.path.id).toBe(2);
+  expect(explanation.margin).toBeCloseTo(70, 5);
+  expect(explanation.gains).toEqual([{ factor: 'tJunctions', label: 'Junctions', points: 80 }]);
+  expect(explainWinner(scorePaths(paths.slice(0, 1)))).toBeNull();
+});
+
+test('weights are matched to presets and validated', () => {
+  expect(presetOf(DEFAULT_SCORE_WEIGHTS)).toBe('balanced');
+  expect(presetOf({ ...DEFAULT_SCORE_WEIGHTS, turns: 0.5 })).toBeNull();
+  expect(parseScoreWeights({ distance: 1 })).toEqual({ distance: 1, time: 0, turns: 0, tJunctions: 0, intensity: 0 });
+  expect(() => parseScoreWeights({ distance: -1 })).toThrow('Weight for distance must be a number of 0 or more');
+  expect(() => parseScoreWeights({})).toThrow('At least one factor needs a weight');
+});
+
+test('weights are saved per lot and fall back to the default', () => {
+  saveScoreWeights('north', SCORE_PRESETS.fastest.weights);
+  window.localStorage.setItem('smartParking.scoring.broken', '{"distance":"far"}');
+
+  expect(loadScoreWeights('north')).toEqual(SCORE_PRESETS.fastest.weights);
+  expect(loadScoreWeights('south')).toEqual(DEFAULT_SCORE_WEIGHTS);
+  expect(loadScoreWeights('broken')).toEqual(DEFAULT_SCORE_WEIGHTS);
+});
@@ -0,0 +1,49 @@
+import { distance, headingChange } from './geometry';
+import { kShortestPaths } from './kShortestPaths';
+
+// A heading change larger than this counts as a turn
+export const TURN_THRESHOLD_DEGREES = 30;
+
+// A lane point where at least three lane directions meet
+export const isJunction = (node) => node.type === 'junction' && node.degree >= 3;
+
+// Measure a node path: real length, number of turns and junctions passed through
+export const describePath = (graph, nodeIds) => {
+  const nodes = nodeIds.map(id => graph.nodes[id]);
+
+  // Drop coincident points so zero-length hops do not register as turns
+  const points = nodes.filter((node, i) => i === 0 || distance(node, nodes[i - 1]) > 1e-6);
+
+  const length = points.slice(1).reduce((total, point, i) => total + distance(points[i], point), 0);
+
+  const turns = points.slice(1, -1).filter((point, i) =>
+    Math.abs(headingChange(points[i], point, points[i + 2])) > TURN_THRESHOLD_DEGREES
+  ).length;
+
+  const tJunctions = nodes.slice(1, -1).filter(isJunction).length;
+
+  return {
+    length,
+    turns,
+    tJunctions,
+    points: points.map(({ id, x, y, type, degree }) => ({ id, x, y, type, degree }))
+  };
+};
+
+// Candidate routes from one node to another, shortest first, in the shape the UI steps use
+export const findCandidatePaths = (graph, fromId, toId, { k = 4, ...options } = {}) => {
+  return kShortestPaths(graph, fromId, toId, k, options).map((path, i) => {
+    const metrics = describePath(graph, path.nodes);
+    return {
+      id: i + 1,
+      name: `Path ${i + 1}`,
+      nodes: path.nodes,
+      points: metrics.points,
+      distance: metrics.length,
+      turns: metrics.turns,
+      tJunctions: metrics.tJunctions,
+      vehicleIntensity: null,
+      score: null
+    };
+  });
+};
@@ -0,0 +1,18 @@
+// Travel time estimates for routes measured in meters
+
+// Typical speed limit inside a parking lot, 10 km/h
+export const DRIVING_SPEED_MPS = 10 / 3.6;
+
+// Slowing down for a turn and picking up speed again
+export const TURN_DELAY_SECONDS = 3;
+
+export const estimateTravelTime = ({ distance, turns = 0 }) =>
+  distance / DRIVING_SPEED_MPS + turns * TURN_DELAY_SECONDS;
+
+export const formatDuration = (seconds) => {
+  const rounded = Math.max(1, Math.round(seconds));
+  if (rounded < 60) return `${rounded} s`;
+  const minutes = Math.floor(rounded / 60);
+  const rest = rounded % 60;
+  return rest === 0 ? `${minutes} min` : `${minutes} min ${rest} s`;
+};
@@ -0,0 +1,13 @@
+import { estimateTravelTime, formatDuration } from './travelTime';
+
+test('travel time covers the distance at lot speed plus a delay per turn', () => {
+  expect(estimateTravelTime({ distance: 100, turns: 0 })).toBeCloseTo(36);
+  expect(estimateTravelTime({ distance: 100, turns: 2 })).toBeCloseTo(42);
+});
+
+test('durations read in seconds and minutes', () => {
+  expect(formatDuration(42.4)).toBe('42 s');
+  expect(formatDuration(0.2)).toBe('1 s');
+  expect(formatDuration(120)).toBe('2 min');
+  expect(formatDuration(95)).toBe('1 min 35 s');
+});
@@ -0,0 +1,74 @@
+// The app's IndexedDB database: saved sessions with their images, and the history of slot detections
+
+const DB_NAME = 'smartParking';
+const DB_VERSION = 3;
+
+// Object stores by name, with their key options
+export const STORES = {
+  sessions: { name: 'sessions', options: { keyPath: 'id' } },
+  sessionSnapshots: { name: 'sessionSnapshots', options: { keyPath: 'id' } },
+  images: { name: 'images', options: { keyPath: 'id' } },
+  detectionSnapshots: { name: 'detectionSnapshots', options: { keyPath: 'id', autoIncrement: true } }
+};
+
+// Stores missing from an older database are added on upgrade. An upgrade waits for other
+// tabs to close the older version; rather than hang until they do, the open fails. This tab's
+// connection closes whenever another tab upgrades, and onClose is told.
+export const openDatabase = (indexedDB, onClose = () => {}) => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  let blocked = false;
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    Object.values(STORES)
+      .filter(store => !db.objectStoreNames.contains(store.name))
+      .forEach(store => db.createObjectStore(store.name, store.options));
+  };
+  request.onblocked = () => {
+    blocked = true;
+    reject(new Error('Saved data is open in another tab with an older version of the app; close that tab and try again'));
+  };
+  request.onsuccess = () => {
+    const db = request.result;
+    db.onversionchange = () => {
+      db.close();
+      onClose();
+    };
+    // The open was given up on while blocked: nothing will use this connection
+    if (blocked) {
+      db.close();
+      return;
+    }
+    resolve(db);
+  };
+  request.onerror = () => reject(request.error);
+});
+
+// The database, opened on first use and kept open. A failed open or a closed connection is
+// forgotten, so the next use opens it again.
+export const connectDatabase = (indexedDB) => {
+  let database = null;
+  return () => {
+    if (!database) {
+      const opening = openDatabase(indexedDB, () => {
+        if (database === opening) database = null;
+      });
+      opening.catch(() => {
+        if (database === opening) database = null;
+      });
+      database = opening;
+    }
+    return database;
+  };
+};
+
+// Runs requests against the named stores in one transaction and resolves with their
+// results once it completes. run receives the object stores in the order named.
+export const runTransaction = async (database, storeNames, mode, run) => {
+  const tx = (await database).transaction(storeNames, mode);
+  const requests = run(...storeNames.map(name => tx.objectStore(name)));
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve(requests.map(request => request.result));
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted'));
+  });
+};
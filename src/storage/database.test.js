@@ -0,0 +1,57 @@
+import { connectDatabase } from './database';
+
+// An IndexedDB whose open requests the test answers itself
+const fakeIndexedDB = () => {
+  const requests = [];
+  return {
+    requests,
+    open: jest.fn(() => {
+      const request = {};
+      requests.push(request);
+      return request;
+    })
+  };
+};
+
+const fakeConnection = () => ({ close: jest.fn() });
+
+const succeed = (request, db) => {
+  request.result = db;
+  request.onsuccess();
+};
+
+test('an open blocked by another tab fails instead of hanging, and the next use tries again', async () => {
+  const indexedDB = fakeIndexedDB();
+  const database = connectDatabase(indexedDB);
+
+  const blocked = database();
+  indexedDB.requests[0].onblocked();
+  await expect(blocked).rejects.toThrow('another tab');
+
+  // The blocked open completing later is closed, not kept
+  const late = fakeConnection();
+  succeed(indexedDB.requests[0], late);
+  expect(late.close).toHaveBeenCalled();
+
+  const retried = database();
+  expect(indexedDB.open).toHaveBeenCalledTimes(2);
+  const db = fakeConnection();
+  succeed(indexedDB.requests[1], db);
+  await expect(retried).resolves.toBe(db);
+  expect(database()).toBe(retried);
+});
+
+test('a connection another tab upgrades is closed and opened again on next use', async () => {
+  const indexedDB = fakeIndexedDB();
+  const database = connectDatabase(indexedDB);
+
+  const first = database();
+  const db = fakeConnection();
+  succeed(indexedDB.requests[0], db);
+  await first;
+
+  db.onversionchange();
+  expect(db.close).toHaveBeenCalled();
+  database();
+  expect(indexedDB.open).toHaveBeenCalledTimes(2);
+});
@@ -0,0 +1,48 @@
+// Every slot detection of a lot, kept in IndexedDB for occupancy analytics. Only what the
+// analytics need is stored: when it was taken, and each slot's box, label and status.
+
+import { STORES, connectDatabase, runTransaction } from './database';
+
+const HISTORY_STORES = [STORES.detectionSnapshots.name];
+
+// source is 'detection' for a lot image, 'monitoring' for a frame picked from the timeline
+export const createDetectionSnapshot = ({ lotId, sessionId, source, slots, imageSize }, now = new Date()) => ({
+  lot_id: lotId,
+  session_id: sessionId,
+  source,
+  taken_at: now.toISOString(),
+  image_size: imageSize || null,
+  slots: slots.map(({ slot_number, label, status, x, y, width, height }) => ({
+    slot_number, label: label || '', status, x, y, width, height
+  }))
+});
+
+// History kept in memory, for browsers without IndexedDB; gone on reload
+export const createMemoryHistoryStore = () => {
+  const snapshots = [];
+  const copy = (value) => JSON.parse(JSON.stringify(value));
+
+  return {
+    persistent: false,
+    add: async (snapshot) => { snapshots.push({ ...copy(snapshot), id: snapshots.length + 1 }); },
+    list: async (lotId) => snapshots.filter(snapshot => snapshot.lot_id === lotId).map(copy)
+  };
+};
+
+// History in IndexedDB; the database is opened on first use
+export const createHistoryStore = (indexedDB = window.indexedDB) => {
+  if (!indexedDB) return createMemoryHistoryStore();
+  const database = connectDatabase(indexedDB);
+  const transaction = (mode, run) => runTransaction(database(), HISTORY_STORES, mode, run);
+
+  return {
+    persistent: true,
+    add: async (snapshot) => {
+      await transaction('readwrite', store => [store.add(snapshot)]);
+    },
+    list: async (lotId) => {
+      const [snapshots] = await transaction('readonly', store => [store.getAll()]);
+      return snapshots.filter(snapshot => snapshot.lot_id === lotId);
+    }
+  };
+};
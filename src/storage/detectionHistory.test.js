@@ -0,0 +1,29 @@
+import { createDetectionSnapshot, createMemoryHistoryStore } from './detectionHistory';
+
+const slots = [{ slot_number: 1, label: 'A-01', status: 'empty', x: 10, y: 20, width: 30, height: 40, confidence: 0.9, row: 1 }];
+
+test('a detection snapshot keeps only the slot boxes, labels and statuses', () => {
+  const snapshot = createDetectionSnapshot(
+    { lotId: 'north-lot', sessionId: 'session-a', source: 'detection', slots, imageSize: { width: 800, height: 600 } },
+    new Date('2026-03-01T08:00:00.000Z')
+  );
+  expect(snapshot).toEqual({
+    lot_id: 'north-lot',
+    session_id: 'session-a',
+    source: 'detection',
+    taken_at: '2026-03-01T08:00:00.000Z',
+    image_size: { width: 800, height: 600 },
+    slots: [{ slot_number: 1, label: 'A-01', status: 'empty', x: 10, y: 20, width: 30, height: 40 }]
+  });
+});
+
+test('history is listed per lot', async () => {
+  const store = createMemoryHistoryStore();
+  await store.add(createDetectionSnapshot({ lotId: 'north-lot', sessionId: 'a', source: 'detection', slots }));
+  await store.add(createDetectionSnapshot({ lotId: 'south-lot', sessionId: 'b', source: 'monitoring', slots }));
+
+  const north = await store.list('north-lot');
+  expect(north).toHaveLength(1);
+  expect(north[0]).toMatchObject({ id: 1, lot_id: 'north-lot' });
+  expect(await store.list('east-lot')).toEqual([]);
+});
@@ -0,0 +1,218 @@
+// Working sessions saved in the browser (IndexedDB), so a reload or a new session does not
+// lose them. A session holds everything needed to carry on where it was left: the images,
+// the raw detection responses (so it replays without calling the detection API again),
+// the detected slots, allocations and paths, and the step it was at. Images are stored once,
+// apart from the snapshots that show them, so saving a change writes only the small state.
+
+import { STORES, connectDatabase, runTransaction } from './database';
+
+export const SESSION_VERSION = 2;
+
+// Summaries are listed without loading the images and responses held in the snapshots
+const SESSION_STORES = [STORES.sessions.name, STORES.sessionSnapshots.name];
+const ALL_STORES = [...SESSION_STORES, STORES.images.name];
+
+export const NO_RECORDINGS = { slots: [], vehicles: [], traffic: [] };
+
+export const newSessionId = () => `session-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// id, name and creation time of a new session; it is named after its lot when first saved
+export const createSessionMeta = (now = new Date()) => ({ id: newSessionId(), name: null, created_at: now.toISOString() });
+
+const defaultSessionName = (lotId, createdAt) => `${lotId} · ${new Date(createdAt).toLocaleString()}`;
+
+// Whether a snapshot has anything worth saving yet
+export const hasProgress = (snapshot) => Boolean(snapshot.parkingImage || snapshot.monitorFrames?.length);
+
+export const summarizeSnapshot = (snapshot) => ({
+  lotId: snapshot.lotId,
+  backend: snapshot.backend?.type || null,
+  slots: snapshot.detectedSlots.length,
+  empty: snapshot.detectedSlots.filter(slot => slot.status === 'empty').length,
+  vehicles: snapshot.parkingSession.vehicles.length
+});
+
+// meta is { id, name, created_at } of the session being saved
+export const createSessionRecord = (meta, snapshot, now = new Date()) => ({
+  id: meta.id,
+  name: meta.name || defaultSessionName(snapshot.lotId, meta.created_at),
+  version: SESSION_VERSION,
+  created_at: meta.created_at,
+  updated_at: now.toISOString(),
+  step: snapshot.currentStep,
+  summary: summarizeSnapshot(snapshot),
+  // Listed with the summary, for analytics across sessions
+  vehicles: snapshot.parkingSession.vehicles,
+  snapshot
+});
+
+export const duplicateSessionRecord = (record, now = new Date()) => ({
+  ...record,
+  id: newSessionId(),
+  name: `${record.name} (copy)`,
+  created_at: now.toISOString(),
+  updated_at: now.toISOString()
+});
+
+// A stored record, checked before its snapshot is restored
+export const parseSessionRecord = (record) => {
+  if (!record) throw new Error('Session not found');
+  if (record.version > SESSION_VERSION) {
+    throw new Error(`Session was saved by a newer version (v${record.version})`);
+  }
+  if (!record.snapshot || !Array.isArray(record.snapshot.detectedSlots)) {
+    throw new Error('Session has no saved state');
+  }
+  return {
+    ...record,
+    snapshot: { ...record.snapshot, recordings: { ...NO_RECORDINGS, ...record.snapshot.recordings } }
+  };
+};
+
+// Id of an image from its content: two FNV-1a hashes of its data URL and its length
+export const imageId = (data) => {
+  let a = 0x811c9dc5;
+  let b = 0x01000193;
+  for (let i = 0; i < data.length; i++) {
+    const code = data.charCodeAt(i);
+    a = Math.imul(a ^ code, 0x01000193);
+    b = Math.imul(b ^ code, 0x5bd1e995);
+  }
+  const hex = (hash) => (hash >>> 0).toString(16).padStart(8, '0');
+  return `img-${hex(a)}${hex(b)}-${data.length.toString(36)}`;
+};
+
+const isImage = (value) => typeof value === 'string' && value.startsWith('data:image/');
+const isImageRef = (value) => Boolean(value) && typeof value === 'object' && typeof value.image_ref === 'string';
+
+// Copies `value` with each object and array passed through `visit` first
+const mapDeep = (value, visit) => {
+  const visited = visit(value);
+  if (visited !== value) return visited;
+  if (Array.isArray(value)) return value.map(item => mapDeep(item, visit));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapDeep(item, visit)]));
+  }
+  return value;
+};
+
+// The snapshot with every image (data URL) in it replaced by { image_ref }, and the images by id
+export const separateImages = (snapshot) => {
+  const images = new Map();
+  const separated = mapDeep(snapshot, (value) => {
+    if (!isImage(value)) return value;
+    const id = imageId(value);
+    images.set(id, value);
+    return { image_ref: id };
+  });
+  return { snapshot: separated, images };
+};
+
+// Ids of the images a stored snapshot refers to
+export const imageRefs = (snapshot) => {
+  const ids = new Set();
+  mapDeep(snapshot, (value) => {
+    if (isImageRef(value)) ids.add(value.image_ref);
+    return value;
+  });
+  return ids;
+};
+
+// The snapshot with its images put back; `images` maps ids to data URLs. Snapshots saved
+// before images were stored apart hold them inline and come back as they are.
+export const restoreImages = (snapshot, images) => mapDeep(snapshot, (value) => (
+  isImageRef(value) ? images.get(value.image_ref) ?? null : value
+));
+
+const newestFirst = (summaries) => [...summaries].sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+
+const splitRecord = ({ snapshot, ...summary }) => ({ summary, snapshot: { id: summary.id, snapshot } });
+
+// Ids of images no remaining snapshot refers to
+const unusedImages = (imageIds, snapshots) => {
+  const used = new Set(snapshots.flatMap(snapshot => [...imageRefs(snapshot)]));
+  return imageIds.filter(id => !used.has(id));
+};
+
+// Sessions kept in memory, for browsers without IndexedDB; gone on reload
+export const createMemorySessionStore = () => {
+  const records = new Map();
+  const images = new Map();
+  const copy = (value) => JSON.parse(JSON.stringify(value));
+
+  return {
+    persistent: false,
+    list: async () => newestFirst([...records.values()].map(record => splitRecord(record).summary)),
+    get: async (id) => {
+      if (!records.has(id)) return null;
+      const record = copy(records.get(id));
+      return { ...record, snapshot: restoreImages(record.snapshot, images) };
+    },
+    put: async (record) => {
+      const separated = separateImages(record.snapshot);
+      separated.images.forEach((data, imageKey) => images.set(imageKey, data));
+      records.set(record.id, copy({ ...record, snapshot: separated.snapshot }));
+    },
+    remove: async (id) => {
+      records.delete(id);
+      unusedImages([...images.keys()], [...records.values()].map(record => record.snapshot))
+        .forEach(imageKey => images.delete(imageKey));
+    }
+  };
+};
+
+// Sessions in IndexedDB; the database is opened on first use. Each image is written once:
+// the ids of images already stored are remembered, so a save writes only new ones.
+export const createSessionStore = (indexedDB = window.indexedDB) => {
+  if (!indexedDB) return createMemorySessionStore();
+  const database = connectDatabase(indexedDB);
+  const transaction = (mode, run) => runTransaction(database(), SESSION_STORES, mode, run);
+  const withImages = (mode, run) => runTransaction(database(), ALL_STORES, mode, run);
+  const written = new Set();
+
+  return {
+    persistent: true,
+    list: async () => {
+      const [summaries] = await transaction('readonly', summaryStore => [summaryStore.getAll()]);
+      return newestFirst(summaries);
+    },
+    get: async (id) => {
+      const [summary, saved] = await transaction('readonly', (summaryStore, snapshotStore) => [summaryStore.get(id), snapshotStore.get(id)]);
+      if (!summary) return null;
+      if (!saved) return { ...summary, snapshot: undefined };
+      const ids = [...imageRefs(saved.snapshot)];
+      const found = ids.length === 0 ? [] : await runTransaction(
+        database(), [STORES.images.name], 'readonly', imageStore => ids.map(imageKey => imageStore.get(imageKey))
+      );
+      const images = new Map(found.filter(Boolean).map(image => [image.id, image.data]));
+      images.forEach((data, imageKey) => written.add(imageKey));
+      return { ...summary, snapshot: restoreImages(saved.snapshot, images) };
+    },
+    put: async (record) => {
+      const separated = separateImages(record.snapshot);
+      const { summary, snapshot } = splitRecord({ ...record, snapshot: separated.snapshot });
+      const fresh = [...separated.images].filter(([imageKey]) => !written.has(imageKey));
+      await withImages('readwrite', (summaryStore, snapshotStore, imageStore) => [
+        summaryStore.put(summary),
+        snapshotStore.put(snapshot),
+        ...fresh.map(([imageKey, data]) => imageStore.put({ id: imageKey, data }))
+      ]);
+      fresh.forEach(([imageKey]) => written.add(imageKey));
+    },
+    // Images only the removed session showed go with it
+    remove: async (id) => {
+      await withImages('readwrite', (summaryStore, snapshotStore, imageStore) => {
+        const removals = [summaryStore.delete(id), snapshotStore.delete(id)];
+        const snapshots = snapshotStore.getAll();
+        const imageKeys = imageStore.getAllKeys();
+        imageKeys.onsuccess = () => {
+          unusedImages(imageKeys.result, snapshots.result.map(saved => saved.snapshot)).forEach((imageKey) => {
+            imageStore.delete(imageKey);
+            written.delete(imageKey);
+          });
+        };
+        return [...removals, snapshots, imageKeys];
+      });
+    }
+  };
+};
@@ -0,0 +1,184 @@
+import {
+  SESSION_VERSION, createMemorySessionStore, createSessionMeta, createSessionRecord, createSessionStore, duplicateSessionRecord,
+  hasProgress, imageId, imageRefs, parseSessionRecord, restoreImages, separateImages
+} from './savedSessions';
+
+const snapshot = {
+  currentStep: 2,
+  lotId: 'north-lot',
+  backend: { type: 'fixture', inferenceUrl: '', usedApiKey: false, fixtures: null },
+  recordings: { slots: [{ predictions: [] }], vehicles: [], traffic: [] },
+  parkingImage: 'data:image/png;base64,AAAA',
+  monitorFrames: [],
+  detectedSlots: [{ slot_number: 1, status: 'empty' }, { slot_number: 2, status: 'occupied' }],
+  parkingSession: { vehicles: [{ id: 'V1' }], nextId: 2 }
+};
+
+const meta = { id: 'session-a', name: null, created_at: '2026-03-01T08:00:00.000Z' };
+
+test('a record summarises the snapshot and is named after its lot', () => {
+  const record = createSessionRecord(meta, snapshot, new Date('2026-03-01T09:00:00.000Z'));
+  expect(record).toMatchObject({
+    id: 'session-a',
+    version: SESSION_VERSION,
+    created_at: '2026-03-01T08:00:00.000Z',
+    updated_at: '2026-03-01T09:00:00.000Z',
+    step: 2,
+    summary: { lotId: 'north-lot', backend: 'fixture', slots: 2, empty: 1, vehicles: 1 }
+  });
+  expect(record.name).toMatch(/^north-lot · /);
+  expect(createSessionRecord({ ...meta, name: 'Morning run' }, snapshot).name).toBe('Morning run');
+});
+
+test('a session is worth saving once a lot image or frames are loaded', () => {
+  expect(hasProgress(snapshot)).toBe(true);
+  expect(hasProgress({ ...snapshot, parkingImage: null })).toBe(false);
+  expect(hasProgress({ ...snapshot, parkingImage: null, monitorFrames: [{ time: 0 }] })).toBe(true);
+  expect(createSessionMeta().id).not.toBe(createSessionMeta().id);
+});
+
+test('the store lists summaries newest first and returns full records', async () => {
+  const store = createMemorySessionStore();
+  await store.put(createSessionRecord(meta, snapshot, new Date('2026-03-01T09:00:00.000Z')));
+  await store.put(createSessionRecord({ ...meta, id: 'session-b' }, snapshot, new Date('2026-03-02T09:00:00.000Z')));
+
+  const listed = await store.list();
+  expect(listed.map(session => session.id)).toEqual(['session-b', 'session-a']);
+  expect(listed[0].snapshot).toBeUndefined();
+  expect(listed[0].vehicles).toEqual([{ id: 'V1' }]);
+  expect((await store.get('session-a')).snapshot.detectedSlots).toHaveLength(2);
+
+  await store.remove('session-a');
+  expect(await store.get('session-a')).toBeNull();
+  expect(await store.list()).toHaveLength(1);
+});
+
+test('a duplicate is a new session with the same state', () => {
+  const record = createSessionRecord({ ...meta, name: 'Morning run' }, snapshot);
+  const copy = duplicateSessionRecord(record, new Date('2026-03-05T10:00:00.000Z'));
+  expect(copy.id).not.toBe(record.id);
+  expect(copy).toMatchObject({ name: 'Morning run (copy)', created_at: '2026-03-05T10:00:00.000Z', step: 2 });
+  expect(copy.snapshot).toBe(record.snapshot);
+});
+
+test('parseSessionRecord rejects missing, newer or empty sessions', () => {
+  const record = createSessionRecord(meta, { ...snapshot, recordings: undefined });
+  expect(parseSessionRecord(record).snapshot.recordings).toEqual({ slots: [], vehicles: [], traffic: [] });
+  expect(() => parseSessionRecord(null)).toThrow('Session not found');
+  expect(() => parseSessionRecord({ ...record, version: SESSION_VERSION + 1 })).toThrow(/newer version/);
+  expect(() => parseSessionRecord({ ...record, snapshot: {} })).toThrow('Session has no saved state');
+});
+
+const frame = (n) => `data:image/jpeg;base64,FRAME${n}`;
+
+test('images are taken out of a snapshot once each and put back by id', () => {
+  const withFrames = { ...snapshot, monitorFrames: [{ time: 0, image: frame(1) }, { time: 5, image: frame(1) }], aisleImage: frame(2) };
+  const { snapshot: separated, images } = separateImages(withFrames);
+
+  expect(images.size).toBe(3);
+  expect(separated.parkingImage).toEqual({ image_ref: imageId(snapshot.parkingImage) });
+  expect(separated.monitorFrames[1]).toEqual({ time: 5, image: { image_ref: imageId(frame(1)) } });
+  expect(JSON.stringify(separated)).not.toContain('data:image');
+  expect([...imageRefs(separated)].sort()).toEqual([...images.keys()].sort());
+  expect(restoreImages(separated, images)).toEqual(withFrames);
+  // Snapshots saved with their images inline come back unchanged
+  expect(restoreImages(withFrames, new Map())).toEqual(withFrames);
+  expect(imageId(frame(1))).not.toBe(imageId(frame(2)));
+});
+
+test('the memory store gives back the images of the sessions that remain', async () => {
+  const store = createMemorySessionStore();
+  await store.put(createSessionRecord(meta, { ...snapshot, aisleImage: frame(2) }));
+  await store.put(createSessionRecord({ ...meta, id: 'session-b' }, { ...snapshot, aisleImage: frame(3) }));
+
+  await store.remove('session-b');
+  const { snapshot: kept } = await store.get('session-a');
+  expect(kept.parkingImage).toBe(snapshot.parkingImage);
+  expect(kept.aisleImage).toBe(frame(2));
+});
+
+// An IndexedDB in memory, enough for the session store, that records what it writes
+const memoryIndexedDB = () => {
+  const stores = {};
+  const writes = [];
+  const copy = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+  const db = {
+    objectStoreNames: { contains: name => name in stores },
+    createObjectStore: (name) => { stores[name] = new Map(); },
+    close: () => {},
+    transaction: () => {
+      const queue = [];
+      const tx = {};
+      const request = (run) => {
+        const req = {};
+        queue.push(() => {
+          req.result = copy(run());
+          if (req.onsuccess) req.onsuccess();
+        });
+        return req;
+      };
+      tx.objectStore = name => ({
+        put: value => request(() => {
+          writes.push(`${name}:${value.id}`);
+          stores[name].set(value.id, copy(value));
+          return value.id;
+        }),
+        get: id => request(() => stores[name].get(id)),
+        getAll: () => request(() => [...stores[name].values()]),
+        getAllKeys: () => request(() => [...stores[name].keys()]),
+        delete: id => request(() => stores[name].delete(id) && undefined)
+      });
+      setTimeout(() => {
+        while (queue.length > 0) queue.shift()();
+        tx.oncomplete();
+      });
+      return tx;
+    }
+  };
+  return {
+    stores,
+    writes,
+    open: () => {
+      const req = {};
+      setTimeout(() => {
+        req.result = db;
+        req.onupgradeneeded();
+        req.onsuccess();
+      });
+      return req;
+    }
+  };
+};
+
+test('a saved session writes its images once, and a change writes only the small state', async () => {
+  const indexedDB = memoryIndexedDB();
+  const store = createSessionStore(indexedDB);
+  const frames = [{ time: 0, image: frame(1) }, { time: 5, image: frame(2) }];
+  await store.put(createSessionRecord(meta, { ...snapshot, monitorFrames: frames, monitorIndex: 0 }));
+  expect(indexedDB.writes.filter(write => write.startsWith('images:'))).toHaveLength(3);
+  expect(JSON.stringify([...indexedDB.stores.sessionSnapshots.values()])).not.toContain('data:image');
+
+  indexedDB.writes.length = 0;
+  await store.put(createSessionRecord(meta, { ...snapshot, monitorFrames: frames, monitorIndex: 1 }));
+  expect(indexedDB.writes).toEqual(['sessions:session-a', 'sessionSnapshots:session-a']);
+
+  const resumed = (await store.get('session-a')).snapshot;
+  expect(resumed.monitorFrames).toEqual(frames);
+  expect(resumed.parkingImage).toBe(snapshot.parkingImage);
+});
+
+test('removing a session removes the images only it showed', async () => {
+  const indexedDB = memoryIndexedDB();
+  const store = createSessionStore(indexedDB);
+  await store.put(createSessionRecord(meta, snapshot));
+  await store.put(createSessionRecord({ ...meta, id: 'session-b' }, { ...snapshot, aisleImage: frame(2) }));
+  expect(indexedDB.stores.images.size).toBe(2);
+
+  await store.remove('session-b');
+  expect([...indexedDB.stores.images.keys()]).toEqual([imageId(snapshot.parkingImage)]);
+  expect(await store.get('session-b')).toBeNull();
+
+  // An image removed with its session is written again when another session shows it
+  await store.put(createSessionRecord({ ...meta, id: 'session-c' }, { ...snapshot, aisleImage: frame(2) }));
+  expect((await store.get('session-c')).snapshot.aisleImage).toBe(frame(2));
+});